@@ -0,0 +1,210 @@
+// Structured assistant actions.
+//
+// Besides its text, the model may propose changes the parent can apply with
+// one click: add/remove a registry item, add a milestone, set a price alert.
+// It does so by ending its reply with a fenced block:
+//
+//   ```actions
+//   [{ "type": "add_registry_item", "name": "Paced-feeding bottle set", "quantity": 2 }]
+//   ```
+//
+// The block is cut out of the visible reply (also while streaming) and the
+// actions are validated here; the browser shows them as chips and applies
+// them only after the user confirms.
+
+const ACTIONS_FENCE = '```actions';
+const MAX_ACTIONS = 5;
+
+const ACTION_TYPES = ['add_registry_item', 'remove_registry_item', 'add_milestone', 'set_price_alert'];
+const PRIORITIES = ['high', 'medium', 'low'];
+
+/**
+ * @typedef {Object} AssistantAction
+ * @property {string} id
+ * @property {'add_registry_item'|'remove_registry_item'|'add_milestone'|'set_price_alert'} type
+ * @property {string} label            what the chip says
+ * @property {string} [name]           registry item / product name
+ * @property {string} [itemId]         registry item to remove
+ * @property {number} [quantity]
+ * @property {string} [note]
+ * @property {string} [url]
+ * @property {string} [price]
+ * @property {string} [category]
+ * @property {'high'|'medium'|'low'} [priority]
+ * @property {string} [productId]      price alerts: bundle id
+ * @property {number} [targetPrice]
+ * @property {number} [dropPercent]
+ */
+
+/** Prompt text that teaches the model the protocol above. */
+const ACTIONS_PROMPT = [
+  'When the parent asks you to change their registry, milestones or price alerts – or when you',
+  'recommend something concrete they could add – end your reply with a fenced block that starts',
+  `with ${ACTIONS_FENCE} and contains a JSON array of actions. Supported actions:`,
+  '{"type":"add_registry_item","name":string,"quantity"?:number,"note"?:string,"price"?:string,"category"?:string,"priority"?:"high"|"medium"|"low"}',
+  '{"type":"remove_registry_item","name":string,"itemId"?:string}',
+  '{"type":"add_milestone","label":string}',
+  '{"type":"set_price_alert","name":string,"productId"?:string,"targetPrice"?:number,"dropPercent"?:number}',
+  `At most ${MAX_ACTIONS} actions. Nothing is applied until the parent confirms, so never claim it is done.`,
+  'Leave the block out when there is nothing to propose.',
+].join(' ');
+
+/**
+ * @param {unknown} value
+ * @param {number} max
+ */
+function clip(value, max) {
+  return typeof value === 'string' || typeof value === 'number' ? String(value).trim().slice(0, max) : '';
+}
+
+/**
+ * @param {unknown} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number|undefined}
+ */
+function numberIn(value, min, max) {
+  const n = typeof value === 'string' ? Number(value.replace(/[^0-9.]/g, '')) : Number(value);
+  return Number.isFinite(n) && n >= min && n <= max ? n : undefined;
+}
+
+/**
+ * Validates one raw action; returns null for anything unusable.
+ * @param {any} raw
+ * @param {number} index
+ * @returns {AssistantAction|null}
+ */
+function normalizeAction(raw, index) {
+  if (!raw || typeof raw !== 'object' || !ACTION_TYPES.includes(raw.type)) return null;
+  const id = `a${index + 1}`;
+
+  if (raw.type === 'add_registry_item') {
+    const name = clip(raw.name, 200);
+    if (!name) return null;
+    const quantity = Math.floor(numberIn(raw.quantity, 1, 99) || 1);
+    return {
+      id,
+      type: raw.type,
+      label: `Add “${name}”${quantity > 1 ? ` ×${quantity}` : ''} to registry`,
+      name,
+      quantity,
+      note: clip(raw.note, 300) || undefined,
+      url: /^https?:\/\//i.test(clip(raw.url, 2000)) ? clip(raw.url, 2000) : undefined,
+      price: clip(raw.price, 40) || undefined,
+      category: clip(raw.category, 80) || undefined,
+      priority: PRIORITIES.includes(raw.priority) ? raw.priority : undefined,
+    };
+  }
+
+  if (raw.type === 'remove_registry_item') {
+    const name = clip(raw.name, 200);
+    const itemId = clip(raw.itemId, 200);
+    if (!name && !itemId) return null;
+    return { id, type: raw.type, label: `Remove “${name || itemId}” from registry`, name: name || undefined, itemId: itemId || undefined };
+  }
+
+  if (raw.type === 'add_milestone') {
+    const label = clip(raw.label ?? raw.name, 200);
+    if (!label) return null;
+    return { id, type: raw.type, label: `Add milestone: ${label}`, name: label };
+  }
+
+  // set_price_alert
+  const name = clip(raw.name ?? raw.productName, 200);
+  const productId = clip(raw.productId, 100);
+  if (!name && !productId) return null;
+  const targetPrice = numberIn(raw.targetPrice, 0.01, 100000);
+  const dropPercent = targetPrice === undefined ? numberIn(raw.dropPercent, 1, 90) : undefined;
+  const condition = targetPrice !== undefined
+    ? ` below ${targetPrice}`
+    : dropPercent !== undefined ? ` on a ${dropPercent}% drop` : ' on price drops';
+  return {
+    id,
+    type: raw.type,
+    label: `Alert me about “${name || productId}”${condition}`,
+    name: name || undefined,
+    productId: productId || undefined,
+    targetPrice,
+    dropPercent,
+  };
+}
+
+/**
+ * Parses the JSON inside an actions block; tolerant of a missing closing fence.
+ * @param {string} block  text after the opening fence
+ * @returns {AssistantAction[]}
+ */
+function parseActionsBlock(block) {
+  const body = block.split('```')[0].trim();
+  let parsed;
+  try {
+    parsed = JSON.parse(body);
+  } catch {
+    return [];
+  }
+  const list = Array.isArray(parsed) ? parsed : [parsed];
+  return list.map(normalizeAction).filter(Boolean).slice(0, MAX_ACTIONS);
+}
+
+/**
+ * Separates visible text from the actions block in a streamed reply.
+ *
+ * `push(chunk)` returns the text that is safe to show now – anything that
+ * might be the start of the fence is held back until the next chunk settles
+ * it. `finish()` returns the rest plus the final reply and actions.
+ */
+function createActionFilter() {
+  let full = '';
+  let shown = 0;
+
+  /** Start of the fence, or where visible text must stop for now. */
+  function visibleEnd() {
+    const fence = full.indexOf(ACTIONS_FENCE);
+    if (fence >= 0) return fence;
+    for (let keep = Math.min(ACTIONS_FENCE.length - 1, full.length); keep > 0; keep -= 1) {
+      if (ACTIONS_FENCE.startsWith(full.slice(full.length - keep))) return full.length - keep;
+    }
+    return full.length;
+  }
+
+  return {
+    /** @param {string} chunk */
+    push(chunk) {
+      full += chunk;
+      const end = visibleEnd();
+      if (end <= shown) return '';
+      const text = full.slice(shown, end);
+      shown = end;
+      return text;
+    },
+
+    /** @returns {{ rest: string, reply: string, actions: AssistantAction[] }} */
+    finish() {
+      const fence = full.indexOf(ACTIONS_FENCE);
+      const end = fence >= 0 ? fence : full.length;
+      const rest = end > shown ? full.slice(shown, end) : '';
+      shown = Math.max(shown, end);
+      return {
+        rest,
+        reply: full.slice(0, end).trimEnd(),
+        actions: fence >= 0 ? parseActionsBlock(full.slice(fence + ACTIONS_FENCE.length)) : [],
+      };
+    },
+  };
+}
+
+/**
+ * Formats actions the way the model is asked to (used by the mock provider).
+ * @param {object[]} actions
+ */
+function actionsBlock(actions) {
+  return `\n\n${ACTIONS_FENCE}\n${JSON.stringify(actions)}\n\`\`\``;
+}
+
+module.exports = {
+  ACTION_TYPES,
+  ACTIONS_PROMPT,
+  normalizeAction,
+  createActionFilter,
+  actionsBlock,
+};
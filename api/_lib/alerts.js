@@ -0,0 +1,613 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { HttpError, siteOrigin } = require('./http');
+const { safeEqual } = require('./owner');
+const { parsePrice, formatPrice, getPriceSource } = require('./prices');
+const { queueEmail } = require('./outbox');
+
+// Price alert subscriptions, price history and the evaluator.
+//
+// One subscription per email + product (re-subscribing updates it). Each has
+// a target price, a percentage drop, or both. The evaluator pulls prices
+// from the configured price source, appends them to the product's history
+// and queues an email when a price crosses the target or has dropped by the
+// requested percentage since the last notification (or since subscribing).
+//
+// Double opt-in: alerts for an address that hasn't confirmed yet start out
+// 'pending' and the only email they trigger is the confirmation link. Every
+// email sent on request counts against a daily allowance per address, and
+// price.js caps requests per IP, so the form can't be used as a mail relay.
+//
+// Links in emails carry signed tokens (ALERTS_TOKEN_SECRET):
+//   manage       – lists/edits every alert for one email address; expires
+//                  after MANAGE_TOKEN_TTL_DAYS (ask for a fresh link instead)
+//   confirm      – activates an address's pending alerts; expires after
+//                  CONFIRM_TOKEN_TTL_DAYS (subscribing again sends a new one)
+//   unsubscribe  – turns off a single alert, used for one-click List-Unsubscribe;
+//                  doesn't expire, since mail clients keep offering it
+//
+// Run the evaluator from cron (/api/alerts/evaluate) or locally with
+//   node api/_lib/alerts.js evaluate
+
+const COLLECTIONS = {
+  ALERTS: 'price_alerts',
+  HISTORY: 'price_history',
+  // Request counters keyed by a hash of the email or IP, never the raw value.
+  LIMITS: 'price_alert_limits',
+};
+
+const DEFAULT_DROP_PERCENT = 10;
+const MAX_PRODUCTS_PER_REQUEST = 50;
+const MAX_ALERTS_PER_EMAIL = 100;
+const MAX_HISTORY_POINTS = 200;
+const MANAGE_TOKEN_TTL_DAYS = 30;
+const CONFIRM_TOKEN_TTL_DAYS = 7;
+const MAX_EMAILS_PER_ADDRESS_PER_DAY = 5;
+const MAX_REQUESTS_PER_IP_PER_HOUR = 30;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/** Tokens that expire, and after how many days. */
+const TOKEN_TTL_DAYS = { manage: MANAGE_TOKEN_TTL_DAYS, confirm: CONFIRM_TOKEN_TTL_DAYS };
+
+/**
+ * @typedef {import('./prices').ParsedPrice} ParsedPrice
+ */
+
+/**
+ * @typedef {Object} PriceAlert
+ * @property {string} id
+ * @property {string} email
+ * @property {string} productId
+ * @property {string} productName
+ * @property {string} [url]
+ * @property {string} currency
+ * @property {number|null} targetPrice
+ * @property {number|null} dropPercent
+ * @property {number|null} baselinePrice      price when subscribing
+ * @property {number|null} lastPrice          last observed price
+ * @property {number|null} lastNotifiedPrice
+ * @property {'pending'|'active'|'unsubscribed'} status   pending until the address confirms
+ * @property {string} [confirmedAt]      when the address was confirmed for this alert
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ * @property {string} [lastCheckedAt]
+ * @property {string} [lastNotifiedAt]
+ */
+
+/* ========================================================================== */
+/* Tokens                                                                     */
+/* ========================================================================== */
+
+function tokenSecret() {
+  const secret = process.env.ALERTS_TOKEN_SECRET;
+  if (!secret) throw new Error('ALERTS_TOKEN_SECRET is not configured');
+  return secret;
+}
+
+/** @param {string} payload */
+function sign(payload) {
+  return crypto.createHmac('sha256', tokenSecret()).update(payload).digest('base64url');
+}
+
+/** Seconds since the epoch, as tokens store them. */
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+/**
+ * @param {'manage'|'confirm'|'unsubscribe'} scope
+ * @param {string} value   email for 'manage' and 'confirm', alert id for 'unsubscribe'
+ */
+function createToken(scope, value) {
+  const ttlDays = TOKEN_TTL_DAYS[scope];
+  const claims = ttlDays
+    ? { s: scope, v: value, e: nowSeconds() + ttlDays * 24 * 60 * 60 }
+    : { s: scope, v: value };
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * @param {string} token
+ * @param {'manage'|'confirm'|'unsubscribe'} scope
+ * @returns {string} the signed value
+ */
+function readToken(token, scope) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature || !safeEqual(signature, sign(payload))) {
+    throw new HttpError(403, 'Invalid or expired link');
+  }
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (data.s !== scope || typeof data.v !== 'string') throw new Error('scope');
+    // A manage or confirm token without an expiry is refused, not treated as permanent.
+    if (TOKEN_TTL_DAYS[scope] && !(typeof data.e === 'number' && data.e > nowSeconds())) throw new Error('expired');
+    return data.v;
+  } catch {
+    throw new HttpError(403, 'Invalid or expired link');
+  }
+}
+
+/* ========================================================================== */
+/* Rate limits                                                                */
+/* ========================================================================== */
+
+/**
+ * Counts one request against `key` in a sliding window.
+ * @param {string} key
+ * @param {number} max
+ * @param {number} windowMs
+ * @param {string} message   429 message once `max` is reached
+ */
+function takeAllowance(key, max, windowMs, message) {
+  const hashed = crypto.createHash('sha256').update(key).digest('hex').slice(0, 32);
+  return getStorage().update(COLLECTIONS.LIMITS, hashed, (current) => {
+    const now = Date.now();
+    const hits = (current ? current.hits : []).filter((at) => at > now - windowMs);
+    if (hits.length >= max) throw new HttpError(429, message);
+    return { hits: [...hits, now] };
+  });
+}
+
+/**
+ * Called before anything that emails `email` on request.
+ * @param {string} email
+ */
+function allowEmailTo(email) {
+  return takeAllowance(`email:${email}`, MAX_EMAILS_PER_ADDRESS_PER_DAY, DAY_MS,
+    'Too many emails requested for this address today. Please use the one we already sent.');
+}
+
+/**
+ * Caps subscribe and manage-link requests from one client.
+ * @param {string} ip
+ */
+function limitRequests(ip) {
+  return takeAllowance(`ip:${ip}`, MAX_REQUESTS_PER_IP_PER_HOUR, HOUR_MS,
+    'Too many requests. Please try again later.');
+}
+
+/* ========================================================================== */
+/* Subscriptions                                                              */
+/* ========================================================================== */
+
+/** @param {unknown} value */
+function normalizeEmail(value) {
+  const email = String(value || '').trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(email) || email.length > 254) throw new HttpError(400, 'A valid email is required');
+  return email;
+}
+
+/**
+ * @param {string} email
+ * @param {string} productId
+ */
+function alertId(email, productId) {
+  return crypto.createHash('sha256').update(`${email}|${productId}`).digest('hex').slice(0, 20);
+}
+
+/**
+ * @param {unknown} value
+ * @returns {number|null}
+ */
+function cleanPercent(value) {
+  if (value == null || value === '') return null;
+  const n = Number(String(value).replace('%', ''));
+  if (!Number.isFinite(n) || n <= 0 || n >= 100) throw new HttpError(400, 'dropPercent must be between 0 and 100');
+  return Math.round(n * 10) / 10;
+}
+
+/**
+ * @param {unknown} value
+ * @param {string} currency
+ * @returns {number|null}
+ */
+function cleanTarget(value, currency) {
+  if (value == null || value === '') return null;
+  const parsed = parsePrice(value, currency);
+  if (!parsed) throw new HttpError(400, 'targetPrice is not a valid price');
+  if (parsed.currency !== currency) {
+    throw new HttpError(400, `targetPrice must be in ${currency}`);
+  }
+  return parsed.amount;
+}
+
+/**
+ * Public shape; never includes the email of anyone else.
+ * @param {PriceAlert} alert
+ */
+function toPublicAlert(alert) {
+  const {
+    id, productId, productName, url, currency, targetPrice, dropPercent,
+    baselinePrice, lastPrice, lastNotifiedPrice, status, createdAt, lastCheckedAt, lastNotifiedAt,
+  } = alert;
+  return {
+    id, productId, productName, url, currency, targetPrice, dropPercent,
+    baselinePrice, lastPrice, lastNotifiedPrice, status, createdAt, lastCheckedAt, lastNotifiedAt,
+  };
+}
+
+/**
+ * @param {string} email
+ * @returns {Promise<PriceAlert[]>}
+ */
+async function listForEmail(email) {
+  const all = await getStorage().list(COLLECTIONS.ALERTS);
+  return all
+    .filter((alert) => alert.email === email)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/**
+ * Creates or refreshes one alert per product and emails the address: a
+ * confirmation link if it hasn't confirmed yet, otherwise a receipt.
+ * @param {{
+ *   email: unknown,
+ *   products: Array<{ productId?: unknown, id?: unknown, name?: unknown, price?: unknown, url?: unknown }>,
+ *   targetPrice?: unknown,
+ *   dropPercent?: unknown,
+ * }} input
+ * @returns {Promise<PriceAlert[]>}
+ */
+async function subscribe(input) {
+  const email = normalizeEmail(input.email);
+  const products = (Array.isArray(input.products) ? input.products : [])
+    .map((p) => ({ ...p, productId: String(p.productId ?? p.id ?? '').trim().slice(0, 100) }))
+    .filter((p) => p.productId);
+  if (!products.length) throw new HttpError(400, 'Choose at least one product');
+  if (products.length > MAX_PRODUCTS_PER_REQUEST) {
+    throw new HttpError(400, `At most ${MAX_PRODUCTS_PER_REQUEST} products per request`);
+  }
+
+  const existing = await listForEmail(email);
+  const confirmed = existing.some((a) => a.confirmedAt);
+  // Pending alerts count too, so unconfirmed requests can't pile up either.
+  const liveIds = new Set(existing.filter((a) => a.status !== 'unsubscribed').map((a) => a.id));
+  const newCount = products.filter((p) => !liveIds.has(alertId(email, p.productId))).length;
+  if (liveIds.size + newCount > MAX_ALERTS_PER_EMAIL) {
+    throw new HttpError(400, `At most ${MAX_ALERTS_PER_EMAIL} alerts per email`);
+  }
+
+  const dropInput = cleanPercent(input.dropPercent);
+  const storage = getStorage();
+  const now = new Date().toISOString();
+
+  // Validate every product before writing any of them.
+  const prepared = products.map((product) => {
+    const baseline = parsePrice(product.price);
+    const currency = baseline ? baseline.currency : 'USD';
+    const targetPrice = cleanTarget(input.targetPrice, currency);
+    return {
+      product,
+      baseline,
+      currency,
+      targetPrice,
+      dropPercent: dropInput ?? (targetPrice == null ? DEFAULT_DROP_PERCENT : null),
+    };
+  });
+
+  await allowEmailTo(email);
+
+  const alerts = await Promise.all(
+    prepared.map(({ product, baseline, currency, targetPrice, dropPercent }) => {
+      const id = alertId(email, product.productId);
+      return storage.update(COLLECTIONS.ALERTS, id, (current) => ({
+        lastPrice: null,
+        lastNotifiedPrice: null,
+        createdAt: now,
+        ...(current || {}),
+        id,
+        email,
+        productId: product.productId,
+        productName: String(product.name || (current && current.productName) || product.productId).slice(0, 200),
+        url: typeof product.url === 'string' && /^https?:\/\//i.test(product.url) ? product.url : current?.url,
+        currency,
+        targetPrice,
+        dropPercent,
+        baselinePrice: baseline ? baseline.amount : current?.baselinePrice ?? null,
+        status: confirmed ? 'active' : 'pending',
+        ...(confirmed ? { confirmedAt: current?.confirmedAt || now } : {}),
+        updatedAt: now,
+      }));
+    })
+  );
+
+  await (confirmed ? queueReceiptEmail(email, alerts) : queueConfirmEmail(email, alerts));
+  return alerts;
+}
+
+/**
+ * Activates every pending alert for the address in a confirm token.
+ * @param {string} token
+ * @returns {Promise<PriceAlert[]>} the address's active alerts
+ */
+async function confirmSubscriptions(token) {
+  const email = readToken(token, 'confirm');
+  const storage = getStorage();
+  const now = new Date().toISOString();
+  const alerts = await Promise.all((await listForEmail(email)).map((alert) =>
+    storage.update(COLLECTIONS.ALERTS, alert.id, (current) => {
+      if (!current || current.status !== 'pending') return undefined;
+      return { ...current, status: 'active', confirmedAt: now, updatedAt: now };
+    })));
+  return alerts.filter((alert) => alert && alert.status === 'active');
+}
+
+/**
+ * @param {string} email
+ * @param {string} id
+ * @param {{ targetPrice?: unknown, dropPercent?: unknown }} changes
+ * @returns {Promise<PriceAlert>}
+ */
+function updateAlert(email, id, changes) {
+  return getStorage().update(COLLECTIONS.ALERTS, id, (current) => {
+    if (!current || current.email !== email) throw new HttpError(404, 'Alert not found');
+    const next = { ...current, updatedAt: new Date().toISOString() };
+    if ('targetPrice' in changes) next.targetPrice = cleanTarget(changes.targetPrice, current.currency);
+    if ('dropPercent' in changes) next.dropPercent = cleanPercent(changes.dropPercent);
+    if (next.targetPrice == null && next.dropPercent == null) {
+      throw new HttpError(400, 'Set a target price or a percentage drop');
+    }
+    if (changes.status === 'active' || changes.status === 'unsubscribed') next.status = changes.status;
+    // Manage tokens only travel by email, so using one confirms the address.
+    if (next.status === 'active' && !next.confirmedAt) next.confirmedAt = next.updatedAt;
+    return next;
+  });
+}
+
+/**
+ * @param {string} id
+ * @param {string} [email]  when given, the alert must belong to it
+ * @returns {Promise<PriceAlert>}
+ */
+function unsubscribe(id, email) {
+  return getStorage().update(COLLECTIONS.ALERTS, id, (current) => {
+    if (!current || (email && current.email !== email)) throw new HttpError(404, 'Alert not found');
+    return { ...current, status: 'unsubscribed', updatedAt: new Date().toISOString() };
+  });
+}
+
+/* ========================================================================== */
+/* Price history                                                              */
+/* ========================================================================== */
+
+/**
+ * @param {string} productId
+ * @param {ParsedPrice & { observedAt?: string, source?: string }} observation
+ */
+function recordObservation(productId, observation) {
+  const point = {
+    amount: observation.amount,
+    currency: observation.currency,
+    observedAt: observation.observedAt || new Date().toISOString(),
+    source: observation.source || 'unknown',
+  };
+  return getStorage().update(COLLECTIONS.HISTORY, productId, (current) => {
+    const points = current ? current.points : [];
+    return { productId, points: [...points, point].slice(-MAX_HISTORY_POINTS) };
+  });
+}
+
+/**
+ * @param {string} productId
+ * @param {{ limit?: number }} [options]
+ */
+async function getHistory(productId, options = {}) {
+  const record = await getStorage().get(COLLECTIONS.HISTORY, productId);
+  const points = record ? record.points : [];
+  return options.limit ? points.slice(-options.limit) : points;
+}
+
+/* ========================================================================== */
+/* Evaluation                                                                 */
+/* ========================================================================== */
+
+/**
+ * Why `alert` should fire at `price`, or null.
+ * @param {PriceAlert} alert
+ * @param {number} price
+ * @returns {{ reason: 'threshold'|'drop', percent?: number }|null}
+ */
+function triggerFor(alert, price) {
+  const previous = alert.lastPrice ?? alert.baselinePrice;
+  if (alert.targetPrice != null && price <= alert.targetPrice) {
+    // Only on the way down through the target, not on every check below it.
+    const alreadyBelow = previous != null && previous <= alert.targetPrice;
+    const alreadyNotified = alert.lastNotifiedPrice != null && alert.lastNotifiedPrice <= alert.targetPrice;
+    if (!alreadyBelow || !alreadyNotified) return { reason: 'threshold' };
+  }
+
+  const reference = alert.lastNotifiedPrice ?? alert.baselinePrice;
+  if (alert.dropPercent != null && reference) {
+    const percent = ((reference - price) / reference) * 100;
+    if (percent >= alert.dropPercent) return { reason: 'drop', percent: Math.round(percent * 10) / 10 };
+  }
+  return null;
+}
+
+/**
+ * Link to the "my alerts" view for `email`.
+ * @param {string} email
+ */
+function manageUrl(email) {
+  return `${siteOrigin()}/?alerts=${encodeURIComponent(createToken('manage', email))}`;
+}
+
+/**
+ * @param {string} email
+ * @param {PriceAlert[]} alerts
+ */
+function queueConfirmEmail(email, alerts) {
+  const confirmUrl = `${siteOrigin()}/api/alerts/price?confirm=${encodeURIComponent(createToken('confirm', email))}`;
+  return queueEmail({
+    to: email,
+    kind: 'price_alert_confirm',
+    subject: 'Confirm your InfantBites price alerts',
+    text: [
+      'Please confirm you want us to email you when prices drop on:',
+      ...alerts.map((a) => `• ${a.productName}`),
+      '',
+      `Confirm: ${confirmUrl}`,
+      '',
+      `If you didn't ask for this, ignore this email and we won't contact you again.`,
+    ].join('\n'),
+  });
+}
+
+/**
+ * @param {string} email
+ * @param {PriceAlert[]} alerts
+ */
+function queueReceiptEmail(email, alerts) {
+  return queueEmail({
+    to: email,
+    kind: 'price_alert_set',
+    subject: 'Your InfantBites price alert is set',
+    text: [
+      `We'll email you when prices drop on:`,
+      ...alerts.map((a) => `• ${a.productName}`),
+      '',
+      `Manage or stop your alerts: ${manageUrl(email)}`,
+    ].join('\n'),
+  });
+}
+
+/**
+ * @param {PriceAlert} alert
+ * @param {number} price
+ * @param {{ reason: 'threshold'|'drop', percent?: number }} trigger
+ */
+function queueAlertEmail(alert, price, trigger) {
+  const now = formatPrice({ amount: price, currency: alert.currency });
+  const unsubscribeUrl = `${siteOrigin()}/api/alerts/price?unsubscribe=${encodeURIComponent(createToken('unsubscribe', alert.id))}`;
+  const why = trigger.reason === 'threshold'
+    ? `It is now at or below your target of ${formatPrice({ amount: alert.targetPrice, currency: alert.currency })}.`
+    : `That's ${trigger.percent}% lower than before.`;
+
+  return queueEmail({
+    to: alert.email,
+    kind: 'price_alert',
+    subject: `Price drop: ${alert.productName} is now ${now}`,
+    text: [
+      `Good news – ${alert.productName} is now ${now}.`,
+      why,
+      alert.url ? `\nView it: ${alert.url}` : '',
+      `\nManage your alerts: ${manageUrl(alert.email)}`,
+      `Stop this alert: ${unsubscribeUrl}`,
+    ].filter(Boolean).join('\n'),
+    headers: {
+      'List-Unsubscribe': `<${unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+    },
+    alertId: alert.id,
+  });
+}
+
+/**
+ * Emails a link to the "my alerts" view. Silently does nothing for
+ * addresses that never confirmed an alert, and counts against the address's
+ * allowance either way, so the endpoint can't be used to probe emails.
+ * @param {unknown} emailInput
+ */
+async function sendManageLink(emailInput) {
+  const email = normalizeEmail(emailInput);
+  await allowEmailTo(email);
+  const alerts = await listForEmail(email);
+  if (!alerts.some((a) => a.confirmedAt)) return;
+  await queueEmail({
+    to: email,
+    kind: 'price_alert_manage',
+    subject: 'Your InfantBites price alerts',
+    text: `You have ${alerts.filter((a) => a.status === 'active').length} active price alert(s).\n\nManage them here: ${manageUrl(email)}`,
+  });
+}
+
+/**
+ * Fetches prices for every product with an active alert, records them and
+ * queues notifications.
+ * @param {{ source?: import('./prices').PriceSource }} [options]
+ */
+async function evaluateAlerts(options = {}) {
+  const source = options.source || getPriceSource();
+  const storage = getStorage();
+
+  const active = (await storage.list(COLLECTIONS.ALERTS)).filter((a) => a.status === 'active');
+  const productIds = [...new Set(active.map((a) => a.productId))];
+  const summary = { source: source.name, alerts: active.length, products: productIds.length, observations: 0, notified: 0, skipped: 0 };
+  if (!productIds.length) return summary;
+
+  const raw = await source.fetchPrices(productIds);
+  /** @type {Map<string, ParsedPrice & { observedAt?: string }>} */
+  const latest = new Map();
+  for (const observation of raw) {
+    const parsed = parsePrice(observation.price, observation.currency || undefined);
+    if (!parsed) continue;
+    const point = { ...parsed, observedAt: observation.observedAt, source: source.name };
+    await recordObservation(observation.productId, point);
+    latest.set(observation.productId, point);
+    summary.observations += 1;
+  }
+
+  for (const alert of active) {
+    const price = latest.get(alert.productId);
+    if (!price) continue;
+    if (price.currency !== alert.currency) {
+      summary.skipped += 1;
+      continue;
+    }
+
+    let trigger = null;
+    await storage.update(COLLECTIONS.ALERTS, alert.id, (current) => {
+      if (!current || current.status !== 'active') return undefined;
+      trigger = triggerFor(current, price.amount);
+      const checkedAt = new Date().toISOString();
+      return {
+        ...current,
+        lastPrice: price.amount,
+        lastCheckedAt: checkedAt,
+        ...(trigger ? { lastNotifiedPrice: price.amount, lastNotifiedAt: checkedAt } : {}),
+      };
+    });
+
+    if (trigger) {
+      await queueAlertEmail(alert, price.amount, trigger);
+      summary.notified += 1;
+    }
+  }
+  return summary;
+}
+
+module.exports = {
+  COLLECTIONS,
+  DEFAULT_DROP_PERCENT,
+  createToken,
+  readToken,
+  normalizeEmail,
+  toPublicAlert,
+  listForEmail,
+  subscribe,
+  confirmSubscriptions,
+  limitRequests,
+  updateAlert,
+  unsubscribe,
+  recordObservation,
+  getHistory,
+  triggerFor,
+  manageUrl,
+  sendManageLink,
+  evaluateAlerts,
+};
+
+if (require.main === module) {
+  const [command] = process.argv.slice(2);
+  if (command !== 'evaluate') {
+    console.error('Usage: node api/_lib/alerts.js evaluate');
+    process.exit(1);
+  }
+  evaluateAlerts()
+    .then((summary) => console.log(JSON.stringify(summary, null, 2)))
+    .catch((err) => {
+      console.error(err);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,305 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+
+// Basic auth for the protected preview site.
+//
+// Credentials come from one of (first match wins):
+//   BASIC_AUTH_USERS       JSON: { "alice": "<hash>", ... } or [{ "username", "hash" }]
+//   BASIC_AUTH_USERS_FILE  path to a JSON file in the same shape
+//   BASIC_AUTH_USERNAME / BASIC_AUTH_PASSWORD  legacy single shared login
+//
+// Hashes look like `scrypt$<N>$<r>$<p>$<salt b64>$<key b64>`. Generate one with
+//   node api/_lib/auth.js hash 'the password'
+//
+// Failed attempts are counted per IP and per username. After
+// LOCKOUT_THRESHOLD failures the key is locked with exponential backoff;
+// a successful login clears both counters.
+
+const SCRYPT = { N: 16384, r: 8, p: 1, keyLength: 32 };
+
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE_SECONDS = 30;
+const LOCKOUT_MAX_SECONDS = 60 * 60;
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+
+// Successful checks are remembered briefly so each asset fetch doesn't pay
+// for a fresh scrypt derivation.
+const VERIFIED_TTL_MS = 60 * 1000;
+
+const COLLECTIONS = {
+  LOCKOUTS: 'auth_lockouts',
+  ACCESS_LOG: 'access_log',
+};
+
+/* ========================================================================== */
+/* Password hashing                                                           */
+/* ========================================================================== */
+
+/**
+ * @param {string} password
+ * @returns {string}
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p, keyLength } = SCRYPT;
+  const key = crypto.scryptSync(password, salt, keyLength, { N, r, p, maxmem: 64 * 1024 * 1024 });
+  return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+/**
+ * A malformed stored hash (bad scrypt parameters, empty key) counts as a
+ * failed check; it's logged, since it means the credential config is wrong.
+ * @param {string} password
+ * @param {string} stored
+ * @returns {boolean}
+ */
+function verifyPassword(password, stored) {
+  const parts = String(stored || '').split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+  const [, N, r, p, saltB64, keyB64] = parts;
+  try {
+    const expected = Buffer.from(keyB64, 'base64');
+    const actual = crypto.scryptSync(password, Buffer.from(saltB64, 'base64'), expected.length, {
+      N: Number(N),
+      r: Number(r),
+      p: Number(p),
+      maxmem: 64 * 1024 * 1024,
+    });
+    return crypto.timingSafeEqual(actual, expected);
+  } catch (err) {
+    console.error('[auth] config error: unusable password hash', err.message);
+    return false;
+  }
+}
+
+// Verified against when the username is unknown, so response time doesn't
+// reveal which usernames exist.
+let dummyHash = null;
+
+/* ========================================================================== */
+/* Credential store                                                           */
+/* ========================================================================== */
+
+let cachedUsers = null;
+
+/**
+ * @param {unknown} parsed
+ * @returns {Map<string, string>}
+ */
+function toUserMap(parsed) {
+  const users = new Map();
+  if (Array.isArray(parsed)) {
+    parsed.forEach((entry) => {
+      if (entry && entry.username && entry.hash) users.set(String(entry.username), String(entry.hash));
+    });
+  } else if (parsed && typeof parsed === 'object') {
+    Object.entries(parsed).forEach(([username, hash]) => {
+      if (hash) users.set(username, String(hash));
+    });
+  }
+  return users;
+}
+
+/**
+ * @returns {Map<string, string>} username → scrypt hash
+ */
+function loadUsers() {
+  if (cachedUsers) return cachedUsers;
+
+  if (process.env.BASIC_AUTH_USERS) {
+    cachedUsers = toUserMap(JSON.parse(process.env.BASIC_AUTH_USERS));
+  } else if (process.env.BASIC_AUTH_USERS_FILE) {
+    cachedUsers = toUserMap(JSON.parse(fs.readFileSync(process.env.BASIC_AUTH_USERS_FILE, 'utf8')));
+  } else if (process.env.BASIC_AUTH_USERNAME && process.env.BASIC_AUTH_PASSWORD) {
+    cachedUsers = new Map([
+      [process.env.BASIC_AUTH_USERNAME, hashPassword(process.env.BASIC_AUTH_PASSWORD)],
+    ]);
+  } else {
+    cachedUsers = new Map();
+  }
+  return cachedUsers;
+}
+
+/* ========================================================================== */
+/* Lockout                                                                    */
+/* ========================================================================== */
+
+/**
+ * Address the lockout is keyed on. Only headers the platform sets are trusted:
+ * Vercel's own forwarding headers, else the right-most X-Forwarded-For hop
+ * (appended by our proxy). Earlier hops come from the client and could be
+ * changed on every attempt to dodge the per-IP lockout.
+ * @param {import('http').IncomingMessage} req
+ * @returns {string}
+ */
+function clientIp(req) {
+  const platform = String(req.headers['x-vercel-forwarded-for'] || req.headers['x-real-ip'] || '').trim();
+  if (platform) return platform.split(',').pop().trim();
+  const hops = String(req.headers['x-forwarded-for'] || '').split(',').map((hop) => hop.trim()).filter(Boolean);
+  return hops.pop() || (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+/**
+ * Seconds until `record` unlocks, or 0.
+ * @param {{ lockedUntil?: number }|null} record
+ */
+function lockRemaining(record) {
+  if (!record || !record.lockedUntil) return 0;
+  return Math.max(0, Math.ceil((record.lockedUntil - Date.now()) / 1000));
+}
+
+/** @param {string} key */
+function recordFailure(key) {
+  return getStorage().update(COLLECTIONS.LOCKOUTS, key, (current) => {
+    const now = Date.now();
+    const stale = !current || (now - current.lastFailureAt > FAILURE_WINDOW_MS && !lockRemaining(current));
+    const failures = stale ? 1 : current.failures + 1;
+    const over = failures - LOCKOUT_THRESHOLD;
+    const lockSeconds = over >= 0
+      ? Math.min(LOCKOUT_MAX_SECONDS, LOCKOUT_BASE_SECONDS * 2 ** over)
+      : 0;
+    return {
+      key,
+      failures,
+      lastFailureAt: now,
+      lockedUntil: lockSeconds ? now + lockSeconds * 1000 : 0,
+    };
+  });
+}
+
+/** @param {string} key */
+function clearFailures(key) {
+  return getStorage().remove(COLLECTIONS.LOCKOUTS, key);
+}
+
+/* ========================================================================== */
+/* Request authentication                                                     */
+/* ========================================================================== */
+
+const verifiedKey = crypto.randomBytes(32);
+/** @type {Map<string, { username: string, expires: number }>} */
+const verified = new Map();
+
+/**
+ * Decodes `Authorization: Basic`. Only the first ':' separates the username,
+ * so passwords may contain colons.
+ * @param {string|undefined} header
+ * @returns {{ username: string, password: string }|null}
+ */
+function parseBasicAuth(header) {
+  const match = /^Basic\s+([A-Za-z0-9+/=]+)\s*$/i.exec(header || '');
+  if (!match) return null;
+  const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+  const sep = decoded.indexOf(':');
+  if (sep < 0) return null;
+  return { username: decoded.slice(0, sep), password: decoded.slice(sep + 1) };
+}
+
+/**
+ * @param {import('http').ServerResponse} res
+ * @param {number} retryAfter
+ */
+function sendLocked(res, retryAfter) {
+  res.statusCode = 429;
+  res.setHeader('Retry-After', String(retryAfter));
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.end('Too many failed attempts. Try again later.');
+}
+
+/** @param {import('http').ServerResponse} res */
+function sendChallenge(res) {
+  res.statusCode = 401;
+  res.setHeader('WWW-Authenticate', 'Basic realm="Protected", charset="UTF-8"');
+  res.end('Auth required');
+}
+
+/**
+ * Authenticates the request, replying 401/429 itself on failure.
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @returns {Promise<string|null>} the username on success
+ */
+async function authenticate(req, res) {
+  const credentials = parseBasicAuth(req.headers.authorization);
+  if (!credentials) {
+    sendChallenge(res);
+    return null;
+  }
+
+  const { username, password } = credentials;
+  const cacheKey = crypto.createHmac('sha256', verifiedKey).update(req.headers.authorization).digest('hex');
+  const hit = verified.get(cacheKey);
+  if (hit && hit.expires > Date.now()) return hit.username;
+
+  const ip = clientIp(req);
+  const ipKey = `ip:${ip}`;
+  const userKey = `user:${username.toLowerCase()}`;
+  const storage = getStorage();
+
+  const [ipRecord, userRecord] = await Promise.all([
+    storage.get(COLLECTIONS.LOCKOUTS, ipKey),
+    storage.get(COLLECTIONS.LOCKOUTS, userKey),
+  ]);
+  const retryAfter = Math.max(lockRemaining(ipRecord), lockRemaining(userRecord));
+  if (retryAfter > 0) {
+    sendLocked(res, retryAfter);
+    return null;
+  }
+
+  const users = loadUsers();
+  const stored = users.get(username);
+  if (!dummyHash) dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+  const ok = verifyPassword(password, stored || dummyHash) && Boolean(stored);
+
+  if (!ok) {
+    await Promise.all([recordFailure(ipKey), recordFailure(userKey)]);
+    await logAccess({ username, ip, method: req.method, path: req.url, status: 401 });
+    sendChallenge(res);
+    return null;
+  }
+
+  await Promise.all([
+    ipRecord ? clearFailures(ipKey) : null,
+    userRecord ? clearFailures(userKey) : null,
+  ]);
+  verified.set(cacheKey, { username, expires: Date.now() + VERIFIED_TTL_MS });
+  return username;
+}
+
+/* ========================================================================== */
+/* Access log                                                                 */
+/* ========================================================================== */
+
+/**
+ * @param {{ username: string, ip: string, method?: string, path?: string, status: number }} entry
+ */
+async function logAccess(entry) {
+  try {
+    await getStorage().append(COLLECTIONS.ACCESS_LOG, {
+      ...entry,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (err) {
+    console.error('[auth] access log error', err);
+  }
+}
+
+module.exports = {
+  COLLECTIONS,
+  hashPassword,
+  verifyPassword,
+  parseBasicAuth,
+  clientIp,
+  authenticate,
+  logAccess,
+};
+
+if (require.main === module) {
+  const [command, password] = process.argv.slice(2);
+  if (command !== 'hash' || !password) {
+    console.error("Usage: node api/_lib/auth.js hash '<password>'");
+    process.exit(1);
+  }
+  console.log(hashPassword(password));
+}
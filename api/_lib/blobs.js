@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+
+// Binary object storage (uploaded photos and their thumbnails).
+//
+// Kept separate from the JSON record storage so a handful of images doesn't
+// turn every collection write into a multi-megabyte rewrite. Adapters
+// implement `read(key)`, `write(key, data)` and `remove(key)`; pick one with
+// IB_BLOB_ADAPTER ("file" by default, "memory" for throwaway runs) or add
+// your own with `registerBlobAdapter`.
+
+/**
+ * @typedef {Object} BlobAdapter
+ * @property {(key: string) => Promise<Buffer|null>} read
+ * @property {(key: string, data: Buffer) => Promise<void>} write
+ * @property {(key: string) => Promise<boolean>} remove
+ */
+
+/** @param {string} key */
+function checkKey(key) {
+  if (!/^[a-z0-9][a-z0-9_.-]*$/i.test(key) || key.includes('..')) {
+    throw new Error(`Invalid blob key: ${key}`);
+  }
+  return key;
+}
+
+/**
+ * One file per blob under `dir` (default `<data dir>/blobs`).
+ * @param {{ dir?: string }} [options]
+ * @returns {BlobAdapter}
+ */
+function createFileBlobAdapter(options = {}) {
+  const dir = options.dir
+    || path.join(process.env.IB_DATA_DIR || path.join(process.cwd(), '.data'), 'blobs');
+
+  return {
+    async read(key) {
+      try {
+        return await fs.promises.readFile(path.join(dir, checkKey(key)));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async write(key, data) {
+      const file = path.join(dir, checkKey(key));
+      await fs.promises.mkdir(dir, { recursive: true });
+      const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await fs.promises.writeFile(tmp, data);
+      await fs.promises.rename(tmp, file);
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(path.join(dir, checkKey(key)));
+        return true;
+      } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+      }
+    },
+  };
+}
+
+/** @returns {BlobAdapter} */
+function createMemoryBlobAdapter() {
+  /** @type {Map<string, Buffer>} */
+  const blobs = new Map();
+  return {
+    async read(key) {
+      return blobs.get(checkKey(key)) || null;
+    },
+    async write(key, data) {
+      blobs.set(checkKey(key), Buffer.from(data));
+    },
+    async remove(key) {
+      return blobs.delete(checkKey(key));
+    },
+  };
+}
+
+/** @type {Record<string, (options: Record<string, any>) => BlobAdapter>} */
+const adapters = {
+  file: createFileBlobAdapter,
+  memory: createMemoryBlobAdapter,
+};
+
+/**
+ * @param {string} name
+ * @param {(options: Record<string, any>) => BlobAdapter} factory
+ */
+function registerBlobAdapter(name, factory) {
+  adapters[name] = factory;
+}
+
+let shared = null;
+
+/** @returns {BlobAdapter} */
+function getBlobs() {
+  if (!shared) {
+    const name = process.env.IB_BLOB_ADAPTER || 'file';
+    const factory = adapters[name];
+    if (!factory) throw new Error(`Unknown blob adapter: ${name}`);
+    shared = factory({});
+  }
+  return shared;
+}
+
+module.exports = {
+  createFileBlobAdapter,
+  createMemoryBlobAdapter,
+  registerBlobAdapter,
+  getBlobs,
+};
@@ -0,0 +1,350 @@
+// Product catalog for the registry recommender (see recommend.js).
+//
+// Generic product types rather than brands: the recommender decides *what*
+// to get and roughly what it costs; retailer links and live prices are
+// layered on elsewhere. Prices are typical new US retail in USD.
+//
+// Tags drive matching against the parent's constraints:
+//
+//   compact, foldable      small homes
+//   lightweight, travel    no car / lots of walking and transit
+//   double                 twins
+//   paced, anti_colic      reflux and gassy babies
+//   breast, bottle         feeding plan
+//   travel_system          car seat and stroller that click together
+//   budget, premium        price tier hints
+//   sleep_surface          anything a baby sleeps on (new-only)
+//   breast_pump            single-user device (new-only)
+//   inclined_sleep, weighted, crib_bumper
+//                          unsafe for sleep; listed so the safety rules can
+//                          explain why they are never recommended
+
+/**
+ * @typedef {Object} Product
+ * @property {string} id
+ * @property {string} name
+ * @property {string} category     key of CATEGORIES
+ * @property {number} price        USD, new
+ * @property {string[]} tags
+ * @property {string} description
+ * @property {string} [safety]     product-specific safety note
+ */
+
+/**
+ * Categories in the order a registry should be filled. `weight` is the
+ * baseline share of the budget; `essential` ones are always recommended.
+ */
+const CATEGORIES = {
+  car_seat: { label: 'Car seat', weight: 0.22, essential: true },
+  sleep: { label: 'Sleep', weight: 0.2, essential: true },
+  feeding: { label: 'Feeding', weight: 0.12, essential: true },
+  diapering: { label: 'Diapering', weight: 0.08, essential: true },
+  health: { label: 'Health & safety', weight: 0.06, essential: true },
+  stroller: { label: 'Stroller', weight: 0.18, essential: false },
+  carrying: { label: 'Carrier', weight: 0.07, essential: false },
+  bathing: { label: 'Bathing', weight: 0.03, essential: false },
+  clothing: { label: 'Clothing & swaddles', weight: 0.04, essential: false },
+};
+
+/** @type {Product[]} */
+const PRODUCTS = [
+  // Car seats
+  {
+    id: 'car-seat-infant',
+    name: 'Rear-facing infant car seat with base',
+    category: 'car_seat',
+    price: 220,
+    tags: ['lightweight', 'travel', 'travel_system'],
+    description: 'Clicks in and out of its base and onto many strollers; outgrown around 9–12 months.',
+  },
+  {
+    id: 'car-seat-infant-budget',
+    name: 'Rear-facing infant car seat (budget)',
+    category: 'car_seat',
+    price: 120,
+    tags: ['budget', 'lightweight', 'travel', 'travel_system'],
+    description: 'Same crash standards as pricier seats with fewer convenience features.',
+  },
+  {
+    id: 'car-seat-convertible',
+    name: 'Convertible car seat (rear- then forward-facing)',
+    category: 'car_seat',
+    price: 260,
+    tags: ['premium'],
+    description: 'Stays in the car from birth to preschool; heavier and not meant to be carried.',
+  },
+  {
+    id: 'car-seat-seatbelt-install',
+    name: 'Infant car seat with seatbelt (baseless) install',
+    category: 'car_seat',
+    price: 180,
+    tags: ['lightweight', 'travel', 'compact'],
+    description: 'Installs with the vehicle seatbelt without a base – ideal for taxis, ride shares and borrowed cars.',
+  },
+
+  // Sleep
+  {
+    id: 'sleep-bassinet',
+    name: 'Bassinet with firm, flat mattress',
+    category: 'sleep',
+    price: 160,
+    tags: ['compact', 'sleep_surface'],
+    description: 'Room-sharing for the first months without giving up floor space.',
+  },
+  {
+    id: 'sleep-mini-crib',
+    name: 'Mini crib with fitted mattress',
+    category: 'sleep',
+    price: 230,
+    tags: ['compact', 'foldable', 'sleep_surface'],
+    description: 'Lasts longer than a bassinet and still fits a small bedroom.',
+  },
+  {
+    id: 'sleep-crib',
+    name: 'Full-size crib with firm mattress',
+    category: 'sleep',
+    price: 380,
+    tags: ['premium', 'sleep_surface'],
+    description: 'The long-term option once there is room for a nursery.',
+  },
+  {
+    id: 'sleep-play-yard',
+    name: 'Play yard with bassinet insert',
+    category: 'sleep',
+    price: 140,
+    tags: ['budget', 'foldable', 'travel', 'sleep_surface'],
+    description: 'Safe sleep space at home and away; folds flat for storage.',
+  },
+  {
+    id: 'sleep-wedge',
+    name: 'Reflux sleep wedge / inclined sleeper',
+    category: 'sleep',
+    price: 60,
+    tags: ['inclined_sleep', 'reflux'],
+    description: 'Raises the head of the sleep surface.',
+  },
+  {
+    id: 'sleep-weighted-sack',
+    name: 'Weighted sleep sack',
+    category: 'clothing',
+    price: 45,
+    tags: ['weighted'],
+    description: 'Sleep sack with added weight.',
+  },
+  {
+    id: 'sleep-bumper-set',
+    name: 'Crib bumper set',
+    category: 'sleep',
+    price: 40,
+    tags: ['crib_bumper'],
+    description: 'Padded liners for crib slats.',
+  },
+
+  // Feeding
+  {
+    id: 'feeding-bottle-starter',
+    name: 'Bottle starter set with drying rack and brush',
+    category: 'feeding',
+    price: 60,
+    tags: ['bottle', 'budget'],
+    description: 'A handful of bottles in two nipple flows plus everything to keep them clean.',
+  },
+  {
+    id: 'feeding-paced-bottles',
+    name: 'Paced-feeding anti-colic bottle set',
+    category: 'feeding',
+    price: 75,
+    tags: ['bottle', 'paced', 'anti_colic', 'reflux'],
+    description: 'Slow-flow nipples and venting that make it easier to feed upright and burp often.',
+  },
+  {
+    id: 'feeding-pump',
+    name: 'Double electric breast pump',
+    category: 'feeding',
+    price: 180,
+    tags: ['breast', 'breast_pump'],
+    description: 'Many insurers cover one – check before buying.',
+  },
+  {
+    id: 'feeding-nursing-kit',
+    name: 'Nursing pillow, pads and nipple balm kit',
+    category: 'feeding',
+    price: 70,
+    tags: ['breast', 'budget', 'compact'],
+    description: 'The small things that make early breastfeeding more comfortable.',
+  },
+  {
+    id: 'feeding-formula-kit',
+    name: 'Formula prep kit (pitcher, dispenser, bottles)',
+    category: 'feeding',
+    price: 55,
+    tags: ['bottle', 'formula', 'compact'],
+    description: 'Makes night feeds quicker; always mix exactly as the label says.',
+  },
+
+  // Diapering
+  {
+    id: 'diaper-caddy',
+    name: 'Portable changing pad and diaper caddy',
+    category: 'diapering',
+    price: 45,
+    tags: ['compact', 'budget', 'travel'],
+    description: 'Change anywhere instead of dedicating furniture to it.',
+  },
+  {
+    id: 'diaper-station',
+    name: 'Changing table topper with contoured pad',
+    category: 'diapering',
+    price: 90,
+    tags: ['premium'],
+    description: 'Turns a dresser into a changing station at a comfortable height.',
+  },
+  {
+    id: 'diaper-bag',
+    name: 'Backpack diaper bag with changing mat',
+    category: 'diapering',
+    price: 65,
+    tags: ['travel', 'lightweight'],
+    description: 'Hands-free for transit and walking.',
+  },
+
+  // Health & safety
+  {
+    id: 'health-kit',
+    name: 'Baby health kit (thermometer, nasal aspirator, nail care)',
+    category: 'health',
+    price: 45,
+    tags: ['budget', 'compact'],
+    description: 'For acting on your pediatrician’s advice – it doesn’t replace it.',
+  },
+  {
+    id: 'health-kit-plus',
+    name: 'Health kit plus outlet covers and cabinet locks',
+    category: 'health',
+    price: 80,
+    tags: ['premium'],
+    description: 'Adds the first round of baby-proofing for when they start to move.',
+  },
+
+  // Strollers
+  {
+    id: 'stroller-compact',
+    name: 'Compact fold travel stroller',
+    category: 'stroller',
+    price: 250,
+    tags: ['compact', 'foldable', 'lightweight', 'travel'],
+    description: 'One-hand fold that fits a closet, car trunk or overhead bin.',
+  },
+  {
+    id: 'stroller-full',
+    name: 'Full-size stroller with bassinet',
+    category: 'stroller',
+    price: 550,
+    tags: ['premium'],
+    description: 'Lie-flat from birth with plenty of storage; bulky to carry up stairs.',
+  },
+  {
+    id: 'stroller-frame',
+    name: 'Car seat stroller frame',
+    category: 'stroller',
+    price: 110,
+    tags: ['budget', 'foldable', 'lightweight', 'travel_system'],
+    description: 'Carries the infant car seat for the first year at a fraction of the price.',
+  },
+  {
+    id: 'stroller-double',
+    name: 'Side-by-side double stroller',
+    category: 'stroller',
+    price: 420,
+    tags: ['double', 'foldable'],
+    description: 'Fits through most standard doors; check your building’s narrowest one.',
+  },
+
+  // Carrying
+  {
+    id: 'carry-wrap',
+    name: 'Stretchy newborn wrap',
+    category: 'carrying',
+    price: 50,
+    tags: ['budget', 'compact', 'lightweight', 'reflux'],
+    description: 'Keeps a newborn upright and close – handy after feeds.',
+  },
+  {
+    id: 'carry-structured',
+    name: 'Structured ergonomic carrier',
+    category: 'carrying',
+    price: 160,
+    tags: ['lightweight', 'travel'],
+    description: 'Buckles on in seconds and stays comfortable into the toddler years.',
+  },
+
+  // Bathing
+  {
+    id: 'bath-foldable',
+    name: 'Foldable baby bath tub',
+    category: 'bathing',
+    price: 35,
+    tags: ['compact', 'foldable', 'budget'],
+    description: 'Folds flat against the wall between baths.',
+  },
+  {
+    id: 'bath-tub',
+    name: 'Newborn-to-toddler tub with sling',
+    category: 'bathing',
+    price: 45,
+    tags: [],
+    description: 'A supportive sling for newborns that comes out as they grow.',
+  },
+
+  // Clothing & swaddles
+  {
+    id: 'clothing-swaddles',
+    name: 'Swaddles and sleep sacks (set of 3)',
+    category: 'clothing',
+    price: 60,
+    tags: ['budget', 'compact'],
+    description: 'Stop swaddling once baby shows signs of rolling.',
+  },
+  {
+    id: 'clothing-basics',
+    name: 'Newborn basics bundle (bodysuits, sleepers, hats)',
+    category: 'clothing',
+    price: 90,
+    tags: [],
+    description: 'Enough for a few days between washes in 0–3 month sizes.',
+  },
+];
+
+/**
+ * Explainer searches per category; YouTube search links so they never go stale.
+ * @type {Record<string, Array<{ title: string, url: string }>>}
+ */
+const VIDEOS = {
+  car_seat: [
+    { title: 'How to install a rear-facing infant car seat', url: 'https://www.youtube.com/results?search_query=install+rear+facing+infant+car+seat' },
+  ],
+  sleep: [
+    { title: 'Safe sleep basics for newborns', url: 'https://www.youtube.com/results?search_query=safe+sleep+newborn+basics' },
+  ],
+  feeding: [
+    { title: 'Paced bottle feeding, step by step', url: 'https://www.youtube.com/results?search_query=paced+bottle+feeding' },
+  ],
+  carrying: [
+    { title: 'Babywearing safety: the T.I.C.K.S. rule', url: 'https://www.youtube.com/results?search_query=babywearing+ticks+safety' },
+  ],
+  stroller: [
+    { title: 'Choosing a stroller for your lifestyle', url: 'https://www.youtube.com/results?search_query=how+to+choose+a+stroller' },
+  ],
+};
+
+/** @param {string} id */
+function getProduct(id) {
+  return PRODUCTS.find((p) => p.id === id) || null;
+}
+
+module.exports = {
+  CATEGORIES,
+  PRODUCTS,
+  VIDEOS,
+  getProduct,
+};
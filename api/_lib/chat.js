@@ -0,0 +1,192 @@
+// Chat request shaping: validation, history trimming and the system prompt.
+//
+// The browser sends `{ message, history, summary?, context: { plan, bundles, registry } }`.
+// Everything in it is untrusted, so it is clipped to sane sizes here before
+// any of it reaches a model provider.
+//
+// Long threads are folded: once the history passes MAX_HISTORY_MESSAGES, the
+// older turns are condensed into a plain-text summary that rides along in the
+// system prompt. The response tells the widget how many of the messages it
+// sent were folded (`summarized`) and the new `summary`, so next time it only
+// sends what came after.
+
+const { HttpError } = require('./http');
+const { ACTIONS_PROMPT } = require('./actions');
+
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_HISTORY_MESSAGES = 20;
+const KEEP_RECENT_MESSAGES = 12;
+const MAX_SUMMARY_LENGTH = 2000;
+const SUMMARY_LINE_LENGTH = 160;
+const MAX_PLAN_STEPS = 20;
+const MAX_BUNDLES = 12;
+const MAX_REGISTRY_ITEMS = 100;
+
+const BASE_PROMPT = [
+  'You are the InfantBites assistant. You help expecting and new parents plan baby gear:',
+  'what to buy, when, and what they can skip.',
+  'Be warm, concise and practical. Prefer short paragraphs and bullet lists.',
+  'Safety first: follow current safe-sleep and car-seat guidance and say so when it matters;',
+  'for medical questions, suggest talking to their pediatrician or midwife.',
+  'Never invent prices or product availability – use the bundles below when you mention prices.',
+].join(' ');
+
+/**
+ * @param {unknown} value
+ * @param {number} max
+ */
+function clip(value, max) {
+  return typeof value === 'string' ? value.trim().slice(0, max) : '';
+}
+
+/**
+ * Plan, bundles and registry as sent by the widget, reduced to what the prompt uses.
+ * @param {Record<string, any>} [context]
+ */
+function normalizeContext(context = {}) {
+  const plan = context && context.plan && Array.isArray(context.plan.steps)
+    ? { steps: context.plan.steps.slice(0, MAX_PLAN_STEPS).map((s) => clip(s, 300)).filter(Boolean) }
+    : null;
+  const bundles = context && Array.isArray(context.bundles)
+    ? context.bundles.slice(0, MAX_BUNDLES)
+      .filter((b) => b && typeof b === 'object' && b.name)
+      .map((b) => ({
+        id: clip(String(b.id ?? ''), 100),
+        name: clip(b.name, 200),
+        description: clip(b.description, 400) || undefined,
+        price: clip(b.price == null ? '' : String(b.price), 40) || undefined,
+      }))
+    : null;
+  const registry = context && Array.isArray(context.registry)
+    ? context.registry.slice(0, MAX_REGISTRY_ITEMS)
+      .filter((item) => item && typeof item === 'object' && item.name)
+      .map((item) => ({
+        id: clip(String(item.id ?? ''), 200),
+        name: clip(item.name, 200),
+        quantity: Math.max(1, Math.min(99, Math.floor(Number(item.quantity)) || 1)),
+      }))
+    : null;
+  return { plan, bundles, registry };
+}
+
+/**
+ * @param {ReturnType<typeof normalizeContext>} context
+ * @param {string} [summary]  condensed earlier turns, if any
+ * @returns {string}
+ */
+function buildSystemPrompt(context, summary) {
+  const parts = [BASE_PROMPT];
+  if (context.plan && context.plan.steps.length) {
+    parts.push(`The parent's current plan:\n${context.plan.steps.map((s, i) => `${i + 1}. ${s}`).join('\n')}`);
+  }
+  if (context.bundles && context.bundles.length) {
+    parts.push(
+      `Bundles recommended to them:\n${context.bundles
+        .map((b) => `- ${b.name}${b.price ? ` (${b.price})` : ''}${b.description ? `: ${b.description}` : ''}`)
+        .join('\n')}`
+    );
+  }
+  if (parts.length === 1) {
+    parts.push('They have not built a plan yet; offer to help them start one.');
+  }
+  if (context.registry && context.registry.length) {
+    parts.push(
+      `Items already on their registry (id: name ×quantity):\n${context.registry
+        .map((item) => `- ${item.id}: ${item.name} ×${item.quantity}`)
+        .join('\n')}`
+    );
+  }
+  if (summary) {
+    parts.push(`Summary of the earlier conversation (those messages are no longer shown to you):\n${summary}`);
+  }
+  parts.push(ACTIONS_PROMPT);
+  return parts.join('\n\n');
+}
+
+/**
+ * First sentence of a message, squashed onto one line.
+ * @param {string} text
+ */
+function gist(text) {
+  const flat = text.replace(/```[\s\S]*?(```|$)/g, ' ').replace(/\s+/g, ' ').trim();
+  const sentence = (/^.*?[.!?](?=\s|$)/.exec(flat) || [flat])[0];
+  return sentence.length > SUMMARY_LINE_LENGTH ? `${sentence.slice(0, SUMMARY_LINE_LENGTH - 1)}…` : sentence;
+}
+
+/**
+ * Extractive summary: one line per folded message appended to the previous
+ * summary, dropping the oldest lines once it outgrows MAX_SUMMARY_LENGTH.
+ * Deterministic, so replaying a conversation gives the same prompt.
+ * @param {string} previous
+ * @param {import('./llm').LlmMessage[]} messages
+ * @returns {string}
+ */
+function summarizeMessages(previous, messages) {
+  const lines = previous ? previous.split('\n').filter(Boolean) : [];
+  for (const m of messages) {
+    const line = gist(m.content);
+    if (line) lines.push(`- ${m.role === 'user' ? 'Parent' : 'Assistant'}: ${line}`);
+  }
+  while (lines.length > 1 && lines.join('\n').length > MAX_SUMMARY_LENGTH) lines.shift();
+  return lines.join('\n').slice(-MAX_SUMMARY_LENGTH);
+}
+
+/**
+ * Validates a chat request body.
+ * @param {Record<string, any>} body
+ * @returns {{
+ *   message: string,
+ *   messages: import('./llm').LlmMessage[],
+ *   context: ReturnType<typeof normalizeContext>,
+ *   system: string,
+ *   summary: string|null,
+ *   summarized: number,
+ * }}
+ * `summarized` counts entries of `body.history` folded into `summary`.
+ */
+function prepareChat(body) {
+  const message = clip(body.message, MAX_MESSAGE_LENGTH);
+  if (!message) throw new HttpError(400, 'message is required');
+
+  const raw = Array.isArray(body.history) ? body.history : [];
+  // `source` remembers each message's index in body.history for `summarized`.
+  const history = raw
+    .map((m, source) => (m && (m.role === 'user' || m.role === 'assistant')
+      ? { role: m.role, content: clip(m.content, MAX_MESSAGE_LENGTH), source }
+      : null))
+    .filter((m) => m && m.content);
+
+  // The widget's history usually already ends with this message.
+  const last = history[history.length - 1];
+  if (!last || last.role !== 'user' || last.content !== message) {
+    history.push({ role: 'user', content: message, source: raw.length });
+  }
+
+  let summary = clip(body.summary, MAX_SUMMARY_LENGTH) || null;
+  let summarized = 0;
+  let recent = history;
+  if (history.length > MAX_HISTORY_MESSAGES) {
+    const folded = history.slice(0, history.length - KEEP_RECENT_MESSAGES);
+    recent = history.slice(folded.length);
+    summary = summarizeMessages(summary || '', folded);
+    summarized = Math.min(raw.length, folded[folded.length - 1].source + 1);
+  }
+
+  const context = normalizeContext(body.context);
+  return {
+    message,
+    messages: recent.map(({ role, content }) => ({ role, content })),
+    context,
+    system: buildSystemPrompt(context, summary || undefined),
+    summary,
+    summarized,
+  };
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  normalizeContext,
+  buildSystemPrompt,
+  summarizeMessages,
+  prepareChat,
+};
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { HttpError } = require('./http');
+
+// Server-side copies of chat conversations (optional sync for ChatWidget).
+//
+// There are no accounts: the browser generates a random key once, keeps it
+// in localStorage and sends it as `X-Chat-Key`. Only a hash of the key is
+// stored, and every record id is prefixed with it, so one browser can never
+// list or read another's conversations.
+
+const COLLECTION = 'chat_conversations';
+const MAX_CONVERSATIONS_PER_KEY = 50;
+const MAX_MESSAGES = 200;
+const MAX_CONTENT_LENGTH = 4000;
+const MAX_SUMMARY_LENGTH = 2000;
+
+/**
+ * @typedef {Object} StoredConversation
+ * @property {string} id              client-generated conversation id
+ * @property {string} owner           sha256 of the chat key
+ * @property {string} title
+ * @property {Array<{ role: 'user'|'assistant', content: string }>} messages
+ * @property {string} [summary]       rolling summary of messages[0..summarizedUpTo)
+ * @property {number} summarizedUpTo
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+/**
+ * @param {string} key  value of the X-Chat-Key header
+ * @returns {string}
+ */
+function ownerOf(key) {
+  if (typeof key !== 'string' || !/^[A-Za-z0-9_-]{32,128}$/.test(key)) {
+    throw new HttpError(401, 'A valid X-Chat-Key header is required');
+  }
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/** @param {string} id */
+function checkId(id) {
+  if (typeof id !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(id)) throw new HttpError(400, 'Invalid conversation id');
+  return id;
+}
+
+/** @param {string} owner @param {string} id */
+function recordId(owner, id) {
+  return `${owner}:${id}`;
+}
+
+/** @param {unknown} value @param {number} max */
+function clip(value, max) {
+  return typeof value === 'string' ? value.slice(0, max) : '';
+}
+
+/** @param {unknown} value */
+function isoOr(value, fallback) {
+  const date = typeof value === 'string' ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : fallback;
+}
+
+/** @param {StoredConversation} conversation */
+function toListEntry(conversation) {
+  return {
+    id: conversation.id,
+    title: conversation.title,
+    messageCount: conversation.messages.length,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt,
+  };
+}
+
+/** @param {StoredConversation} conversation */
+function toClientConversation(conversation) {
+  const { owner, ...rest } = conversation;
+  return rest;
+}
+
+/**
+ * @param {string} key
+ * @returns {Promise<ReturnType<typeof toListEntry>[]>} newest first
+ */
+async function listConversations(key) {
+  const owner = ownerOf(key);
+  const all = await getStorage().list(COLLECTION);
+  return all
+    .filter((c) => c.owner === owner)
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))
+    .map(toListEntry);
+}
+
+/**
+ * @param {string} key
+ * @param {string} id
+ */
+async function getConversation(key, id) {
+  const conversation = await getStorage().get(COLLECTION, recordId(ownerOf(key), checkId(id)));
+  if (!conversation) throw new HttpError(404, 'Conversation not found');
+  return toClientConversation(conversation);
+}
+
+/**
+ * Creates or replaces a conversation. Older updates (by `updatedAt`) than
+ * what's stored are ignored so two tabs can't roll each other back.
+ * @param {string} key
+ * @param {string} id
+ * @param {Record<string, any>} body
+ */
+async function saveConversation(key, id, body) {
+  const owner = ownerOf(key);
+  checkId(id);
+  const now = new Date().toISOString();
+
+  const messages = (Array.isArray(body.messages) ? body.messages : [])
+    .filter((m) => m && (m.role === 'user' || m.role === 'assistant') && typeof m.content === 'string')
+    .slice(-MAX_MESSAGES)
+    .map((m) => ({ role: m.role, content: clip(m.content, MAX_CONTENT_LENGTH) }));
+
+  /** @type {StoredConversation} */
+  const incoming = {
+    id,
+    owner,
+    title: clip(body.title, 120).trim() || 'Conversation',
+    messages,
+    summary: clip(body.summary, MAX_SUMMARY_LENGTH) || undefined,
+    summarizedUpTo: Math.max(0, Math.min(messages.length, Math.floor(Number(body.summarizedUpTo)) || 0)),
+    createdAt: isoOr(body.createdAt, now),
+    updatedAt: isoOr(body.updatedAt, now),
+  };
+
+  const storage = getStorage();
+  const saved = await storage.update(COLLECTION, recordId(owner, id), (current) => {
+    if (current && String(current.updatedAt) > incoming.updatedAt) return undefined;
+    return { ...incoming, createdAt: current ? current.createdAt : incoming.createdAt };
+  });
+
+  // Keep each browser's stash bounded.
+  const mine = (await storage.list(COLLECTION))
+    .filter((c) => c.owner === owner)
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  for (const stale of mine.slice(MAX_CONVERSATIONS_PER_KEY)) {
+    await storage.remove(COLLECTION, recordId(owner, stale.id));
+  }
+
+  return toClientConversation(saved);
+}
+
+/**
+ * @param {string} key
+ * @param {string} id
+ * @returns {Promise<boolean>}
+ */
+function deleteConversation(key, id) {
+  return getStorage().remove(COLLECTION, recordId(ownerOf(key), checkId(id)));
+}
+
+module.exports = {
+  COLLECTION,
+  listConversations,
+  getConversation,
+  saveConversation,
+  deleteConversation,
+};
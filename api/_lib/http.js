@@ -0,0 +1,143 @@
+// Small response/request helpers shared by the API handlers.
+
+const MAX_JSON_BYTES = 1024 * 1024;
+
+class HttpError extends Error {
+  /**
+   * @param {number} status
+   * @param {string} message
+   */
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * @param {import('http').ServerResponse} res
+ * @param {number} status
+ * @param {unknown} body
+ */
+function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * @param {import('http').ServerResponse} res
+ * @param {number} status
+ * @param {string} message
+ */
+function sendError(res, status, message) {
+  sendJson(res, status, { message });
+}
+
+/**
+ * Replies 405 unless the request method is one of `allowed`.
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {string[]} allowed
+ * @returns {boolean} true when the method is allowed
+ */
+function allowMethods(req, res, allowed) {
+  if (allowed.includes(req.method)) return true;
+  res.setHeader('Allow', allowed.join(', '));
+  sendError(res, 405, 'Method not allowed');
+  return false;
+}
+
+/**
+ * Reads the raw request body, honouring a byte limit.
+ * @param {import('http').IncomingMessage} req
+ * @param {number} [limit]
+ * @returns {Promise<Buffer>}
+ */
+function readBody(req, limit = MAX_JSON_BYTES) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Returns the parsed JSON body. Uses `req.body` when the platform already
+ * parsed it (Vercel does), otherwise reads the stream.
+ * @param {import('http').IncomingMessage & { body?: any }} req
+ * @returns {Promise<Record<string, any>>}
+ */
+async function readJson(req) {
+  if (req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body)) {
+    return req.body;
+  }
+  const raw = typeof req.body === 'string' || Buffer.isBuffer(req.body)
+    ? String(req.body)
+    : (await readBody(req)).toString('utf8');
+  if (!raw.trim()) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    throw new HttpError(400, 'Invalid JSON body');
+  }
+}
+
+/**
+ * Turns thrown errors into JSON responses; unknown errors become a 500.
+ * @param {import('http').ServerResponse} res
+ * @param {unknown} err
+ * @param {string} scope
+ */
+function handleError(res, err, scope) {
+  if (err instanceof HttpError) {
+    sendError(res, err.status, err.message);
+    return;
+  }
+  console.error(`[api:${scope}] error`, err);
+  sendError(res, 500, 'Internal server error');
+}
+
+/**
+ * Parsed query string of the request URL.
+ * @param {import('http').IncomingMessage} req
+ * @returns {URLSearchParams}
+ */
+function queryOf(req) {
+  return new URL(req.url || '/', 'http://localhost').searchParams;
+}
+
+/**
+ * Origin for links we hand out (share URLs, email links), from
+ * PUBLIC_BASE_URL. Never taken from the request: a forged Host header would
+ * otherwise put a valid token in a link to someone else's site.
+ * @returns {string}
+ */
+function siteOrigin() {
+  const base = process.env.PUBLIC_BASE_URL;
+  if (!base) throw new Error('PUBLIC_BASE_URL is not configured');
+  return base.replace(/\/+$/, '');
+}
+
+module.exports = {
+  HttpError,
+  sendJson,
+  sendError,
+  allowMethods,
+  readBody,
+  readJson,
+  handleError,
+  queryOf,
+  siteOrigin,
+};
@@ -0,0 +1,448 @@
+const zlib = require('zlib');
+
+// Image checks and clean-up for user uploads, without native dependencies.
+//
+//   sniffImageType   trusts magic bytes, not the client's Content-Type
+//   stripMetadata    removes location and free-text metadata:
+//                      JPEG – blanks the EXIF GPS directory (keeping
+//                             orientation), drops XMP and IPTC segments
+//                      PNG  – drops eXIf and text chunks
+//                      WebP – drops EXIF and XMP chunks
+//   createThumbnail  only PNGs are actually resized (decoded and
+//                    box-downscaled, up to MAX_DECODE_PIXELS). There's no
+//                    JPEG or WebP decoder here: JPEG uses the camera's
+//                    embedded EXIF preview when there is one, WebP never
+//                    gets a thumbnail. Returns null in those cases and
+//                    callers serve the original.
+
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const THUMBNAIL_MAX_SIZE = 320;
+// Decoding needs ~5 bytes per pixel in memory, so larger PNGs (or crafted
+// ones that claim huge dimensions) are served without a thumbnail.
+const MAX_DECODE_PIXELS = 4 * 1000 * 1000;
+
+/**
+ * @param {Buffer} data
+ * @returns {'image/jpeg'|'image/png'|'image/webp'|null}
+ */
+function sniffImageType(data) {
+  if (data.length > 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) return 'image/jpeg';
+  if (data.length > 8 && data.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (data.length > 12 && data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
+
+/* ========================================================================== */
+/* JPEG / EXIF                                                                */
+/* ========================================================================== */
+
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'binary');
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/';
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+const TAG_GPS_IFD = 0x8825;
+const TAG_THUMB_OFFSET = 0x0201;
+const TAG_THUMB_LENGTH = 0x0202;
+
+/**
+ * Little helper over a TIFF block (the part of an EXIF segment after "Exif\0\0").
+ * @param {Buffer} tiff
+ */
+function tiffReader(tiff) {
+  const little = tiff.toString('ascii', 0, 2) === 'II';
+  const u16 = (offset) => (little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const u32 = (offset) => (little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+  const inBounds = (offset, length) => offset >= 0 && offset + length <= tiff.length;
+
+  /**
+   * @param {number} offset
+   * @returns {{ entries: Array<{ tag: number, type: number, count: number, at: number }>, next: number }|null}
+   */
+  function readIfd(offset) {
+    if (!inBounds(offset, 2)) return null;
+    const count = u16(offset);
+    if (!inBounds(offset + 2, count * 12 + 4)) return null;
+    const entries = [];
+    for (let i = 0; i < count; i += 1) {
+      const at = offset + 2 + i * 12;
+      entries.push({ tag: u16(at), type: u16(at + 2), count: u32(at + 4), at });
+    }
+    return { entries, next: u32(offset + 2 + count * 12) };
+  }
+
+  return { tiff, u16, u32, inBounds, readIfd, ifd0: () => readIfd(u32(4)) };
+}
+
+/**
+ * Zeroes the GPS directory (and any values it points at) in place and
+ * empties it. Other EXIF data – notably orientation – is left alone.
+ * @param {Buffer} tiff
+ */
+function scrubGps(tiff) {
+  if (tiff.length < 8) return;
+  const reader = tiffReader(tiff);
+  const ifd0 = reader.ifd0();
+  const pointer = ifd0 && ifd0.entries.find((e) => e.tag === TAG_GPS_IFD);
+  if (!pointer) return;
+
+  const gpsOffset = reader.u32(pointer.at + 8);
+  const gps = reader.readIfd(gpsOffset);
+  if (!gps) return;
+
+  gps.entries.forEach((entry) => {
+    const size = (TIFF_TYPE_SIZES[entry.type] || 1) * entry.count;
+    if (size > 4) {
+      const valueOffset = reader.u32(entry.at + 8);
+      if (reader.inBounds(valueOffset, size)) tiff.fill(0, valueOffset, valueOffset + size);
+    }
+    tiff.fill(0, entry.at, entry.at + 12);
+  });
+  // An empty directory: zero entries, no next IFD.
+  tiff.fill(0, gpsOffset, gpsOffset + 2);
+  tiff.fill(0, gpsOffset + 2 + gps.entries.length * 12, gpsOffset + 2 + gps.entries.length * 12 + 4);
+}
+
+/**
+ * Walks JPEG marker segments up to start-of-scan.
+ * @param {Buffer} data
+ * @returns {{ segments: Array<{ marker: number, start: number, end: number }>, scanStart: number }}
+ */
+function jpegSegments(data) {
+  const segments = [];
+  let offset = 2;
+  while (offset + 4 <= data.length) {
+    if (data[offset] !== 0xff) throw new Error('Corrupt JPEG');
+    const marker = data[offset + 1];
+    if (marker === 0xff) {
+      offset += 1; // fill byte
+      continue;
+    }
+    const length = data.readUInt16BE(offset + 2);
+    const end = offset + 2 + length;
+    if (end > data.length) throw new Error('Corrupt JPEG');
+    segments.push({ marker, start: offset, end });
+    if (marker === 0xda) return { segments, scanStart: offset };
+    offset = end;
+  }
+  throw new Error('Corrupt JPEG');
+}
+
+/** @param {Buffer} data */
+function stripJpeg(data) {
+  const { segments, scanStart } = jpegSegments(data);
+  const parts = [data.slice(0, 2)];
+
+  segments.forEach(({ marker, start, end }) => {
+    if (start === scanStart) return;
+    const payload = data.slice(start + 4, end);
+    if (marker === 0xe1 && payload.slice(0, 6).equals(EXIF_HEADER)) {
+      const segment = Buffer.from(data.slice(start, end));
+      scrubGps(segment.slice(10));
+      parts.push(segment);
+      return;
+    }
+    if (marker === 0xe1 && payload.toString('latin1', 0, XMP_HEADER.length) === XMP_HEADER) return;
+    if (marker === 0xed) return; // APP13: Photoshop/IPTC, may hold location
+    parts.push(data.slice(start, end));
+  });
+
+  parts.push(data.slice(scanStart));
+  return Buffer.concat(parts);
+}
+
+/**
+ * The JPEG preview most cameras embed in IFD1, if any.
+ * @param {Buffer} data
+ * @returns {Buffer|null}
+ */
+function embeddedJpegThumbnail(data) {
+  const { segments } = jpegSegments(data);
+  const exif = segments.find(
+    ({ marker, start }) => marker === 0xe1 && data.slice(start + 4, start + 10).equals(EXIF_HEADER)
+  );
+  if (!exif) return null;
+
+  const tiff = data.slice(exif.start + 10, exif.end);
+  const reader = tiffReader(tiff);
+  const ifd0 = reader.ifd0();
+  const ifd1 = ifd0 && ifd0.next ? reader.readIfd(ifd0.next) : null;
+  if (!ifd1) return null;
+
+  const offsetEntry = ifd1.entries.find((e) => e.tag === TAG_THUMB_OFFSET);
+  const lengthEntry = ifd1.entries.find((e) => e.tag === TAG_THUMB_LENGTH);
+  if (!offsetEntry || !lengthEntry) return null;
+  const offset = reader.u32(offsetEntry.at + 8);
+  const length = reader.u32(lengthEntry.at + 8);
+  if (!length || !reader.inBounds(offset, length)) return null;
+
+  const thumb = Buffer.from(tiff.slice(offset, offset + length));
+  return sniffImageType(thumb) === 'image/jpeg' ? thumb : null;
+}
+
+/* ========================================================================== */
+/* PNG                                                                        */
+/* ========================================================================== */
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const PNG_DROP_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt'];
+
+/**
+ * @param {Buffer} data
+ * @returns {Array<{ type: string, data: Buffer, raw: Buffer }>}
+ */
+function pngChunks(data) {
+  const chunks = [];
+  let offset = 8;
+  while (offset + 12 <= data.length) {
+    const length = data.readUInt32BE(offset);
+    const type = data.toString('ascii', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > data.length) throw new Error('Corrupt PNG');
+    chunks.push({ type, data: data.slice(offset + 8, offset + 8 + length), raw: data.slice(offset, end) });
+    offset = end;
+    if (type === 'IEND') break;
+  }
+  return chunks;
+}
+
+/** @param {Buffer} data */
+function stripPng(data) {
+  const kept = pngChunks(data).filter((chunk) => !PNG_DROP_CHUNKS.includes(chunk.type));
+  return Buffer.concat([PNG_SIGNATURE, ...kept.map((chunk) => chunk.raw)]);
+}
+
+let crcTable = null;
+
+/** @param {Buffer} buf */
+function crc32(buf) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+      let c = n;
+      for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < buf.length; i += 1) crc = crcTable[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * @param {string} type
+ * @param {Buffer} data
+ */
+function pngChunk(type, data) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(data.length, 0);
+  head.write(type, 4, 'ascii');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.slice(4), data])), 0);
+  return Buffer.concat([head, data, crc]);
+}
+
+/**
+ * Decodes 8-bit, non-interlaced PNGs to RGBA. Returns null for anything
+ * else (16-bit, sub-byte depths, Adam7) so the caller falls back.
+ * @param {Buffer} data
+ * @returns {{ width: number, height: number, pixels: Buffer }|null}
+ */
+function decodePng(data) {
+  const chunks = pngChunks(data);
+  const ihdr = chunks.find((c) => c.type === 'IHDR');
+  if (!ihdr) return null;
+  const width = ihdr.data.readUInt32BE(0);
+  const height = ihdr.data.readUInt32BE(4);
+  const [bitDepth, colorType, , , interlace] = ihdr.data.slice(8, 13);
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+  if (bitDepth !== 8 || interlace !== 0 || !channels || width * height > MAX_DECODE_PIXELS) return null;
+
+  const palette = chunks.find((c) => c.type === 'PLTE');
+  const trns = chunks.find((c) => c.type === 'tRNS');
+  if (colorType === 3 && !palette) return null;
+
+  const stride = width * channels;
+  // Never inflate past what the header says the image needs; a zlib bomb
+  // throws here instead of filling memory.
+  const raw = zlib.inflateSync(Buffer.concat(chunks.filter((c) => c.type === 'IDAT').map((c) => c.data)), {
+    maxOutputLength: (stride + 1) * height,
+  });
+  if (raw.length < (stride + 1) * height) return null;
+
+  const rows = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y += 1) {
+    const filter = raw[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const dst = y * stride;
+    for (let x = 0; x < stride; x += 1) {
+      const left = x >= channels ? rows[dst + x - channels] : 0;
+      const up = y > 0 ? rows[dst - stride + x] : 0;
+      const upLeft = y > 0 && x >= channels ? rows[dst - stride + x - channels] : 0;
+      let value = raw[src + x];
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += (left + up) >> 1;
+      else if (filter === 4) {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        value += pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+      }
+      rows[dst + x] = value & 0xff;
+    }
+  }
+
+  const pixels = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height; i += 1) {
+    const s = i * channels;
+    const d = i * 4;
+    if (colorType === 3) {
+      const index = rows[s];
+      palette.data.copy(pixels, d, index * 3, index * 3 + 3);
+      pixels[d + 3] = trns && index < trns.data.length ? trns.data[index] : 255;
+    } else if (colorType === 0 || colorType === 4) {
+      pixels[d] = pixels[d + 1] = pixels[d + 2] = rows[s];
+      pixels[d + 3] = colorType === 4 ? rows[s + 1] : 255;
+    } else {
+      pixels[d] = rows[s];
+      pixels[d + 1] = rows[s + 1];
+      pixels[d + 2] = rows[s + 2];
+      pixels[d + 3] = colorType === 6 ? rows[s + 3] : 255;
+    }
+  }
+  return { width, height, pixels };
+}
+
+/**
+ * Box-filter downscale so the longest side is at most `max`.
+ * @param {{ width: number, height: number, pixels: Buffer }} image
+ * @param {number} max
+ */
+function downscale(image, max) {
+  const scale = Math.min(1, max / Math.max(image.width, image.height));
+  const width = Math.max(1, Math.round(image.width * scale));
+  const height = Math.max(1, Math.round(image.height * scale));
+  const out = Buffer.alloc(width * height * 4);
+
+  for (let y = 0; y < height; y += 1) {
+    const y0 = Math.floor((y * image.height) / height);
+    const y1 = Math.max(y0 + 1, Math.floor(((y + 1) * image.height) / height));
+    for (let x = 0; x < width; x += 1) {
+      const x0 = Math.floor((x * image.width) / width);
+      const x1 = Math.max(x0 + 1, Math.floor(((x + 1) * image.width) / width));
+      const sum = [0, 0, 0, 0];
+      for (let sy = y0; sy < y1; sy += 1) {
+        for (let sx = x0; sx < x1; sx += 1) {
+          const i = (sy * image.width + sx) * 4;
+          sum[0] += image.pixels[i];
+          sum[1] += image.pixels[i + 1];
+          sum[2] += image.pixels[i + 2];
+          sum[3] += image.pixels[i + 3];
+        }
+      }
+      const n = (y1 - y0) * (x1 - x0);
+      const o = (y * width + x) * 4;
+      for (let c = 0; c < 4; c += 1) out[o + c] = Math.round(sum[c] / n);
+    }
+  }
+  return { width, height, pixels: out };
+}
+
+/** @param {{ width: number, height: number, pixels: Buffer }} image */
+function encodePng(image) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(image.width, 0);
+  ihdr.writeUInt32BE(image.height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 6; // RGBA
+
+  const stride = image.width * 4;
+  const raw = Buffer.alloc((stride + 1) * image.height);
+  for (let y = 0; y < image.height; y += 1) {
+    image.pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk('IHDR', ihdr),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+/* ========================================================================== */
+/* WebP                                                                       */
+/* ========================================================================== */
+
+/** @param {Buffer} data */
+function stripWebp(data) {
+  const kept = [];
+  let offset = 12;
+  while (offset + 8 <= data.length) {
+    const fourcc = data.toString('ascii', offset, offset + 4);
+    const size = data.readUInt32LE(offset + 4);
+    const end = offset + 8 + size + (size % 2);
+    if (offset + 8 + size > data.length) throw new Error('Corrupt WebP');
+    if (fourcc !== 'EXIF' && fourcc !== 'XMP ') {
+      const chunk = Buffer.from(data.slice(offset, Math.min(end, data.length)));
+      // VP8X flags advertise EXIF (0x08) and XMP (0x04); clear them.
+      if (fourcc === 'VP8X') chunk[8] &= ~0x0c;
+      kept.push(chunk);
+    }
+    offset = end;
+  }
+  const body = Buffer.concat(kept);
+  const header = Buffer.from(data.slice(0, 12));
+  header.writeUInt32LE(body.length + 4, 4);
+  return Buffer.concat([header, body]);
+}
+
+/* ========================================================================== */
+/* Public API                                                                 */
+/* ========================================================================== */
+
+/**
+ * @param {Buffer} data
+ * @param {string} type  sniffed type
+ * @returns {Buffer}
+ */
+function stripMetadata(data, type) {
+  if (type === 'image/jpeg') return stripJpeg(data);
+  if (type === 'image/png') return stripPng(data);
+  if (type === 'image/webp') return stripWebp(data);
+  return data;
+}
+
+/**
+ * @param {Buffer} data  already stripped
+ * @param {string} type
+ * @returns {{ data: Buffer, type: string }|null}
+ */
+function createThumbnail(data, type) {
+  try {
+    if (type === 'image/png') {
+      const decoded = decodePng(data);
+      if (!decoded) return null;
+      if (Math.max(decoded.width, decoded.height) <= THUMBNAIL_MAX_SIZE) return null;
+      return { data: encodePng(downscale(decoded, THUMBNAIL_MAX_SIZE)), type: 'image/png' };
+    }
+    if (type === 'image/jpeg') {
+      const thumb = embeddedJpegThumbnail(data);
+      return thumb ? { data: thumb, type: 'image/jpeg' } : null;
+    }
+  } catch (err) {
+    console.error('[images] thumbnail error', err);
+  }
+  return null;
+}
+
+module.exports = {
+  ALLOWED_TYPES,
+  THUMBNAIL_MAX_SIZE,
+  sniffImageType,
+  stripMetadata,
+  createThumbnail,
+};
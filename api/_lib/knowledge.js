@@ -0,0 +1,508 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getStorage } = require('./storage');
+
+// Knowledge base for the support responders and the assistant chat: the FAQ
+// and policy pages, split into passages and searched with BM25. Plain
+// lexical scoring, so it works the same with or without a model provider.
+//
+// Every passage is one element of a page with an id – an index.html FAQ
+// answer, a privacy.html or terms.html section, the support.html quick-help
+// list – so each search hit links to the exact anchor it came from
+// (`/privacy.html#section-refunds`). Sections nested in another indexed
+// section become their own passage and are cut out of the parent's text.
+//
+// The index is stored in storage ('knowledge_index') together with a hash of
+// each page. The first search in a process rebuilds it when the pages have
+// changed; where they aren't deployed next to the API, the stored index is
+// used as is. Build it ahead of time with
+//   node api/_lib/knowledge.js index
+// and try queries with
+//   node api/_lib/knowledge.js search "how do I get a refund"
+
+const COLLECTION = 'knowledge_index';
+const INDEX_ID = 'pages';
+const INDEX_VERSION = 1;
+
+const PUBLIC_ROOT = path.join(process.cwd(), 'frontend', 'public');
+
+/**
+ * @typedef {Object} KnowledgePage
+ * @property {string} file    under frontend/public
+ * @property {string} label   shown before the section title in citations
+ * @property {string} url     path the anchors are appended to
+ * @property {RegExp} ids     element ids that become passages
+ * @property {string} [tag]   only elements with this tag name
+ */
+
+/** @type {KnowledgePage[]} */
+const PAGES = [
+  { file: 'index.html', label: 'FAQ', url: '/', ids: /^faq-\d+$/ },
+  { file: 'privacy.html', label: 'Privacy Policy', url: '/privacy.html', ids: /^section-/, tag: 'section' },
+  { file: 'terms.html', label: 'Terms of Use', url: '/terms.html', ids: /^[a-z][a-z-]*$/, tag: 'section' },
+  { file: 'support.html', label: 'Support', url: '/support.html', ids: /^quick-help$/ },
+];
+
+// BM25 parameters; titles count TITLE_WEIGHT times towards term frequency.
+const K1 = 1.2;
+const B = 0.75;
+const TITLE_WEIGHT = 2;
+
+const DEFAULT_LIMIT = 3;
+const MAX_LIMIT = 10;
+/** Hits scoring under this are noise (a shared word or two). */
+const MIN_SCORE = 4;
+/** …as are hits matching a single word of a longer question… */
+const MIN_MATCHED_TERMS = 2;
+/** …and hits far below the best one. */
+const MIN_RELATIVE_SCORE = 0.4;
+const EXCERPT_LENGTH = 360;
+const MAX_QUERY_LENGTH = 2000;
+
+const STOPWORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'before',
+  'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from', 'get', 'got', 'had', 'has', 'have', 'how',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'so',
+  'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to', 'up', 'us', 'was',
+  'we', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your',
+]);
+
+/**
+ * @typedef {Object} KnowledgeDoc
+ * @property {string} id       `<file>#<anchor>`
+ * @property {string} page
+ * @property {string} anchor
+ * @property {string} title
+ * @property {string} label    "Privacy Policy › 7. Refunds"
+ * @property {string} url
+ * @property {string} text
+ * @property {number} length   weighted token count
+ * @property {Record<string, number>} terms
+ */
+
+/**
+ * @typedef {Object} KnowledgeIndex
+ * @property {number} version
+ * @property {string} builtAt
+ * @property {Record<string, string>} sources  page file → sha1 of its HTML
+ * @property {number} avgLength
+ * @property {Record<string, number>} df
+ * @property {KnowledgeDoc[]} docs
+ */
+
+/**
+ * @typedef {Object} KnowledgePassage
+ * @property {string} id
+ * @property {string} title
+ * @property {string} label
+ * @property {string} url
+ * @property {string} excerpt
+ * @property {number} score
+ */
+
+/* ========================================================================== */
+/* Text                                                                       */
+/* ========================================================================== */
+
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', mdash: '—', ndash: '–', hellip: '…',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', middot: '·', bull: '•', copy: '©', reg: '®', trade: '™',
+  rarr: '→', larr: '←', times: '×', euro: '€', pound: '£',
+};
+
+/** @param {string} text */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (whole, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : whole;
+    }
+    return ENTITIES[name.toLowerCase()] ?? whole;
+  });
+}
+
+/**
+ * Readable text of an HTML fragment, one block per line.
+ * @param {string} html
+ */
+function htmlToText(html) {
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|svg|template|button)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<\/?(?:p|div|section|article|header|footer|h[1-6]|ul|ol|li|tr|table|details|summary|dl|dt|dd|blockquote|br)\b[^>]*>/gi, '\n')
+    .replace(/<(?:td|th)\b[^>]*>/gi, ' | ')
+    .replace(/<[^>]+>/g, '');
+  return decodeEntities(text)
+    .split('\n')
+    .map((line) => line.replace(/\s+/g, ' ').trim())
+    .filter((line) => line && line !== '-' && !/^[|\s]+$/.test(line))
+    .join('\n');
+}
+
+/**
+ * Lower-case word stems, stopwords dropped. Deliberately light: plurals and
+ * a few common endings, enough for "refunds" to find "refund".
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return (String(text).toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').match(/[a-z0-9]+/g) || [])
+    .filter((word) => !STOPWORDS.has(word))
+    .map((word) => {
+      if (word.length <= 3 || /^\d+$/.test(word)) return word;
+      if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+      if (word.endsWith('ing') && word.length > 5) return word.slice(0, -3);
+      if (word.endsWith('ed') && word.length > 4) return word.slice(0, -2);
+      if (word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) return word.slice(0, -1);
+      return word;
+    });
+}
+
+/* ========================================================================== */
+/* Chunking                                                                   */
+/* ========================================================================== */
+
+/**
+ * End offset (after the closing tag) of the element whose opening tag ends at `from`.
+ * @param {string} html
+ * @param {string} tag
+ * @param {number} from
+ */
+function closingOffset(html, tag, from) {
+  const pattern = new RegExp(`<(/?)${tag}\\b[^>]*>`, 'gi');
+  pattern.lastIndex = from;
+  let depth = 1;
+  let match;
+  while ((match = pattern.exec(html))) {
+    depth += match[1] ? -1 : 1;
+    if (depth === 0) return pattern.lastIndex;
+  }
+  return html.length;
+}
+
+/**
+ * Text of the element with the given id, or ''.
+ * @param {string} html
+ * @param {string} id
+ */
+function textOfId(html, id) {
+  const match = new RegExp(`<([a-z][a-z0-9]*)\\b[^>]*\\bid="${id.replace(/[^\w-]/g, '')}"[^>]*>`, 'i').exec(html);
+  if (!match) return '';
+  const end = closingOffset(html, match[1], match.index + match[0].length);
+  return htmlToText(html.slice(match.index, end)).replace(/\n/g, ' ');
+}
+
+/**
+ * Section title: its aria-labelledby heading, the first heading inside it,
+ * the button that toggles it (FAQ answers) or its aria-label.
+ * @param {string} html       whole page
+ * @param {string} openTag
+ * @param {string} inner      the element's HTML
+ * @param {string} id
+ */
+function titleOf(html, openTag, inner, id) {
+  const labelledBy = /\baria-labelledby="([^"]+)"/i.exec(openTag);
+  const fromLabel = labelledBy && textOfId(html, labelledBy[1].split(/\s+/)[0]);
+  if (fromLabel) return fromLabel;
+  const heading = /<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/i.exec(inner);
+  if (heading) return htmlToText(heading[2]).replace(/\n/g, ' ');
+  const toggle = new RegExp(`<button\\b[^>]*\\baria-controls="${id}"[^>]*>([\\s\\S]*?)</button>`, 'i').exec(html);
+  if (toggle) return htmlToText(toggle[1]).replace(/\n/g, ' ');
+  const label = /\baria-label="([^"]+)"/i.exec(openTag);
+  return label ? decodeEntities(label[1]) : id;
+}
+
+/**
+ * Splits a page into one passage per matching element id.
+ * @param {string} html
+ * @param {KnowledgePage} page
+ * @returns {Array<Omit<KnowledgeDoc, 'length'|'terms'>>}
+ */
+function chunkPage(html, page) {
+  const elements = [];
+  const openTags = /<([a-z][a-z0-9]*)\b[^>]*\bid="([^"]+)"[^>]*>/gi;
+  let match;
+  while ((match = openTags.exec(html))) {
+    const [openTag, tag, id] = match;
+    if (page.tag && tag.toLowerCase() !== page.tag) continue;
+    if (!page.ids.test(id)) continue;
+    const start = match.index;
+    const bodyStart = start + openTag.length;
+    elements.push({ id, openTag, start, bodyStart, end: closingOffset(html, tag, bodyStart) });
+  }
+
+  return elements.map((el) => {
+    // Cut out indexed elements nested inside this one; they're passages of their own.
+    let inner = '';
+    let cursor = el.bodyStart;
+    elements
+      .filter((other) => other.start > el.start && other.end <= el.end)
+      .forEach((other) => {
+        if (other.start < cursor) return;
+        inner += html.slice(cursor, other.start);
+        cursor = other.end;
+      });
+    inner += html.slice(cursor, el.end);
+
+    const title = titleOf(html, el.openTag, inner, el.id);
+    const lines = htmlToText(inner).split('\n');
+    if (lines[0] === title) lines.shift();
+    return {
+      id: `${page.file}#${el.id}`,
+      page: page.file,
+      anchor: el.id,
+      title,
+      label: `${page.label} › ${title}`,
+      url: `${page.url}#${el.id}`,
+      text: lines.join('\n'),
+    };
+  }).filter((doc) => doc.text);
+}
+
+/* ========================================================================== */
+/* Index                                                                      */
+/* ========================================================================== */
+
+/** @param {string} file */
+function readPage(file) {
+  try {
+    return fs.readFileSync(path.join(PUBLIC_ROOT, file), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/** @param {string} html */
+function hashOf(html) {
+  return crypto.createHash('sha1').update(html).digest('hex');
+}
+
+/**
+ * Current hash of every page, or null when any of them is missing.
+ * @returns {Record<string, string>|null}
+ */
+function pageHashes() {
+  /** @type {Record<string, string>} */
+  const hashes = {};
+  for (const page of PAGES) {
+    const html = readPage(page.file);
+    if (html == null) return null;
+    hashes[page.file] = hashOf(html);
+  }
+  return hashes;
+}
+
+/**
+ * Chunks every page and computes the BM25 statistics.
+ * @returns {KnowledgeIndex}
+ */
+function buildIndex() {
+  /** @type {Record<string, string>} */
+  const sources = {};
+  /** @type {KnowledgeDoc[]} */
+  const docs = [];
+  /** @type {Record<string, number>} */
+  const df = {};
+
+  PAGES.forEach((page) => {
+    const html = readPage(page.file);
+    if (html == null) throw new Error(`Knowledge page not found: ${page.file}`);
+    sources[page.file] = hashOf(html);
+    chunkPage(html, page).forEach((chunk) => {
+      /** @type {Record<string, number>} */
+      const terms = {};
+      let length = 0;
+      const count = (tokens, weight) => tokens.forEach((term) => {
+        terms[term] = (terms[term] || 0) + weight;
+        length += weight;
+      });
+      count(tokenize(chunk.title), TITLE_WEIGHT);
+      count(tokenize(chunk.text), 1);
+      Object.keys(terms).forEach((term) => { df[term] = (df[term] || 0) + 1; });
+      docs.push({ ...chunk, length, terms });
+    });
+  });
+
+  return {
+    version: INDEX_VERSION,
+    builtAt: new Date().toISOString(),
+    sources,
+    avgLength: docs.length ? docs.reduce((sum, doc) => sum + doc.length, 0) / docs.length : 0,
+    df,
+    docs,
+  };
+}
+
+/**
+ * The indexing job: rebuilds the index from the pages and stores it.
+ * @returns {Promise<{ builtAt: string, passages: number, pages: Record<string, number> }>}
+ */
+async function indexPages() {
+  const index = buildIndex();
+  await getStorage().put(COLLECTION, INDEX_ID, index);
+  cached = index;
+  /** @type {Record<string, number>} */
+  const pages = {};
+  index.docs.forEach((doc) => { pages[doc.page] = (pages[doc.page] || 0) + 1; });
+  return { builtAt: index.builtAt, passages: index.docs.length, pages };
+}
+
+/** @type {KnowledgeIndex|null} */
+let cached = null;
+
+/**
+ * The stored index, rebuilt first if the pages changed since it was built.
+ * @returns {Promise<KnowledgeIndex|null>} null when there is neither an index nor pages to build one from
+ */
+async function getIndex() {
+  if (cached) return cached;
+  const stored = await getStorage().get(COLLECTION, INDEX_ID);
+  const hashes = pageHashes();
+  const fresh = stored && stored.version === INDEX_VERSION &&
+    (!hashes || PAGES.every((page) => stored.sources[page.file] === hashes[page.file]));
+  if (fresh) {
+    cached = stored;
+  } else if (hashes) {
+    await indexPages();
+  }
+  return cached;
+}
+
+/* ========================================================================== */
+/* Search                                                                     */
+/* ========================================================================== */
+
+/**
+ * The run of sentences that best covers the query terms, up to EXCERPT_LENGTH.
+ * @param {string} text
+ * @param {Set<string>} queryTerms
+ */
+function excerptOf(text, queryTerms) {
+  const sentences = text.split('\n').flatMap((line) => line.match(/[^.!?]+(?:[.!?]+(?=\s|$)|$)/g) || []).map((s) => s.trim()).filter(Boolean);
+  let best = 0;
+  let bestHits = -1;
+  sentences.forEach((sentence, i) => {
+    const hits = new Set(tokenize(sentence).filter((term) => queryTerms.has(term))).size;
+    if (hits > bestHits) {
+      best = i;
+      bestHits = hits;
+    }
+  });
+
+  let excerpt = '';
+  for (let i = best; i < sentences.length; i++) {
+    const next = excerpt ? `${excerpt} ${sentences[i]}` : sentences[i];
+    if (next.length > EXCERPT_LENGTH) {
+      if (!excerpt) excerpt = `${next.slice(0, EXCERPT_LENGTH - 1).replace(/\s+\S*$/, '')}…`;
+      break;
+    }
+    excerpt = next;
+  }
+  return excerpt;
+}
+
+/**
+ * Passages relevant to `query`, best first. Empty when nothing clears the
+ * score thresholds, so callers can tell "no sources" from weak guesses.
+ * @param {unknown} query
+ * @param {{ limit?: number }} [options]
+ * @returns {Promise<KnowledgePassage[]>}
+ */
+async function search(query, options = {}) {
+  const limit = Math.max(1, Math.min(MAX_LIMIT, Math.floor(Number(options.limit)) || DEFAULT_LIMIT));
+  const terms = Array.from(new Set(tokenize(String(query || '').slice(0, MAX_QUERY_LENGTH))));
+  if (!terms.length) return [];
+  const index = await getIndex();
+  if (!index || !index.docs.length) return [];
+
+  const total = index.docs.length;
+  const idf = (term) => {
+    const n = index.df[term] || 0;
+    return Math.log(1 + (total - n + 0.5) / (n + 0.5));
+  };
+  const scored = index.docs
+    .map((doc) => {
+      const norm = K1 * (1 - B + (B * doc.length) / (index.avgLength || 1));
+      const score = terms.reduce((sum, term) => {
+        const tf = doc.terms[term] || 0;
+        return tf ? sum + idf(term) * ((tf * (K1 + 1)) / (tf + norm)) : sum;
+      }, 0);
+      const matched = terms.filter((term) => doc.terms[term]).length;
+      return { doc, score, matched };
+    })
+    .filter((hit) => hit.score >= MIN_SCORE && hit.matched >= Math.min(terms.length, MIN_MATCHED_TERMS))
+    .sort((a, b) => b.score - a.score);
+  if (!scored.length) return [];
+
+  const queryTerms = new Set(terms);
+  const floor = scored[0].score * MIN_RELATIVE_SCORE;
+  return scored
+    .filter((hit) => hit.score >= floor)
+    .slice(0, limit)
+    .map(({ doc, score }) => ({
+      id: doc.id,
+      title: doc.title,
+      label: doc.label,
+      url: doc.url,
+      excerpt: excerptOf(doc.text, queryTerms),
+      score: Math.round(score * 100) / 100,
+    }));
+}
+
+/* ========================================================================== */
+/* Citations                                                                  */
+/* ========================================================================== */
+
+/**
+ * Prompt section handing passages to a model, with the citation rule.
+ * @param {KnowledgePassage[]} passages
+ */
+function sourcesPrompt(passages) {
+  if (!passages.length) return '';
+  return [
+    'Passages from the InfantBites FAQ and policy pages that may answer this. Rely on them over your own',
+    'assumptions about InfantBites, and cite every passage you use as a Markdown link to its URL,',
+    `e.g. [${passages[0].label}](${passages[0].url}). Don't cite pages that aren't listed here.`,
+    '',
+    ...passages.map((p, i) => `[${i + 1}] ${p.label} – ${p.url}\n${p.excerpt}`),
+  ].join('\n');
+}
+
+/**
+ * "Sources: [label](url) · …" line for a reply.
+ * @param {KnowledgePassage[]} passages
+ */
+function citeSources(passages) {
+  return passages.length ? `Sources: ${passages.map((p) => `[${p.label}](${p.url})`).join(' · ')}` : '';
+}
+
+module.exports = {
+  PAGES,
+  htmlToText,
+  tokenize,
+  chunkPage,
+  buildIndex,
+  indexPages,
+  getIndex,
+  search,
+  sourcesPrompt,
+  citeSources,
+};
+
+if (require.main === module) {
+  const [command, ...rest] = process.argv.slice(2);
+  const run = command === 'index' ? indexPages() : command === 'search' && rest.length ? search(rest.join(' '), { limit: 5 }) : null;
+  if (!run) {
+    console.error('Usage: node api/_lib/knowledge.js index | search "<query>"');
+    process.exit(1);
+  }
+  run
+    .then((result) => console.log(JSON.stringify(result, null, 2)))
+    .catch((err) => {
+      console.error(err);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,277 @@
+// Language model providers for the chat endpoint.
+//
+// A provider streams a reply as text chunks:
+//
+//   stream({ system, messages, context, signal }) → AsyncIterable<string>
+//
+// `messages` is the conversation (user/assistant turns, oldest first),
+// `system` the prompt built by chat.js and `context` the raw plan/bundles in
+// case a provider wants structured access (the mock does). `sources` are the
+// help-page passages already quoted in `system` (see knowledge.js). Pick one with
+// LLM_PROVIDER:
+//
+//   mock    (default) deterministic canned replies, no network. Set
+//           LLM_MOCK_DELAY_MS to slow the token stream down for UI work.
+//   openai  any OpenAI-compatible /chat/completions API – OpenAI, Groq, xAI.
+//           LLM_API_KEY, LLM_BASE_URL (default https://api.openai.com/v1),
+//           LLM_MODEL (default gpt-4o-mini). A reply that hasn't finished
+//           within LLM_TIMEOUT_MS (default 60000) fails with a 504 HttpError,
+//           whether or not the client is still connected.
+//
+// Keys stay on the server; the browser only ever talks to /api/chat.
+
+const { HttpError } = require('./http');
+const { actionsBlock } = require('./actions');
+const { citeSources } = require('./knowledge');
+
+const DEFAULT_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * @typedef {Object} LlmMessage
+ * @property {'system'|'user'|'assistant'} role
+ * @property {string} content
+ */
+
+/**
+ * @typedef {Object} LlmRequest
+ * @property {string} system
+ * @property {LlmMessage[]} messages
+ * @property {{ plan?: { steps?: string[] }|null, bundles?: Array<{ id?: string, name: string, price?: string }>|null, registry?: Array<{ id: string, name: string }>|null }} [context]
+ * @property {import('./knowledge').KnowledgePassage[]} [sources]
+ * @property {AbortSignal} [signal]
+ */
+
+/**
+ * @typedef {Object} LlmProvider
+ * @property {string} name
+ * @property {(request: LlmRequest) => AsyncIterable<string>} stream
+ */
+
+/* ========================================================================== */
+/* Mock provider                                                              */
+/* ========================================================================== */
+
+/**
+ * Actions for requests like "add a swaddle to my registry", "remind me to
+ * book a car seat check" or "alert me when the Starter kit drops below $100".
+ * @param {string} question
+ * @param {NonNullable<LlmRequest['context']>} context
+ * @returns {object[]}
+ */
+function mockActions(question, context) {
+  const bundles = (Array.isArray(context.bundles) && context.bundles) || [];
+  const registry = (Array.isArray(context.registry) && context.registry) || [];
+  /** @param {Array<{ name: string }>} list @param {string} name */
+  const findByName = (list, name) => list.find((x) => x.name.toLowerCase() === name.toLowerCase())
+    || list.find((x) => x.name.toLowerCase().includes(name.toLowerCase()));
+  const tidy = (text) => text.trim().replace(/^(?:an?|the|some|my)\s+/i, '').replace(/[.!?]+$/, '');
+  const actions = [];
+
+  let match = /\badd\s+(.+?)\s+to\s+(?:my\s+|the\s+)?registry\b/i.exec(question);
+  if (match) {
+    const quantity = /^(\d+)\s+/.exec(tidy(match[1]));
+    const name = tidy(match[1]).replace(/^\d+\s+/, '');
+    actions.push({ type: 'add_registry_item', name, quantity: quantity ? Number(quantity[1]) : 1 });
+  }
+  match = /\bremove\s+(.+?)\s+from\s+(?:my\s+|the\s+)?registry\b/i.exec(question);
+  if (match) {
+    const item = findByName(registry, tidy(match[1]));
+    actions.push({ type: 'remove_registry_item', name: item ? item.name : tidy(match[1]), itemId: item ? item.id : undefined });
+  }
+  match = /\b(?:add\s+(?:a\s+)?milestone|remind\s+me\s+to)[:\s]+(.+)$/im.exec(question);
+  if (match) actions.push({ type: 'add_milestone', label: tidy(match[1]) });
+  match = /\b(?:alert|notify|tell)\s+me\s+(?:when|if)\s+(.+?)\s+(?:drops?|goes|falls|is)\s+(?:below|under)\s+\D?(\d+(?:\.\d+)?)/i
+    .exec(question);
+  if (match) {
+    const bundle = findByName(bundles, tidy(match[1]));
+    actions.push({
+      type: 'set_price_alert',
+      name: bundle ? bundle.name : tidy(match[1]),
+      productId: bundle && bundle.id != null ? String(bundle.id) : undefined,
+      targetPrice: Number(match[2]),
+    });
+  }
+  return actions;
+}
+
+/**
+ * Builds the mock's reply. Only depends on its input, so the same
+ * conversation always gets the same answer.
+ * @param {LlmRequest} request
+ */
+function mockReply({ messages, context = {}, sources = [] }) {
+  const last = [...messages].reverse().find((m) => m.role === 'user');
+  const question = last ? last.content.trim() : '';
+  const lower = question.toLowerCase();
+  const steps = (context.plan && Array.isArray(context.plan.steps) && context.plan.steps) || [];
+  const bundles = (Array.isArray(context.bundles) && context.bundles) || [];
+  const lines = [];
+  const actions = mockActions(question, context);
+
+  if (actions.length) {
+    lines.push(`Sure – here ${actions.length === 1 ? 'is what I can do' : 'are the changes I can make'}. Tap to confirm:`);
+  } else if (sources.length) {
+    lines.push('Here’s what our help pages say:', '', `> ${sources[0].excerpt}`, '', citeSources(sources.slice(0, 2)));
+  } else if (/\b(budget|price|cost|cheap|afford|spend)\b/.test(lower) && bundles.length) {
+    lines.push('Here is how your current bundles compare on price:');
+    bundles.forEach((b) => lines.push(`- ${b.name}${b.price ? `: ${b.price}` : ''}`));
+    lines.push('Start with the essentials and add the rest once you know what you actually use.');
+  } else if (/\b(plan|next|step|todo|to-do|timeline)\b/.test(lower) && steps.length) {
+    lines.push(`Your plan has ${steps.length} step${steps.length === 1 ? '' : 's'}. The next one is:`);
+    lines.push(`- ${steps[0]}`);
+    if (steps.length > 1) lines.push(`After that: ${steps[1]}`);
+  } else if (/\b(bundle|registry|recommend|suggest|buy)\b/.test(lower) && bundles.length) {
+    lines.push(`I'd start with **${bundles[0].name}**${bundles[0].price ? ` (${bundles[0].price})` : ''}.`);
+    if (bundles.length > 1) lines.push(`If you have room, ${bundles[1].name} pairs well with it.`);
+    actions.push({ type: 'add_registry_item', name: bundles[0].name, price: bundles[0].price });
+  } else {
+    lines.push(question ? `Good question about "${question.slice(0, 80)}".` : 'Hi! How can I help?');
+    lines.push(
+      steps.length || bundles.length
+        ? `I can see your plan (${steps.length} steps) and ${bundles.length} recommended bundle(s) – ask me about budget, next steps or what to buy first.`
+        : 'Tell me your due date, space and budget and I can suggest a plan and starter bundles.'
+    );
+  }
+  lines.push('(Development reply from the mock model.)');
+  return lines.join('\n') + (actions.length ? actionsBlock(actions) : '');
+}
+
+/** @returns {LlmProvider} */
+function createMockProvider() {
+  const delay = Math.max(0, Number(process.env.LLM_MOCK_DELAY_MS) || 0);
+  return {
+    name: 'mock',
+    async *stream(request) {
+      // Words plus the whitespace after them, so joining the chunks gives the reply back exactly.
+      const tokens = mockReply(request).match(/\S+\s*|\s+/g) || [];
+      for (const token of tokens) {
+        if (request.signal && request.signal.aborted) return;
+        if (delay) await new Promise((resolve) => setTimeout(resolve, delay));
+        yield token;
+      }
+    },
+  };
+}
+
+/* ========================================================================== */
+/* OpenAI-compatible provider                                                 */
+/* ========================================================================== */
+
+/**
+ * Yields the `data:` payloads of a server-sent event stream.
+ * @param {ReadableStream<Uint8Array>} body
+ */
+async function* sseData(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer = (buffer + decoder.decode(chunk, { stream: true })).replace(/\r\n/g, '\n');
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary >= 0) {
+      const frame = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const data = frame
+        .split('\n')
+        .filter((line) => line.startsWith('data:'))
+        .map((line) => line.slice(5).trimStart())
+        .join('\n');
+      if (data) yield data;
+      boundary = buffer.indexOf('\n\n');
+    }
+  }
+}
+
+/** @returns {LlmProvider} */
+function createOpenAiProvider() {
+  const apiKey = process.env.LLM_API_KEY;
+  if (!apiKey) throw new Error('LLM_API_KEY is not configured');
+  const baseUrl = (process.env.LLM_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  const model = process.env.LLM_MODEL || 'gpt-4o-mini';
+  const timeoutMs = Number(process.env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+
+  return {
+    name: 'openai',
+    async *stream({ system, messages, signal }) {
+      // Covers the whole reply, not just the headers: a stalled stream ends too.
+      const timeout = AbortSignal.timeout(timeoutMs);
+      try {
+        const res = await fetch(`${baseUrl}/chat/completions`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${apiKey}` },
+          body: JSON.stringify({
+            model,
+            stream: true,
+            temperature: 0.4,
+            messages: [{ role: 'system', content: system }, ...messages],
+          }),
+          signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+        });
+        if (!res.ok || !res.body) {
+          const detail = await res.text().catch(() => '');
+          throw new Error(`LLM request failed: HTTP ${res.status} ${detail.slice(0, 200)}`);
+        }
+        for await (const data of sseData(res.body)) {
+          if (data === '[DONE]') return;
+          let parsed;
+          try {
+            parsed = JSON.parse(data);
+          } catch {
+            continue;
+          }
+          const delta = parsed.choices && parsed.choices[0] && parsed.choices[0].delta;
+          if (delta && delta.content) yield delta.content;
+        }
+      } catch (err) {
+        if (timeout.aborted && !(signal && signal.aborted)) {
+          throw new HttpError(504, 'The assistant took too long to answer. Please try again.');
+        }
+        throw err;
+      }
+    },
+  };
+}
+
+/* ========================================================================== */
+/* Registry                                                                   */
+/* ========================================================================== */
+
+/** @type {Record<string, (options: Record<string, any>) => LlmProvider>} */
+const providers = {
+  mock: createMockProvider,
+  openai: createOpenAiProvider,
+};
+
+/**
+ * @param {string} name
+ * @param {(options: Record<string, any>) => LlmProvider} factory
+ */
+function registerProvider(name, factory) {
+  providers[name] = factory;
+}
+
+/** @returns {LlmProvider} */
+function getProvider() {
+  const name = process.env.LLM_PROVIDER || 'mock';
+  const factory = providers[name];
+  if (!factory) throw new Error(`Unknown LLM provider: ${name}`);
+  return factory({});
+}
+
+/**
+ * Runs a request to completion and returns the whole reply.
+ * @param {LlmRequest} request
+ * @param {LlmProvider} [provider]
+ */
+async function complete(request, provider = getProvider()) {
+  let text = '';
+  for await (const chunk of provider.stream(request)) text += chunk;
+  return text;
+}
+
+module.exports = {
+  createMockProvider,
+  createOpenAiProvider,
+  registerProvider,
+  getProvider,
+  complete,
+};
@@ -0,0 +1,68 @@
+// Heuristic content flags for user-generated text (reviews for now).
+//
+// These only *flag* – nothing is auto-rejected. The owner dashboard shows the
+// flags and reasons next to each item so the human decision is quick.
+
+const PROFANITY = [
+  'arse', 'arsehole', 'asshole', 'bastard', 'bitch', 'bollocks', 'bullshit', 'crap', 'cunt',
+  'damn', 'dick', 'fuck', 'fucked', 'fucking', 'motherfucker', 'piss', 'prick', 'shit',
+  'shitty', 'slut', 'twat', 'wanker', 'whore',
+];
+
+const SPAM_PHRASES = [
+  'buy now', 'click here', 'promo code', 'discount code', 'coupon code', 'free money',
+  'work from home', 'crypto', 'bitcoin', 'forex', 'casino', 'viagra', 'cialis', 'loan',
+  'whatsapp', 'telegram', 'dm me', 'follow me', 'check my profile',
+];
+
+const PROFANITY_RE = new RegExp(`\\b(?:${PROFANITY.join('|')})\\b`, 'i');
+const LINK_RE = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|io|ru|cn|xyz|biz|info|shop)\b/gi;
+
+/**
+ * @typedef {Object} ContentFlag
+ * @property {'spam'|'profanity'} type
+ * @property {string} reason
+ */
+
+/**
+ * Lower-cased, whitespace-collapsed text used for duplicate detection.
+ * @param {string} text
+ */
+function fingerprint(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * @param {string} text
+ * @param {{ duplicateOf?: string|null }} [context]  id of an earlier item with the same text
+ * @returns {ContentFlag[]}
+ */
+function contentFlags(text, context = {}) {
+  const value = String(text || '');
+  /** @type {ContentFlag[]} */
+  const flags = [];
+
+  const profane = PROFANITY_RE.exec(value);
+  if (profane) flags.push({ type: 'profanity', reason: `Contains “${profane[0]}”` });
+
+  const links = value.match(LINK_RE) || [];
+  if (links.length) flags.push({ type: 'spam', reason: `Contains ${links.length} link(s)` });
+
+  const lower = value.toLowerCase();
+  const phrase = SPAM_PHRASES.find((p) => lower.includes(p));
+  if (phrase) flags.push({ type: 'spam', reason: `Promotional phrase “${phrase}”` });
+
+  const letters = value.replace(/[^a-z]/gi, '');
+  if (letters.length >= 20 && letters === letters.toUpperCase()) {
+    flags.push({ type: 'spam', reason: 'Written in all caps' });
+  }
+  if (/(.)\1{6,}/.test(value)) flags.push({ type: 'spam', reason: 'Long runs of repeated characters' });
+  if (context.duplicateOf) flags.push({ type: 'spam', reason: `Same text as review ${context.duplicateOf}` });
+
+  return flags;
+}
+
+module.exports = {
+  contentFlags,
+  fingerprint,
+};
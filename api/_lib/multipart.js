@@ -0,0 +1,154 @@
+const { HttpError, readBody } = require('./http');
+
+// multipart/form-data parsing for uploads.
+//
+// The whole body is buffered (serverless request bodies are small and capped
+// anyway) and split on the boundary. Limits are enforced while parsing so an
+// oversized upload fails with a 413 instead of being held in memory twice.
+
+/**
+ * @typedef {Object} UploadedFile
+ * @property {string} field
+ * @property {string} filename
+ * @property {string} contentType   as claimed by the client; sniff before trusting
+ * @property {Buffer} data
+ */
+
+/**
+ * @typedef {Object} MultipartLimits
+ * @property {number} [maxBytes]      whole request
+ * @property {number} [maxFiles]
+ * @property {number} [maxFileBytes]  per file
+ * @property {number} [maxFields]
+ * @property {number} [maxFieldBytes] per text field
+ */
+
+const DEFAULT_LIMITS = {
+  maxBytes: 4.5 * 1024 * 1024,
+  maxFiles: 4,
+  maxFileBytes: 4 * 1024 * 1024,
+  maxFields: 50,
+  maxFieldBytes: 16 * 1024,
+};
+
+/**
+ * @param {string|undefined} contentType
+ * @returns {string}
+ */
+function boundaryOf(contentType) {
+  const match = /^multipart\/form-data\s*;.*?\bboundary=(?:"([^"]+)"|([^\s;]+))/i.exec(contentType || '');
+  if (!match) throw new HttpError(415, 'Expected multipart/form-data');
+  return match[1] || match[2];
+}
+
+/**
+ * Parses one part's header block into a lower-cased map.
+ * @param {string} block
+ */
+function parsePartHeaders(block) {
+  /** @type {Record<string, string>} */
+  const headers = {};
+  block.split('\r\n').forEach((line) => {
+    const sep = line.indexOf(':');
+    if (sep > 0) headers[line.slice(0, sep).trim().toLowerCase()] = line.slice(sep + 1).trim();
+  });
+  return headers;
+}
+
+/**
+ * @param {string} disposition
+ * @param {string} key
+ * @returns {string|null}
+ */
+function dispositionParam(disposition, key) {
+  const match = new RegExp(`(?:^|;)\\s*${key}="((?:[^"\\\\]|\\\\.)*)"`, 'i').exec(disposition)
+    || new RegExp(`(?:^|;)\\s*${key}=([^;]+)`, 'i').exec(disposition);
+  return match ? match[1].replace(/\\(.)/g, '$1').trim() : null;
+}
+
+/**
+ * @param {Buffer} body
+ * @param {string} contentType
+ * @param {MultipartLimits} [limits]
+ * @returns {{ fields: Record<string, string>, files: UploadedFile[] }}
+ */
+function parseMultipart(body, contentType, limits = {}) {
+  const opts = { ...DEFAULT_LIMITS, ...limits };
+  const delimiter = Buffer.from(`--${boundaryOf(contentType)}`);
+
+  /** @type {Record<string, string>} */
+  const fields = {};
+  /** @type {UploadedFile[]} */
+  const files = [];
+  let fieldCount = 0;
+
+  let start = body.indexOf(delimiter);
+  if (start < 0) throw new HttpError(400, 'Malformed multipart body');
+
+  while (start >= 0) {
+    const afterDelimiter = start + delimiter.length;
+    // "--" right after a delimiter marks the end of the body.
+    if (body.slice(afterDelimiter, afterDelimiter + 2).toString() === '--') break;
+
+    const headerStart = afterDelimiter + 2; // skip CRLF
+    const headerEnd = body.indexOf('\r\n\r\n', headerStart);
+    if (headerEnd < 0) throw new HttpError(400, 'Malformed multipart body');
+    const next = body.indexOf(delimiter, headerEnd + 4);
+    if (next < 0) throw new HttpError(400, 'Malformed multipart body');
+
+    const headers = parsePartHeaders(body.slice(headerStart, headerEnd).toString('utf8'));
+    const content = body.slice(headerEnd + 4, next - 2); // part ends with CRLF before the delimiter
+    const disposition = headers['content-disposition'] || '';
+    const name = dispositionParam(disposition, 'name');
+    const filename = dispositionParam(disposition, 'filename');
+
+    if (name != null) {
+      if (filename != null) {
+        if (content.length) {
+          if (files.length >= opts.maxFiles) throw new HttpError(413, `At most ${opts.maxFiles} files`);
+          if (content.length > opts.maxFileBytes) {
+            throw new HttpError(413, `Each file must be under ${Math.floor(opts.maxFileBytes / (1024 * 1024))} MB`);
+          }
+          files.push({
+            field: name,
+            filename: filename.split(/[\\/]/).pop() || 'upload',
+            contentType: headers['content-type'] || 'application/octet-stream',
+            data: Buffer.from(content),
+          });
+        }
+      } else {
+        fieldCount += 1;
+        if (fieldCount > opts.maxFields) throw new HttpError(413, 'Too many form fields');
+        if (content.length > opts.maxFieldBytes) throw new HttpError(413, `Field "${name}" is too long`);
+        fields[name] = content.toString('utf8');
+      }
+    }
+    start = next;
+  }
+
+  return { fields, files };
+}
+
+/**
+ * Reads and parses a multipart request.
+ * @param {import('http').IncomingMessage & { body?: any }} req
+ * @param {MultipartLimits} [limits]
+ */
+async function readMultipart(req, limits = {}) {
+  const maxBytes = limits.maxBytes || DEFAULT_LIMITS.maxBytes;
+  const contentType = req.headers['content-type'];
+  boundaryOf(contentType);
+
+  const declared = Number(req.headers['content-length']);
+  if (Number.isFinite(declared) && declared > maxBytes) throw new HttpError(413, 'Upload too large');
+
+  const body = Buffer.isBuffer(req.body) ? req.body : await readBody(req, maxBytes);
+  if (body.length > maxBytes) throw new HttpError(413, 'Upload too large');
+  return parseMultipart(body, contentType, limits);
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  parseMultipart,
+  readMultipart,
+};
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+
+// Outgoing email queue.
+//
+// Features never talk to a mail provider directly; they queue messages here
+// and a sender (or, locally, a person reading `.data/email_outbox.json`)
+// drains the queue. Entries stay `queued` until something marks them sent.
+//
+// Entries queued with `purgeOnSend` are removed once marked sent instead of
+// being kept: the notice confirming an erasure has to go to the address that
+// was just erased, and shouldn't leave a copy of it behind.
+//
+// Queued entries are never dropped to make room: past MAX_ENTRIES only the
+// oldest sent or failed ones are trimmed.
+
+const COLLECTION = 'email_outbox';
+const MAX_ENTRIES = 5000;
+
+/**
+ * @typedef {Object} OutboxEmail
+ * @property {string} id
+ * @property {string} to
+ * @property {string} subject
+ * @property {string} text
+ * @property {string} kind                 e.g. 'price_alert', 'price_alert_manage'
+ * @property {Record<string, string>} [headers]
+ * @property {boolean} [purgeOnSend]        dropped from the outbox once sent
+ * @property {'queued'|'sent'|'failed'} status
+ * @property {string} queuedAt
+ * @property {string} [sentAt]
+ */
+
+/**
+ * @param {{ to: string, subject: string, text: string, kind: string, headers?: Record<string, string>, purgeOnSend?: boolean, [key: string]: unknown }} email
+ * @returns {Promise<OutboxEmail>}
+ */
+async function queueEmail(email) {
+  const storage = getStorage();
+  const id = `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+  const entry = await storage.put(COLLECTION, id, {
+    id,
+    ...email,
+    status: 'queued',
+    queuedAt: new Date().toISOString(),
+  });
+  await trimFinished(storage);
+  return entry;
+}
+
+/**
+ * Drops the oldest sent/failed entries once the outbox is over MAX_ENTRIES.
+ * @param {ReturnType<typeof getStorage>} storage
+ */
+async function trimFinished(storage) {
+  const entries = await storage.list(COLLECTION);
+  const excess = entries.length - MAX_ENTRIES;
+  if (excess <= 0) return;
+  const finished = entries
+    .filter((entry) => entry.status === 'sent' || entry.status === 'failed')
+    .sort((a, b) => String(a.queuedAt).localeCompare(String(b.queuedAt)))
+    .slice(0, excess);
+  for (const entry of finished) await storage.remove(COLLECTION, entry.id);
+}
+
+/**
+ * Oldest first, optionally filtered.
+ * @param {{ status?: string, to?: string, kind?: string }} [filter]
+ * @returns {Promise<OutboxEmail[]>}
+ */
+async function listOutbox(filter = {}) {
+  const entries = await getStorage().list(COLLECTION);
+  return entries
+    .filter((entry) => !filter.status || entry.status === filter.status)
+    .filter((entry) => !filter.to || entry.to === filter.to)
+    .filter((entry) => !filter.kind || entry.kind === filter.kind)
+    .sort((a, b) => String(a.queuedAt).localeCompare(String(b.queuedAt)));
+}
+
+/**
+ * @param {string} id
+ * @param {'sent'|'failed'} status
+ */
+async function markEmail(id, status) {
+  const storage = getStorage();
+  const updated = await storage.update(COLLECTION, id, (current) => {
+    if (!current) return undefined;
+    return { ...current, status, sentAt: status === 'sent' ? new Date().toISOString() : current.sentAt };
+  });
+  if (updated && status === 'sent' && updated.purgeOnSend) await storage.remove(COLLECTION, id);
+  return updated;
+}
+
+module.exports = {
+  COLLECTION,
+  queueEmail,
+  listOutbox,
+  markEmail,
+};
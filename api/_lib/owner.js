@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { sendError, handleError } = require('./http');
+
+// Owner dashboard session tokens and data access.
+//
+// Tokens are `<base64url payload>.<base64url HMAC-SHA256>` signed with
+// OWNER_TOKEN_SECRET. They carry their own expiry, so no session table is
+// needed and any serverless instance can verify them.
+
+const DEFAULT_TOKEN_TTL_SECONDS = 2 * 60 * 60;
+
+const COLLECTIONS = {
+  METRICS: 'owner_metrics',
+  LOGS: 'owner_logs',
+  GROWTH: 'owner_growth',
+};
+
+function tokenSecret() {
+  const secret = process.env.OWNER_TOKEN_SECRET;
+  if (!secret) throw new Error('OWNER_TOKEN_SECRET is not configured');
+  return secret;
+}
+
+function tokenTtlSeconds() {
+  const ttl = Number(process.env.OWNER_TOKEN_TTL_SECONDS);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_TOKEN_TTL_SECONDS;
+}
+
+/** @param {string} payload */
+function sign(payload) {
+  return crypto.createHmac('sha256', tokenSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * Constant-time string comparison that doesn't leak length.
+ * @param {string} a
+ * @param {string} b
+ */
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+/**
+ * @param {string} password
+ * @returns {boolean}
+ */
+function checkOwnerPassword(password) {
+  const expected = process.env.OWNER_PASSWORD;
+  if (!expected || !password) return false;
+  return safeEqual(password, expected);
+}
+
+/**
+ * @param {string} [subject]
+ * @returns {{ token: string, expiresAt: string }}
+ */
+function issueToken(subject = 'owner') {
+  const now = Math.floor(Date.now() / 1000);
+  const exp = now + tokenTtlSeconds();
+  const payload = Buffer.from(JSON.stringify({ sub: subject, iat: now, exp })).toString('base64url');
+  return {
+    token: `${payload}.${sign(payload)}`,
+    expiresAt: new Date(exp * 1000).toISOString(),
+  };
+}
+
+/**
+ * @param {string} token
+ * @returns {{ sub: string, iat: number, exp: number }|null}
+ */
+function verifyToken(token) {
+  if (!token || typeof token !== 'string') return null;
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+  if (!safeEqual(signature, sign(payload))) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!claims || typeof claims.exp !== 'number') return null;
+    if (claims.exp <= Math.floor(Date.now() / 1000)) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Verifies the bearer token on the request, replying 401 when it is missing,
+ * malformed or expired, and 500 when OWNER_TOKEN_SECRET isn't configured.
+ * Handlers call this before their own try block, so it must not throw.
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @returns {{ sub: string, iat: number, exp: number }|null}
+ */
+function requireOwner(req, res) {
+  const header = req.headers.authorization || '';
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  let claims;
+  try {
+    claims = match ? verifyToken(match[1].trim()) : null;
+  } catch (err) {
+    handleError(res, err, 'owner:auth');
+    return null;
+  }
+  if (!claims) {
+    res.setHeader('WWW-Authenticate', 'Bearer realm="owner"');
+    sendError(res, 401, 'Unauthorized');
+    return null;
+  }
+  return claims;
+}
+
+/* ========================================================================== */
+/* Dashboard data                                                             */
+/* ========================================================================== */
+
+/**
+ * Metric map in the `{ key: number|string }` shape `renderMetrics` expects.
+ * @returns {Promise<Record<string, number|string>>}
+ */
+async function getMetrics() {
+  const records = await getStorage().list(COLLECTIONS.METRICS);
+  /** @type {Record<string, number|string>} */
+  const metrics = {};
+  records.forEach((record) => {
+    if (record && record.key != null) metrics[record.key] = record.value;
+  });
+  return metrics;
+}
+
+/**
+ * @param {string} key
+ * @param {number|string} value
+ */
+function setMetric(key, value) {
+  return getStorage().put(COLLECTIONS.METRICS, key, {
+    key,
+    value,
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Newest-first log entries (`{ message, timestamp, severity }`).
+ * @param {{ limit?: number }} [options]
+ */
+async function listLogs(options = {}) {
+  const limit = options.limit || 100;
+  const entries = await getStorage().list(COLLECTIONS.LOGS);
+  return entries
+    .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)))
+    .slice(0, limit);
+}
+
+/**
+ * Records an entry on the owner compliance log stream.
+ * @param {string} message
+ * @param {{ severity?: 'low'|'medium'|'high'|'critical', [key: string]: unknown }} [meta]
+ */
+function appendLog(message, meta = {}) {
+  const { severity = 'low', ...rest } = meta;
+  return getStorage().append(COLLECTIONS.LOGS, {
+    message,
+    severity,
+    timestamp: new Date().toISOString(),
+    ...rest,
+  });
+}
+
+/** Growth ideas (`{ idea, owner, status }`). */
+async function listGrowth() {
+  const items = await getStorage().list(COLLECTIONS.GROWTH);
+  return items.map(({ idea, owner, status }) => ({ idea, owner, status }));
+}
+
+module.exports = {
+  COLLECTIONS,
+  safeEqual,
+  checkOwnerPassword,
+  issueToken,
+  verifyToken,
+  requireOwner,
+  getMetrics,
+  setMetric,
+  listLogs,
+  appendLog,
+  listGrowth,
+};
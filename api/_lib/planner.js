@@ -0,0 +1,251 @@
+const { HttpError } = require('./http');
+const { getProduct } = require('./catalog');
+const { recommend } = require('./recommend');
+
+// Due-date / baby-age planner behind /api/planner and planner.js.
+//
+// Everything is measured in days relative to the birth (or due) date: week
+// 28 of pregnancy is day -84, a two-month-old is day 60. From that offset the
+// planner works out
+//
+//   stage    where the family is right now (STAGES)
+//   tasks    what to do now and in the next few weeks, each with a date
+//            (TASKS) – `steps` is the same list as display strings, which is
+//            what the experience layer turns into milestones
+//   bundles  gear worth sorting out at this stage: the recommender's picks
+//            for the stage's categories plus a few later-stage extras
+//
+// Bundle ids are catalog ids, so they stay stable between runs (registry
+// merges and price alerts key on them).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PREGNANCY_DAYS = 280;
+const MAX_AGE_DAYS = 3 * 365;
+
+/** Show tasks due up to this many days ahead… */
+const TASK_HORIZON_DAYS = 56;
+/** …and ones that slipped by at most this many days. */
+const TASK_GRACE_DAYS = 14;
+const MIN_TASKS = 3;
+
+/**
+ * @typedef {Object} PlannerStage
+ * @property {string} id
+ * @property {string} label
+ * @property {number} until        last day (offset) of the stage
+ * @property {string[]} categories catalog categories to recommend gear for
+ * @property {string[]} extras     specific catalog products for this stage
+ */
+
+/** @type {PlannerStage[]} */
+const STAGES = [
+  { id: 'first_trimester', label: 'First trimester', until: -183, categories: [], extras: [] },
+  { id: 'second_trimester', label: 'Second trimester', until: -85, categories: ['car_seat', 'sleep', 'stroller'], extras: [] },
+  {
+    id: 'third_trimester',
+    label: 'Third trimester',
+    until: -22,
+    categories: ['car_seat', 'sleep', 'feeding', 'diapering', 'health', 'stroller', 'carrying'],
+    extras: [],
+  },
+  {
+    id: 'final_weeks',
+    label: 'Final weeks before birth',
+    until: -1,
+    categories: ['car_seat', 'sleep', 'feeding', 'diapering', 'health', 'clothing'],
+    extras: [],
+  },
+  { id: 'newborn', label: 'Newborn (0–3 months)', until: 90, categories: ['feeding', 'carrying', 'bathing', 'clothing'], extras: [] },
+  { id: 'infant', label: 'Infant (3–6 months)', until: 180, categories: ['stroller'], extras: ['health-kit-plus'] },
+  { id: 'older_infant', label: 'Older infant (6–12 months)', until: 365, categories: [], extras: ['car-seat-convertible', 'health-kit-plus'] },
+  { id: 'toddler', label: 'Toddler (12 months+)', until: Infinity, categories: [], extras: ['car-seat-convertible'] },
+];
+
+/** Pregnancy week → day offset. */
+const week = (n) => (n - 40) * 7;
+
+/** @type {Array<{ id: string, label: string, due: number }>} */
+const TASKS = [
+  { id: 'first-prenatal', label: 'Book your first prenatal appointment', due: week(10) },
+  { id: 'insurance', label: 'Check what your insurance covers for pregnancy, birth and a breast pump', due: week(12) },
+  { id: 'budget', label: 'Sketch a rough baby budget for the first year', due: week(14) },
+  { id: 'anatomy-scan', label: 'Schedule the 20-week anatomy scan', due: week(18) },
+  { id: 'leave', label: 'Plan parental leave with your employer', due: week(20) },
+  { id: 'registry-start', label: 'Start your baby registry with the big items', due: week(22) },
+  { id: 'childcare', label: 'Research childcare options and join waitlists', due: week(24) },
+  { id: 'classes', label: 'Sign up for birth, feeding and infant CPR classes', due: week(26) },
+  { id: 'pediatrician', label: 'Choose a pediatrician', due: week(30) },
+  { id: 'registry-finish', label: 'Finish the registry before the baby shower', due: week(32) },
+  { id: 'sleep-space', label: 'Set up a safe sleep space: firm, flat and nothing else in it', due: week(32) },
+  { id: 'car-seat', label: 'Install the car seat and have the installation checked', due: week(35) },
+  { id: 'hospital-bag', label: 'Pack the hospital bag', due: week(36) },
+  { id: 'birth-plan', label: 'Write a birth plan and go over it with your provider', due: week(36) },
+  { id: 'wash', label: 'Wash baby clothes, swaddles and bedding', due: week(38) },
+  { id: 'meals', label: 'Stock the freezer and household basics', due: week(38) },
+  { id: 'contacts', label: 'Save the hospital, pediatrician and lactation consultant numbers', due: week(39) },
+  { id: 'first-checkup', label: 'First pediatrician visit (3–5 days old)', due: 5 },
+  { id: 'birth-certificate', label: 'Register the birth and apply for the birth certificate', due: 10 },
+  { id: 'tummy-time', label: 'Start short daily tummy-time sessions', due: 14 },
+  { id: 'add-insurance', label: 'Add baby to your health insurance (often required within 30 days)', due: 30 },
+  { id: 'two-month', label: '2-month checkup and vaccines', due: 60 },
+  { id: 'four-month', label: '4-month checkup', due: 120 },
+  { id: 'stop-swaddle', label: 'Stop swaddling once baby shows signs of rolling', due: 120 },
+  { id: 'babyproof', label: 'Baby-proof outlets and cabinets and anchor heavy furniture', due: 150 },
+  { id: 'solids-talk', label: 'Ask your pediatrician about starting solids', due: 170 },
+  { id: 'six-month', label: '6-month checkup', due: 180 },
+  { id: 'gates', label: 'Install stair gates before baby crawls', due: 210 },
+  { id: 'nine-month', label: '9-month checkup', due: 270 },
+  { id: 'convertible-seat', label: 'Move to a convertible car seat once baby outgrows the infant seat', due: 300 },
+  { id: 'twelve-month', label: '12-month checkup', due: 365 },
+  { id: 'toddler-proof', label: 'Re-check baby-proofing now that they’re on the move', due: 400 },
+  { id: 'fifteen-month', label: '15-month checkup', due: 455 },
+  { id: 'eighteen-month', label: '18-month checkup', due: 545 },
+  { id: 'two-year', label: '2-year checkup', due: 730 },
+  { id: 'thirty-month', label: '30-month checkup', due: 913 },
+  { id: 'three-year', label: '3-year checkup', due: 1095 },
+];
+
+/* ========================================================================== */
+/* Dates                                                                      */
+/* ========================================================================== */
+
+/**
+ * @param {unknown} value  YYYY-MM-DD
+ * @param {string} field
+ * @returns {number} UTC midnight in ms
+ */
+function parseDay(value, field) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ''));
+  const time = match ? Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : NaN;
+  if (!match || Number.isNaN(time) || new Date(time).getUTCDate() !== Number(match[3])) {
+    throw new HttpError(400, `${field} must be a date (YYYY-MM-DD)`);
+  }
+  return time;
+}
+
+/** @param {number} time */
+function isoDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/** @param {number} time */
+function displayDay(time) {
+  return new Date(time).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+}
+
+/* ========================================================================== */
+/* Plan                                                                       */
+/* ========================================================================== */
+
+/** @param {number} offset */
+function stageFor(offset) {
+  return STAGES.find((stage) => offset <= stage.until) || STAGES[STAGES.length - 1];
+}
+
+/**
+ * Tasks due soon (or recently missed), at least MIN_TASKS of them.
+ * @param {number} offset
+ * @param {number} birth  UTC ms of the birth / due date
+ */
+function tasksFor(offset, birth) {
+  const upcoming = TASKS.filter((task) => task.due >= offset - TASK_GRACE_DAYS).sort((a, b) => a.due - b.due);
+  const inWindow = upcoming.filter((task) => task.due <= offset + TASK_HORIZON_DAYS);
+  const picked = inWindow.length >= MIN_TASKS ? inWindow : upcoming.slice(0, MIN_TASKS);
+  return picked.map((task) => {
+    const time = birth + task.due * DAY_MS;
+    return {
+      id: task.id,
+      label: task.label,
+      due: isoDay(time),
+      overdue: task.due < offset,
+      step: `${task.label} (by ${displayDay(time)})`,
+    };
+  });
+}
+
+/**
+ * Gear for the stage: recommender picks in the stage's categories, then the
+ * stage's extras.
+ * @param {PlannerStage} stage
+ * @param {Record<string, any>} preferences  recommender input (budget, feeding, …)
+ */
+async function bundlesFor(stage, preferences) {
+  const bundles = [];
+  if (stage.categories.length) {
+    const { items } = await recommend(preferences, { reranker: null });
+    items
+      .filter((item) => stage.categories.includes(item.category))
+      .forEach((item) => bundles.push({
+        id: item.id,
+        name: item.quantity > 1 ? `${item.title} ×${item.quantity}` : item.title,
+        description: item.description,
+        price: `$${item.price}`,
+        href: `https://www.amazon.com/s?k=${encodeURIComponent(item.title)}`,
+      }));
+  }
+  stage.extras
+    .map((id) => getProduct(id))
+    .filter((product) => product && !bundles.some((b) => b.id === product.id))
+    .forEach((product) => bundles.push({
+      id: product.id,
+      name: product.name,
+      description: product.description,
+      price: `$${product.price}`,
+      href: `https://www.amazon.com/s?k=${encodeURIComponent(product.name)}`,
+    }));
+  return bundles;
+}
+
+/**
+ * @param {{ dueDate?: string, birthDate?: string, today?: string } & Record<string, any>} input
+ *   `today` is the browser's local date so the stage matches the parent's
+ *   calendar; other fields (budget, feeding, space, car, used, multiples)
+ *   are passed on to the recommender.
+ */
+async function buildPlan(input = {}) {
+  const { dueDate, birthDate, today: todayInput, ...rest } = input;
+  if (!dueDate === !birthDate) throw new HttpError(400, 'Give either dueDate or birthDate');
+
+  const today = todayInput ? parseDay(todayInput, 'today') : parseDay(new Date().toISOString().slice(0, 10), 'today');
+  const birth = dueDate ? parseDay(dueDate, 'dueDate') : parseDay(birthDate, 'birthDate');
+  const days = Math.round((today - birth) / DAY_MS);
+
+  if (dueDate && days > 28) throw new HttpError(400, 'That due date has passed – enter the birth date instead');
+  if (dueDate && -days > PREGNANCY_DAYS) throw new HttpError(400, 'dueDate is more than 40 weeks away');
+  if (birthDate && days < 0) throw new HttpError(400, 'birthDate is in the future – enter it as the due date');
+  if (birthDate && days > MAX_AGE_DAYS) throw new HttpError(400, 'The planner covers the first three years');
+
+  /** @type {Record<string, string|number>} */
+  const preferences = {};
+  ['budget', 'feeding', 'space', 'car', 'used', 'multiples'].forEach((key) => {
+    const value = rest[key];
+    if ((typeof value === 'string' && value.trim()) || typeof value === 'number') {
+      preferences[key] = typeof value === 'string' ? value.slice(0, 200) : value;
+    }
+  });
+
+  // Past the due date but not born yet: still the final weeks.
+  const offset = dueDate ? Math.min(days, -1) : days;
+  const stage = stageFor(offset);
+  const tasks = tasksFor(offset, birth);
+  return {
+    plan: {
+      stage: stage.id,
+      stageLabel: stage.label,
+      date: isoDay(birth),
+      dateType: dueDate ? 'due' : 'birth',
+      // Pregnancy week while expecting, age in weeks afterwards.
+      week: offset < 0 ? Math.max(1, Math.floor((PREGNANCY_DAYS + offset) / 7)) : Math.floor(offset / 7),
+      steps: tasks.map((task) => task.step),
+      tasks: tasks.map(({ step, ...task }) => task),
+      generatedOn: isoDay(today),
+    },
+    bundles: await bundlesFor(stage, preferences),
+  };
+}
+
+module.exports = {
+  STAGES,
+  TASKS,
+  buildPlan,
+};
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+
+// Price parsing and price sources for alerts.
+//
+// Bundle prices arrive as display strings ("$129.99", "€1.299,00",
+// "49 GBP"). `parsePrice` turns those into `{ amount, currency }`.
+//
+// Observations come from a price source adapter, chosen with PRICE_SOURCE
+// ("fixture" by default). Adapters implement one method:
+//
+//   fetchPrices(productIds) → Promise<Array<{ productId, price, currency?, observedAt? }>>
+//
+// The fixture adapter reads PRICE_FIXTURE_FILE (default
+// `.data/price-fixtures.json`), shaped like
+//
+//   { "<productId>": "$119.99" }  or  { "<productId>": { "price": "119.99", "currency": "USD" } }
+//
+// Edit the file and run the evaluator to simulate price changes locally.
+// Register real retailer feeds with `registerPriceSource`.
+
+const DEFAULT_CURRENCY = 'USD';
+
+/** Longest symbols first so "C$" wins over "$". */
+const CURRENCY_SYMBOLS = [
+  ['CA$', 'CAD'],
+  ['C$', 'CAD'],
+  ['A$', 'AUD'],
+  ['AU$', 'AUD'],
+  ['US$', 'USD'],
+  ['£', 'GBP'],
+  ['€', 'EUR'],
+  ['¥', 'JPY'],
+  ['₹', 'INR'],
+  ['$', 'USD'],
+].sort((a, b) => b[0].length - a[0].length);
+
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'JPY', 'INR', 'CHF', 'SEK', 'MXN'];
+const ZERO_DECIMAL_CURRENCIES = ['JPY'];
+
+/**
+ * @typedef {Object} ParsedPrice
+ * @property {number} amount     major units, rounded to the currency's precision
+ * @property {string} currency   ISO 4217 code
+ */
+
+/**
+ * Decides which of ',' / '.' is the decimal separator and strips the other.
+ * "1,299.00" → 1299, "1.299,00" → 1299, "12,50" → 12.5, "1,299" → 1299.
+ * @param {string} digits
+ */
+function normalizeNumber(digits) {
+  const lastComma = digits.lastIndexOf(',');
+  const lastDot = digits.lastIndexOf('.');
+  if (lastComma >= 0 && lastDot >= 0) {
+    const decimal = lastComma > lastDot ? ',' : '.';
+    const thousands = decimal === ',' ? '.' : ',';
+    return digits.split(thousands).join('').replace(decimal, '.');
+  }
+  if (lastComma >= 0) {
+    const decimals = digits.length - lastComma - 1;
+    return decimals === 2 && digits.indexOf(',') === lastComma
+      ? digits.replace(',', '.')
+      : digits.split(',').join('');
+  }
+  return digits;
+}
+
+/**
+ * @param {unknown} value             "$129.99", "129.99 USD", 129.99, { amount, currency }
+ * @param {string} [fallbackCurrency]
+ * @returns {ParsedPrice|null}
+ */
+function parsePrice(value, fallbackCurrency = DEFAULT_CURRENCY) {
+  if (value == null || value === '') return null;
+
+  if (typeof value === 'object') {
+    const obj = /** @type {Record<string, unknown>} */ (value);
+    return parsePrice(obj.amount ?? obj.price, String(obj.currency || fallbackCurrency));
+  }
+
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0
+      ? { amount: roundAmount(value, fallbackCurrency), currency: fallbackCurrency.toUpperCase() }
+      : null;
+  }
+
+  const text = String(value).trim();
+  let currency = CURRENCY_CODES.find((code) => new RegExp(`\\b${code}\\b`, 'i').test(text)) || '';
+  if (!currency) {
+    const symbol = CURRENCY_SYMBOLS.find(([sym]) => text.includes(sym));
+    if (symbol) currency = symbol[1];
+  }
+
+  const match = /\d[\d.,\s]*/.exec(text);
+  if (!match) return null;
+  const amount = Number(normalizeNumber(match[0].replace(/\s+/g, '').replace(/[.,]$/, '')));
+  if (!Number.isFinite(amount) || amount < 0) return null;
+
+  const resolved = (currency || fallbackCurrency).toUpperCase();
+  return { amount: roundAmount(amount, resolved), currency: resolved };
+}
+
+/**
+ * @param {number} amount
+ * @param {string} currency
+ */
+function roundAmount(amount, currency) {
+  const factor = ZERO_DECIMAL_CURRENCIES.includes(String(currency).toUpperCase()) ? 1 : 100;
+  return Math.round(amount * factor) / factor;
+}
+
+/**
+ * @param {ParsedPrice} price
+ * @returns {string}
+ */
+function formatPrice(price) {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: price.currency }).format(price.amount);
+  } catch {
+    return `${price.amount} ${price.currency}`;
+  }
+}
+
+/* ========================================================================== */
+/* Price sources                                                              */
+/* ========================================================================== */
+
+/**
+ * @typedef {Object} PriceObservation
+ * @property {string} productId
+ * @property {unknown} price
+ * @property {string} [currency]
+ * @property {string} [observedAt]
+ */
+
+/**
+ * @typedef {Object} PriceSource
+ * @property {string} name
+ * @property {(productIds: string[]) => Promise<PriceObservation[]>} fetchPrices
+ */
+
+/**
+ * @param {{ file?: string }} [options]
+ * @returns {PriceSource}
+ */
+function createFixtureSource(options = {}) {
+  const file = options.file
+    || process.env.PRICE_FIXTURE_FILE
+    || path.join(process.env.IB_DATA_DIR || path.join(process.cwd(), '.data'), 'price-fixtures.json');
+
+  return {
+    name: 'fixture',
+    async fetchPrices(productIds) {
+      let fixtures = {};
+      try {
+        fixtures = JSON.parse(await fs.promises.readFile(file, 'utf8')) || {};
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+
+      const observedAt = new Date().toISOString();
+      return productIds
+        .filter((id) => Object.prototype.hasOwnProperty.call(fixtures, id))
+        .map((id) => {
+          const entry = fixtures[id];
+          return entry && typeof entry === 'object'
+            ? { productId: id, price: entry.price, currency: entry.currency, observedAt }
+            : { productId: id, price: entry, observedAt };
+        });
+    },
+  };
+}
+
+/** @type {Record<string, (options: Record<string, any>) => PriceSource>} */
+const sources = {
+  fixture: createFixtureSource,
+};
+
+/**
+ * @param {string} name
+ * @param {(options: Record<string, any>) => PriceSource} factory
+ */
+function registerPriceSource(name, factory) {
+  sources[name] = factory;
+}
+
+/** @returns {PriceSource} */
+function getPriceSource() {
+  const name = process.env.PRICE_SOURCE || 'fixture';
+  const factory = sources[name];
+  if (!factory) throw new Error(`Unknown price source: ${name}`);
+  return factory({});
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  parsePrice,
+  formatPrice,
+  createFixtureSource,
+  registerPriceSource,
+  getPriceSource,
+};
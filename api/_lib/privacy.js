@@ -0,0 +1,738 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { getBlobs } = require('./blobs');
+const { HttpError, siteOrigin } = require('./http');
+const { appendLog, safeEqual } = require('./owner');
+const { queueEmail, COLLECTION: OUTBOX } = require('./outbox');
+const { COLLECTIONS: ALERTS, normalizeEmail, toPublicAlert } = require('./alerts');
+const { COLLECTION: REVIEWS, photoKey } = require('./reviews');
+const { COLLECTION: TICKETS, attachmentKey } = require('./support');
+const { COLLECTION: RATINGS } = require('./ratings');
+const { COLLECTION: SHARES, getShareAsOwner, toOwnerShare, claimKeyMatches } = require('./registry');
+
+// Data subject requests (privacy.html § 16, /api/privacy/request) and the
+// owner's view of them (/api/owner/privacy).
+//
+//   pending_verification  submitted; a one-time link went to the address
+//   verified              the requester confirmed – processing runs right
+//                         away, so a request only stays here if it failed
+//                         and is waiting for the owner to retry it
+//   completed             export ready for download / data erased
+//   rejected              the owner declined it, with a reason
+//   expired               the link wasn't used within VERIFY_TTL_DAYS
+//
+// The email link opens privacy.html, which confirms with a POST – never a
+// GET, so a mail scanner prefetching the link can't trigger an erasure.
+//
+// The statutory clock runs from receipt: RESPONSE_DAYS (GDPR's one month;
+// the CCPA's 45 days is looser), extendable once to EXTENDED_DAYS with a
+// reason, which the requester is told by email.
+//
+// Covered stores: price alerts, reviews (and their photos), support tickets
+// (attachments, answer ratings), emails queued to the address, and shared
+// registries and gift claims. Registries aren't tied to an email, so they're
+// only covered when the confirming browser proves them with the owner or
+// claim keys it saved. Newsletter sign-ups aren't stored server-side (the
+// home page form is client-only); the export says so.
+//
+// Every step is appended to the 'privacy_audit' stream with the request id
+// and a hash of the email – never the address – so the trail outlives an
+// erasure. A completed delete request keeps only a masked address, and the
+// notice confirming the erasure leaves the outbox as soon as it's sent.
+
+const COLLECTIONS = {
+  REQUESTS: 'privacy_requests',
+  AUDIT: 'privacy_audit',
+};
+
+const TYPES = ['export', 'delete'];
+const TYPE_ALIASES = { access: 'export', erasure: 'delete', deletion: 'delete' };
+const STATUSES = ['pending_verification', 'verified', 'completed', 'rejected', 'expired'];
+const OPEN_STATUSES = ['pending_verification', 'verified'];
+const OWNER_ACTIONS = ['process', 'extend', 'reject'];
+
+const RESPONSE_DAYS = 30;
+const EXTENDED_DAYS = 90;
+const VERIFY_TTL_DAYS = 7;
+const EXPORT_TTL_DAYS = 14;
+/** A repeat of a still-pending request within this window doesn't send another email. */
+const RESEND_AFTER_MINUTES = 10;
+const MAX_REQUESTS_PER_DAY = 5;
+const MAX_NOTES_LENGTH = 2000;
+const MAX_REASON_LENGTH = 1000;
+const MAX_PROOFS = 50;
+const AUDIT_LIMIT = 20000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const NEWSLETTER_NOTE = 'Newsletter sign-ups on the home page are not stored on our servers, so there is no subscription on record.';
+const FILES_NOTE = 'Review photos and support attachments are listed by type and size; reply to the email that came with this export if you want copies of the files.';
+
+/**
+ * @typedef {Object} PrivacyRequest
+ * @property {string} id
+ * @property {'export'|'delete'} type
+ * @property {'pending_verification'|'verified'|'completed'|'rejected'} status  'expired' is derived, see statusOf
+ * @property {string} email              masked once a delete request completes
+ * @property {string} emailHash
+ * @property {string} notes
+ * @property {string} tokenHash
+ * @property {string} receivedAt
+ * @property {string} verifyBy
+ * @property {string} dueAt
+ * @property {string} [verifiedAt]
+ * @property {{ registryIds: string[], claims: Array<{ shareId: string, claimId: string }> }} [proven]  registries the requester proved
+ * @property {{ reason: string, by: string, at: string, previousDueAt: string }} [extension]
+ * @property {{ reason: string, by: string, at: string }} [rejection]
+ * @property {Record<string, number>} [result]   records exported / erased per store
+ * @property {string} [exportKey]
+ * @property {string} [exportExpiresAt]
+ * @property {string} [completedAt]
+ * @property {string|null} [error]       last processing failure
+ */
+
+/**
+ * @typedef {Object} RegistryProofs
+ * @property {Array<{ id: string, ownerKey: string }>} registries
+ * @property {Array<{ shareId: string, claimId: string, claimKey: string }>} claims
+ */
+
+/* ========================================================================== */
+/* Helpers                                                                    */
+/* ========================================================================== */
+
+const newId = () => crypto.randomBytes(8).toString('hex');
+
+/** @param {string} value */
+function hashOf(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/** @param {string} email  j•••@example.com */
+function maskEmail(email) {
+  const [local, domain] = email.split('@');
+  return `${local.slice(0, 1)}•••@${domain}`;
+}
+
+/**
+ * @param {unknown} value
+ * @param {number} max
+ */
+function cleanText(value, max) {
+  return typeof value === 'string' ? value.replace(/[\u0000-\u0008\u000b-\u001f\u007f]/g, ' ').trim().slice(0, max) : '';
+}
+
+/** @param {string} iso @param {number} days */
+function addDays(iso, days) {
+  return new Date(Date.parse(iso) + days * DAY_MS).toISOString();
+}
+
+/**
+ * Stored status, with unconfirmed requests past their link's lifetime shown as expired.
+ * @param {PrivacyRequest} request
+ * @returns {typeof STATUSES[number]}
+ */
+function statusOf(request, now = Date.now()) {
+  return request.status === 'pending_verification' && Date.parse(request.verifyBy) <= now ? 'expired' : request.status;
+}
+
+/**
+ * @param {PrivacyRequest} request
+ * @param {string} event
+ * @param {string} actor   'requester', 'system' or the owner's name
+ * @param {Record<string, unknown>} [detail]
+ */
+function audit(request, event, actor, detail = {}) {
+  return getStorage().append(COLLECTIONS.AUDIT, {
+    requestId: request.id,
+    emailHash: request.emailHash,
+    type: request.type,
+    event,
+    actor,
+    detail,
+    at: new Date().toISOString(),
+  }, { limit: AUDIT_LIMIT });
+}
+
+/**
+ * @param {string} origin
+ * @param {string} id
+ * @param {string} token
+ */
+function requestLink(origin, id, token) {
+  return `${origin}/privacy.html?privacy_request=${encodeURIComponent(id)}&token=${encodeURIComponent(token)}#section-requests`;
+}
+
+/** @param {string} iso */
+function displayDate(iso) {
+  return new Date(iso).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+}
+
+/* ========================================================================== */
+/* Views                                                                      */
+/* ========================================================================== */
+
+/**
+ * What the requester's page sees.
+ * @param {PrivacyRequest} request
+ */
+function toRequesterView(request) {
+  const status = statusOf(request);
+  return {
+    id: request.id,
+    type: request.type,
+    status,
+    receivedAt: request.receivedAt,
+    dueAt: request.dueAt,
+    completedAt: request.completedAt || null,
+    result: request.result || null,
+    download: Boolean(status === 'completed' && request.exportKey && Date.parse(request.exportExpiresAt) > Date.now()),
+    exportExpiresAt: request.exportExpiresAt || null,
+  };
+}
+
+/**
+ * Dashboard row: status with due-date tracking, no token hash.
+ * @param {PrivacyRequest} request
+ */
+function toOwnerRequest(request, now = Date.now()) {
+  const status = statusOf(request, now);
+  const open = OPEN_STATUSES.includes(status);
+  return {
+    id: request.id,
+    type: request.type,
+    status,
+    email: request.email,
+    notes: request.notes,
+    receivedAt: request.receivedAt,
+    verifiedAt: request.verifiedAt || null,
+    dueAt: request.dueAt,
+    daysLeft: open ? Math.ceil((Date.parse(request.dueAt) - now) / DAY_MS) : null,
+    overdue: open && Date.parse(request.dueAt) < now,
+    extension: request.extension || null,
+    rejection: request.rejection || null,
+    completedAt: request.completedAt || null,
+    result: request.result || null,
+    registries: request.proven ? request.proven.registryIds.length + request.proven.claims.length : 0,
+    error: request.error || null,
+  };
+}
+
+/* ========================================================================== */
+/* Submission and confirmation                                                */
+/* ========================================================================== */
+
+/**
+ * The confirmation link always points at PUBLIC_BASE_URL: it carries the
+ * token that unlocks the export or erasure, so it must never follow a
+ * forged Host header.
+ * @param {{ email?: unknown, type?: unknown, notes?: unknown }} input
+ * @returns {Promise<PrivacyRequest>}
+ */
+async function submitRequest(input) {
+  const origin = siteOrigin();
+  const email = normalizeEmail(input.email);
+  const rawType = String(input.type || '').toLowerCase();
+  const type = TYPE_ALIASES[rawType] || rawType;
+  if (!TYPES.includes(type)) throw new HttpError(400, 'type must be export or delete');
+
+  const storage = getStorage();
+  const emailHash = hashOf(email);
+  const now = Date.now();
+  const mine = (await storage.list(COLLECTIONS.REQUESTS)).filter((r) => r.emailHash === emailHash);
+  if (mine.filter((r) => Date.parse(r.receivedAt) > now - DAY_MS).length >= MAX_REQUESTS_PER_DAY) {
+    throw new HttpError(429, 'Too many requests for this email today. Please use the link we already sent.');
+  }
+  const repeat = mine.find((r) => r.type === type && statusOf(r, now) === 'pending_verification' &&
+    Date.parse(r.receivedAt) > now - RESEND_AFTER_MINUTES * 60 * 1000);
+  if (repeat) return repeat;
+
+  const token = crypto.randomBytes(24).toString('base64url');
+  const receivedAt = new Date(now).toISOString();
+  /** @type {PrivacyRequest} */
+  const request = {
+    id: newId(),
+    type: /** @type {'export'|'delete'} */ (type),
+    status: 'pending_verification',
+    email,
+    emailHash,
+    notes: cleanText(input.notes, MAX_NOTES_LENGTH),
+    tokenHash: hashOf(token),
+    receivedAt,
+    verifyBy: addDays(receivedAt, VERIFY_TTL_DAYS),
+    dueAt: addDays(receivedAt, RESPONSE_DAYS),
+  };
+  await storage.put(COLLECTIONS.REQUESTS, request.id, request);
+  await audit(request, 'submitted', 'requester', { notes: Boolean(request.notes) });
+
+  await queueEmail({
+    to: email,
+    subject: type === 'delete' ? 'Confirm your request to delete your InfantBites data' : 'Confirm your request for a copy of your InfantBites data',
+    text: [
+      'Hi,',
+      '',
+      `We received a request to ${type === 'delete' ? 'delete the personal data' : 'send a copy of the personal data'} InfantBites holds for this email address.`,
+      'To confirm it was you, open this link and press “Confirm request”:',
+      '',
+      requestLink(origin, request.id, token),
+      '',
+      `The link works until ${displayDate(request.verifyBy)}. If you didn’t ask for this, ignore this email and nothing will happen.`,
+      '',
+      `Request reference: ${request.id}`,
+    ].join('\n'),
+    kind: 'privacy_verify',
+    requestId: request.id,
+  });
+  await audit(request, 'verification_sent', 'system');
+  return request;
+}
+
+/**
+ * Loads a request by id and its link token.
+ * @param {string} id
+ * @param {unknown} token
+ * @returns {Promise<PrivacyRequest>}
+ */
+async function findWithToken(id, token) {
+  const request = id ? await getStorage().get(COLLECTIONS.REQUESTS, id) : null;
+  if (!request || typeof token !== 'string' || !token || !safeEqual(hashOf(token), request.tokenHash)) {
+    throw new HttpError(404, 'This request link is not valid');
+  }
+  return request;
+}
+
+/**
+ * Keeps the registry proofs that check out; keys are never stored.
+ * @param {Partial<RegistryProofs>} [proofs]
+ * @returns {Promise<NonNullable<PrivacyRequest['proven']>>}
+ */
+async function verifyRegistryProofs(proofs = {}) {
+  const registries = Array.isArray(proofs.registries) ? proofs.registries.slice(0, MAX_PROOFS) : [];
+  const claims = Array.isArray(proofs.claims) ? proofs.claims.slice(0, MAX_PROOFS) : [];
+  /** @type {NonNullable<PrivacyRequest['proven']>} */
+  const proven = { registryIds: [], claims: [] };
+
+  for (const proof of registries) {
+    if (!proof || typeof proof.id !== 'string' || typeof proof.ownerKey !== 'string') continue;
+    try {
+      const share = await getShareAsOwner(proof.id, proof.ownerKey);
+      if (!proven.registryIds.includes(share.id)) proven.registryIds.push(share.id);
+    } catch (err) {
+      if (!(err instanceof HttpError)) throw err;
+    }
+  }
+  for (const proof of claims) {
+    if (!proof || typeof proof.shareId !== 'string' || typeof proof.claimId !== 'string' || typeof proof.claimKey !== 'string') continue;
+    const share = await getStorage().get(SHARES, proof.shareId);
+    const claim = share && (share.claims || []).find((c) => c.id === proof.claimId);
+    if (claim && claimKeyMatches(claim, proof.claimKey)) proven.claims.push({ shareId: share.id, claimId: claim.id });
+  }
+  return proven;
+}
+
+/**
+ * The requester confirms from the emailed link; the request is processed
+ * straight away.
+ * @param {string} id
+ * @param {unknown} token
+ * @param {{ proofs?: Partial<RegistryProofs> }} [options]
+ * @returns {Promise<PrivacyRequest>}
+ */
+async function confirmRequest(id, token, { proofs } = {}) {
+  const request = await findWithToken(id, token);
+  const status = statusOf(request);
+  if (status === 'expired') throw new HttpError(410, 'This link has expired. Please submit the request again.');
+  if (status === 'rejected') throw new HttpError(409, 'This request was declined; check your email for the reason.');
+  if (status !== 'pending_verification') return request;
+
+  const proven = await verifyRegistryProofs(proofs);
+  let confirmed = false;
+  const verified = await getStorage().update(COLLECTIONS.REQUESTS, id, (current) => {
+    if (!current || current.status !== 'pending_verification') return undefined;
+    confirmed = true;
+    return { ...current, status: 'verified', verifiedAt: new Date().toISOString(), proven };
+  });
+  if (!confirmed) return verified; // a parallel confirmation got there first
+
+  await audit(verified, 'verified', 'requester', { registries: proven.registryIds.length, claims: proven.claims.length });
+  await appendLog(`Privacy ${verified.type} request ${verified.id} confirmed (due ${verified.dueAt.slice(0, 10)})`, {
+    severity: 'medium',
+    type: 'privacy',
+    requestId: verified.id,
+  });
+  return processRequest(verified.id, { by: 'system' });
+}
+
+/* ========================================================================== */
+/* Collection, export and erasure                                             */
+/* ========================================================================== */
+
+/**
+ * Everything stored for the request's email (and the registries it proved).
+ * @param {PrivacyRequest} request
+ */
+async function collectData(request) {
+  const storage = getStorage();
+  const { email } = request;
+  const tickets = (await storage.list(TICKETS)).filter((t) => t.email === email);
+  const messageIds = new Set(tickets.flatMap((t) => t.messages.map((m) => m.id)));
+  const proven = request.proven || { registryIds: [], claims: [] };
+
+  const shares = [];
+  for (const id of proven.registryIds) {
+    const share = await storage.get(SHARES, id);
+    if (share) shares.push(share);
+  }
+  const claims = [];
+  for (const ref of proven.claims) {
+    const share = await storage.get(SHARES, ref.shareId);
+    const claim = share && (share.claims || []).find((c) => c.id === ref.claimId);
+    if (claim) claims.push({ share, claim });
+  }
+
+  return {
+    alerts: (await storage.list(ALERTS.ALERTS)).filter((a) => a.email === email),
+    reviews: (await storage.list(REVIEWS)).filter((r) => r.email === email),
+    tickets,
+    ratings: (await storage.list(RATINGS)).filter((r) => messageIds.has(r.id)),
+    emails: (await storage.list(OUTBOX)).filter((e) => e.to === email),
+    shares,
+    claims,
+  };
+}
+
+/**
+ * @param {Awaited<ReturnType<typeof collectData>>} data
+ * @returns {Record<string, number>}
+ */
+function countsOf(data) {
+  return {
+    priceAlerts: data.alerts.length,
+    reviews: data.reviews.length,
+    supportTickets: data.tickets.length,
+    supportRatings: data.ratings.length,
+    emails: data.emails.length,
+    registries: data.shares.length,
+    registryClaims: data.claims.length,
+  };
+}
+
+/**
+ * The downloadable export document.
+ * @param {PrivacyRequest} request
+ * @param {Awaited<ReturnType<typeof collectData>>} data
+ */
+function buildExport(request, data) {
+  return {
+    format: 'infantbites-data-export',
+    version: 1,
+    requestId: request.id,
+    email: request.email,
+    generatedAt: new Date().toISOString(),
+    priceAlerts: data.alerts.map(toPublicAlert),
+    reviews: data.reviews.map(({ fingerprint, flags, ...review }) => review),
+    supportTickets: data.tickets.map(({ readers, ...ticket }) => ticket),
+    supportRatings: data.ratings,
+    registries: data.shares.map(toOwnerShare),
+    registryClaims: data.claims.map(({ share, claim }) => {
+      const { claimKeyHash, ...rest } = claim;
+      const item = share.items.find((i) => i.id === claim.itemId);
+      return { ...rest, shareId: share.id, registryTitle: share.title, itemName: item ? item.name : null };
+    }),
+    emails: data.emails.map(({ subject, text, kind, status, queuedAt, sentAt }) => ({ subject, text, kind, status, queuedAt, sentAt })),
+    newsletter: { subscribed: false, note: NEWSLETTER_NOTE },
+    files: FILES_NOTE,
+  };
+}
+
+/**
+ * Removes everything collectData found, blobs first.
+ * @param {Awaited<ReturnType<typeof collectData>>} data
+ */
+async function eraseData(data) {
+  const storage = getStorage();
+  const blobs = getBlobs();
+
+  for (const review of data.reviews) {
+    for (const photo of review.photos || []) {
+      await blobs.remove(photoKey(review.id, photo.n));
+      await blobs.remove(photoKey(review.id, photo.n, true));
+    }
+    await storage.remove(REVIEWS, review.id);
+  }
+  for (const ticket of data.tickets) {
+    for (const message of ticket.messages) {
+      for (const attachment of message.attachments || []) await blobs.remove(attachmentKey(ticket.id, attachment.n));
+    }
+    await storage.remove(TICKETS, ticket.id);
+  }
+  for (const rating of data.ratings) await storage.remove(RATINGS, rating.id);
+  for (const alert of data.alerts) await storage.remove(ALERTS.ALERTS, alert.id);
+  for (const email of data.emails) await storage.remove(OUTBOX, email.id);
+  for (const share of data.shares) await storage.remove(SHARES, share.id);
+  for (const { share, claim } of data.claims) {
+    await storage.update(SHARES, share.id, (current) => (
+      current ? { ...current, claims: (current.claims || []).filter((c) => c.id !== claim.id) } : undefined
+    ));
+  }
+}
+
+/**
+ * Runs a verified request: builds the export or erases the data, then
+ * completes it and emails the requester. A failure leaves the request
+ * `verified` with `error` set, for the owner to retry.
+ * @param {string} id
+ * @param {{ by: string }} options
+ * @returns {Promise<PrivacyRequest>}
+ */
+async function processRequest(id, { by }) {
+  const storage = getStorage();
+  const request = await storage.get(COLLECTIONS.REQUESTS, id);
+  if (!request) throw new HttpError(404, 'Request not found');
+  if (request.status !== 'verified') throw new HttpError(409, `Only confirmed requests can be processed (this one is ${statusOf(request)})`);
+
+  try {
+    const data = await collectData(request);
+    const result = countsOf(data);
+    const now = new Date().toISOString();
+    /** @type {Partial<PrivacyRequest>} */
+    let changes;
+
+    if (request.type === 'export') {
+      const exportKey = `privacy-export-${request.id}`;
+      await getBlobs().write(exportKey, Buffer.from(JSON.stringify(buildExport(request, data), null, 2)));
+      changes = { exportKey, exportExpiresAt: addDays(now, EXPORT_TTL_DAYS) };
+    } else {
+      await eraseData(data);
+      changes = { email: maskEmail(request.email) };
+      // Earlier, finished requests from the same address lose it too, along
+      // with any export that hasn't been downloaded yet.
+      const earlier = (await storage.list(COLLECTIONS.REQUESTS))
+        .filter((r) => r.id !== id && r.emailHash === request.emailHash && !OPEN_STATUSES.includes(statusOf(r)));
+      for (const other of earlier) {
+        if (other.exportKey) await getBlobs().remove(other.exportKey);
+        await storage.update(COLLECTIONS.REQUESTS, other.id, (current) => ({
+          ...current,
+          email: maskEmail(current.email),
+          exportKey: undefined,
+        }));
+      }
+    }
+
+    const completed = await storage.update(COLLECTIONS.REQUESTS, id, (current) => ({
+      ...current,
+      ...changes,
+      status: 'completed',
+      result,
+      completedAt: now,
+      error: null,
+    }));
+    await audit(completed, request.type === 'export' ? 'export_ready' : 'erased', by, { result });
+
+    await queueEmail({
+      to: request.email,
+      subject: request.type === 'export' ? 'Your InfantBites data export is ready' : 'Your InfantBites data has been deleted',
+      text: (request.type === 'export'
+        ? [
+          'Hi,',
+          '',
+          'The copy of your InfantBites data is ready. Open the link from the confirmation email again to download it.',
+          `It's available until ${displayDate(completed.exportExpiresAt)}.`,
+        ]
+        : [
+          'Hi,',
+          '',
+          'We’ve deleted the personal data InfantBites held for this email address:',
+          ...Object.entries(result).filter(([, n]) => n).map(([store, n]) => `- ${store}: ${n}`),
+          '',
+          'We keep a record that the request was made and completed, without your email address.',
+        ]).concat(['', `Request reference: ${request.id}`]).join('\n'),
+      kind: request.type === 'export' ? 'privacy_export_ready' : 'privacy_deleted',
+      requestId: request.id,
+      purgeOnSend: request.type === 'delete',
+    });
+    return completed;
+  } catch (err) {
+    console.error('[privacy] processing failed', err);
+    const message = err instanceof Error ? err.message : String(err);
+    const failed = await storage.update(COLLECTIONS.REQUESTS, id, (current) => ({ ...current, error: message }));
+    await audit(failed, 'failed', by, { error: message });
+    await appendLog(`Privacy ${request.type} request ${request.id} failed to process: ${message}`, {
+      severity: 'high',
+      type: 'privacy',
+      requestId: request.id,
+    });
+    return failed;
+  }
+}
+
+/* ========================================================================== */
+/* Requester status and download                                              */
+/* ========================================================================== */
+
+/**
+ * @param {string} id
+ * @param {unknown} token
+ */
+async function getRequestStatus(id, token) {
+  return toRequesterView(await findWithToken(id, token));
+}
+
+/**
+ * The export document, while it hasn't expired.
+ * @param {string} id
+ * @param {unknown} token
+ * @returns {Promise<{ request: PrivacyRequest, data: Buffer }>}
+ */
+async function downloadExport(id, token) {
+  const request = await findWithToken(id, token);
+  if (request.type !== 'export' || request.status !== 'completed' || !request.exportKey) {
+    throw new HttpError(409, 'There is no export to download for this request');
+  }
+  const blobs = getBlobs();
+  if (Date.parse(request.exportExpiresAt) <= Date.now()) {
+    await blobs.remove(request.exportKey);
+    throw new HttpError(410, 'This export has expired. Please submit a new request.');
+  }
+  const data = await blobs.read(request.exportKey);
+  if (!data) throw new HttpError(410, 'This export is no longer available. Please submit a new request.');
+  await audit(request, 'downloaded', 'requester');
+  return { request, data };
+}
+
+/* ========================================================================== */
+/* Owner                                                                      */
+/* ========================================================================== */
+
+/**
+ * @param {{ status?: string }} [filter]  'open' (default), 'closed', 'all' or a single status
+ */
+async function listRequests(filter = {}) {
+  const now = Date.now();
+  const all = (await getStorage().list(COLLECTIONS.REQUESTS)).map((r) => toOwnerRequest(r, now));
+  /** @type {Record<string, number>} */
+  const counts = { overdue: all.filter((r) => r.overdue).length };
+  STATUSES.forEach((status) => { counts[status] = all.filter((r) => r.status === status).length; });
+
+  const wanted = filter.status || 'open';
+  const requests = all
+    .filter((r) => wanted === 'all' ||
+      (wanted === 'open' ? OPEN_STATUSES.includes(r.status) : wanted === 'closed' ? !OPEN_STATUSES.includes(r.status) : r.status === wanted))
+    .sort((a, b) => {
+      const openA = OPEN_STATUSES.includes(a.status);
+      const openB = OPEN_STATUSES.includes(b.status);
+      if (openA !== openB) return openA ? -1 : 1;
+      return openA ? a.dueAt.localeCompare(b.dueAt) : b.receivedAt.localeCompare(a.receivedAt);
+    });
+  return { requests, counts };
+}
+
+/**
+ * A request and its audit trail, oldest event first.
+ * @param {string} id
+ */
+async function getRequestDetail(id) {
+  const request = id ? await getStorage().get(COLLECTIONS.REQUESTS, id) : null;
+  if (!request) throw new HttpError(404, 'Request not found');
+  const audit = (await getStorage().list(COLLECTIONS.AUDIT))
+    .filter((entry) => entry.requestId === id)
+    .sort((a, b) => String(a.at).localeCompare(String(b.at)));
+  return { request: toOwnerRequest(request), audit };
+}
+
+/**
+ * @param {string} id
+ * @param {string} action   one of OWNER_ACTIONS
+ * @param {{ reason?: unknown }} input
+ * @param {{ by: string }} options
+ */
+async function updateRequest(id, action, input, { by }) {
+  if (!OWNER_ACTIONS.includes(action)) throw new HttpError(400, `action must be one of ${OWNER_ACTIONS.join(', ')}`);
+  const storage = getStorage();
+  const request = id ? await storage.get(COLLECTIONS.REQUESTS, id) : null;
+  if (!request) throw new HttpError(404, 'Request not found');
+  const status = statusOf(request);
+
+  if (action === 'process') {
+    const processed = await processRequest(id, { by });
+    if (processed.status !== 'completed') throw new HttpError(500, `Processing failed: ${processed.error}`);
+    return toOwnerRequest(processed);
+  }
+
+  const reason = cleanText(input.reason, MAX_REASON_LENGTH);
+  if (!reason) throw new HttpError(400, 'A reason is required');
+  const now = new Date().toISOString();
+
+  if (action === 'extend') {
+    if (!OPEN_STATUSES.includes(status)) throw new HttpError(409, `A ${status} request can't be extended`);
+    if (request.extension) throw new HttpError(409, 'This request has already been extended');
+    const dueAt = addDays(request.receivedAt, EXTENDED_DAYS);
+    const updated = await storage.update(COLLECTIONS.REQUESTS, id, (current) => ({
+      ...current,
+      dueAt,
+      extension: { reason, by, at: now, previousDueAt: current.dueAt },
+    }));
+    await audit(updated, 'extended', by, { reason, dueAt });
+    await queueEmail({
+      to: request.email,
+      subject: 'An update on your InfantBites data request',
+      text: [
+        'Hi,',
+        '',
+        `We need more time to complete your data request. We’ll finish it by ${displayDate(dueAt)}.`,
+        '',
+        `Reason: ${reason}`,
+        '',
+        `Request reference: ${request.id}`,
+      ].join('\n'),
+      kind: 'privacy_extended',
+      requestId: request.id,
+    });
+    return toOwnerRequest(updated);
+  }
+
+  if (status === 'completed' || status === 'rejected') throw new HttpError(409, `This request is already ${status}`);
+  const updated = await storage.update(COLLECTIONS.REQUESTS, id, (current) => ({
+    ...current,
+    status: 'rejected',
+    rejection: { reason, by, at: now },
+  }));
+  await audit(updated, 'rejected', by, { reason });
+  await queueEmail({
+    to: request.email,
+    subject: 'About your InfantBites data request',
+    text: [
+      'Hi,',
+      '',
+      'We weren’t able to act on your data request.',
+      '',
+      `Reason: ${reason}`,
+      '',
+      'If you think this is a mistake, reply to this email or submit a new request.',
+      '',
+      `Request reference: ${request.id}`,
+    ].join('\n'),
+    kind: 'privacy_rejected',
+    requestId: request.id,
+  });
+  return toOwnerRequest(updated);
+}
+
+module.exports = {
+  COLLECTIONS,
+  TYPES,
+  STATUSES,
+  OWNER_ACTIONS,
+  RESPONSE_DAYS,
+  EXTENDED_DAYS,
+  VERIFY_TTL_DAYS,
+  submitRequest,
+  confirmRequest,
+  getRequestStatus,
+  downloadExport,
+  processRequest,
+  listRequests,
+  getRequestDetail,
+  updateRequest,
+  toRequesterView,
+};
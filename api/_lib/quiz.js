@@ -0,0 +1,212 @@
+// Question schema for the registry quiz, and validation of its answers.
+//
+// The browser renders the quiz from this schema (GET /api/grok/quiz), so
+// questions can change without touching the client. Shape:
+//
+//   { id, version, questions: [{ id, type, label, help?, required?, options?, min?, max?, showIf? }] }
+//
+//   type     'choice' (one of options), 'multi' (any of options),
+//            'number' (min/max), 'text' (maxLength)
+//   showIf   { <questionId>: value | [values] } – every entry must match an
+//            earlier answer, otherwise the question is skipped (and any old
+//            answer to it ignored). This is how "no car" skips the
+//            travel-system questions.
+//
+// Question ids double as recommender inputs (see recommend.js): budget,
+// space, multiples, car, used, feeding and pumping are read as structured answers,
+// everything else as free text.
+
+const { HttpError } = require('./http');
+
+const QUIZ_SCHEMA = {
+  id: 'registry',
+  version: 1,
+  questions: [
+    {
+      id: 'space',
+      type: 'choice',
+      label: 'Where will baby live?',
+      required: true,
+      options: [
+        { value: 'small', label: 'Studio or small apartment' },
+        { value: 'apartment_room', label: 'Apartment with a room for baby' },
+        { value: 'house', label: 'House' },
+      ],
+    },
+    {
+      id: 'multiples',
+      type: 'choice',
+      label: 'How many babies are you expecting?',
+      required: true,
+      options: [
+        { value: 'no', label: 'One' },
+        { value: 'twins', label: 'Twins' },
+      ],
+    },
+    {
+      id: 'budget',
+      type: 'number',
+      label: 'Roughly what is your total budget for gear (USD)?',
+      help: 'Leave empty and we will plan around $1,200.',
+      min: 150,
+      max: 20000,
+    },
+    {
+      id: 'car',
+      type: 'choice',
+      label: 'Do you have a car?',
+      required: true,
+      options: [
+        { value: 'yes', label: 'Yes' },
+        { value: 'no', label: 'No' },
+      ],
+    },
+    {
+      id: 'travel_system',
+      type: 'choice',
+      label: 'Would you like the car seat to click into a stroller (a travel system)?',
+      showIf: { car: 'yes' },
+      options: [
+        { value: 'travel system', label: 'Yes, a travel system' },
+        { value: 'separate', label: 'No, separate seat and stroller' },
+      ],
+    },
+    {
+      id: 'car_trips',
+      type: 'choice',
+      label: 'How often will baby ride in the car?',
+      showIf: { car: 'yes' },
+      options: [
+        { value: 'daily car trips', label: 'Most days' },
+        { value: 'occasional car trips', label: 'Now and then' },
+      ],
+    },
+    {
+      id: 'getting_around',
+      type: 'multi',
+      label: 'How will you get around with baby?',
+      showIf: { car: 'no' },
+      options: [
+        { value: 'walking', label: 'Walking' },
+        { value: 'public transit', label: 'Public transit' },
+        { value: 'taxis and ride shares', label: 'Taxis or ride shares' },
+      ],
+    },
+    {
+      id: 'feeding',
+      type: 'choice',
+      label: 'How do you plan to feed?',
+      options: [
+        { value: 'breast', label: 'Breastfeeding' },
+        { value: 'bottle', label: 'Bottles (pumped milk or a mix)' },
+        { value: 'formula', label: 'Formula' },
+        { value: 'unsure', label: 'Not sure yet' },
+      ],
+    },
+    {
+      id: 'pumping',
+      type: 'choice',
+      label: 'Do you expect to pump?',
+      showIf: { feeding: 'breast' },
+      options: [
+        { value: 'pump', label: 'Yes' },
+        { value: 'no pumping', label: 'Probably not' },
+      ],
+    },
+    {
+      id: 'concerns',
+      type: 'multi',
+      label: 'Anything we should plan around?',
+      options: [
+        { value: 'reflux', label: 'Reflux or lots of spit-up (e.g. an older sibling had it)' },
+        { value: 'stairs', label: 'Lots of stairs' },
+        { value: 'hot climate', label: 'Hot climate' },
+      ],
+    },
+    {
+      id: 'used',
+      type: 'choice',
+      label: 'Are you open to second-hand gear?',
+      help: 'Car seats, sleep surfaces and breast pumps are always recommended new.',
+      options: [
+        { value: 'yes', label: 'Yes, where it’s safe' },
+        { value: 'no', label: 'New only' },
+      ],
+    },
+    {
+      id: 'notes',
+      type: 'text',
+      label: 'Anything else? (optional)',
+      maxLength: 500,
+    },
+  ],
+};
+
+/**
+ * @param {Record<string, any>} condition
+ * @param {Record<string, unknown>} answers
+ */
+function conditionMet(condition, answers) {
+  return Object.entries(condition || {}).every(([id, expected]) => {
+    const answer = answers[id];
+    const values = Array.isArray(answer) ? answer : [answer];
+    return (Array.isArray(expected) ? expected : [expected]).some((value) => values.includes(value));
+  });
+}
+
+/**
+ * Checks quiz answers against the schema and turns them into recommender
+ * input. Skipped questions are dropped; `multi` answers become comma lists.
+ * @param {Record<string, unknown>} answers
+ * @param {typeof QUIZ_SCHEMA} [schema]
+ * @returns {Record<string, string|number>}
+ */
+function answersToInput(answers, schema = QUIZ_SCHEMA) {
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    throw new HttpError(400, 'answers must be an object');
+  }
+  /** @type {Record<string, unknown>} */
+  const accepted = {};
+  /** @type {Record<string, string|number>} */
+  const input = {};
+
+  for (const question of schema.questions) {
+    if (question.showIf && !conditionMet(question.showIf, accepted)) continue;
+    const raw = answers[question.id];
+    const empty = raw == null || raw === '' || (Array.isArray(raw) && !raw.length);
+    if (empty) {
+      if (question.required) throw new HttpError(400, `Please answer: ${question.label}`);
+      continue;
+    }
+
+    const allowed = (question.options || []).map((option) => option.value);
+    if (question.type === 'choice') {
+      if (!allowed.includes(raw)) throw new HttpError(400, `Invalid answer for ${question.id}`);
+      accepted[question.id] = raw;
+      input[question.id] = /** @type {string} */ (raw);
+    } else if (question.type === 'multi') {
+      const list = Array.isArray(raw) ? raw : [raw];
+      if (!list.every((value) => allowed.includes(value))) throw new HttpError(400, `Invalid answer for ${question.id}`);
+      accepted[question.id] = list;
+      input[question.id] = list.join(', ');
+    } else if (question.type === 'number') {
+      const n = Number(raw);
+      if (!Number.isFinite(n) || n < question.min || n > question.max) {
+        throw new HttpError(400, `${question.id} must be between ${question.min} and ${question.max}`);
+      }
+      accepted[question.id] = n;
+      input[question.id] = n;
+    } else {
+      const text = String(raw).trim().slice(0, question.maxLength || 500);
+      accepted[question.id] = text;
+      input[question.id] = text;
+    }
+  }
+  return input;
+}
+
+module.exports = {
+  QUIZ_SCHEMA,
+  conditionMet,
+  answersToInput,
+};
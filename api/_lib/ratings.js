@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { HttpError } = require('./http');
+const { COLLECTION: TICKETS, readerOf } = require('./support');
+
+// Thumbs up / down on support chat answers, and the owner's answer-quality
+// report built from them.
+//
+// A rating names the assistant message by the id /api/support/ask returned
+// for it. The answer itself, the question before it, the triage topic and
+// the answer controls (style, tone, language, goal) are copied from the
+// ticket, so the report never depends on what the browser claims – and only
+// a browser that can read the ticket (its X-Support-Key) can rate it. One
+// rating per answer: rating again replaces it.
+//
+// The report covers a window of days: satisfaction (share of thumbs up)
+// overall and per topic / style / tone / language / goal / responder, the
+// worst-rated answers (identical canned answers grouped together) with the
+// questions that got them, and a daily or weekly trend.
+
+const COLLECTION = 'support_ratings';
+const RATINGS = ['up', 'down'];
+
+const DEFAULT_REPORT_DAYS = 30;
+const MAX_REPORT_DAYS = 365;
+const DAILY_TREND_MAX_DAYS = 31;
+const WORST_LIMIT = 10;
+const EXAMPLES_PER_ANSWER = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} SupportRating
+ * @property {string} id            the rated message's id
+ * @property {string} ticketId
+ * @property {'up'|'down'} rating
+ * @property {string} answer
+ * @property {string} question      the customer message it answered
+ * @property {string} topic
+ * @property {import('./support').AiControls} controls
+ * @property {string} answeredBy    responder name, or 'acknowledgement'
+ * @property {string} source
+ * @property {string} answeredAt
+ * @property {string} createdAt     first rated
+ * @property {string} ratedAt       last rated
+ */
+
+/**
+ * @typedef {Object} Satisfaction
+ * @property {number} up
+ * @property {number} down
+ * @property {number} total
+ * @property {number|null} satisfaction  % thumbs up, null without ratings
+ */
+
+/* ========================================================================== */
+/* Rating                                                                     */
+/* ========================================================================== */
+
+/**
+ * @param {string} key    the chat's X-Support-Key
+ * @param {{ messageId?: unknown, rating?: unknown, source?: unknown }} input
+ * @returns {Promise<SupportRating>}
+ */
+async function rateAnswer(key, { messageId, rating, source }) {
+  const reader = readerOf(key);
+  if (!reader) throw new HttpError(401, 'A valid X-Support-Key header is required');
+  if (typeof messageId !== 'string' || !messageId) throw new HttpError(400, 'messageId is required');
+  if (!RATINGS.includes(/** @type {string} */ (rating))) throw new HttpError(400, `rating must be one of ${RATINGS.join(', ')}`);
+
+  const tickets = await getStorage().list(TICKETS);
+  const ticket = tickets.find((t) => (t.readers || []).includes(reader) && t.messages.some((m) => m.id === messageId));
+  const index = ticket ? ticket.messages.findIndex((m) => m.id === messageId) : -1;
+  const message = index >= 0 ? ticket.messages[index] : null;
+  if (!message || message.role !== 'assistant') throw new HttpError(404, 'Answer not found');
+  const question = ticket.messages.slice(0, index).reverse().find((m) => m.role === 'customer');
+
+  const now = new Date().toISOString();
+  return getStorage().update(COLLECTION, messageId, (current) => ({
+    id: messageId,
+    ticketId: ticket.id,
+    rating: /** @type {'up'|'down'} */ (rating),
+    answer: message.content,
+    question: question ? question.content : '',
+    topic: message.topic || ticket.triage.topic,
+    controls: message.controls || ticket.aiControls,
+    answeredBy: message.answeredBy || 'unknown',
+    source: typeof source === 'string' && source ? source.slice(0, 40) : 'support_web_chat',
+    answeredAt: message.at,
+    createdAt: current ? current.createdAt : now,
+    ratedAt: now,
+  }));
+}
+
+/* ========================================================================== */
+/* Report                                                                     */
+/* ========================================================================== */
+
+/**
+ * @param {SupportRating[]} ratings
+ * @returns {Satisfaction}
+ */
+function satisfactionOf(ratings) {
+  const up = ratings.filter((r) => r.rating === 'up').length;
+  const total = ratings.length;
+  return { up, down: total - up, total, satisfaction: total ? Math.round((up / total) * 100) : null };
+}
+
+/**
+ * Satisfaction per value of `keyOf`, most-rated first.
+ * @param {SupportRating[]} ratings
+ * @param {(rating: SupportRating) => string} keyOf
+ */
+function breakdown(ratings, keyOf) {
+  /** @type {Map<string, SupportRating[]>} */
+  const groups = new Map();
+  ratings.forEach((r) => {
+    const key = keyOf(r) || 'unknown';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  });
+  return Array.from(groups, ([key, list]) => ({ key, ...satisfactionOf(list) }))
+    .sort((a, b) => b.total - a.total || a.key.localeCompare(b.key));
+}
+
+/**
+ * Down-rated answers, identical wording grouped, most thumbs down first.
+ * @param {SupportRating[]} ratings
+ */
+function worstAnswers(ratings) {
+  /** @type {Map<string, SupportRating[]>} */
+  const groups = new Map();
+  ratings.forEach((r) => {
+    const print = crypto.createHash('sha1').update(r.answer.replace(/\s+/g, ' ').trim()).digest('hex');
+    if (!groups.has(print)) groups.set(print, []);
+    groups.get(print).push(r);
+  });
+  return Array.from(groups.values())
+    .map((list) => ({ list, ...satisfactionOf(list) }))
+    .filter((group) => group.down > 0)
+    .sort((a, b) => b.down - a.down || a.satisfaction - b.satisfaction)
+    .slice(0, WORST_LIMIT)
+    .map(({ list, ...counts }) => {
+      const downs = list.filter((r) => r.rating === 'down').sort((a, b) => b.ratedAt.localeCompare(a.ratedAt));
+      const latest = downs[0];
+      return {
+        ...counts,
+        answer: latest.answer,
+        topic: latest.topic,
+        controls: latest.controls,
+        answeredBy: latest.answeredBy,
+        examples: downs.slice(0, EXAMPLES_PER_ANSWER).map((r) => ({
+          question: r.question,
+          ticketId: r.ticketId,
+          ratedAt: r.ratedAt,
+        })),
+      };
+    });
+}
+
+/**
+ * Satisfaction per day (or per week, Monday first, for long windows),
+ * oldest first, including periods without ratings.
+ * @param {SupportRating[]} ratings
+ * @param {number} since  UTC ms, start of the first day
+ * @param {number} days
+ */
+function trendOf(ratings, since, days) {
+  const weekly = days > DAILY_TREND_MAX_DAYS;
+  /** @param {number} time */
+  const periodOf = (time) => {
+    const day = Math.floor(time / DAY_MS) * DAY_MS;
+    // 1970-01-01 was a Thursday: shift so weeks start on Monday.
+    return weekly ? day - ((Math.floor(day / DAY_MS) + 3) % 7) * DAY_MS : day;
+  };
+  /** @type {Map<number, SupportRating[]>} */
+  const periods = new Map();
+  for (let time = periodOf(since); time <= Date.now(); time += (weekly ? 7 : 1) * DAY_MS) periods.set(time, []);
+  ratings.forEach((r) => {
+    const period = periodOf(Date.parse(r.ratedAt));
+    if (periods.has(period)) periods.get(period).push(r);
+  });
+  return Array.from(periods, ([time, list]) => ({
+    period: new Date(time).toISOString().slice(0, 10),
+    ...satisfactionOf(list),
+  }));
+}
+
+/**
+ * @param {{ days?: unknown }} [options]
+ */
+async function buildQualityReport(options = {}) {
+  const days = options.days == null || options.days === '' ? DEFAULT_REPORT_DAYS : Number(options.days);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_REPORT_DAYS) {
+    throw new HttpError(400, `days must be a whole number from 1 to ${MAX_REPORT_DAYS}`);
+  }
+  const since = Math.floor(Date.now() / DAY_MS) * DAY_MS - (days - 1) * DAY_MS;
+  const all = await getStorage().list(COLLECTION);
+  const ratings = all.filter((r) => Date.parse(r.ratedAt) >= since);
+
+  return {
+    days,
+    since: new Date(since).toISOString(),
+    overall: satisfactionOf(ratings),
+    byTopic: breakdown(ratings, (r) => r.topic),
+    byStyle: breakdown(ratings, (r) => r.controls && r.controls.style),
+    byTone: breakdown(ratings, (r) => r.controls && r.controls.tone),
+    byLanguage: breakdown(ratings, (r) => r.controls && r.controls.language),
+    byGoal: breakdown(ratings, (r) => (r.controls && r.controls.goal) || 'none'),
+    byResponder: breakdown(ratings, (r) => r.answeredBy),
+    worst: worstAnswers(ratings),
+    trend: trendOf(ratings, since, days),
+  };
+}
+
+module.exports = {
+  COLLECTION,
+  RATINGS,
+  rateAnswer,
+  buildQualityReport,
+};
@@ -0,0 +1,611 @@
+const { CATEGORIES, PRODUCTS, VIDEOS } = require('./catalog');
+const { complete } = require('./llm');
+const { HttpError } = require('./http');
+
+// Registry recommendations: quiz answers or free text in, a starter registry out.
+//
+//   1. extractConstraints  budget, small space, twins, reflux, no car, okay
+//                          with used, feeding plan, pumping, travel system – from structured answers
+//                          and/or a free-text description (a structured budget
+//                          outside MIN_BUDGET–MAX_BUDGET is a 400)
+//   2. safety rules        drop unsafe products, force new where second-hand
+//                          can't be trusted
+//   3. allocateBudget      split the budget across the categories worth
+//                          buying now, weighted by the constraints
+//   4. pick                best-scoring product per category for its share,
+//                          then trade down (or leave out optional categories)
+//                          until the list fits the budget
+//
+// Every step is deterministic: the same input always gives the same list.
+// An optional reranker may then swap a category's pick for another of the
+// top candidates (never an unsafe or unlisted one). Choose it with
+// RECOMMEND_RERANKER: "none" (default) or "llm" (asks the configured chat
+// model, see llm.js; falls back to the deterministic pick on any failure).
+// Register others with `registerReranker`.
+
+const DEFAULT_BUDGET = 1200;
+const MIN_BUDGET = 150;
+const MAX_BUDGET = 20000;
+const USED_PRICE_FACTOR = 0.6;
+const CANDIDATES_PER_CATEGORY = 3;
+const MAX_VIDEOS = 4;
+const RERANK_TIMEOUT_MS = 8000;
+
+/**
+ * @typedef {Object} Constraints
+ * @property {number} budget
+ * @property {boolean} budgetStated    false when DEFAULT_BUDGET was assumed
+ * @property {boolean} smallSpace
+ * @property {boolean} twins
+ * @property {boolean} reflux
+ * @property {boolean} noCar
+ * @property {boolean} usedOk
+ * @property {'breast'|'bottle'|'formula'|null} feeding
+ * @property {boolean} noPump          breastfeeding without pumping: leave out the pump
+ * @property {boolean} travelSystem    wants the car seat to click into the stroller
+ */
+
+/**
+ * @typedef {Object} Recommendation
+ * @property {string} id              catalog product id
+ * @property {string} title
+ * @property {string} description
+ * @property {string} category
+ * @property {string} categoryLabel
+ * @property {number} quantity
+ * @property {number} unitPrice       expected price (used price when allowed)
+ * @property {number} price           unitPrice × quantity
+ * @property {number} allocated       this category's share of the budget
+ * @property {'new'|'used_ok'} condition
+ * @property {string[]} reasons       why this product
+ * @property {string[]} safety        safety notes to show with it
+ */
+
+/* ========================================================================== */
+/* Constraint extraction                                                      */
+/* ========================================================================== */
+
+/**
+ * "$1,500", "1.5k", "800 dollars", "budget of 900" → number; otherwise null.
+ * Bare numbers are ignored so "500 sqft" isn't read as a budget.
+ * @param {string} text
+ * @returns {number|null}
+ */
+function parseBudget(text) {
+  const patterns = [
+    /\$\s*(\d[\d,]*(?:\.\d+)?)\s*(k)?\b/i,
+    /(\d[\d,]*(?:\.\d+)?)\s*(k)?\s*(?:dollars|usd|bucks)\b/i,
+    /(\d[\d,]*(?:\.\d+)?)(k)\b/i,
+    /budget\D{0,15}(\d[\d,]*(?:\.\d+)?)\s*(k)?\b/i,
+  ];
+  for (const re of patterns) {
+    const match = re.exec(text);
+    if (!match) continue;
+    const amount = Number(match[1].replace(/,/g, '')) * (match[2] ? 1000 : 1);
+    if (Number.isFinite(amount) && amount > 0) return amount;
+  }
+  return null;
+}
+
+/** @param {unknown} value */
+function isYes(value) {
+  return value === true || /^(?:y|yes|true|1|on|ok|okay)$/i.test(String(value == null ? '' : value).trim());
+}
+
+/** @param {unknown} value */
+function isNo(value) {
+  return value === false || /^(?:n|no|false|0|none)$/i.test(String(value == null ? '' : value).trim());
+}
+
+/**
+ * Reads constraints from structured quiz answers (budget, space, feeding,
+ * pumping, car, used, multiples) and from any free text (`text`, `message`, `notes`
+ * or other string answers). Structured answers win when both are present.
+ * @param {Record<string, any>} input
+ * @returns {{ constraints: Constraints, notes: string[] }}
+ */
+function extractConstraints(input = {}) {
+  const text = Object.entries(input)
+    .filter(([key, value]) => typeof value === 'string' && !['budget', 'space', 'feeding', 'pumping', 'car', 'used', 'multiples'].includes(key))
+    .map(([, value]) => value)
+    .join(' ')
+    .slice(0, 4000);
+  const lower = text.toLowerCase();
+
+  let statedBudget;
+  if (input.budget != null && input.budget !== '') {
+    // Same bounds as the quiz schema; the hero form sends the field as typed.
+    statedBudget = parseBudget(String(input.budget).replace(/^(\d)/, '$$$1'));
+    if (statedBudget == null || statedBudget < MIN_BUDGET || statedBudget > MAX_BUDGET) {
+      throw new HttpError(400, `budget must be between ${MIN_BUDGET} and ${MAX_BUDGET}`);
+    }
+  } else {
+    statedBudget = parseBudget(text);
+  }
+  // A small budget from free text is kept as stated; recommend() notes it
+  // when even the essentials don't fit.
+  const budget = Math.round(Math.min(MAX_BUDGET, statedBudget ?? DEFAULT_BUDGET));
+
+  const space = String(input.space || '').toLowerCase();
+  const smallSpace = space
+    ? /small|studio|compact|tiny/.test(space)
+    : /\b(studio|small (?:space|apartment|flat|home)|tiny|\d{3} ?sq ?ft|\d{3} ?sqft|one[- ]bedroom|1[- ]?br?)\b/.test(lower);
+
+  const twins = isYes(input.multiples) || String(input.multiples || '').toLowerCase() === 'twins' || /\btwins?\b/.test(lower);
+  const reflux = /\breflux|gerd|spit(?:s|ting)? up a lot|colic/.test(lower);
+  const noCar = input.car != null && input.car !== '' ? isNo(input.car) : /\b(no car|don'?t (?:have|own) a car|car-?free|without a car)\b/.test(lower);
+  const travelSystem = !noCar && /\btravel system\b/.test(lower);
+  const usedOk = input.used != null && input.used !== '' ? isYes(input.used) : /\b(used|second[- ]?hand|hand-?me-?downs?|pre-?owned|thrift)\b/.test(lower);
+
+  /** @type {Constraints['feeding']} */
+  let feeding = null;
+  const feedingText = `${input.feeding || ''} ${lower}`.toLowerCase();
+  if (/formula/.test(feedingText)) feeding = 'formula';
+  else if (/breast|nurs(?:e|ing)|pump/.test(feedingText)) feeding = 'breast';
+  else if (/bottle/.test(feedingText)) feeding = 'bottle';
+  const noPump = feeding === 'breast' && (input.pumping != null && input.pumping !== ''
+    ? /\bno(?:t)?\b/i.test(String(input.pumping)) || isNo(input.pumping)
+    : /\b(no pumping|not (?:planning (?:on|to) )?pump(?:ing)?|won'?t pump|don'?t (?:plan to |want to )?pump)\b/.test(lower));
+
+  /** @type {Constraints} */
+  const constraints = { budget, budgetStated: statedBudget != null, smallSpace, twins, reflux, noCar, usedOk, feeding, noPump, travelSystem };
+
+  const notes = [];
+  if (!constraints.budgetStated) notes.push(`No budget mentioned · planned around $${budget.toLocaleString('en-US')}.`);
+  if (statedBudget != null && statedBudget > MAX_BUDGET) notes.push(`Budget · planned around $${MAX_BUDGET.toLocaleString('en-US')}, the most we plan for.`);
+  if (smallSpace) notes.push('Small space · compact and foldable picks where possible.');
+  if (twins) notes.push('Twins · two of everything each baby uses on their own, one double stroller.');
+  if (reflux) notes.push('Reflux · paced-feeding bottles and upright carrying after feeds – never an inclined sleeper.');
+  if (noCar) notes.push('No car · lighter gear, a carrier, and a car seat that installs with just a seatbelt for taxis and the ride home.');
+  if (usedOk) notes.push('Okay with used · second-hand prices where it’s safe; car seats, sleep surfaces and breast pumps stay new.');
+  if (travelSystem) notes.push('Travel system · an infant car seat that clicks onto a stroller frame.');
+  if (feeding === 'breast') {
+    notes.push(noPump
+      ? 'Breastfeeding, no pumping · nursing basics; no pump or big bottle setup.'
+      : 'Breastfeeding · nursing basics and a pump rather than a big bottle setup.');
+  }
+  if (feeding === 'formula') notes.push('Formula feeding · a prep kit to make night feeds quicker.');
+  return { constraints, notes };
+}
+
+/* ========================================================================== */
+/* Safety rules                                                               */
+/* ========================================================================== */
+
+/**
+ * `exclude` products are never recommended; `new_only` products are never
+ * priced or suggested second-hand.
+ * @type {Array<{ id: string, effect: 'exclude'|'new_only', applies: (p: import('./catalog').Product) => boolean, note: string }>}
+ */
+const SAFETY_RULES = [
+  {
+    id: 'no_inclined_sleep',
+    effect: 'exclude',
+    applies: (p) => p.tags.includes('inclined_sleep'),
+    note: 'Inclined sleepers and wedges aren’t safe for sleep, reflux included – babies sleep flat on their back.',
+  },
+  {
+    id: 'no_weighted_sleep',
+    effect: 'exclude',
+    applies: (p) => p.tags.includes('weighted'),
+    note: 'Weighted sleep sacks and swaddles aren’t recommended for infant sleep.',
+  },
+  {
+    id: 'no_crib_bumpers',
+    effect: 'exclude',
+    applies: (p) => p.tags.includes('crib_bumper'),
+    note: 'Bumpers and padded liners are a suffocation risk; a bare crib is the safe crib.',
+  },
+  {
+    id: 'new_car_seat',
+    effect: 'new_only',
+    applies: (p) => p.category === 'car_seat',
+    note: 'Buy car seats new: crash history, recalls and expiry dates can’t be verified second-hand. Get the install checked if you can.',
+  },
+  {
+    id: 'new_sleep_surface',
+    effect: 'new_only',
+    applies: (p) => p.tags.includes('sleep_surface'),
+    note: 'Sleep surfaces should be new, with a firm mattress that fits snugly and no loose bedding.',
+  },
+  {
+    id: 'new_breast_pump',
+    effect: 'new_only',
+    applies: (p) => p.tags.includes('breast_pump'),
+    note: 'Most breast pumps are single-user devices – buy new.',
+  },
+];
+
+/** Generic advice that goes with every list. */
+const SKIP_SUGGESTIONS = [
+  { title: 'Multiple bouncers or swings', reason: 'Try one before adding more.' },
+  { title: 'Wipe warmers, sterilizers and single-use gadgets', reason: 'Wait until you know you’ll use them daily.' },
+  { title: 'Large toy sets', reason: 'Your baby won’t need them on day one.' },
+];
+
+/**
+ * @param {import('./catalog').Product} product
+ */
+function safetyFor(product) {
+  const rules = SAFETY_RULES.filter((rule) => rule.applies(product));
+  return {
+    excluded: rules.find((rule) => rule.effect === 'exclude') || null,
+    newOnly: rules.some((rule) => rule.effect === 'new_only'),
+    notes: rules.filter((rule) => rule.effect === 'new_only').map((rule) => rule.note),
+  };
+}
+
+/* ========================================================================== */
+/* Budget allocation                                                          */
+/* ========================================================================== */
+
+/**
+ * @param {string} category
+ * @param {Constraints} constraints
+ */
+function quantityFor(category, constraints) {
+  if (!constraints.twins) return 1;
+  return ['car_seat', 'sleep', 'clothing'].includes(category) ? 2 : 1;
+}
+
+/**
+ * @param {import('./catalog').Product} product
+ * @param {Constraints} constraints
+ */
+function unitPriceFor(product, constraints) {
+  return constraints.usedOk && !safetyFor(product).newOnly ? Math.round(product.price * USED_PRICE_FACTOR) : product.price;
+}
+
+/** @param {string} category */
+function safeProducts(category) {
+  return PRODUCTS.filter((p) => p.category === category && !safetyFor(p).excluded);
+}
+
+/**
+ * Picks the categories to buy now and splits the budget between them.
+ * Essentials always make the list; optional categories join, heaviest
+ * first, while the budget still covers the cheapest option of each.
+ * @param {Constraints} constraints
+ * @returns {Record<string, number>} category → dollars
+ */
+function allocateBudget(constraints) {
+  /** @type {Record<string, number>} */
+  const weights = {};
+  Object.entries(CATEGORIES).forEach(([key, category]) => {
+    weights[key] = category.weight;
+  });
+  if (constraints.noCar) {
+    weights.car_seat *= 0.7;
+    weights.stroller *= 0.7;
+    weights.carrying *= 2;
+  }
+  if (constraints.smallSpace) weights.stroller *= 0.8;
+  if (constraints.reflux) {
+    weights.feeding *= 1.3;
+    weights.carrying *= 1.3;
+  }
+  if (constraints.twins) {
+    weights.car_seat *= 1.6;
+    weights.sleep *= 1.6;
+    weights.stroller *= 1.4;
+  }
+
+  const cheapest = (key) =>
+    Math.min(...safeProducts(key).map((p) => unitPriceFor(p, constraints) * quantityFor(key, constraints)));
+  const keys = Object.keys(CATEGORIES);
+  const chosen = keys.filter((key) => CATEGORIES[key].essential);
+  let committed = chosen.reduce((sum, key) => sum + cheapest(key), 0);
+  keys
+    .filter((key) => !CATEGORIES[key].essential)
+    .sort((a, b) => weights[b] - weights[a] || a.localeCompare(b))
+    .forEach((key) => {
+      if (committed + cheapest(key) > constraints.budget) return;
+      chosen.push(key);
+      committed += cheapest(key);
+    });
+
+  const total = chosen.reduce((sum, key) => sum + weights[key], 0);
+  /** @type {Record<string, number>} */
+  const allocation = {};
+  keys
+    .filter((key) => chosen.includes(key))
+    .forEach((key) => {
+      allocation[key] = Math.round((constraints.budget * weights[key]) / total);
+    });
+  return allocation;
+}
+
+/* ========================================================================== */
+/* Scoring                                                                    */
+/* ========================================================================== */
+
+/**
+ * @param {import('./catalog').Product} product
+ * @param {Constraints} constraints
+ * @param {number} allocated
+ * @returns {{ score: number, reasons: string[], cost: number, unsuitable: boolean }}
+ */
+function scoreProduct(product, constraints, allocated) {
+  const has = (...tags) => tags.some((tag) => product.tags.includes(tag));
+  const reasons = [];
+  let score = 0;
+  let unsuitable = false;
+
+  if (constraints.smallSpace && has('compact', 'foldable')) {
+    score += 2;
+    reasons.push('Fits a small space.');
+  }
+  if (constraints.noCar && has('travel', 'lightweight')) {
+    score += 2;
+    reasons.push('Easy to live with without a car.');
+  }
+  if (constraints.reflux && has('reflux', 'paced', 'anti_colic')) {
+    score += 2;
+    reasons.push('Helps with reflux.');
+  }
+  if (constraints.travelSystem && has('travel_system')) {
+    score += 2;
+    reasons.push('Clicks together as a travel system.');
+  }
+  if (product.category === 'stroller') {
+    if (constraints.twins && has('double')) {
+      score += 4;
+      reasons.push('Seats both babies.');
+    } else if (constraints.twins || has('double')) {
+      unsuitable = true;
+    }
+  }
+  if (product.category === 'feeding') {
+    if (constraints.noPump && has('breast_pump')) unsuitable = true;
+    const plan = constraints.feeding || 'bottle';
+    const fits = plan === 'breast' ? has('breast') : has('bottle') && (plan !== 'formula' || has('formula', 'paced'));
+    if (fits) {
+      score += 2;
+      if (constraints.feeding) reasons.push('Matches your feeding plan.');
+    } else if (plan === 'breast' ? has('bottle') : has('breast')) {
+      score -= 1;
+    }
+  }
+
+  const quantity = quantityFor(product.category, constraints);
+  const cost = unitPriceFor(product, constraints) * quantity;
+  if (cost <= allocated) {
+    // Within its share: prefer what makes good use of it.
+    score += 1 + cost / allocated;
+    if (has('premium')) score += 0.5;
+  } else {
+    score -= (3 * (cost - allocated)) / allocated;
+    if (has('budget')) {
+      score += 0.5;
+      reasons.push('Keeps this category within budget.');
+    }
+  }
+  return { score, reasons, cost, unsuitable };
+}
+
+/**
+ * Safe, suitable products of a category, best first; ties go to the cheaper,
+ * then by id.
+ * @param {string} category
+ * @param {Constraints} constraints
+ * @param {number} allocated
+ */
+function rankCategory(category, constraints, allocated) {
+  return safeProducts(category)
+    .map((product) => ({ product, ...scoreProduct(product, constraints, allocated) }))
+    .filter((candidate) => !candidate.unsuitable)
+    .sort((a, b) => b.score - a.score || a.cost - b.cost || a.product.id.localeCompare(b.product.id));
+}
+
+/**
+ * Brings the picks within budget: swap to a cheaper candidate where that
+ * saves the most, and once nothing can be swapped leave out the optional
+ * category with the smallest share. Mutates `picks`; returns the categories
+ * that were left out.
+ * @param {Array<{ category: string, candidates: ReturnType<typeof rankCategory>, pick: ReturnType<typeof rankCategory>[number] }>} picks
+ * @param {number} budget
+ * @param {Record<string, number>} allocation
+ * @returns {string[]}
+ */
+function fitBudget(picks, budget, allocation) {
+  const dropped = [];
+  const total = () => picks.reduce((sum, p) => sum + p.pick.cost, 0);
+  while (total() > budget) {
+    let best = null;
+    picks.forEach((entry) => {
+      const cheaper = entry.candidates
+        .filter((c) => c.cost < entry.pick.cost)
+        .sort((a, b) => a.cost - b.cost || b.score - a.score)[0];
+      if (cheaper && (!best || entry.pick.cost - cheaper.cost > best.entry.pick.cost - best.cheaper.cost)) {
+        best = { entry, cheaper };
+      }
+    });
+    if (best) {
+      best.entry.pick = best.cheaper;
+      continue;
+    }
+    const optional = picks
+      .filter((entry) => !CATEGORIES[entry.category].essential)
+      .sort((a, b) => allocation[a.category] - allocation[b.category] || a.category.localeCompare(b.category))[0];
+    if (!optional) break; // essentials alone exceed the budget; show them anyway
+    picks.splice(picks.indexOf(optional), 1);
+    dropped.push(optional.category);
+  }
+  return dropped;
+}
+
+/* ========================================================================== */
+/* Rerankers                                                                  */
+/* ========================================================================== */
+
+/**
+ * A reranker sees the top candidates per category and may name a different
+ * pick for any of them. Unknown ids are ignored.
+ * @typedef {(request: {
+ *   constraints: Constraints,
+ *   notes: string[],
+ *   categories: Array<{ category: string, options: Array<{ id: string, name: string, price: number, tags: string[] }> }>,
+ * }) => Promise<Record<string, string>|null>} Reranker
+ */
+
+/** @returns {Reranker} */
+function createLlmReranker() {
+  return async ({ notes, categories }) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), RERANK_TIMEOUT_MS);
+    try {
+      const reply = await complete({
+        system: [
+          'You help pick baby gear. For each category choose the single best option id for this family.',
+          'Reply with only a JSON object mapping category to option id, e.g. {"sleep":"sleep-bassinet"}.',
+        ].join(' '),
+        messages: [
+          {
+            role: 'user',
+            content: `Family: ${notes.join(' ') || 'no special constraints'}\nOptions:\n${JSON.stringify(categories)}`,
+          },
+        ],
+        signal: controller.signal,
+      });
+      const json = /\{[\s\S]*\}/.exec(reply);
+      const parsed = json ? JSON.parse(json[0]) : null;
+      return parsed && typeof parsed === 'object' ? parsed : null;
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+}
+
+/** @type {Record<string, () => Reranker|null>} */
+const rerankers = {
+  none: () => null,
+  llm: createLlmReranker,
+};
+
+/**
+ * @param {string} name
+ * @param {() => Reranker|null} factory
+ */
+function registerReranker(name, factory) {
+  rerankers[name] = factory;
+}
+
+/** @returns {Reranker|null} */
+function getReranker() {
+  const name = process.env.RECOMMEND_RERANKER || 'none';
+  const factory = rerankers[name];
+  if (!factory) throw new Error(`Unknown recommendation reranker: ${name}`);
+  return factory();
+}
+
+/* ========================================================================== */
+/* Recommend                                                                  */
+/* ========================================================================== */
+
+/**
+ * @param {Record<string, any>} input  quiz answers and/or `{ text }`
+ * @param {{ reranker?: Reranker|null }} [options]  defaults to getReranker()
+ */
+async function recommend(input, options = {}) {
+  const { constraints, notes } = extractConstraints(input);
+  const allocation = allocateBudget(constraints);
+  const ranked = Object.keys(allocation).map((category) => ({
+    category,
+    candidates: rankCategory(category, constraints, allocation[category]),
+  }));
+
+  /** @type {Record<string, string>} */
+  let overrides = {};
+  const reranker = options.reranker !== undefined ? options.reranker : getReranker();
+  if (reranker) {
+    try {
+      overrides = (await reranker({
+        constraints,
+        notes,
+        categories: ranked.map(({ category, candidates }) => ({
+          category,
+          options: candidates.slice(0, CANDIDATES_PER_CATEGORY).map(({ product, cost }) => ({
+            id: product.id,
+            name: product.name,
+            price: cost,
+            tags: product.tags,
+          })),
+        })),
+      })) || {};
+    } catch (err) {
+      console.error('[recommend] reranker failed, keeping deterministic picks', err);
+    }
+  }
+
+  let reranked = false;
+  const picks = ranked
+    .filter(({ candidates }) => candidates.length)
+    .map(({ category, candidates }) => {
+      let pick = candidates[0];
+      const override = candidates
+        .slice(0, CANDIDATES_PER_CATEGORY)
+        .find((candidate) => candidate.product.id === overrides[category]);
+      if (override && override !== pick) {
+        pick = override;
+        reranked = true;
+      }
+      return { category, candidates, pick };
+    });
+  const dropped = fitBudget(picks, constraints.budget, allocation);
+
+  /** @type {Recommendation[]} */
+  const items = picks.map(({ category, pick }) => {
+    const { product, reasons, cost } = pick;
+    const safety = safetyFor(product);
+    const quantity = quantityFor(category, constraints);
+    const used = constraints.usedOk && !safety.newOnly;
+    return {
+      id: product.id,
+      title: quantity > 1 ? `${product.name} ×${quantity}` : product.name,
+      description: product.description,
+      category,
+      categoryLabel: CATEGORIES[category].label,
+      quantity,
+      unitPrice: unitPriceFor(product, constraints),
+      price: cost,
+      allocated: allocation[category],
+      condition: used ? 'used_ok' : 'new',
+      reasons: used ? [...reasons, 'Fine to buy second-hand if it’s clean and complete.'] : reasons,
+      safety: product.safety ? [...safety.notes, product.safety] : safety.notes,
+    };
+  });
+
+  const total = items.reduce((sum, item) => sum + item.price, 0);
+  if (total > constraints.budget) {
+    notes.push(`Over budget · the essentials alone come to about $${total.toLocaleString('en-US')}, more than $${constraints.budget.toLocaleString('en-US')}. These are the cheapest safe picks; hand-me-downs and gifts can cover the rest.`);
+  }
+  const excluded = PRODUCTS.filter((p) => safetyFor(p).excluded && (constraints.reflux || !p.tags.includes('reflux')));
+  const videos = items.flatMap((item) => VIDEOS[item.category] || []).slice(0, MAX_VIDEOS);
+
+  return {
+    constraints,
+    notes,
+    items,
+    videos,
+    skips: [
+      ...excluded.map((p) => ({ title: p.name, reason: safetyFor(p).excluded.note })),
+      ...dropped.map((category) => ({
+        title: CATEGORIES[category].label,
+        reason: 'Left out to stay within your budget – add it later or look for hand-me-downs.',
+      })),
+      ...SKIP_SUGGESTIONS,
+    ],
+    summary: { budget: constraints.budget, total, remaining: constraints.budget - total },
+    reranked,
+  };
+}
+
+module.exports = {
+  SAFETY_RULES,
+  parseBudget,
+  extractConstraints,
+  allocateBudget,
+  registerReranker,
+  getReranker,
+  recommend,
+};
@@ -0,0 +1,466 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { HttpError } = require('./http');
+
+// Shared registry snapshots and gift claims.
+//
+// A share is a copy of the owner's item list stored under a short public id.
+// Creating one also returns an owner key; only its hash is stored, and
+// presenting it later lets the owner revoke the link, change expiry, adjust
+// quantities or toggle surprise mode.
+//
+// Visitors claim items (reserve or mark purchased). Claims live on the share
+// record itself, so each claim is checked against the remaining quantity
+// inside a single storage update and two visitors can't both take the last
+// one. A claim returns its own key so the visitor can later cancel it or
+// upgrade a reservation to purchased.
+
+const COLLECTION = 'registry_shares';
+
+const MAX_ITEMS = 300;
+const MAX_QUANTITY = 99;
+const CLAIM_STATUSES = ['reserved', 'purchased'];
+const PRIORITIES = ['high', 'medium', 'low'];
+const MAX_PRICE = 100000;
+const MAX_EXPIRY_DAYS = 365;
+const ID_ALPHABET = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ID_LENGTH = 8;
+
+/**
+ * @typedef {Object} SharedRegistryItem
+ * @property {string} id
+ * @property {string} name
+ * @property {string} [note]
+ * @property {string} [url]
+ * @property {string} [sourceBundleId]
+ * @property {number} quantity
+ * @property {'high'|'medium'|'low'} [priority]
+ * @property {string} [category]
+ * @property {number} [price]
+ */
+
+/**
+ * @typedef {Object} RegistryClaim
+ * @property {string} id
+ * @property {string} itemId
+ * @property {number} quantity
+ * @property {'reserved'|'purchased'} status
+ * @property {string} [name]
+ * @property {string} [message]
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ * @property {string} claimKeyHash
+ */
+
+/**
+ * @typedef {Object} RegistryShare
+ * @property {string} id
+ * @property {string} title
+ * @property {SharedRegistryItem[]} items
+ * @property {string} createdAt
+ * @property {string|null} expiresAt
+ * @property {string|null} revokedAt
+ * @property {string} ownerKeyHash
+ * @property {boolean} [surprise]       hide claimer names/messages from the owner
+ * @property {RegistryClaim[]} [claims]
+ */
+
+function randomId(length = ID_LENGTH) {
+  const bytes = crypto.randomBytes(length);
+  let id = '';
+  for (let i = 0; i < length; i += 1) {
+    id += ID_ALPHABET[bytes[i] % ID_ALPHABET.length];
+  }
+  return id;
+}
+
+/** @param {string} key */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * @param {unknown} value
+ * @param {number} max
+ */
+function cleanText(value, max) {
+  if (value == null) return '';
+  return String(value).replace(/[\u0000-\u001f\u007f]/g, ' ').trim().slice(0, max);
+}
+
+/** @param {unknown} value */
+function cleanUrl(value) {
+  const text = cleanText(value, 2000);
+  if (!text) return undefined;
+  try {
+    const url = new URL(text);
+    return url.protocol === 'https:' || url.protocol === 'http:' ? url.toString() : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * @param {unknown} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+function cleanQuantity(value, fallback = 1) {
+  const n = Math.floor(Number(value));
+  if (!Number.isFinite(n) || n < 1) return fallback;
+  return Math.min(n, MAX_QUANTITY);
+}
+
+/**
+ * @param {unknown} value
+ * @returns {number|undefined}
+ */
+function cleanPrice(value) {
+  if (value == null || value === '') return undefined;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0 || n > MAX_PRICE) return undefined;
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Validates and trims client-supplied items. The owner's own purchase
+ * status stays private; visitors see claims instead. Claims are keyed by
+ * item id, so a repeated id gets a `-2`, `-3`… suffix rather than sharing
+ * the first item's claims.
+ * @param {unknown} items
+ * @returns {SharedRegistryItem[]}
+ */
+function sanitizeItems(items) {
+  if (!Array.isArray(items)) throw new HttpError(400, 'items must be an array');
+  if (items.length > MAX_ITEMS) throw new HttpError(400, `At most ${MAX_ITEMS} items can be shared`);
+
+  const seen = new Set();
+  return items
+    .filter((item) => item && typeof item === 'object' && cleanText(item.name, 200))
+    .map((item, index) => {
+      const base = cleanText(item.id, 100) || `item-${index + 1}`;
+      let id = base;
+      for (let n = 2; seen.has(id); n += 1) id = `${base}-${n}`;
+      seen.add(id);
+      /** @type {SharedRegistryItem} */
+      const clean = {
+        id,
+        name: cleanText(item.name, 200),
+        quantity: cleanQuantity(item.quantity),
+      };
+      const note = cleanText(item.note, 1000);
+      const url = cleanUrl(item.url);
+      if (note) clean.note = note;
+      if (url) clean.url = url;
+      if (item.sourceBundleId != null) clean.sourceBundleId = cleanText(item.sourceBundleId, 100);
+      if (PRIORITIES.includes(item.priority)) clean.priority = item.priority;
+      const category = cleanText(item.category, 80);
+      const price = cleanPrice(item.price);
+      if (category) clean.category = category;
+      if (price !== undefined) clean.price = price;
+      return clean;
+    });
+}
+
+/**
+ * @param {unknown} days
+ * @returns {string|null}
+ */
+function expiryFromDays(days) {
+  if (days == null || days === '') return null;
+  const n = Number(days);
+  if (!Number.isFinite(n) || n <= 0 || n > MAX_EXPIRY_DAYS) {
+    throw new HttpError(400, `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`);
+  }
+  return new Date(Date.now() + n * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * @param {RegistryShare|null} share
+ * @returns {'active'|'revoked'|'expired'|'missing'}
+ */
+function shareStatus(share) {
+  if (!share) return 'missing';
+  if (share.revokedAt) return 'revoked';
+  if (share.expiresAt && Date.parse(share.expiresAt) <= Date.now()) return 'expired';
+  return 'active';
+}
+
+/**
+ * Claimed/purchased totals for one item.
+ * @param {RegistryShare} share
+ * @param {SharedRegistryItem} item
+ */
+function itemCounts(share, item) {
+  const claims = (share.claims || []).filter((claim) => claim.itemId === item.id);
+  const claimed = claims.reduce((sum, claim) => sum + claim.quantity, 0);
+  const purchased = claims
+    .filter((claim) => claim.status === 'purchased')
+    .reduce((sum, claim) => sum + claim.quantity, 0);
+  const needed = item.quantity || 1;
+  return { needed, claimed, purchased, remaining: Math.max(0, needed - claimed) };
+}
+
+/**
+ * Public projection: item counts only – no owner key hash, no claimer names.
+ * @param {RegistryShare} share
+ */
+function toPublicShare(share) {
+  return {
+    id: share.id,
+    title: share.title,
+    items: share.items.map((item) => ({ ...item, ...itemCounts(share, item) })),
+    createdAt: share.createdAt,
+    expiresAt: share.expiresAt,
+  };
+}
+
+/**
+ * Owner projection: counts plus claims. In surprise mode the owner still sees
+ * how many are covered, but not who claimed them or what they wrote.
+ * @param {RegistryShare} share
+ */
+function toOwnerShare(share) {
+  const surprise = Boolean(share.surprise);
+  return {
+    ...toPublicShare(share),
+    status: shareStatus(share),
+    revokedAt: share.revokedAt,
+    surprise,
+    claims: (share.claims || []).map((claim) => ({
+      id: claim.id,
+      itemId: claim.itemId,
+      quantity: claim.quantity,
+      status: claim.status,
+      name: surprise ? undefined : claim.name,
+      message: surprise ? undefined : claim.message,
+      createdAt: claim.createdAt,
+    })),
+  };
+}
+
+/**
+ * @param {{ claimKeyHash: string }} claim
+ * @param {string} claimKey
+ */
+function claimKeyMatches(claim, claimKey) {
+  return crypto.timingSafeEqual(
+    Buffer.from(claim.claimKeyHash),
+    Buffer.from(hashKey(claimKey || ''))
+  );
+}
+
+/**
+ * @param {{ items: unknown, title?: unknown, expiresInDays?: unknown }} input
+ * @returns {Promise<{ share: RegistryShare, ownerKey: string }>}
+ */
+async function createShare(input) {
+  const storage = getStorage();
+  const items = sanitizeItems(input.items);
+  const ownerKey = crypto.randomBytes(24).toString('base64url');
+
+  let id = randomId();
+  while (await storage.get(COLLECTION, id)) id = randomId();
+
+  /** @type {RegistryShare} */
+  const share = {
+    id,
+    title: cleanText(input.title, 120) || 'Baby registry',
+    items,
+    createdAt: new Date().toISOString(),
+    expiresAt: expiryFromDays(input.expiresInDays),
+    revokedAt: null,
+    ownerKeyHash: hashKey(ownerKey),
+    surprise: false,
+    claims: [],
+  };
+  await storage.put(COLLECTION, id, share);
+  return { share, ownerKey };
+}
+
+/**
+ * Loads an active share or throws 404/410.
+ * @param {string} id
+ * @returns {Promise<RegistryShare>}
+ */
+async function getActiveShare(id) {
+  const share = id ? await getStorage().get(COLLECTION, id) : null;
+  const status = shareStatus(share);
+  if (status === 'missing') throw new HttpError(404, 'Shared registry not found');
+  if (status !== 'active') throw new HttpError(410, `This registry link has been ${status}`);
+  return share;
+}
+
+/**
+ * Applies an owner-authorised change to a share.
+ * @param {string} id
+ * @param {string} ownerKey
+ * @param {(share: RegistryShare) => void} change
+ * @returns {Promise<RegistryShare>}
+ */
+async function updateShareAsOwner(id, ownerKey, change) {
+  const expected = hashKey(ownerKey || '');
+  let found = false;
+  let authorised = false;
+
+  const updated = await getStorage().update(COLLECTION, id, (share) => {
+    if (!share) return undefined;
+    found = true;
+    authorised = crypto.timingSafeEqual(Buffer.from(share.ownerKeyHash), Buffer.from(expected));
+    if (!authorised) return undefined;
+    const next = { ...share };
+    change(next);
+    return next;
+  });
+
+  if (!found) throw new HttpError(404, 'Shared registry not found');
+  if (!authorised) throw new HttpError(403, 'Invalid owner key');
+  return updated;
+}
+
+/**
+ * @param {string} id
+ * @param {string} ownerKey
+ */
+function revokeShare(id, ownerKey) {
+  return updateShareAsOwner(id, ownerKey, (share) => {
+    share.revokedAt = share.revokedAt || new Date().toISOString();
+  });
+}
+
+/**
+ * Owner settings update. Only keys present in `changes` are applied:
+ *   expiresInDays  number of days, or null/'' to remove the expiry
+ *   surprise       boolean
+ *   quantities     { [itemId]: number } – never below what is already claimed
+ * @param {string} id
+ * @param {string} ownerKey
+ * @param {{ expiresInDays?: unknown, surprise?: unknown, quantities?: unknown }} changes
+ */
+function updateShareSettings(id, ownerKey, changes) {
+  const has = (key) => Object.prototype.hasOwnProperty.call(changes, key);
+  const expiresAt = has('expiresInDays') ? expiryFromDays(changes.expiresInDays) : undefined;
+  const quantities = has('quantities') && changes.quantities && typeof changes.quantities === 'object'
+    ? changes.quantities
+    : null;
+
+  return updateShareAsOwner(id, ownerKey, (share) => {
+    if (expiresAt !== undefined) share.expiresAt = expiresAt;
+    if (has('surprise')) share.surprise = Boolean(changes.surprise);
+    if (quantities) {
+      share.items = share.items.map((item) => {
+        if (!Object.prototype.hasOwnProperty.call(quantities, item.id)) return item;
+        const { claimed } = itemCounts(share, item);
+        return { ...item, quantity: Math.max(cleanQuantity(quantities[item.id]), claimed) };
+      });
+    }
+  });
+}
+
+/**
+ * Loads a share for its owner (any status, so revoked links still show).
+ * @param {string} id
+ * @param {string} ownerKey
+ */
+async function getShareAsOwner(id, ownerKey) {
+  const share = id ? await getStorage().get(COLLECTION, id) : null;
+  if (!share) throw new HttpError(404, 'Shared registry not found');
+  if (!crypto.timingSafeEqual(Buffer.from(share.ownerKeyHash), Buffer.from(hashKey(ownerKey || '')))) {
+    throw new HttpError(403, 'Invalid owner key');
+  }
+  return share;
+}
+
+/**
+ * Claims `quantity` of an item. Rejects with 409 when fewer remain.
+ * @param {string} shareId
+ * @param {{ itemId?: unknown, quantity?: unknown, status?: unknown, name?: unknown, message?: unknown }} input
+ * @returns {Promise<{ share: RegistryShare, claim: RegistryClaim, claimKey: string }>}
+ */
+async function createClaim(shareId, input) {
+  const itemId = cleanText(input.itemId, 100);
+  const quantity = cleanQuantity(input.quantity);
+  const status = CLAIM_STATUSES.includes(String(input.status)) ? String(input.status) : 'reserved';
+  if (!itemId) throw new HttpError(400, 'itemId is required');
+
+  const claimKey = crypto.randomBytes(18).toString('base64url');
+  /** @type {RegistryClaim|null} */
+  let claim = null;
+
+  const share = await getStorage().update(COLLECTION, shareId, (current) => {
+    const state = shareStatus(current);
+    if (state === 'missing') throw new HttpError(404, 'Shared registry not found');
+    if (state !== 'active') throw new HttpError(410, `This registry link has been ${state}`);
+
+    const item = current.items.find((i) => i.id === itemId);
+    if (!item) throw new HttpError(404, 'Item not found on this registry');
+
+    const { remaining } = itemCounts(current, item);
+    if (quantity > remaining) {
+      throw new HttpError(409, remaining ? `Only ${remaining} still needed` : 'Already fully claimed');
+    }
+
+    const now = new Date().toISOString();
+    claim = {
+      id: randomId(10),
+      itemId,
+      quantity,
+      status: /** @type {'reserved'|'purchased'} */ (status),
+      createdAt: now,
+      updatedAt: now,
+      claimKeyHash: hashKey(claimKey),
+    };
+    const name = cleanText(input.name, 80);
+    const message = cleanText(input.message, 500);
+    if (name) claim.name = name;
+    if (message) claim.message = message;
+
+    return { ...current, claims: [...(current.claims || []), claim] };
+  });
+
+  return { share, claim, claimKey };
+}
+
+/**
+ * Visitor-side change to their own claim: mark purchased, or cancel (null).
+ * @param {string} shareId
+ * @param {string} claimId
+ * @param {string} claimKey
+ * @param {'purchased'|null} status
+ * @returns {Promise<RegistryShare>}
+ */
+async function updateClaim(shareId, claimId, claimKey, status) {
+  return getStorage().update(COLLECTION, shareId, (current) => {
+    const state = shareStatus(current);
+    if (state === 'missing') throw new HttpError(404, 'Shared registry not found');
+    if (state !== 'active') throw new HttpError(410, `This registry link has been ${state}`);
+
+    const claims = current.claims || [];
+    const claim = claims.find((c) => c.id === claimId);
+    if (!claim) throw new HttpError(404, 'Claim not found');
+    if (!claimKeyMatches(claim, claimKey)) throw new HttpError(403, 'Invalid claim key');
+
+    const next = status
+      ? claims.map((c) => (c.id === claimId ? { ...c, status, updatedAt: new Date().toISOString() } : c))
+      : claims.filter((c) => c.id !== claimId);
+    return { ...current, claims: next };
+  });
+}
+
+module.exports = {
+  COLLECTION,
+  sanitizeItems,
+  shareStatus,
+  itemCounts,
+  toPublicShare,
+  toOwnerShare,
+  claimKeyMatches,
+  createShare,
+  getActiveShare,
+  getShareAsOwner,
+  updateShareAsOwner,
+  revokeShare,
+  updateShareSettings,
+  createClaim,
+  updateClaim,
+};
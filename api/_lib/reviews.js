@@ -0,0 +1,346 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { getBlobs } = require('./blobs');
+const { HttpError } = require('./http');
+const { ALLOWED_TYPES, sniffImageType, stripMetadata, createThumbnail } = require('./images');
+const { contentFlags, fingerprint } = require('./moderation');
+
+// Product reviews: submission, moderation state and the public listing.
+//
+// Every submission starts `pending`. Only `approved` reviews (and their
+// photos) are visible publicly; the owner dashboard moves reviews between
+// pending / approved / rejected and can reply publicly as the brand.
+// Submissions are flagged for likely spam/profanity (see moderation.js) to
+// speed that up; flags never reject anything on their own.
+//
+// Photos are sniffed by content, stripped of location metadata, given a
+// thumbnail where possible (PNGs, and JPEGs with an embedded preview; see
+// images.js) and stored as blobs:
+//   review-<reviewId>-<n>        the cleaned original
+//   review-<reviewId>-<n>-thumb  the thumbnail, when one could be made
+
+const COLLECTION = 'reviews';
+const STATUSES = ['pending', 'approved', 'rejected'];
+
+const MAX_BODY_LENGTH = 5000;
+const MAX_TITLE_LENGTH = 140;
+const MAX_NAME_LENGTH = 80;
+const MAX_REPLY_LENGTH = 2000;
+const DEFAULT_PAGE_SIZE = 6;
+const MAX_PAGE_SIZE = 24;
+
+/**
+ * @typedef {Object} ReviewPhoto
+ * @property {number} n              index within the review
+ * @property {string} type
+ * @property {number} bytes
+ * @property {string|null} thumbType null when no thumbnail could be made
+ */
+
+/**
+ * @typedef {Object} Review
+ * @property {string} id
+ * @property {string} productId
+ * @property {string} [productName]
+ * @property {number} rating          1–5
+ * @property {string} [title]
+ * @property {string} body
+ * @property {string} authorName
+ * @property {string} [email]         private, never listed publicly
+ * @property {ReviewPhoto[]} photos
+ * @property {'pending'|'approved'|'rejected'} status
+ * @property {import('./moderation').ContentFlag[]} flags  computed on submission
+ * @property {string} fingerprint      normalised body, for duplicate detection
+ * @property {{ body: string, author: string, createdAt: string }} [reply]  public brand reply
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ * @property {string} [moderatedAt]
+ * @property {string} [moderatedBy]
+ * @property {string} [moderationNote]
+ */
+
+/**
+ * @param {unknown} value
+ * @param {number} max
+ */
+function cleanText(value, max) {
+  if (value == null) return '';
+  return String(value).replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f]/g, '').trim().slice(0, max);
+}
+
+/**
+ * First non-empty field among `names` (forms in the wild use different ones).
+ * @param {Record<string, string>} fields
+ * @param {string[]} names
+ */
+function pick(fields, names) {
+  const name = names.find((n) => fields[n] != null && String(fields[n]).trim() !== '');
+  return name ? fields[name] : '';
+}
+
+/** @param {string} reviewId @param {number} n @param {boolean} [thumb] */
+function photoKey(reviewId, n, thumb = false) {
+  return `review-${reviewId}-${n}${thumb ? '-thumb' : ''}`;
+}
+
+/**
+ * Validates and stores a submission from the review form.
+ * @param {{ fields: Record<string, string>, files: import('./multipart').UploadedFile[] }} input
+ * @returns {Promise<Review>}
+ */
+async function createReview({ fields, files }) {
+  const rating = Number(pick(fields, ['rating', 'stars']));
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    throw new HttpError(400, 'rating must be a whole number from 1 to 5');
+  }
+  const body = cleanText(pick(fields, ['body', 'review', 'text', 'comment', 'message']), MAX_BODY_LENGTH);
+  if (!body) throw new HttpError(400, 'Please write a few words about the product');
+  const productId = cleanText(pick(fields, ['product', 'product_id', 'productId', 'primary_bundle']), 100) || 'general';
+
+  const email = cleanText(fields.email, 254).toLowerCase();
+  const prepared = files.map((file) => {
+    const type = sniffImageType(file.data);
+    if (!type || !ALLOWED_TYPES.includes(type)) {
+      throw new HttpError(415, `${file.filename}: photos must be JPEG, PNG or WebP`);
+    }
+    let clean;
+    try {
+      clean = stripMetadata(file.data, type);
+    } catch {
+      throw new HttpError(400, `${file.filename}: the image file looks damaged`);
+    }
+    return { type, data: clean, thumb: createThumbnail(clean, type) };
+  });
+
+  const id = crypto.randomBytes(9).toString('base64url');
+  const blobs = getBlobs();
+  await Promise.all(
+    prepared.flatMap((photo, n) => [
+      blobs.write(photoKey(id, n), photo.data),
+      photo.thumb ? blobs.write(photoKey(id, n, true), photo.thumb.data) : null,
+    ])
+  );
+
+  const print = fingerprint(`${fields.title || ''} ${body}`);
+  const existing = await getStorage().list(COLLECTION);
+  const duplicate = print.length >= 20 ? existing.find((r) => r.fingerprint === print) : null;
+
+  const now = new Date().toISOString();
+  /** @type {Review} */
+  const review = {
+    id,
+    productId,
+    productName: cleanText(pick(fields, ['product_name', 'productName']), 200) || undefined,
+    rating,
+    title: cleanText(fields.title, MAX_TITLE_LENGTH) || undefined,
+    body,
+    authorName: cleanText(pick(fields, ['name', 'author', 'display_name']), MAX_NAME_LENGTH) || 'Anonymous parent',
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : undefined,
+    photos: prepared.map((photo, n) => ({
+      n,
+      type: photo.type,
+      bytes: photo.data.length,
+      thumbType: photo.thumb ? photo.thumb.type : null,
+    })),
+    status: 'pending',
+    flags: contentFlags(`${fields.title || ''}\n${body}`, { duplicateOf: duplicate ? duplicate.id : null }),
+    fingerprint: print,
+    createdAt: now,
+    updatedAt: now,
+  };
+  await getStorage().put(COLLECTION, id, review);
+  return review;
+}
+
+/**
+ * @param {Review} review
+ * @param {number} n
+ * @param {'full'|'thumb'} size
+ */
+function photoUrl(review, n, size) {
+  return `/api/reviews/photo?review=${encodeURIComponent(review.id)}&n=${n}${size === 'thumb' ? '&size=thumb' : ''}`;
+}
+
+/**
+ * Shape shown on the public site: no email, no moderation details.
+ * @param {Review} review
+ */
+function toPublicReview(review) {
+  return {
+    id: review.id,
+    productId: review.productId,
+    productName: review.productName,
+    rating: review.rating,
+    title: review.title,
+    body: review.body,
+    authorName: review.authorName,
+    createdAt: review.createdAt,
+    photos: review.photos.map((photo) => ({
+      url: photoUrl(review, photo.n, 'full'),
+      thumbUrl: photoUrl(review, photo.n, 'thumb'),
+    })),
+    reply: review.reply ? { body: review.reply.body, author: review.reply.author, createdAt: review.reply.createdAt } : undefined,
+  };
+}
+
+/**
+ * Everything the moderation queue needs, including the submitter's email.
+ * @param {Review} review
+ */
+function toOwnerReview(review) {
+  return {
+    ...toPublicReview(review),
+    email: review.email,
+    status: review.status,
+    flags: review.flags || [],
+    moderatedAt: review.moderatedAt,
+    moderatedBy: review.moderatedBy,
+    moderationNote: review.moderationNote,
+  };
+}
+
+/**
+ * @param {{ status?: string, productId?: string }} [filter]
+ * @returns {Promise<Review[]>} newest first
+ */
+async function listReviews(filter = {}) {
+  const all = await getStorage().list(COLLECTION);
+  return all
+    .filter((review) => !filter.status || review.status === filter.status)
+    .filter((review) => !filter.productId || review.productId === filter.productId)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/**
+ * Approved reviews, one page at a time, with rating summary and a product
+ * facet for the filter dropdown.
+ * @param {{ productId?: string, page?: unknown, pageSize?: unknown }} [options]
+ */
+async function listApproved(options = {}) {
+  const approved = await listReviews({ status: 'approved' });
+  const matching = options.productId ? approved.filter((r) => r.productId === options.productId) : approved;
+
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, Math.floor(Number(options.pageSize)) || DEFAULT_PAGE_SIZE));
+  const totalPages = Math.max(1, Math.ceil(matching.length / pageSize));
+  const page = Math.min(totalPages, Math.max(1, Math.floor(Number(options.page)) || 1));
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  matching.forEach((r) => {
+    distribution[r.rating] += 1;
+  });
+  const average = matching.length
+    ? Math.round((matching.reduce((sum, r) => sum + r.rating, 0) / matching.length) * 10) / 10
+    : null;
+
+  /** @type {Map<string, { id: string, name?: string, count: number }>} */
+  const products = new Map();
+  approved.forEach((r) => {
+    const entry = products.get(r.productId) || { id: r.productId, name: r.productName, count: 0 };
+    entry.count += 1;
+    if (!entry.name && r.productName) entry.name = r.productName;
+    products.set(r.productId, entry);
+  });
+
+  return {
+    reviews: matching.slice((page - 1) * pageSize, page * pageSize).map(toPublicReview),
+    page,
+    pageSize,
+    total: matching.length,
+    totalPages,
+    summary: { count: matching.length, average, distribution },
+    products: [...products.values()].sort((a, b) => b.count - a.count),
+  };
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<Review|null>}
+ */
+function getReview(id) {
+  return getStorage().get(COLLECTION, id);
+}
+
+/**
+ * Moves reviews to a new moderation state.
+ * @param {string[]} ids
+ * @param {'pending'|'approved'|'rejected'} status
+ * @param {{ by?: string, note?: string }} [meta]
+ * @returns {Promise<Review[]>} the reviews that changed
+ */
+async function setReviewStatus(ids, status, meta = {}) {
+  if (!STATUSES.includes(status)) throw new HttpError(400, `status must be one of ${STATUSES.join(', ')}`);
+  const now = new Date().toISOString();
+  const storage = getStorage();
+  const changed = [];
+  for (const id of ids) {
+    const updated = await storage.update(COLLECTION, id, (current) => {
+      if (!current || current.status === status) return undefined;
+      return {
+        ...current,
+        status,
+        updatedAt: now,
+        moderatedAt: now,
+        moderatedBy: meta.by || 'owner',
+        moderationNote: cleanText(meta.note, 500) || undefined,
+      };
+    });
+    if (updated && updated.status === status && updated.moderatedAt === now) changed.push(updated);
+  }
+  return changed;
+}
+
+/**
+ * Sets (or, with an empty body, removes) the public reply shown under a review.
+ * @param {string} id
+ * @param {string} body
+ * @param {{ author?: string }} [meta]
+ * @returns {Promise<Review>}
+ */
+async function replyToReview(id, body, meta = {}) {
+  const text = cleanText(body, MAX_REPLY_LENGTH);
+  const now = new Date().toISOString();
+  const updated = await getStorage().update(COLLECTION, id, (current) => {
+    if (!current) throw new HttpError(404, 'Review not found');
+    const reply = text ? { body: text, author: meta.author || 'InfantBites team', createdAt: now } : undefined;
+    return { ...current, reply, updatedAt: now };
+  });
+  return updated;
+}
+
+/**
+ * Photo bytes for `/api/reviews/photo`. Unapproved reviews' photos are only
+ * returned when `includeUnapproved` is set (owner previews).
+ * @param {string} reviewId
+ * @param {number} n
+ * @param {{ thumb?: boolean, includeUnapproved?: boolean }} [options]
+ * @returns {Promise<{ data: Buffer, type: string }|null>}
+ */
+async function getPhoto(reviewId, n, options = {}) {
+  const review = await getReview(reviewId);
+  if (!review || (review.status !== 'approved' && !options.includeUnapproved)) return null;
+  const photo = review.photos.find((p) => p.n === n);
+  if (!photo) return null;
+
+  const blobs = getBlobs();
+  if (options.thumb && photo.thumbType) {
+    const thumb = await blobs.read(photoKey(review.id, n, true));
+    if (thumb) return { data: thumb, type: photo.thumbType };
+  }
+  const data = await blobs.read(photoKey(review.id, n));
+  return data ? { data, type: photo.type } : null;
+}
+
+module.exports = {
+  COLLECTION,
+  STATUSES,
+  createReview,
+  toPublicReview,
+  toOwnerReview,
+  listReviews,
+  listApproved,
+  getReview,
+  setReviewStatus,
+  replyToReview,
+  getPhoto,
+  photoKey,
+};
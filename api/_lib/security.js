@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+
+// Security headers for every response from protected.js.
+//
+// Configuration (all optional):
+//   CSP_MODE            "enforce" (default), "report-only" or "off"
+//   CSP_REPORT_URI      where browsers send violations (default /api/csp-report)
+//   CSP_SCRIPT_SOURCES  extra script-src sources, space separated
+//   CSP_CONNECT_SOURCES extra connect-src sources, space separated
+//   HSTS_MAX_AGE        seconds, 0 disables Strict-Transport-Security
+//
+// HTML pages get a fresh nonce per response; it is written into every
+// <script> tag of the page and into script-src, so the existing inline
+// blocks keep running without 'unsafe-inline'.
+
+const DEFAULT_REPORT_URI = '/api/csp-report';
+const DEFAULT_HSTS_MAX_AGE = 180 * 24 * 60 * 60;
+
+const BASE_SCRIPT_SOURCES = ["'self'", 'https://cdn.jsdelivr.net'];
+
+const PERMISSIONS_POLICY = [
+  'camera=()',
+  'microphone=()',
+  'geolocation=()',
+  'payment=()',
+  'usb=()',
+  'interest-cohort=()',
+].join(', ');
+
+/** @param {string|undefined} value */
+function splitSources(value) {
+  return String(value || '').split(/\s+/).filter(Boolean);
+}
+
+function securityConfig() {
+  const mode = process.env.CSP_MODE || 'enforce';
+  const hsts = Number(process.env.HSTS_MAX_AGE);
+  return {
+    mode: ['enforce', 'report-only', 'off'].includes(mode) ? mode : 'enforce',
+    reportUri: process.env.CSP_REPORT_URI || DEFAULT_REPORT_URI,
+    scriptSources: [...BASE_SCRIPT_SOURCES, ...splitSources(process.env.CSP_SCRIPT_SOURCES)],
+    connectSources: ["'self'", ...splitSources(process.env.CSP_CONNECT_SOURCES)],
+    hstsMaxAge: Number.isFinite(hsts) && hsts >= 0 ? hsts : DEFAULT_HSTS_MAX_AGE,
+  };
+}
+
+function createNonce() {
+  return crypto.randomBytes(16).toString('base64');
+}
+
+/**
+ * @param {ReturnType<typeof securityConfig>} config
+ * @param {string|null} nonce
+ * @returns {string}
+ */
+function buildCsp(config, nonce) {
+  const directives = {
+    'default-src': ["'self'"],
+    'script-src': nonce ? [...config.scriptSources, `'nonce-${nonce}'`] : config.scriptSources,
+    // Pages use inline style attributes, which nonces can't cover.
+    'style-src': ["'self'", "'unsafe-inline'"],
+    // blob: for the owner dashboard's photo and attachment previews (createObjectURL).
+    'img-src': ["'self'", 'data:', 'blob:', 'https:'],
+    'font-src': ["'self'", 'data:'],
+    'connect-src': config.connectSources,
+    'object-src': ["'none'"],
+    'base-uri': ["'self'"],
+    'form-action': ["'self'"],
+    'frame-ancestors': ["'none'"],
+    'report-uri': [config.reportUri],
+    'report-to': ['csp'],
+  };
+  return Object.entries(directives)
+    .map(([name, values]) => `${name} ${values.join(' ')}`)
+    .join('; ');
+}
+
+/**
+ * Header names that belong to one particular body and must not refresh a
+ * cached copy via a 304.
+ */
+const CSP_HEADERS = ['Content-Security-Policy', 'Content-Security-Policy-Report-Only'];
+
+/**
+ * Sets the security headers on `res`. Pass the page nonce for HTML responses.
+ * @param {import('http').ServerResponse} res
+ * @param {{ nonce?: string|null }} [options]
+ */
+function applySecurityHeaders(res, options = {}) {
+  const config = securityConfig();
+
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
+  res.setHeader('Permissions-Policy', PERMISSIONS_POLICY);
+  res.setHeader('X-Frame-Options', 'DENY');
+  res.setHeader('Cross-Origin-Opener-Policy', 'same-origin');
+  if (config.hstsMaxAge > 0) {
+    res.setHeader('Strict-Transport-Security', `max-age=${config.hstsMaxAge}; includeSubDomains`);
+  }
+
+  if (config.mode === 'off') return;
+  res.setHeader('Reporting-Endpoints', `csp="${config.reportUri}"`);
+  res.setHeader(
+    config.mode === 'report-only' ? CSP_HEADERS[1] : CSP_HEADERS[0],
+    buildCsp(config, options.nonce || null)
+  );
+}
+
+/**
+ * Adds `nonce` to every <script> tag that doesn't already carry one.
+ * @param {Buffer} html
+ * @param {string} nonce
+ * @returns {Buffer}
+ */
+function injectNonce(html, nonce) {
+  const out = html
+    .toString('utf8')
+    .replace(/<script\b(?![^>]*\bnonce=)/gi, `<script nonce="${nonce}"`);
+  return Buffer.from(out, 'utf8');
+}
+
+module.exports = {
+  CSP_HEADERS,
+  securityConfig,
+  createNonce,
+  buildCsp,
+  applySecurityHeaders,
+  injectNonce,
+};
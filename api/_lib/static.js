@@ -0,0 +1,459 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// Static file responses for protected.js: safe path resolution under the
+// public root, validators (ETag/Last-Modified), 304 handling, cache policy per
+// extension, gzip/brotli negotiation, byte ranges and the 404 page.
+
+const PUBLIC_ROOT = path.join(process.cwd(), 'frontend', 'public');
+
+// Everything here sits behind Basic auth, so responses are always `private`:
+// browsers may cache them, shared proxies may not.
+const CACHE = {
+  REVALIDATE: 'private, no-cache',
+  SHORT: 'private, max-age=300, must-revalidate',
+  LONG: 'private, max-age=86400',
+};
+
+const mimeTypes = {
+  '.html': { type: 'text/html; charset=utf-8', cache: CACHE.REVALIDATE, compress: true },
+  '.js': { type: 'text/javascript; charset=utf-8', cache: CACHE.SHORT, compress: true },
+  '.css': { type: 'text/css; charset=utf-8', cache: CACHE.SHORT, compress: true },
+  '.json': { type: 'application/json; charset=utf-8', cache: CACHE.REVALIDATE, compress: true },
+  '.png': { type: 'image/png', cache: CACHE.LONG, compress: false },
+  '.jpg': { type: 'image/jpeg', cache: CACHE.LONG, compress: false },
+  '.jpeg': { type: 'image/jpeg', cache: CACHE.LONG, compress: false },
+  '.gif': { type: 'image/gif', cache: CACHE.LONG, compress: false },
+  '.svg': { type: 'image/svg+xml', cache: CACHE.LONG, compress: true },
+  '.ico': { type: 'image/x-icon', cache: CACHE.LONG, compress: false },
+  '.txt': { type: 'text/plain; charset=utf-8', cache: CACHE.SHORT, compress: true },
+};
+
+const DEFAULT_FILE_TYPE = { type: 'application/octet-stream', cache: CACHE.REVALIDATE, compress: false };
+
+// Tiny files aren't worth the CPU or the extra header bytes.
+const MIN_COMPRESS_BYTES = 1024;
+
+const ENCODINGS = {
+  br: {
+    suffix: 'br',
+    compress: (buf) =>
+      zlib.brotliCompressSync(buf, {
+        params: {
+          [zlib.constants.BROTLI_PARAM_QUALITY]: 9,
+          [zlib.constants.BROTLI_PARAM_SIZE_HINT]: buf.length,
+        },
+      }),
+  },
+  gzip: {
+    suffix: 'gz',
+    compress: (buf) => zlib.gzipSync(buf, { level: 9 }),
+  },
+};
+
+// Per-response bodies (see `transform` in serveFile) are compressed on every
+// request, so they use cheaper settings than the cached variants.
+const DYNAMIC_ENCODINGS = {
+  br: (buf) =>
+    zlib.brotliCompressSync(buf, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } }),
+  gzip: (buf) => zlib.gzipSync(buf, { level: 6 }),
+};
+
+/**
+ * Small LRU of compressed variants, keyed on path + mtime + size so edits
+ * invalidate entries without a watcher. Identity bodies are streamed and never
+ * cached.
+ */
+const variantCache = {
+  maxBytes: 16 * 1024 * 1024,
+  bytes: 0,
+  /** @type {Map<string, { body: Buffer, etag: string }>} */
+  entries: new Map(),
+
+  get(key) {
+    const hit = this.entries.get(key);
+    if (!hit) return null;
+    this.entries.delete(key);
+    this.entries.set(key, hit);
+    return hit;
+  },
+
+  set(key, value) {
+    if (value.body.length > this.maxBytes / 4) return;
+    this.entries.set(key, value);
+    this.bytes += value.body.length;
+    for (const [oldKey, old] of this.entries) {
+      if (this.bytes <= this.maxBytes) break;
+      this.entries.delete(oldKey);
+      this.bytes -= old.body.length;
+    }
+  },
+};
+
+/** @param {string} filePath */
+function fileTypeFor(filePath) {
+  return mimeTypes[path.extname(filePath).toLowerCase()] || DEFAULT_FILE_TYPE;
+}
+
+/**
+ * Picks the best supported encoding from an Accept-Encoding header.
+ * @param {string|undefined} header
+ * @returns {'br'|'gzip'|null}
+ */
+function negotiateEncoding(header) {
+  if (!header) return null;
+  const q = {};
+  header.split(',').forEach((part) => {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    if (!name) return;
+    const qParam = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+    q[name] = qParam ? Number(qParam.slice(2)) || 0 : 1;
+  });
+
+  const weight = (name) => (name in q ? q[name] : '*' in q ? q['*'] : 0);
+  const candidates = ['br', 'gzip'].filter((name) => weight(name) > 0);
+  if (!candidates.length) return null;
+  return candidates.sort((a, b) => weight(b) - weight(a))[0];
+}
+
+/**
+ * @param {fs.Stats} stat
+ * @param {string} filePath
+ */
+function cacheKey(stat, filePath) {
+  return `${filePath}:${stat.mtimeMs}:${stat.size}`;
+}
+
+/**
+ * Strong validator derived from size and mtime, so files can be streamed
+ * without reading them first.
+ * @param {fs.Stats} stat
+ */
+function identityEtag(stat) {
+  return `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+}
+
+/**
+ * @param {string} filePath
+ * @param {fs.Stats} stat
+ * @param {'br'|'gzip'} encoding
+ * @returns {{ body: Buffer, etag: string }}
+ */
+function loadEncoded(filePath, stat, encoding) {
+  const key = `${cacheKey(stat, filePath)}:${encoding}`;
+  const cached = variantCache.get(key);
+  if (cached) return cached;
+
+  const { suffix, compress } = ENCODINGS[encoding];
+  const entry = {
+    body: compress(fs.readFileSync(filePath)),
+    etag: identityEtag(stat).replace(/"$/, `-${suffix}"`),
+  };
+  variantCache.set(key, entry);
+  return entry;
+}
+
+/**
+ * Maps a request URL onto a file under `root`. The query string and fragment
+ * are dropped, the path is percent-decoded once and the result must stay
+ * inside `root`; dot-segments, NUL bytes, hidden files and symlinks leading
+ * outside the root all resolve to null. Directories resolve to their
+ * index.html.
+ * @param {string|undefined} url
+ * @param {string} [root]
+ * @returns {{ filePath: string, stat: fs.Stats }|null}
+ */
+function resolvePublicPath(url, root = PUBLIC_ROOT) {
+  let pathname;
+  try {
+    // Prefix the origin ourselves so "//host/x" stays a path, not an authority.
+    const raw = url && url.startsWith('/') ? url : `/${url || ''}`;
+    pathname = decodeURIComponent(new URL(`http://localhost${raw}`).pathname);
+  } catch {
+    return null;
+  }
+  if (pathname.includes('\0') || pathname.includes('\\')) return null;
+  if (pathname.split('/').some((segment) => segment.startsWith('.'))) return null;
+
+  let filePath = path.resolve(root, `.${pathname}`);
+  if (!isInside(root, filePath)) return null;
+
+  try {
+    let stat = fs.statSync(filePath);
+    if (stat.isDirectory()) {
+      filePath = path.join(filePath, 'index.html');
+      stat = fs.statSync(filePath);
+    }
+    if (!stat.isFile()) return null;
+    if (!isInside(fs.realpathSync(root), fs.realpathSync(filePath))) return null;
+    return { filePath, stat };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {string} root
+ * @param {string} candidate
+ */
+function isInside(root, candidate) {
+  const relative = path.relative(root, candidate);
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Parses a single-range `Range: bytes=` header.
+ * @param {string|undefined} header
+ * @param {number} size
+ * @returns {{ start: number, end: number }|'unsatisfiable'|null}
+ *   null when the header is absent, malformed or asks for several ranges
+ *   (the full body is sent instead, as RFC 9110 allows).
+ */
+function parseRange(header, size) {
+  if (!header) return null;
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match) return null;
+  const [, startRaw, endRaw] = match;
+  if (!startRaw && !endRaw) return null;
+
+  let start;
+  let end;
+  if (!startRaw) {
+    const suffix = Number(endRaw);
+    if (suffix === 0) return 'unsatisfiable';
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = Number(startRaw);
+    end = endRaw ? Math.min(Number(endRaw), size - 1) : size - 1;
+  }
+
+  if (start >= size || start > end) return 'unsatisfiable';
+  return { start, end };
+}
+
+/**
+ * If-Range: only honour the Range header when the client's validator still
+ * matches the current file.
+ * @param {import('http').IncomingMessage} req
+ * @param {fs.Stats} stat
+ */
+function ifRangeMatches(req, stat) {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    return ifRange === identityEtag(stat);
+  }
+  const date = Date.parse(ifRange);
+  return !Number.isNaN(date) && Math.floor(stat.mtimeMs / 1000) <= Math.floor(date / 1000);
+}
+
+/**
+ * True when the client's validators show its cached copy is current.
+ * If-None-Match takes precedence over If-Modified-Since (RFC 9110 §13.2.2).
+ * @param {import('http').IncomingMessage} req
+ * @param {string[]} etags  every ETag the current representation may carry
+ * @param {fs.Stats} stat
+ */
+function isNotModified(req, etags, stat) {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    if (ifNoneMatch.trim() === '*') return true;
+    return ifNoneMatch
+      .split(',')
+      .map((tag) => tag.trim().replace(/^W\//, ''))
+      .some((tag) => etags.includes(tag));
+  }
+
+  const ifModifiedSince = req.headers['if-modified-since'];
+  if (ifModifiedSince) {
+    const since = Date.parse(ifModifiedSince);
+    if (Number.isNaN(since)) return false;
+    return Math.floor(stat.mtimeMs / 1000) <= Math.floor(since / 1000);
+  }
+
+  return false;
+}
+
+/**
+ * Streams `stream` into `res`, turning read errors into a 500 when nothing has
+ * been sent yet.
+ * @param {fs.ReadStream} stream
+ * @param {import('http').ServerResponse} res
+ */
+function pipeFile(stream, res) {
+  stream.on('error', (err) => {
+    console.error('[static] read error', err);
+    if (!res.headersSent) {
+      res.removeHeader('Content-Length');
+      res.removeHeader('Content-Range');
+      res.statusCode = 500;
+      res.end('Internal Server Error');
+    } else {
+      res.destroy(err);
+    }
+  });
+  stream.pipe(res);
+}
+
+/**
+ * @typedef {Object} ServeOptions
+ * @property {number} [statusCode]
+ * @property {(body: Buffer) => Buffer} [transform]
+ *   rewrites the body for this response only (e.g. CSP nonces). Such bodies
+ *   get a weak ETag, are compressed per request and ignore Range.
+ * @property {string[]} [perResponseHeaders]
+ *   headers describing only this transformed body; they are dropped from 304s
+ *   so they can't overwrite the ones cached alongside the earlier body.
+ */
+
+/**
+ * Buffered path for bodies rewritten per response.
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {string} filePath
+ * @param {fs.Stats} stat
+ * @param {ServeOptions} options
+ */
+function serveTransformed(req, res, filePath, stat, options) {
+  const fileType = fileTypeFor(filePath);
+  const statusCode = options.statusCode || 200;
+  const etag = `W/${identityEtag(stat)}`;
+
+  res.setHeader('Cache-Control', statusCode === 200 ? fileType.cache : CACHE.REVALIDATE);
+  res.setHeader('Last-Modified', new Date(stat.mtimeMs).toUTCString());
+  res.setHeader('ETag', etag);
+  if (fileType.compress) res.setHeader('Vary', 'Accept-Encoding');
+
+  if (statusCode === 200 && isNotModified(req, [identityEtag(stat)], stat)) {
+    (options.perResponseHeaders || []).forEach((name) => res.removeHeader(name));
+    res.statusCode = 304;
+    res.end();
+    return;
+  }
+
+  let body = options.transform(fs.readFileSync(filePath));
+  const encoding =
+    fileType.compress && body.length >= MIN_COMPRESS_BYTES
+      ? negotiateEncoding(req.headers['accept-encoding'])
+      : null;
+  if (encoding) {
+    body = DYNAMIC_ENCODINGS[encoding](body);
+    res.setHeader('Content-Encoding', encoding);
+  }
+
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', fileType.type);
+  res.setHeader('Content-Length', body.length);
+  res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+/**
+ * Sends a file with validators, cache policy, negotiated compression and
+ * single byte-range support. Answers 304 when the client copy is still
+ * fresh. Range requests are always served from the identity encoding.
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {string} filePath
+ * @param {fs.Stats} stat
+ * @param {ServeOptions} [options]
+ */
+function serveFile(req, res, filePath, stat, options = {}) {
+  if (options.transform) {
+    serveTransformed(req, res, filePath, stat, options);
+    return;
+  }
+
+  const fileType = fileTypeFor(filePath);
+  const etag = identityEtag(stat);
+  const isHead = req.method === 'HEAD';
+  const statusCode = options.statusCode || 200;
+
+  const range = statusCode === 200 && ifRangeMatches(req, stat)
+    ? parseRange(req.headers.range, stat.size)
+    : null;
+  const encoding =
+    !range && fileType.compress && stat.size >= MIN_COMPRESS_BYTES
+      ? negotiateEncoding(req.headers['accept-encoding'])
+      : null;
+  const variant = encoding ? loadEncoded(filePath, stat, encoding) : null;
+
+  res.setHeader('Cache-Control', statusCode === 200 ? fileType.cache : CACHE.REVALIDATE);
+  res.setHeader('Last-Modified', new Date(stat.mtimeMs).toUTCString());
+  res.setHeader('ETag', variant ? variant.etag : etag);
+  res.setHeader('Accept-Ranges', 'bytes');
+  if (fileType.compress) res.setHeader('Vary', 'Accept-Encoding');
+
+  if (statusCode === 200 && isNotModified(req, [variant ? variant.etag : etag, etag], stat)) {
+    res.statusCode = 304;
+    res.end();
+    return;
+  }
+
+  res.setHeader('Content-Type', fileType.type);
+
+  if (range === 'unsatisfiable') {
+    res.statusCode = 416;
+    res.setHeader('Content-Range', `bytes */${stat.size}`);
+    res.end();
+    return;
+  }
+
+  if (variant) {
+    res.statusCode = statusCode;
+    res.setHeader('Content-Encoding', encoding);
+    res.setHeader('Content-Length', variant.body.length);
+    res.end(isHead ? undefined : variant.body);
+    return;
+  }
+
+  if (range) {
+    res.statusCode = 206;
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${stat.size}`);
+    res.setHeader('Content-Length', range.end - range.start + 1);
+  } else {
+    res.statusCode = statusCode;
+    res.setHeader('Content-Length', stat.size);
+  }
+
+  if (isHead || stat.size === 0) {
+    res.end();
+    return;
+  }
+
+  pipeFile(fs.createReadStream(filePath, range || {}), res);
+}
+
+/**
+ * Replies 404 with the configured not-found page (STATIC_NOT_FOUND_PAGE, a
+ * path under the public root such as "/404.html"), or plain text when no page
+ * is configured or it can't be found.
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {ServeOptions} [options]
+ */
+function sendNotFound(req, res, options = {}) {
+  const page = process.env.STATIC_NOT_FOUND_PAGE;
+  const resolved = page ? resolvePublicPath(page) : null;
+  if (resolved) {
+    serveFile(req, res, resolved.filePath, resolved.stat, { ...options, statusCode: 404 });
+    return;
+  }
+  res.statusCode = 404;
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.setHeader('Cache-Control', CACHE.REVALIDATE);
+  res.end('Not Found');
+}
+
+module.exports = {
+  PUBLIC_ROOT,
+  CACHE,
+  mimeTypes,
+  fileTypeFor,
+  negotiateEncoding,
+  resolvePublicPath,
+  parseRange,
+  serveFile,
+  sendNotFound,
+};
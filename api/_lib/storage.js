@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+
+// Pluggable record storage shared by every API handler.
+//
+// Data lives in named collections of JSON records keyed by id. Adapters only
+// need to implement `readCollection(name)` and `writeCollection(name, records)`;
+// everything else (get/put/update/list/append) is built on top of those two so
+// a hosted KV or database adapter stays small.
+//
+// Select an adapter with IB_STORAGE_ADAPTER ("file" by default, "memory" for
+// throwaway runs) or register your own with `registerAdapter`.
+
+const DEFAULT_DATA_DIR = path.join(process.cwd(), '.data');
+
+/**
+ * @typedef {Object} StorageAdapter
+ * @property {(name: string) => Promise<Record<string, any>>} readCollection
+ * @property {(name: string, records: Record<string, any>) => Promise<void>} writeCollection
+ */
+
+/** @type {Record<string, (options: Record<string, any>) => StorageAdapter>} */
+const adapters = {
+  file: createFileAdapter,
+  memory: createMemoryAdapter,
+};
+
+/**
+ * File-backed adapter: one JSON document per collection under `dir`.
+ * Writes go to a temp file first and are renamed into place.
+ * @param {{ dir?: string }} [options]
+ * @returns {StorageAdapter}
+ */
+function createFileAdapter(options = {}) {
+  const dir = options.dir || process.env.IB_DATA_DIR || DEFAULT_DATA_DIR;
+
+  const fileFor = (name) => {
+    if (!/^[a-z0-9_-]+$/i.test(name)) {
+      throw new Error(`Invalid collection name: ${name}`);
+    }
+    return path.join(dir, `${name}.json`);
+  };
+
+  return {
+    async readCollection(name) {
+      try {
+        const raw = await fs.promises.readFile(fileFor(name), 'utf8');
+        const parsed = JSON.parse(raw);
+        return parsed && typeof parsed === 'object' ? parsed : {};
+      } catch (err) {
+        if (err.code === 'ENOENT') return {};
+        throw err;
+      }
+    },
+
+    async writeCollection(name, records) {
+      const file = fileFor(name);
+      await fs.promises.mkdir(dir, { recursive: true });
+      const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(records, null, 2));
+      await fs.promises.rename(tmp, file);
+    },
+  };
+}
+
+/**
+ * In-memory adapter, useful for local experiments. Data is lost on restart.
+ * @returns {StorageAdapter}
+ */
+function createMemoryAdapter() {
+  const collections = new Map();
+  return {
+    async readCollection(name) {
+      return JSON.parse(JSON.stringify(collections.get(name) || {}));
+    },
+    async writeCollection(name, records) {
+      collections.set(name, JSON.parse(JSON.stringify(records)));
+    },
+  };
+}
+
+/**
+ * Wraps an adapter with the record-level API used by handlers. Mutations on
+ * the same collection are queued so read-modify-write cycles never interleave
+ * within one instance.
+ * @param {StorageAdapter} adapter
+ */
+function createStorage(adapter) {
+  /** @type {Map<string, Promise<unknown>>} */
+  const queues = new Map();
+
+  function withLock(name, fn) {
+    const previous = queues.get(name) || Promise.resolve();
+    const next = previous.then(fn, fn);
+    queues.set(name, next.catch(() => {}));
+    return next;
+  }
+
+  function mutate(name, fn) {
+    return withLock(name, async () => {
+      const records = await adapter.readCollection(name);
+      const result = await fn(records);
+      await adapter.writeCollection(name, records);
+      return result;
+    });
+  }
+
+  return {
+    adapter,
+
+    /** @param {string} name */
+    async list(name) {
+      return Object.values(await adapter.readCollection(name));
+    },
+
+    /**
+     * @param {string} name
+     * @param {string} id
+     */
+    async get(name, id) {
+      const records = await adapter.readCollection(name);
+      return Object.prototype.hasOwnProperty.call(records, id) ? records[id] : null;
+    },
+
+    /**
+     * @param {string} name
+     * @param {string} id
+     * @param {any} value
+     */
+    put(name, id, value) {
+      return mutate(name, (records) => {
+        records[id] = value;
+        return value;
+      });
+    },
+
+    /**
+     * Atomically transform one record. `fn` receives the current value (or
+     * null) and returns the new one; returning undefined leaves it unchanged.
+     * @param {string} name
+     * @param {string} id
+     * @param {(current: any) => any} fn
+     */
+    update(name, id, fn) {
+      return mutate(name, async (records) => {
+        const current = Object.prototype.hasOwnProperty.call(records, id) ? records[id] : null;
+        const next = await fn(current);
+        if (next === undefined) return current;
+        records[id] = next;
+        return next;
+      });
+    },
+
+    /**
+     * @param {string} name
+     * @param {string} id
+     */
+    remove(name, id) {
+      return mutate(name, (records) => {
+        const existed = Object.prototype.hasOwnProperty.call(records, id);
+        delete records[id];
+        return existed;
+      });
+    },
+
+    /**
+     * Append an entry to an ordered stream collection, keeping at most `limit`.
+     * @param {string} name
+     * @param {Record<string, any>} entry
+     * @param {{ limit?: number }} [options]
+     */
+    append(name, entry, options = {}) {
+      const limit = options.limit || 5000;
+      return mutate(name, (records) => {
+        const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        records[id] = { id, ...entry };
+        const ids = Object.keys(records);
+        ids.slice(0, Math.max(0, ids.length - limit)).forEach((old) => delete records[old]);
+        return records[id];
+      });
+    },
+  };
+}
+
+/**
+ * @param {string} name
+ * @param {(options: Record<string, any>) => StorageAdapter} factory
+ */
+function registerAdapter(name, factory) {
+  adapters[name] = factory;
+}
+
+let shared = null;
+
+/**
+ * Shared storage instance for the current process.
+ * @returns {ReturnType<typeof createStorage>}
+ */
+function getStorage() {
+  if (!shared) {
+    const name = process.env.IB_STORAGE_ADAPTER || 'file';
+    const factory = adapters[name];
+    if (!factory) throw new Error(`Unknown storage adapter: ${name}`);
+    shared = createStorage(factory({}));
+  }
+  return shared;
+}
+
+module.exports = {
+  createStorage,
+  createFileAdapter,
+  createMemoryAdapter,
+  registerAdapter,
+  getStorage,
+};
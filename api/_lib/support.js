@@ -0,0 +1,1003 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { getBlobs } = require('./blobs');
+const { HttpError, siteOrigin } = require('./http');
+const { ALLOWED_TYPES, sniffImageType, stripMetadata } = require('./images');
+const { normalizeEmail } = require('./alerts');
+const { appendLog } = require('./owner');
+const { queueEmail } = require('./outbox');
+const { complete } = require('./llm');
+const { search, sourcesPrompt } = require('./knowledge');
+
+// Support tickets behind /api/support/ask (support.html's SupportChat).
+//
+// Messages are threaded by email: a message joins the customer's latest open
+// ticket, or starts a new one. Each ticket sits in one of two queues:
+//
+//   ai     answered by the support responder (SUPPORT_RESPONDER, see below)
+//   agent  waiting for a person. `human_only` messages go straight here;
+//          `ai_first` threads move here when the customer asks for a person,
+//          the triage says it's urgent or they're clearly frustrated, or the
+//          responder itself gives up. Once with an agent, the assistant stops
+//          answering and only acknowledges follow-ups.
+//
+// Every message is triaged (topic, urgency, sentiment – keyword rules, no
+// model needed) and the ticket keeps an extractive summary; both are what
+// the chat's summary and insights cards show.
+//
+// There are no customer accounts. The chat sends a random per-browser key
+// (`X-Support-Key`, like the assistant's `X-Chat-Key`); tickets remember the
+// hashes of the keys allowed to read them, so agent replies show up in the
+// browser that opened the thread (/api/support/thread) and nowhere else.
+// A message from a browser that isn't a reader of the email's open ticket
+// starts a new ticket instead of joining – otherwise knowing someone's email
+// would be enough to read their support thread. Agent replies are always
+// emailed as well.
+//
+// Agents work the tickets from the owner dashboard (/api/owner/support):
+// assign, reply (optionally from CANNED_RESPONSES), add internal notes –
+// never shown to the customer – and close or reopen.
+//
+// Image attachments are sniffed, stripped of metadata and stored as blobs
+// `support-<ticketId>-<n>`, numbered across the ticket.
+//
+// Responders (SUPPORT_RESPONDER):
+//   canned  (default) topic templates shaped by the chat's answer controls
+//   llm     the configured LLM provider (see llm.js) with a support prompt
+// Both get the FAQ and policy passages that match the message (knowledge.js)
+// and cite the ones they use as links to the page sections; the reply keeps
+// those citations in `sources`.
+
+const COLLECTION = 'support_tickets';
+
+const MODES = ['ai_first', 'human_only'];
+const TOPICS = ['account', 'billing', 'technical', 'content', 'feature', 'other'];
+const URGENCIES = ['low', 'medium', 'high'];
+const SENTIMENTS = ['negative', 'neutral', 'positive'];
+
+const CONTROLS = {
+  style: ['concise', 'balanced', 'detailed'],
+  tone: ['friendly', 'direct', 'reassuring'],
+  goal: ['actions', 'explain', 'draft_email'],
+  language: ['auto', 'en', 'es', 'pt', 'fr'],
+};
+const DEFAULT_CONTROLS = { style: 'balanced', tone: 'friendly', goal: null, language: 'auto' };
+
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_HISTORY_MESSAGES = 40;
+const MAX_NAME_LENGTH = 80;
+const MAX_ATTACHMENTS_PER_TICKET = 10;
+const MAX_AGENT_TEXT_LENGTH = 5000;
+const MAX_THREADS_PER_KEY = 5;
+const SUMMARY_QUOTE_LENGTH = 140;
+
+/**
+ * @typedef {Object} SupportAttachment
+ * @property {number} n          index within the ticket (blob support-<ticketId>-<n>)
+ * @property {string} name       the customer's file name
+ * @property {string} type
+ * @property {number} bytes
+ */
+
+/**
+ * @typedef {Object} SupportMessage
+ * @property {string} id
+ * @property {'customer'|'assistant'|'agent'} role
+ * @property {string} content
+ * @property {string} at
+ * @property {SupportAttachment[]} [attachments]
+ * @property {string} [author]   agent name, for agent messages
+ * @property {string} [answeredBy] assistant messages: the responder's name, or 'acknowledgement'
+ * @property {string} [topic]      assistant messages: triage topic when it answered
+ * @property {AiControls} [controls] assistant messages: answer controls it was asked to follow
+ * @property {Array<{ label: string, url: string }>} [sources] assistant messages: help-page sections it cited
+ */
+
+/**
+ * @typedef {Object} SupportNote
+ * @property {string} id
+ * @property {string} author
+ * @property {string} body
+ * @property {string} at
+ */
+
+/**
+ * @typedef {Object} SupportTriage
+ * @property {string} topic       one of TOPICS
+ * @property {'low'|'medium'|'high'} urgency
+ * @property {'negative'|'neutral'|'positive'} sentiment
+ */
+
+/**
+ * @typedef {Object} AiControls
+ * @property {'concise'|'balanced'|'detailed'} style
+ * @property {'friendly'|'direct'|'reassuring'} tone
+ * @property {'actions'|'explain'|'draft_email'|null} goal
+ * @property {'auto'|'en'|'es'|'pt'|'fr'} language
+ */
+
+/**
+ * @typedef {Object} SupportTicket
+ * @property {string} id
+ * @property {string} email
+ * @property {string} [name]
+ * @property {'ai_first'|'human_only'} mode     of the latest message
+ * @property {'open'|'closed'} status
+ * @property {'ai'|'agent'} queue
+ * @property {string} [escalationReason]
+ * @property {string|null} topicHint          topic the customer picked, if any
+ * @property {SupportTriage} triage
+ * @property {string} summary
+ * @property {AiControls} aiControls           of the latest message
+ * @property {string|null} assignee
+ * @property {string[]} readers               sha256 of the X-Support-Keys that may read the thread
+ * @property {SupportMessage[]} messages
+ * @property {SupportNote[]} notes            internal, agents only
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+/* ========================================================================== */
+/* Input                                                                      */
+/* ========================================================================== */
+
+/**
+ * @param {unknown} value
+ * @param {number} max
+ */
+function cleanText(value, max) {
+  if (value == null) return '';
+  return String(value).replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f]/g, '').trim().slice(0, max);
+}
+
+/**
+ * The chat's answer controls, with anything unknown replaced by the default.
+ * @param {Record<string, unknown>} [input]
+ * @returns {AiControls}
+ */
+function normalizeControls(input) {
+  const source = input && typeof input === 'object' ? input : {};
+  /** @type {Record<string, unknown>} */
+  const controls = { ...DEFAULT_CONTROLS };
+  Object.entries(CONTROLS).forEach(([key, allowed]) => {
+    if (allowed.includes(/** @type {string} */ (source[key]))) controls[key] = source[key];
+  });
+  return /** @type {AiControls} */ (controls);
+}
+
+/**
+ * The history as sent by the chat (`{ role: 'user'|'assistant'|'agent', content }`),
+ * mapped onto ticket roles.
+ * @param {unknown} history
+ * @returns {Array<{ role: 'customer'|'assistant'|'agent', content: string }>}
+ */
+function normalizeHistory(history) {
+  if (!Array.isArray(history)) return [];
+  return history
+    .slice(-MAX_HISTORY_MESSAGES)
+    .filter((m) => m && typeof m === 'object' && ['user', 'assistant', 'agent'].includes(m.role))
+    .map((m) => ({ role: m.role === 'user' ? 'customer' : m.role, content: cleanText(m.content, MAX_MESSAGE_LENGTH) }))
+    .filter((m) => m.content);
+}
+
+/* ========================================================================== */
+/* Triage                                                                     */
+/* ========================================================================== */
+
+/** Keyword rules per topic; the topic with the most hits wins. */
+const TOPIC_RULES = {
+  billing: /\b(bill(?:ing|ed)?|charged?|charges|refunds?|invoices?|payments?|subscriptions?|renew(?:al|ed)?|receipts?|card|trial|plan price)\b/g,
+  account: /\b(accounts?|log ?in|logged out|sign(?:ed)? ?in|passwords?|username|locked|2fa|verification code|delete my account|profile)\b/g,
+  technical: /\b(bugs?|errors?|crash(?:es|ed|ing)?|broken|not working|doesn'?t work|won'?t (?:load|open)|blank|glitch\w*|freez\w*|slow|loading|sync(?:ing)?|notifications?)\b/g,
+  content: /\b(feeding|formula|breast\w*|bottles?|solids|purees?|recipes?|allerg\w*|milk|sleep|naps?|weaning|guidance|how much should)\b/g,
+  feature: /\b(feature|suggestion|suggest|would be (?:nice|great|helpful)|wish|could you add|please add|idea|request)\b/g,
+};
+
+const URGENT_PATTERN = /\b(urgent(?:ly)?|asap|emergency|immediately|right now|charged twice|double charged|fraud\w*|hacked|locked out|data (?:loss|breach)|choking|not breathing|allergic reaction)\b/;
+const MEDIUM_PATTERN = /\b(soon|today|tonight|still|again|refund|not working|can'?t|cannot|unable|error|broken|wrong)\b/;
+const NEGATIVE_PATTERN = /\b(angry|furious|frustrat\w*|annoy\w*|terrible|awful|horrible|worst|ridiculous|unacceptable|disappoint\w*|upset|useless|hate|scam|waste|still not|fed up)\b|!!|\?\?/g;
+const POSITIVE_PATTERN = /\b(thanks?|thank you|great|love|awesome|appreciate\w*|helpful|perfect|amazing|brilliant)\b/g;
+const HUMAN_PATTERN = /\b(human|real person|a person|someone real|agent|representative|speak to (?:someone|somebody)|talk to (?:someone|somebody)|call me|phone me)\b/;
+
+/** @param {string} text @param {RegExp} pattern */
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+/**
+ * @param {string[]} customerTexts  the customer's messages, oldest first
+ * @param {string|null} [topicHint] topic picked in the form; wins over keywords
+ * @returns {SupportTriage}
+ */
+function triage(customerTexts, topicHint = null) {
+  const all = customerTexts.join('\n').toLowerCase();
+  const recent = customerTexts.slice(-2).join('\n').toLowerCase();
+
+  let topic = TOPICS.includes(/** @type {string} */ (topicHint)) ? /** @type {string} */ (topicHint) : 'other';
+  if (!topicHint || topic === 'other') {
+    let best = 0;
+    Object.entries(TOPIC_RULES).forEach(([candidate, pattern]) => {
+      const hits = countMatches(all, pattern);
+      if (hits > best) {
+        best = hits;
+        topic = candidate;
+      }
+    });
+  }
+
+  const repeated = customerTexts.length >= 3;
+  const urgency = URGENT_PATTERN.test(all) ? 'high' : MEDIUM_PATTERN.test(recent) || repeated ? 'medium' : 'low';
+
+  const score = countMatches(recent, POSITIVE_PATTERN) - countMatches(recent, NEGATIVE_PATTERN) * 2;
+  const sentiment = score < 0 ? 'negative' : score > 0 ? 'positive' : 'neutral';
+  return { topic, urgency, sentiment };
+}
+
+/* ========================================================================== */
+/* Summary                                                                    */
+/* ========================================================================== */
+
+const TOPIC_LABELS = {
+  account: 'Account',
+  billing: 'Billing',
+  technical: 'Technical',
+  content: 'Feeding content',
+  feature: 'Feature request',
+  other: 'General',
+};
+
+/** @param {string} text */
+function quote(text) {
+  const line = text.replace(/\s+/g, ' ').trim();
+  return line.length > SUMMARY_QUOTE_LENGTH ? `${line.slice(0, SUMMARY_QUOTE_LENGTH - 1)}…` : line;
+}
+
+/**
+ * Plain-text summary of a thread for the summary card and the agent inbox:
+ * what the customer first asked, where it stands now, and who has it.
+ * @param {Array<{ role: string, content: string, attachments?: unknown[] }>} messages  oldest first
+ * @param {SupportTriage} insights
+ * @param {{ queue?: 'ai'|'agent', status?: 'open'|'closed' }} [state]
+ */
+function summarize(messages, insights, state = {}) {
+  const customer = messages.filter((m) => m.role === 'customer');
+  if (!customer.length) return '';
+  const first = customer[0];
+  const last = customer[customer.length - 1];
+  const replies = messages.filter((m) => m.role !== 'customer').length;
+  const attachments = customer.reduce((sum, m) => sum + (m.attachments ? m.attachments.length : 0), 0);
+
+  const parts = [`${TOPIC_LABELS[insights.topic] || 'General'} request (${insights.urgency} urgency, ${insights.sentiment} sentiment).`];
+  parts.push(`Customer asked: “${quote(first.content)}”`);
+  if (last !== first) parts.push(`Latest: “${quote(last.content)}”`);
+  parts.push(`${customer.length} customer message${customer.length === 1 ? '' : 's'}, ${replies} repl${replies === 1 ? 'y' : 'ies'}${attachments ? `, ${attachments} attachment${attachments === 1 ? '' : 's'}` : ''}.`);
+  if (state.status === 'closed') parts.push('Closed.');
+  else if (state.queue === 'agent') parts.push('Waiting for a support agent.');
+  else if (state.queue === 'ai') parts.push('Handled by the assistant so far.');
+  return parts.join(' ');
+}
+
+/**
+ * `command: 'summarize_thread'`: summary and triage of the thread the chat
+ * sent, without touching any ticket.
+ * @param {unknown} history
+ */
+function summarizeThread(history) {
+  const messages = normalizeHistory(history);
+  if (!messages.some((m) => m.role === 'customer')) throw new HttpError(400, 'There is nothing to summarize yet');
+  const insights = triage(messages.filter((m) => m.role === 'customer').map((m) => m.content));
+  return { ticketSummary: summarize(messages, insights), insights };
+}
+
+/* ========================================================================== */
+/* Responders                                                                 */
+/* ========================================================================== */
+
+/**
+ * @typedef {Object} ResponderRequest
+ * @property {string} message                 the customer's new message
+ * @property {Array<{ role: 'customer'|'assistant'|'agent', content: string }>} messages  the thread, oldest first, ending with `message`
+ * @property {SupportTriage} triage
+ * @property {AiControls} controls
+ * @property {boolean} handoff                the thread goes to an agent after this reply either way
+ * @property {import('./knowledge').KnowledgePassage[]} sources  matching help-page passages, best first
+ */
+
+/**
+ * @typedef {Object} ResponderResult
+ * @property {string} reply      Markdown
+ * @property {boolean} [escalate] hand the thread to an agent
+ * @property {import('./knowledge').KnowledgePassage[]} [sources]  the passages the reply cites
+ */
+
+/**
+ * @typedef {Object} SupportResponder
+ * @property {string} name
+ * @property {(request: ResponderRequest) => Promise<ResponderResult>} respond
+ */
+
+/** Canned answers: a one-line answer, then the steps. */
+const CANNED_ANSWERS = {
+  account: {
+    answer: 'Most sign-in problems come down to the password or the email address on the account.',
+    steps: [
+      'Use **Forgot password** on the sign-in page and follow the link in the email.',
+      'If the email doesn’t arrive, check spam and make sure you used the address you signed up with.',
+      'Still stuck? Reply with that address and what you see when you try to sign in.',
+    ],
+    why: 'Reset links are sent only to the address on the account, which is why a different or mistyped address never gets one.',
+  },
+  billing: {
+    answer: 'I can help with that charge – the team will need a couple of details to find it.',
+    steps: [
+      'Check the date and amount on your card or bank statement.',
+      'Reply with those and the last four digits of the card (never the full number).',
+      'If you were charged twice or for a plan you cancelled, say so and we’ll pass it to billing for a refund.',
+    ],
+    why: 'Payments are matched by date, amount and card, so those details let the team find yours quickly.',
+  },
+  technical: {
+    answer: 'Sorry about that – a few quick checks fix most display and loading problems.',
+    steps: [
+      'Refresh the page, or close and reopen the app.',
+      'Make sure your browser or app is up to date, and try a private window.',
+      'If it keeps happening, tell us your device, browser and what you tapped – a screenshot helps a lot.',
+    ],
+    why: 'Old cached files and outdated browsers cause most glitches; a private window rules both out.',
+  },
+  content: {
+    answer: 'Our feeding guides are general information – every baby is different.',
+    steps: [
+      'Check the guide for your baby’s age in the app.',
+      'Tell us which article or recipe you have a question about and we’ll take a look.',
+      'For anything about your baby’s health, weight or allergies, please talk to your pediatrician.',
+    ],
+    why: 'Content questions go to the team that writes the guides, but we can’t give medical advice for an individual baby.',
+  },
+  feature: {
+    answer: 'Thanks for the idea – feature requests go straight to the product team.',
+    steps: [
+      'Tell us what you were trying to do and how you’d expect it to work.',
+      'If something else works well for you today, mention it – it helps us prioritise.',
+    ],
+    why: 'We read every request; the ones that come up most often get built first.',
+  },
+  other: {
+    answer: 'Happy to help – could you tell me a little more?',
+    steps: [
+      'What were you trying to do?',
+      'What happened instead?',
+      'If it’s about a specific screen or order, include the details.',
+    ],
+    why: 'A bit of context lets me point you to the right answer, or the right person on the team.',
+  },
+};
+
+const TONE_OPENERS = {
+  friendly: 'Thanks for reaching out! ',
+  direct: '',
+  reassuring: 'Don’t worry – this is something we can sort out together. ',
+};
+
+/** Canned answers are English; say so (in their language) when they asked for another one. */
+const LANGUAGE_NOTES = {
+  es: '_Por ahora las respuestas automáticas están en inglés. Si lo prefieres, un agente puede responderte en español._',
+  pt: '_Por enquanto as respostas automáticas estão em inglês. Se preferir, um atendente pode responder em português._',
+  fr: '_Pour l’instant, les réponses automatiques sont en anglais. Si vous préférez, un conseiller peut vous répondre en français._',
+};
+
+const EMERGENCY_PATTERN = /\b(choking|not breathing|unresponsive|allergic reaction|seizure)\b/i;
+
+/** How many help-page passages a canned answer quotes, per answer style. */
+const SOURCES_PER_STYLE = { concise: 1, balanced: 2, detailed: 3 };
+
+/** @returns {SupportResponder} */
+function createCannedResponder() {
+  return {
+    name: 'canned',
+    async respond({ message, triage: insights, controls, handoff, sources = [] }) {
+      if (EMERGENCY_PATTERN.test(message)) {
+        return {
+          reply: '**If your baby is in danger, call your local emergency number (911 in the US) now.** ' +
+            'This chat can’t help in an emergency. A member of our team will follow up by email.',
+          escalate: true,
+        };
+      }
+
+      const entry = CANNED_ANSWERS[insights.topic] || CANNED_ANSWERS.other;
+      const steps = controls.style === 'concise' ? entry.steps.slice(0, 2) : entry.steps;
+      const cited = sources.slice(0, SOURCES_PER_STYLE[controls.style] || 2);
+      // No topic to go on, but the help pages answer it: lead with those instead of asking for more.
+      const fromPages = entry === CANNED_ANSWERS.other && cited.length > 0;
+      const lines = [`${TONE_OPENERS[controls.tone] || ''}${fromPages ? 'Our help pages cover this:' : entry.answer}`, ''];
+
+      if (fromPages) {
+        cited.forEach((p) => lines.push(`- [${p.label}](${p.url}): ${p.excerpt}`));
+      } else if (controls.goal === 'draft_email') {
+        lines.push('Here’s a draft you can adapt:', '');
+        lines.push(`> **Subject:** InfantBites support – ${(TOPIC_LABELS[insights.topic] || 'General').toLowerCase()}`, '>');
+        lines.push(`> Hi InfantBites team,`, '>');
+        lines.push(`> ${quote(message)}`, '>');
+        lines.push('> Thanks,');
+      } else if (controls.goal === 'explain') {
+        lines.push(entry.why, '', steps.join(' ').replace(/\*\*/g, ''));
+      } else {
+        steps.forEach((step, i) => lines.push(`${i + 1}. ${step}`));
+        if (controls.style === 'detailed') lines.push('', `**Why:** ${entry.why}`);
+      }
+      if (cited.length && !fromPages) {
+        lines.push('', '**From our help pages:**');
+        cited.forEach((p) => lines.push(`- [${p.label}](${p.url}): ${p.excerpt}`));
+      }
+
+      lines.push('', handoff ? HANDOFF_NOTE : 'If this doesn’t solve it, just say so and I’ll pass the thread to a person.');
+      if (LANGUAGE_NOTES[controls.language]) lines.push('', LANGUAGE_NOTES[controls.language]);
+      return { reply: lines.join('\n'), sources: cited };
+    },
+  };
+}
+
+const HANDOFF_MARKER = '[[handoff]]';
+const HANDOFF_NOTE = 'I’ve also passed this thread to our support team – someone will reply here and by email.';
+
+const LANGUAGE_NAMES = { en: 'English', es: 'Spanish', pt: 'Portuguese', fr: 'French' };
+
+/**
+ * @param {AiControls} controls
+ * @param {SupportTriage} insights
+ */
+function buildSupportPrompt(controls, insights, handoff) {
+  const parts = [
+    'You are the InfantBites support assistant. Answer questions about InfantBites accounts, billing,',
+    'technical problems, feeding content and feature ideas. Never give medical advice for an individual baby;',
+    'suggest their pediatrician, and for emergencies tell them to call their local emergency number.',
+    'Never ask for full card numbers or passwords. Use Markdown.',
+    `This looks like a ${insights.topic} question (urgency ${insights.urgency}, sentiment ${insights.sentiment}).`,
+    { concise: 'Keep it to two or three sentences.', balanced: 'Keep it short: a sentence or two and a few steps.', detailed: 'Walk through it step by step.' }[controls.style],
+    { friendly: 'Be warm.', direct: 'Be direct, no pleasantries.', reassuring: 'Be calm and reassuring.' }[controls.tone],
+  ];
+  if (controls.goal === 'actions') parts.push('End with clear numbered next steps.');
+  if (controls.goal === 'explain') parts.push('Explain what is going on and why.');
+  if (controls.goal === 'draft_email') parts.push('Write a short email the customer can send, as a Markdown quote.');
+  if (handoff) parts.push('A support agent will take over this thread after your reply; tell the customer so.');
+  parts.push(
+    LANGUAGE_NAMES[controls.language] ? `Reply in ${LANGUAGE_NAMES[controls.language]}.` : 'Reply in the language the customer writes in.',
+    `If you can't help, or the customer wants a person, end your reply with ${HANDOFF_MARKER} on its own line.`
+  );
+  return parts.filter(Boolean).join(' ');
+}
+
+/** @returns {SupportResponder} */
+function createLlmResponder() {
+  return {
+    name: 'llm',
+    async respond({ messages, triage: insights, controls, handoff, sources = [] }) {
+      const prompt = buildSupportPrompt(controls, insights, handoff);
+      const text = await complete({
+        system: sources.length ? `${prompt}\n\n${sourcesPrompt(sources)}` : prompt,
+        messages: messages.map((m) => ({ role: m.role === 'customer' ? 'user' : 'assistant', content: m.content })),
+      });
+      const escalate = text.includes(HANDOFF_MARKER);
+      return {
+        reply: text.split(HANDOFF_MARKER).join('').trim(),
+        escalate,
+        sources: sources.filter((p) => text.includes(`](${p.url})`)),
+      };
+    },
+  };
+}
+
+/** @type {Record<string, (options: Record<string, any>) => SupportResponder>} */
+const responders = {
+  canned: createCannedResponder,
+  llm: createLlmResponder,
+};
+
+/**
+ * @param {string} name
+ * @param {(options: Record<string, any>) => SupportResponder} factory
+ */
+function registerResponder(name, factory) {
+  responders[name] = factory;
+}
+
+/** @returns {SupportResponder} */
+function getResponder() {
+  const name = process.env.SUPPORT_RESPONDER || 'canned';
+  const factory = responders[name];
+  if (!factory) throw new Error(`Unknown support responder: ${name}`);
+  return factory({});
+}
+
+/* ========================================================================== */
+/* Tickets                                                                    */
+/* ========================================================================== */
+
+/** @param {string} ticketId @param {number} n */
+function attachmentKey(ticketId, n) {
+  return `support-${ticketId}-${n}`;
+}
+
+const newId = () => crypto.randomBytes(9).toString('base64url');
+
+/**
+ * @param {string} [key]  value of the X-Support-Key header
+ * @returns {string|null} its hash, or null when the chat didn't send one
+ */
+function readerOf(key) {
+  if (!key) return null;
+  if (typeof key !== 'string' || !/^[A-Za-z0-9_-]{32,128}$/.test(key)) {
+    throw new HttpError(401, 'Invalid X-Support-Key header');
+  }
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * The open ticket this browser may add to for this email (the most recently
+ * active one), if any.
+ * @param {string} email
+ * @param {string|null} reader
+ * @returns {Promise<SupportTicket|null>}
+ */
+async function findOpenTicket(email, reader) {
+  const tickets = await getStorage().list(COLLECTION);
+  return tickets
+    .filter((t) => t.email === email && t.status === 'open')
+    .filter((t) => (t.readers && t.readers.length ? Boolean(reader) && t.readers.includes(reader) : !reader))
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))[0] || null;
+}
+
+/**
+ * Checks uploads before anything is stored.
+ * @param {import('./multipart').UploadedFile[]} files
+ */
+function prepareAttachments(files) {
+  return files.map((file) => {
+    const type = sniffImageType(file.data);
+    if (!type || !ALLOWED_TYPES.includes(type)) {
+      throw new HttpError(415, `${file.filename}: attachments must be JPEG, PNG or WebP images`);
+    }
+    try {
+      return { name: cleanText(file.filename, 200) || 'attachment', type, data: stripMetadata(file.data, type) };
+    } catch {
+      throw new HttpError(400, `${file.filename}: the image file looks damaged`);
+    }
+  });
+}
+
+/**
+ * Why an `ai_first` thread should go to a person, or null.
+ * @param {string} message
+ * @param {SupportTriage} insights
+ * @param {number} customerMessages
+ */
+function escalationReason(message, insights, customerMessages) {
+  if (HUMAN_PATTERN.test(message.toLowerCase())) return 'customer asked for a person';
+  if (insights.urgency === 'high') return 'urgent';
+  if (insights.sentiment === 'negative' && customerMessages >= 2) return 'customer is frustrated';
+  return null;
+}
+
+const ACK_REPLIES = {
+  human_only: 'Thanks – your message is with our support team. A person will reply here and by email, usually within one business day.',
+  agent: 'Thanks – I’ve added this to your ticket. Someone from our support team will reply here and by email.',
+};
+
+/**
+ * Handles one message from the support chat: threads it onto the
+ * customer's ticket, stores attachments, triages, answers or routes it.
+ *
+ * @param {{ message: unknown, metadata?: Record<string, any>, files?: import('./multipart').UploadedFile[], key?: string }} input
+ *   `key` is the chat's X-Support-Key
+ * @param {{ responder?: SupportResponder }} [options]
+ */
+async function handleMessage({ message: rawMessage, metadata = {}, files = [], key }, options = {}) {
+  const message = cleanText(rawMessage, MAX_MESSAGE_LENGTH);
+  if (!message) throw new HttpError(400, 'Please write a message');
+  const email = normalizeEmail(metadata.email);
+  const mode = MODES.includes(metadata.mode) ? metadata.mode : 'ai_first';
+  const controls = normalizeControls(metadata.aiControls);
+  const topicHint = TOPICS.includes(metadata.topic) ? metadata.topic : null;
+  const attachments = prepareAttachments(files);
+  const reader = readerOf(key);
+
+  const existing = await findOpenTicket(email, reader);
+  const id = existing ? existing.id : newId();
+  const name = cleanText(metadata.name, MAX_NAME_LENGTH);
+  const now = new Date().toISOString();
+  const storage = getStorage();
+
+  // Search and the responder can take a while, so the ticket is written in
+  // two updates around them rather than read once and put back: agent
+  // replies, notes or another customer message landing in between are kept.
+  /** @type {SupportMessage} */
+  let customerMessage;
+  /** @type {SupportTicket} */
+  const received = await storage.update(COLLECTION, id, (current) => {
+    /** @type {SupportTicket} */
+    const ticket = current || {
+      id,
+      email,
+      mode,
+      status: 'open',
+      queue: 'ai',
+      topicHint,
+      triage: { topic: topicHint || 'other', urgency: 'low', sentiment: 'neutral' },
+      summary: '',
+      aiControls: controls,
+      assignee: null,
+      readers: reader ? [reader] : [],
+      messages: [],
+      notes: [],
+      createdAt: now,
+      updatedAt: now,
+    };
+    const stored = ticket.messages.reduce((sum, m) => sum + (m.attachments ? m.attachments.length : 0), 0);
+    if (stored + attachments.length > MAX_ATTACHMENTS_PER_TICKET) {
+      throw new HttpError(413, `A ticket can hold up to ${MAX_ATTACHMENTS_PER_TICKET} attachments`);
+    }
+    customerMessage = {
+      id: newId(),
+      role: 'customer',
+      content: message,
+      at: now,
+      attachments: attachments.map((file, i) => ({ n: stored + i, name: file.name, type: file.type, bytes: file.data.length })),
+    };
+    return {
+      ...ticket,
+      name: name || ticket.name,
+      mode,
+      status: 'open',
+      topicHint: topicHint || ticket.topicHint,
+      aiControls: controls,
+      messages: [...ticket.messages, customerMessage],
+      updatedAt: now,
+    };
+  });
+  const blobs = getBlobs();
+  await Promise.all(attachments.map((file, i) => blobs.write(attachmentKey(id, customerMessage.attachments[i].n), file.data)));
+
+  const customerTexts = received.messages.filter((m) => m.role === 'customer').map((m) => m.content);
+  const insights = triage(customerTexts, received.topicHint);
+  const wasQueued = received.queue === 'agent';
+
+  let queue = mode === 'human_only' ? 'agent' : received.queue;
+  let reason = mode === 'human_only' && !wasQueued ? 'human_only' : received.escalationReason;
+  let content;
+  let answeredBy = 'acknowledgement';
+  /** @type {Array<{ label: string, url: string }>} */
+  let cited = [];
+
+  if (queue === 'agent') {
+    content = wasQueued ? ACK_REPLIES.agent : ACK_REPLIES.human_only;
+  } else {
+    const responder = options.responder || getResponder();
+    const rule = escalationReason(message, insights, customerTexts.length);
+    const result = await responder.respond({
+      message,
+      messages: received.messages.map(({ role, content }) => ({ role, content })),
+      triage: insights,
+      controls,
+      handoff: Boolean(rule),
+      sources: await search(message),
+    });
+    content = cleanText(result.reply, 8000) || ACK_REPLIES.agent;
+    answeredBy = responder.name;
+    cited = (result.sources || []).map(({ label, url }) => ({ label, url }));
+    const why = rule || (result.escalate ? 'the assistant couldn’t help' : null);
+    if (why) {
+      queue = 'agent';
+      reason = why;
+    }
+  }
+  /** @type {SupportMessage} */
+  const reply = { id: newId(), role: 'assistant', content, at: new Date().toISOString(), answeredBy, topic: insights.topic, controls, sources: cited };
+
+  let escalatedNow = false;
+  /** @type {SupportTicket|null} */
+  const updated = await storage.update(COLLECTION, id, (current) => {
+    if (!current) return undefined;
+    // An agent may have taken the ticket over meanwhile; never hand it back.
+    const nextQueue = current.queue === 'agent' ? 'agent' : queue;
+    escalatedNow = nextQueue === 'agent' && current.queue !== 'agent';
+    const messages = [...current.messages, reply];
+    const latest = triage(messages.filter((m) => m.role === 'customer').map((m) => m.content), current.topicHint);
+    return {
+      ...current,
+      queue: nextQueue,
+      escalationReason: escalatedNow ? reason : current.escalationReason,
+      triage: latest,
+      messages,
+      summary: summarize(messages, latest, { queue: nextQueue, status: current.status }),
+      updatedAt: reply.at,
+    };
+  });
+  if (!updated) throw new HttpError(404, 'This ticket no longer exists. Please send your message again.');
+
+  if (escalatedNow) {
+    await appendLog(`Support ticket ${updated.id} queued for an agent (${reason}, ${updated.triage.urgency} urgency)`, {
+      severity: updated.triage.urgency === 'high' ? 'high' : 'medium',
+      type: 'support',
+      ticketId: updated.id,
+    });
+    await queueEmail({
+      to: email,
+      subject: `We’ve got your message [#${updated.id}]`,
+      text: [
+        `Hi${updated.name ? ` ${updated.name}` : ''},`,
+        '',
+        'Thanks for contacting InfantBites support. A member of our team will reply to this thread, usually within one business day.',
+        '',
+        `Your message: “${quote(message)}”`,
+        '',
+        `Ticket reference: #${updated.id}`,
+      ].join('\n'),
+      kind: 'support_ticket_received',
+      ticketId: updated.id,
+    });
+  }
+
+  return {
+    ticket: updated,
+    reply,
+    escalated: updated.queue === 'agent' && mode === 'ai_first',
+  };
+}
+
+/* ========================================================================== */
+/* Customer thread                                                            */
+/* ========================================================================== */
+
+/**
+ * What the customer sees of a ticket: the conversation, no notes or triage.
+ * @param {SupportTicket} ticket
+ */
+function toCustomerTicket(ticket) {
+  return {
+    id: ticket.id,
+    status: ticket.status,
+    queue: ticket.queue,
+    messages: ticket.messages.map((m) => ({
+      id: m.id,
+      role: m.role,
+      content: m.content,
+      at: m.at,
+      author: m.role === 'agent' ? m.author : undefined,
+      attachments: m.attachments && m.attachments.length ? m.attachments.map((a) => a.name) : undefined,
+    })),
+    updatedAt: ticket.updatedAt,
+  };
+}
+
+/**
+ * The browser's most recent tickets, newest first.
+ * @param {string} key  X-Support-Key
+ */
+async function listThreads(key) {
+  const reader = readerOf(key);
+  if (!reader) throw new HttpError(401, 'A valid X-Support-Key header is required');
+  const tickets = await getStorage().list(COLLECTION);
+  return tickets
+    .filter((t) => (t.readers || []).includes(reader))
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))
+    .slice(0, MAX_THREADS_PER_KEY)
+    .map(toCustomerTicket);
+}
+
+/* ========================================================================== */
+/* Agent inbox                                                                */
+/* ========================================================================== */
+
+/**
+ * Starting points for agent replies. `{name}` becomes the customer's name
+ * (or "there") when the agent picks one.
+ */
+const CANNED_RESPONSES = [
+  {
+    id: 'looking_into_it',
+    title: 'Looking into it',
+    body: 'Hi {name},\n\nThanks for your patience – I’m looking into this now and will get back to you as soon as I know more.',
+  },
+  {
+    id: 'need_details',
+    title: 'Need more details',
+    body: 'Hi {name},\n\nCould you send us a little more detail – what you were doing, what you expected to happen, and a screenshot if you can? That will help us find the problem quickly.',
+  },
+  {
+    id: 'password_reset',
+    title: 'Password reset',
+    body: 'Hi {name},\n\nI’ve checked your account. Please use “Forgot password” on the sign-in page; the reset email can take a few minutes and sometimes lands in spam. Let me know if it still doesn’t arrive.',
+  },
+  {
+    id: 'refund_issued',
+    title: 'Refund issued',
+    body: 'Hi {name},\n\nI’ve issued a refund for that charge. It goes back to your original payment method and can take a few business days to show up, depending on your bank.',
+  },
+  {
+    id: 'feature_logged',
+    title: 'Feature request logged',
+    body: 'Hi {name},\n\nThanks for the suggestion! I’ve passed it to our product team – we read every request and the ones parents ask for most get built first.',
+  },
+  {
+    id: 'medical_advice',
+    title: 'Medical questions',
+    body: 'Hi {name},\n\nWe can’t give medical advice for an individual baby – please check with your pediatrician, who knows your little one’s history. If it’s urgent, call your local emergency number.',
+  },
+  {
+    id: 'resolved',
+    title: 'Resolved – closing',
+    body: 'Hi {name},\n\nGlad we could sort this out! I’ll close this ticket now; just write to us in the support chat if anything else comes up.',
+  },
+];
+
+const TICKET_ACTIONS = ['assign', 'reply', 'note', 'close', 'reopen'];
+const URGENCY_RANK = { high: 0, medium: 1, low: 2 };
+
+/** @param {SupportTicket} ticket @param {number} n */
+function attachmentUrl(ticket, n) {
+  return `/api/owner/support?id=${encodeURIComponent(ticket.id)}&attachment=${n}`;
+}
+
+/**
+ * Everything the inbox shows, including internal notes.
+ * @param {SupportTicket} ticket
+ */
+function toOwnerTicket(ticket) {
+  return {
+    id: ticket.id,
+    email: ticket.email,
+    name: ticket.name,
+    mode: ticket.mode,
+    status: ticket.status,
+    queue: ticket.queue,
+    escalationReason: ticket.escalationReason,
+    triage: ticket.triage,
+    summary: ticket.summary,
+    aiControls: ticket.aiControls,
+    assignee: ticket.assignee,
+    messages: ticket.messages.map((m) => ({
+      ...m,
+      attachments: (m.attachments || []).map((a) => ({ ...a, url: attachmentUrl(ticket, a.n) })),
+    })),
+    notes: ticket.notes || [],
+    createdAt: ticket.createdAt,
+    updatedAt: ticket.updatedAt,
+  };
+}
+
+/**
+ * Inbox order: tickets waiting for an agent first, then by urgency, then the
+ * longest-waiting first.
+ * @param {{ status?: 'open'|'closed'|'all', queue?: 'ai'|'agent' }} [filter]
+ * @returns {Promise<{ tickets: SupportTicket[], counts: { agent: number, ai: number, closed: number } }>}
+ */
+async function listTickets(filter = {}) {
+  const all = await getStorage().list(COLLECTION);
+  const open = all.filter((t) => t.status === 'open');
+  const counts = {
+    agent: open.filter((t) => t.queue === 'agent').length,
+    ai: open.filter((t) => t.queue === 'ai').length,
+    closed: all.length - open.length,
+  };
+  const status = filter.status || 'open';
+  const tickets = all
+    .filter((t) => status === 'all' || t.status === status)
+    .filter((t) => !filter.queue || t.queue === filter.queue)
+    .sort((a, b) =>
+      (a.queue === 'agent' ? 0 : 1) - (b.queue === 'agent' ? 0 : 1)
+      || URGENCY_RANK[a.triage.urgency] - URGENCY_RANK[b.triage.urgency]
+      || String(a.updatedAt).localeCompare(String(b.updatedAt)));
+  return { tickets, counts };
+}
+
+/**
+ * An attachment's stored image, or null.
+ * @param {string} ticketId
+ * @param {number} n
+ */
+async function getAttachment(ticketId, n) {
+  const ticket = await getStorage().get(COLLECTION, ticketId);
+  const attachment = ticket && ticket.messages
+    .flatMap((m) => m.attachments || [])
+    .find((a) => a.n === n);
+  if (!attachment) return null;
+  const data = await getBlobs().read(attachmentKey(ticketId, n));
+  return data ? { type: attachment.type, name: attachment.name, data } : null;
+}
+
+/**
+ * @param {SupportTicket} ticket
+ * @param {SupportMessage} message
+ * @param {string} origin  site origin for the link back to the chat
+ */
+function emailReply(ticket, message, origin) {
+  return queueEmail({
+    to: ticket.email,
+    subject: `Re: your InfantBites support request [#${ticket.id}]`,
+    text: [
+      message.content,
+      '',
+      `– ${message.author}, InfantBites support`,
+      '',
+      `You can reply in the support chat: ${origin}/support.html`,
+      `Ticket reference: #${ticket.id}`,
+    ].join('\n'),
+    kind: 'support_reply',
+    ticketId: ticket.id,
+  });
+}
+
+/**
+ * Applies an agent action to a ticket.
+ *
+ *   assign  { assignee }        empty assignee unassigns
+ *   reply   { body, author? }   posted to the customer's thread and emailed;
+ *                               signed "InfantBites support" without an author
+ *   note    { body, author? }   internal
+ *   close / reopen
+ *
+ * @param {string} id
+ * @param {string} action           one of TICKET_ACTIONS
+ * @param {Record<string, unknown>} input
+ * @param {{ by: string }} context  `by` is the signed-in owner
+ * @returns {Promise<SupportTicket>}
+ */
+async function updateTicket(id, action, input, { by }) {
+  if (!TICKET_ACTIONS.includes(action)) throw new HttpError(400, `action must be one of ${TICKET_ACTIONS.join(', ')}`);
+  // Resolved up front so a missing PUBLIC_BASE_URL fails before the reply is posted.
+  const origin = action === 'reply' ? siteOrigin() : '';
+  const body = cleanText(input.body, MAX_AGENT_TEXT_LENGTH);
+  if ((action === 'reply' || action === 'note') && !body) throw new HttpError(400, 'body is required');
+  const author = cleanText(input.author, MAX_NAME_LENGTH);
+
+  const now = new Date().toISOString();
+  /** @type {SupportMessage|null} */
+  let reply = null;
+  const updated = await getStorage().update(COLLECTION, id, (ticket) => {
+    if (!ticket) return undefined;
+    const next = { ...ticket, notes: ticket.notes || [], updatedAt: now };
+    if (action === 'assign') {
+      next.assignee = cleanText(input.assignee, MAX_NAME_LENGTH) || null;
+    } else if (action === 'reply') {
+      reply = { id: newId(), role: 'agent', content: body, author: author || 'InfantBites support', at: now };
+      next.messages = [...ticket.messages, reply];
+      next.queue = 'agent';
+      next.status = 'open';
+      if (!next.assignee) next.assignee = author || by;
+    } else if (action === 'note') {
+      next.notes = [...next.notes, { id: newId(), author: author || by, body, at: now }];
+    } else {
+      next.status = action === 'close' ? 'closed' : 'open';
+    }
+    next.summary = summarize(next.messages, next.triage, { queue: next.queue, status: next.status });
+    return next;
+  });
+  if (!updated) throw new HttpError(404, 'Ticket not found');
+  if (reply) await emailReply(updated, reply, origin);
+  return updated;
+}
+
+module.exports = {
+  COLLECTION,
+  MODES,
+  TOPICS,
+  URGENCIES,
+  SENTIMENTS,
+  attachmentKey,
+  readerOf,
+  normalizeControls,
+  triage,
+  summarize,
+  summarizeThread,
+  createCannedResponder,
+  createLlmResponder,
+  registerResponder,
+  getResponder,
+  handleMessage,
+  toCustomerTicket,
+  listThreads,
+  CANNED_RESPONSES,
+  TICKET_ACTIONS,
+  toOwnerTicket,
+  listTickets,
+  getAttachment,
+  updateTicket,
+};
@@ -0,0 +1,32 @@
+const { allowMethods, sendJson, sendError, handleError } = require('../_lib/http');
+const { safeEqual, verifyToken } = require('../_lib/owner');
+const { evaluateAlerts } = require('../_lib/alerts');
+
+// Runs the price alert evaluator. Called hourly by the cron in vercel.json,
+// which sends `Authorization: Bearer <CRON_SECRET>`; an owner dashboard
+// token works too, for manual runs.
+
+/** @param {import('http').IncomingMessage} req */
+function authorized(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match) return false;
+  const token = match[1].trim();
+  if (process.env.CRON_SECRET && safeEqual(token, process.env.CRON_SECRET)) return true;
+  return Boolean(verifyToken(token));
+}
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['GET', 'POST'])) return;
+
+  try {
+    if (!authorized(req)) {
+      res.setHeader('WWW-Authenticate', 'Bearer realm="cron"');
+      sendError(res, 401, 'Unauthorized');
+      return;
+    }
+    const summary = await evaluateAlerts();
+    sendJson(res, 200, summary);
+  } catch (err) {
+    handleError(res, err, 'alerts:evaluate');
+  }
+}
@@ -0,0 +1,214 @@
+const { allowMethods, readJson, sendJson, handleError, queryOf, HttpError } = require('../_lib/http');
+const {
+  readToken,
+  toPublicAlert,
+  listForEmail,
+  subscribe,
+  confirmSubscriptions,
+  limitRequests,
+  updateAlert,
+  unsubscribe,
+  getHistory,
+  sendManageLink,
+} = require('../_lib/alerts');
+const { clientIp } = require('../_lib/auth');
+
+// Price alert subscriptions.
+//
+// POST   /api/alerts/price                         { email, productId?, targetPrice?, dropPercent?, bundles: [{ id, name, price }] }
+//                                                  → 201 { alerts }   (status 'pending' until the email is confirmed)
+// POST   /api/alerts/price                         { action: 'manage_link', email } → 202 (emails the "my alerts" link)
+// GET    /api/alerts/price?confirm=<token>         confirmation page (the link in the opt-in email)
+// POST   /api/alerts/price?confirm=<token>         activates the address's pending alerts (that page's button)
+// GET    /api/alerts/price?unsubscribe=<token>     confirmation page (the "Stop this alert" email link)
+// POST   /api/alerts/price?unsubscribe=<token>     one-click unsubscribe (List-Unsubscribe-Post, or that page's button)
+// GET    /api/alerts/price?token=<manage token>   → { email, alerts }   ("my alerts" view)
+// PATCH  /api/alerts/price?token=…&id=<alertId>   { targetPrice?, dropPercent?, status? }
+// DELETE /api/alerts/price?token=…&id=<alertId>   unsubscribe
+//
+// Manage tokens only ever travel by email, so knowing an address is not
+// enough to see or change its alerts. The confirm and unsubscribe links only
+// show a page on GET, so a mail scanner fetching them changes nothing.
+// Subscribe and manage-link requests are capped per IP, and each email they
+// send counts against the address's daily allowance (see alerts.js).
+
+const PAGE_HEADERS = {
+  'Content-Type': 'text/html; charset=utf-8',
+  'Cache-Control': 'no-store',
+  'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; form-action 'self'; frame-ancestors 'none'",
+  'X-Content-Type-Options': 'nosniff',
+  'Referrer-Policy': 'no-referrer',
+};
+
+/** @param {string} value */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+/**
+ * Bare page for people arriving from an email link.
+ * @param {import('http').ServerResponse} res
+ * @param {number} status
+ * @param {string} title
+ * @param {string} body   trusted HTML
+ */
+function sendPage(res, status, title, body) {
+  res.statusCode = status;
+  Object.entries(PAGE_HEADERS).forEach(([name, value]) => res.setHeader(name, value));
+  res.end(`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><meta name="robots" content="noindex"><title>${escapeHtml(title)} – InfantBites</title></head>
+<body style="font-family:system-ui,sans-serif;max-width:32rem;margin:3rem auto;padding:0 1rem;line-height:1.5">
+<h1 style="font-size:1.4rem">${escapeHtml(title)}</h1>
+${body}
+<p><a href="/">Back to InfantBites</a></p>
+</body>
+</html>`);
+}
+
+/**
+ * GET shows a confirm button; its POST (or a mail client's one-click POST)
+ * turns the alert off. Browsers get pages back, mail clients JSON.
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {string} token
+ */
+async function handleUnsubscribe(req, res, token) {
+  const wantsPage = req.method === 'GET' || /text\/html/i.test(String(req.headers.accept || ''));
+  try {
+    const alertId = readToken(token, 'unsubscribe');
+    if (req.method === 'GET') {
+      // No action attribute: the form posts back to this URL, token included.
+      sendPage(res, 200, 'Stop this price alert?',
+        '<p>We’ll stop emailing you about price drops on this product. Your other alerts stay on.</p>\n' +
+        '<form method="post"><button type="submit">Stop this alert</button></form>');
+      return;
+    }
+    const alert = await unsubscribe(alertId);
+    if (!wantsPage) {
+      sendJson(res, 200, { ok: true });
+      return;
+    }
+    sendPage(res, 200, 'Alert stopped', `<p>We won’t email you about ${escapeHtml(alert.productName)} any more.</p>`);
+  } catch (err) {
+    if (!wantsPage || !(err instanceof HttpError)) throw err;
+    sendPage(res, err.status, 'This link doesn’t work', `<p>${escapeHtml(err.message)}. Use the “Manage your alerts” link from a recent email instead.</p>`);
+  }
+}
+
+/**
+ * GET shows a confirm button; its POST activates the pending alerts.
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {string} token
+ */
+async function handleConfirm(req, res, token) {
+  try {
+    readToken(token, 'confirm');
+    if (req.method === 'GET') {
+      sendPage(res, 200, 'Confirm your price alerts',
+        '<p>Confirm and we’ll email you when prices drop on the products you picked.</p>\n' +
+        '<form method="post"><button type="submit">Confirm my alerts</button></form>');
+      return;
+    }
+    const alerts = await confirmSubscriptions(token);
+    if (!alerts.length) {
+      sendPage(res, 200, 'Nothing to confirm', '<p>You don’t have any price alerts switched on.</p>');
+      return;
+    }
+    const names = alerts.map((a) => `<li>${escapeHtml(a.productName)}</li>`).join('');
+    sendPage(res, 200, 'Price alerts confirmed',
+      `<p>We’ll email you when prices drop on:</p>\n<ul>${names}</ul>\n<p>Every alert email has a link to manage or stop them.</p>`);
+  } catch (err) {
+    if (!(err instanceof HttpError)) throw err;
+    sendPage(res, err.status, 'This link doesn’t work', `<p>${escapeHtml(err.message)}. Set the alert again to get a fresh link.</p>`);
+  }
+}
+
+/**
+ * Accepts both camelCase JSON and the snake_case names plain forms tend to use.
+ * @param {Record<string, any>} body
+ */
+function subscriptionInput(body) {
+  const bundles = Array.isArray(body.bundles) ? body.bundles : [];
+  const productId = body.productId ?? body.product_id ?? body.product;
+  const products = productId
+    ? [bundles.find((b) => String(b.id) === String(productId)) || { id: productId, name: body.productName }]
+    : bundles;
+
+  return {
+    email: body.email,
+    products,
+    targetPrice: body.targetPrice ?? body.target_price,
+    dropPercent: body.dropPercent ?? body.drop_percent,
+  };
+}
+
+/** @param {URLSearchParams} query */
+function manageEmail(query) {
+  const token = query.get('token');
+  if (!token) throw new HttpError(401, 'token is required');
+  return readToken(token, 'manage');
+}
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['GET', 'POST', 'PATCH', 'DELETE'])) return;
+
+  try {
+    const query = queryOf(req);
+
+    const unsubscribeToken = query.get('unsubscribe');
+    if (unsubscribeToken && (req.method === 'GET' || req.method === 'POST')) {
+      await handleUnsubscribe(req, res, unsubscribeToken);
+      return;
+    }
+
+    const confirmToken = query.get('confirm');
+    if (confirmToken && (req.method === 'GET' || req.method === 'POST')) {
+      await handleConfirm(req, res, confirmToken);
+      return;
+    }
+
+    if (req.method === 'POST') {
+      await limitRequests(clientIp(req));
+      const body = await readJson(req);
+
+      if (body.action === 'manage_link') {
+        await sendManageLink(body.email);
+        sendJson(res, 202, { ok: true });
+        return;
+      }
+
+      const alerts = await subscribe(subscriptionInput(body));
+      sendJson(res, 201, { alerts: alerts.map(toPublicAlert) });
+      return;
+    }
+
+    const email = manageEmail(query);
+
+    if (req.method === 'GET') {
+      const alerts = await listForEmail(email);
+      const withHistory = await Promise.all(
+        alerts.map(async (alert) => ({
+          ...toPublicAlert(alert),
+          history: await getHistory(alert.productId, { limit: 30 }),
+        }))
+      );
+      sendJson(res, 200, { email, alerts: withHistory });
+      return;
+    }
+
+    const id = query.get('id') || '';
+    if (!id) throw new HttpError(400, 'id is required');
+
+    if (req.method === 'PATCH') {
+      const body = await readJson(req);
+      sendJson(res, 200, { alert: toPublicAlert(await updateAlert(email, id, body)) });
+      return;
+    }
+
+    sendJson(res, 200, { alert: toPublicAlert(await unsubscribe(id, email)) });
+  } catch (err) {
+    handleError(res, err, 'alerts:price');
+  }
+}
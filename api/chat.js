@@ -0,0 +1,94 @@
+const { allowMethods, readJson, sendJson, handleError, HttpError } = require('./_lib/http');
+const { prepareChat } = require('./_lib/chat');
+const { getProvider } = require('./_lib/llm');
+const { createActionFilter } = require('./_lib/actions');
+const { search, sourcesPrompt } = require('./_lib/knowledge');
+
+// AI assistant chat.
+//
+// POST /api/chat   { message, history?: [{ role, content }], summary?, context?: { plan, bundles, registry } }
+//
+// With `Accept: text/event-stream` the reply streams as server-sent events:
+//   event: token   data: { "text": "…" }                                       one per chunk, in order
+//   event: done    data: { "reply": "…", "actions", "sources", "summary", "summarized" }  the full reply
+//   event: error   data: { "message": "…" }                                    stream failed part-way or timed out
+// Otherwise the whole reply comes back as JSON: { reply, actions, sources, summary, summarized }.
+//
+// `actions` are structured suggestions (see _lib/actions.js); their source
+// block never shows up in the streamed text. `summarized` > 0 means that many
+// leading history messages were folded into `summary` (see _lib/chat.js).
+//
+// FAQ and policy passages matching the message (_lib/knowledge.js) go into
+// the prompt; `sources` lists the ones the reply links to as [{ label, url }].
+//
+// Closing the connection cancels the upstream model request; so does the
+// provider's own timeout (LLM_TIMEOUT_MS, see _lib/llm.js).
+
+/**
+ * @param {import('http').ServerResponse} res
+ * @param {string} event
+ * @param {unknown} data
+ */
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['POST'])) return;
+
+  let streaming = false;
+  try {
+    const chat = prepareChat(await readJson(req));
+    const provider = getProvider();
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
+    });
+    const sources = await search(chat.message);
+    const request = {
+      system: sources.length ? `${chat.system}\n\n${sourcesPrompt(sources)}` : chat.system,
+      messages: chat.messages,
+      context: chat.context,
+      sources,
+      signal: controller.signal,
+    };
+    /** @param {string} reply */
+    const citedIn = (reply) => sources.filter((p) => reply.includes(`](${p.url})`)).map(({ label, url }) => ({ label, url }));
+
+    const filter = createActionFilter();
+
+    if (!String(req.headers.accept || '').includes('text/event-stream')) {
+      for await (const text of provider.stream(request)) filter.push(text);
+      const { reply, actions } = filter.finish();
+      sendJson(res, 200, { reply, actions, sources: citedIn(reply), summary: chat.summary, summarized: chat.summarized });
+      return;
+    }
+
+    streaming = true;
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('X-Accel-Buffering', 'no');
+    if (typeof res.flushHeaders === 'function') res.flushHeaders();
+
+    for await (const chunk of provider.stream(request)) {
+      if (controller.signal.aborted) return;
+      const text = filter.push(chunk);
+      if (text) writeEvent(res, 'token', { text });
+    }
+    const { rest, reply, actions } = filter.finish();
+    if (rest) writeEvent(res, 'token', { text: rest });
+    writeEvent(res, 'done', { reply, actions, sources: citedIn(reply), summary: chat.summary, summarized: chat.summarized });
+    res.end();
+  } catch (err) {
+    if (!streaming) {
+      handleError(res, err, 'chat');
+      return;
+    }
+    if (res.writableEnded || res.destroyed) return;
+    console.error('[api:chat] stream error', err);
+    const message = err instanceof HttpError ? err.message : 'The assistant stopped unexpectedly. Please try again.';
+    writeEvent(res, 'error', { message });
+    res.end();
+  }
+}
@@ -0,0 +1,46 @@
+const { allowMethods, readJson, sendJson, handleError, queryOf } = require('../_lib/http');
+const {
+  listConversations,
+  getConversation,
+  saveConversation,
+  deleteConversation,
+} = require('../_lib/conversations');
+
+// Server-side copies of a browser's chat conversations.
+//
+// GET    /api/chat/conversations            → { conversations: [{ id, title, messageCount, createdAt, updatedAt }] }
+// GET    /api/chat/conversations?id=<id>    → { conversation }
+// PUT    /api/chat/conversations?id=<id>    { title, messages, summary?, summarizedUpTo?, createdAt?, updatedAt? }
+//                                           → { conversation }
+// DELETE /api/chat/conversations?id=<id>    → { deleted }
+//
+// Every request authenticates with the `X-Chat-Key` header: a random key the
+// widget creates once and keeps in localStorage.
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['GET', 'PUT', 'DELETE'])) return;
+
+  try {
+    const key = String(req.headers['x-chat-key'] || '');
+    const id = queryOf(req).get('id') || '';
+
+    if (req.method === 'GET') {
+      if (!id) {
+        sendJson(res, 200, { conversations: await listConversations(key) });
+        return;
+      }
+      sendJson(res, 200, { conversation: await getConversation(key, id) });
+      return;
+    }
+
+    if (req.method === 'PUT') {
+      const body = await readJson(req);
+      sendJson(res, 200, { conversation: await saveConversation(key, id, body) });
+      return;
+    }
+
+    sendJson(res, 200, { deleted: await deleteConversation(key, id) });
+  } catch (err) {
+    handleError(res, err, 'chat:conversations');
+  }
+}
@@ -0,0 +1,76 @@
+const { allowMethods, readBody, readJson, handleError } = require('./_lib/http');
+const { getStorage } = require('./_lib/storage');
+
+// Collects CSP violation reports from both the legacy `report-uri` format
+// (application/csp-report) and the Reporting API (application/reports+json).
+
+const MAX_REPORT_BYTES = 64 * 1024;
+const MAX_STORED_REPORTS = 2000;
+
+/**
+ * @param {Record<string, any>} report
+ * @param {string} [userAgent]
+ */
+function normalizeReport(report, userAgent) {
+  const pick = (...keys) => {
+    const key = keys.find((k) => report[k] != null);
+    return key ? report[key] : null;
+  };
+  return {
+    documentUri: pick('document-uri', 'documentURL'),
+    directive: pick('effective-directive', 'effectiveDirective', 'violated-directive'),
+    blockedUri: pick('blocked-uri', 'blockedURL'),
+    sourceFile: pick('source-file', 'sourceFile'),
+    line: pick('line-number', 'lineNumber'),
+    column: pick('column-number', 'columnNumber'),
+    sample: pick('script-sample', 'sample'),
+    disposition: pick('disposition') || 'enforce',
+    userAgent: userAgent || null,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/** @param {unknown} body */
+function extractReports(body) {
+  if (Array.isArray(body)) {
+    return body
+      .filter((entry) => entry && entry.type === 'csp-violation' && entry.body)
+      .map((entry) => entry.body);
+  }
+  if (body && typeof body === 'object' && body['csp-report']) {
+    return [body['csp-report']];
+  }
+  return [];
+}
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['POST'])) return;
+
+  try {
+    let body;
+    if (req.body !== undefined) {
+      body = await readJson(req);
+    } else {
+      const raw = (await readBody(req, MAX_REPORT_BYTES)).toString('utf8');
+      body = raw ? JSON.parse(raw) : {};
+    }
+
+    const storage = getStorage();
+    const userAgent = req.headers['user-agent'];
+    for (const report of extractReports(body).slice(0, 20)) {
+      await storage.append('csp_reports', normalizeReport(report, userAgent), {
+        limit: MAX_STORED_REPORTS,
+      });
+    }
+
+    res.statusCode = 204;
+    res.end();
+  } catch (err) {
+    if (err instanceof SyntaxError) {
+      res.statusCode = 400;
+      res.end();
+      return;
+    }
+    handleError(res, err, 'csp-report');
+  }
+}
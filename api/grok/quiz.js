@@ -0,0 +1,58 @@
+const { allowMethods, readJson, sendJson, handleError, HttpError } = require('../_lib/http');
+const { recommend } = require('../_lib/recommend');
+const { QUIZ_SCHEMA, answersToInput } = require('../_lib/quiz');
+
+// Registry recommendations for the hero form and the Grok quiz.
+//
+// GET  /api/grok/quiz   → { schema }   question schema for the step-by-step quiz (see _lib/quiz.js)
+//
+// POST /api/grok/quiz   { answers: { <questionId>: value }, text? }
+// POST /api/grok/quiz   { text?, budget?, space?, feeding?, car?, used?, multiples?, …other answers }
+//   → { items: [{ id, title, description, category, categoryLabel, quantity, unitPrice, price,
+//                 allocated, condition, reasons, safety }],
+//       videos: [{ title, url }], notes, skips: [{ title, reason }],
+//       summary: { budget, total, remaining }, constraints, reranked }
+//
+// `answers` is validated against the schema – answers to questions a branch
+// skipped are ignored. The flat form (hero form, older clients) is still
+// accepted. Free text and structured answers can be mixed; see _lib/recommend.js for
+// how they are read. Planner context (`plan_steps`, `bundle_names`) is
+// accepted and ignored for now.
+
+const MAX_FIELDS = 40;
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['GET', 'POST'])) return;
+
+  try {
+    if (req.method === 'GET') {
+      sendJson(res, 200, { schema: QUIZ_SCHEMA });
+      return;
+    }
+
+    const body = await readJson(req);
+    if (body.answers !== undefined) {
+      /** @type {Record<string, string|number>} */
+      const input = answersToInput(body.answers);
+      if (typeof body.text === 'string' && body.text.trim()) input.text = body.text.slice(0, 2000);
+      sendJson(res, 200, await recommend(input));
+      return;
+    }
+
+    /** @type {Record<string, string|number|boolean>} */
+    const input = {};
+    Object.entries(body)
+      .filter(([key, value]) => !['plan_steps', 'bundle_names'].includes(key) && ['string', 'number', 'boolean'].includes(typeof value))
+      .slice(0, MAX_FIELDS)
+      .forEach(([key, value]) => {
+        input[key.slice(0, 60)] = typeof value === 'string' ? value.slice(0, 2000) : value;
+      });
+    if (!Object.values(input).some((value) => String(value).trim())) {
+      throw new HttpError(400, 'Tell us a little about your space, budget or plans');
+    }
+
+    sendJson(res, 200, await recommend(input));
+  } catch (err) {
+    handleError(res, err, 'grok:quiz');
+  }
+}
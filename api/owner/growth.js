@@ -0,0 +1,13 @@
+const { allowMethods, sendJson, handleError } = require('../_lib/http');
+const { requireOwner, listGrowth } = require('../_lib/owner');
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['GET'])) return;
+  if (!requireOwner(req, res)) return;
+
+  try {
+    sendJson(res, 200, await listGrowth());
+  } catch (err) {
+    handleError(res, err, 'owner:growth');
+  }
+}
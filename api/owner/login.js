@@ -0,0 +1,23 @@
+const { allowMethods, readJson, sendJson, sendError, handleError } = require('../_lib/http');
+const { checkOwnerPassword, issueToken, appendLog } = require('../_lib/owner');
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['POST'])) return;
+
+  try {
+    const body = await readJson(req);
+    const password = typeof body.password === 'string' ? body.password : '';
+
+    if (!checkOwnerPassword(password)) {
+      await appendLog('Failed owner login attempt', { severity: 'medium' });
+      sendError(res, 401, 'Invalid password');
+      return;
+    }
+
+    const session = issueToken('owner');
+    await appendLog('Owner session started', { severity: 'low' });
+    sendJson(res, 200, session);
+  } catch (err) {
+    handleError(res, err, 'owner:login');
+  }
+}
@@ -0,0 +1,15 @@
+const { allowMethods, sendJson, handleError, queryOf } = require('../_lib/http');
+const { requireOwner, listLogs } = require('../_lib/owner');
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['GET'])) return;
+  if (!requireOwner(req, res)) return;
+
+  try {
+    const limit = Math.min(500, Math.max(1, Number(queryOf(req).get('limit')) || 100));
+    const logs = await listLogs({ limit });
+    sendJson(res, 200, logs.map(({ message, timestamp, severity }) => ({ message, timestamp, severity })));
+  } catch (err) {
+    handleError(res, err, 'owner:logs');
+  }
+}
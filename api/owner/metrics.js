@@ -0,0 +1,13 @@
+const { allowMethods, sendJson, handleError } = require('../_lib/http');
+const { requireOwner, getMetrics } = require('../_lib/owner');
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['GET'])) return;
+  if (!requireOwner(req, res)) return;
+
+  try {
+    sendJson(res, 200, await getMetrics());
+  } catch (err) {
+    handleError(res, err, 'owner:metrics');
+  }
+}
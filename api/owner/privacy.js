@@ -0,0 +1,58 @@
+const { allowMethods, readJson, sendJson, handleError, queryOf, HttpError } = require('../_lib/http');
+const { requireOwner, appendLog } = require('../_lib/owner');
+const { STATUSES, listRequests, getRequestDetail, updateRequest } = require('../_lib/privacy');
+
+// Privacy (data subject) requests (owner only).
+//
+// GET   /api/owner/privacy?status=open|closed|all|<status>   → { requests, counts }
+// GET   /api/owner/privacy?id=<id>                           → { request, audit }
+// PATCH /api/owner/privacy?id=<id>
+//       { action: 'process' } | { action: 'extend'|'reject', reason }   → { request }
+//
+// Open requests come first, soonest due first; `overdue` and `daysLeft`
+// track the statutory deadline. Actions land in the request's audit trail
+// and the owner logs stream.
+
+const FILTERS = ['open', 'closed', 'all', ...STATUSES];
+
+const LOG_MESSAGES = {
+  process: (request) => `Privacy ${request.type} request ${request.id} processed by hand`,
+  extend: (request) => `Privacy request ${request.id} extended to ${request.dueAt.slice(0, 10)}`,
+  reject: (request) => `Privacy request ${request.id} rejected`,
+};
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['GET', 'PATCH'])) return;
+  const claims = requireOwner(req, res);
+  if (!claims) return;
+
+  try {
+    const query = queryOf(req);
+    const id = query.get('id');
+
+    if (req.method === 'GET') {
+      if (id) {
+        sendJson(res, 200, await getRequestDetail(id));
+        return;
+      }
+      const status = query.get('status') || 'open';
+      if (!FILTERS.includes(status)) throw new HttpError(400, `status must be one of ${FILTERS.join(', ')}`);
+      sendJson(res, 200, await listRequests({ status }));
+      return;
+    }
+
+    if (!id) throw new HttpError(400, 'id is required');
+    const body = await readJson(req);
+    const action = String(body.action || '');
+    const request = await updateRequest(id, action, body, { by: claims.sub });
+    await appendLog(LOG_MESSAGES[action](request), {
+      type: 'privacy',
+      action,
+      requestId: request.id,
+      by: claims.sub,
+    });
+    sendJson(res, 200, { request });
+  } catch (err) {
+    handleError(res, err, 'owner:privacy');
+  }
+}
@@ -0,0 +1,21 @@
+const { allowMethods, sendJson, handleError, queryOf } = require('../_lib/http');
+const { requireOwner } = require('../_lib/owner');
+const { buildQualityReport } = require('../_lib/ratings');
+
+// Support answer-quality report (owner only).
+//
+// GET /api/owner/quality?days=30
+//   → { days, since, overall, byTopic, byStyle, byTone, byLanguage, byGoal, byResponder, worst, trend }
+//
+// Satisfaction is the share of thumbs up (see _lib/ratings.js).
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['GET'])) return;
+  if (!requireOwner(req, res)) return;
+
+  try {
+    sendJson(res, 200, await buildQualityReport({ days: queryOf(req).get('days') }));
+  } catch (err) {
+    handleError(res, err, 'owner:quality');
+  }
+}
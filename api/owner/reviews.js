@@ -0,0 +1,76 @@
+const { allowMethods, readJson, sendJson, handleError, queryOf, HttpError } = require('../_lib/http');
+const { requireOwner, appendLog } = require('../_lib/owner');
+const { STATUSES, listReviews, toOwnerReview, setReviewStatus, replyToReview } = require('../_lib/reviews');
+
+// Review moderation queue (owner only).
+//
+// GET   /api/owner/reviews?status=pending|approved|rejected|all
+//       → { reviews, counts: { pending, approved, rejected } }
+// POST  /api/owner/reviews   { ids: [...], action: 'approve'|'reject'|'requeue', note? }
+//       → { updated: [...] }
+// PATCH /api/owner/reviews?id=<reviewId>   { reply }  (empty reply removes it)
+//       → { review }
+//
+// Every decision is written to the owner logs stream.
+
+const ACTIONS = { approve: 'approved', reject: 'rejected', requeue: 'pending' };
+const MAX_BULK = 100;
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['GET', 'POST', 'PATCH'])) return;
+  const claims = requireOwner(req, res);
+  if (!claims) return;
+
+  try {
+    if (req.method === 'GET') {
+      const status = queryOf(req).get('status') || 'pending';
+      if (status !== 'all' && !STATUSES.includes(status)) {
+        throw new HttpError(400, `status must be one of ${STATUSES.join(', ')} or all`);
+      }
+      const all = await listReviews();
+      const counts = Object.fromEntries(STATUSES.map((s) => [s, all.filter((r) => r.status === s).length]));
+      const reviews = status === 'all' ? all : all.filter((r) => r.status === status);
+      sendJson(res, 200, { reviews: reviews.map(toOwnerReview), counts });
+      return;
+    }
+
+    const body = await readJson(req);
+
+    if (req.method === 'PATCH') {
+      const id = queryOf(req).get('id');
+      if (!id) throw new HttpError(400, 'id is required');
+      if (typeof body.reply !== 'string') throw new HttpError(400, 'reply must be a string');
+      const review = await replyToReview(id, body.reply);
+      await appendLog(
+        review.reply ? `Brand reply posted on review ${id}` : `Brand reply removed from review ${id}`,
+        { type: 'review_moderation', action: review.reply ? 'reply' : 'remove_reply', reviewId: id, by: claims.sub }
+      );
+      sendJson(res, 200, { review: toOwnerReview(review) });
+      return;
+    }
+
+    const status = ACTIONS[body.action];
+    if (!status) throw new HttpError(400, `action must be one of ${Object.keys(ACTIONS).join(', ')}`);
+    const ids = Array.isArray(body.ids) ? [...new Set(body.ids.map(String))] : [];
+    if (!ids.length) throw new HttpError(400, 'ids must list at least one review');
+    if (ids.length > MAX_BULK) throw new HttpError(400, `At most ${MAX_BULK} reviews per request`);
+
+    const updated = await setReviewStatus(ids, status, { by: claims.sub, note: body.note });
+    for (const review of updated) {
+      const flags = (review.flags || []).map((f) => f.type);
+      await appendLog(
+        `Review ${review.id} ${status}${flags.length ? ` (flagged: ${[...new Set(flags)].join(', ')})` : ''}`,
+        {
+          severity: status === 'rejected' && flags.length ? 'medium' : 'low',
+          type: 'review_moderation',
+          action: body.action,
+          reviewId: review.id,
+          by: claims.sub,
+        }
+      );
+    }
+    sendJson(res, 200, { updated: updated.map(toOwnerReview) });
+  } catch (err) {
+    handleError(res, err, 'owner:reviews');
+  }
+}
@@ -0,0 +1,82 @@
+const { allowMethods, readJson, sendJson, sendError, handleError, queryOf, HttpError } = require('../_lib/http');
+const { requireOwner, appendLog } = require('../_lib/owner');
+const {
+  CANNED_RESPONSES,
+  listTickets,
+  toOwnerTicket,
+  getAttachment,
+  updateTicket,
+} = require('../_lib/support');
+
+// Support agent inbox (owner only).
+//
+// GET   /api/owner/support?status=open|closed|all&queue=agent|ai
+//       → { tickets, counts: { agent, ai, closed }, cannedResponses }
+// GET   /api/owner/support?id=<ticketId>&attachment=<n>   → the image
+// PATCH /api/owner/support?id=<ticketId>
+//       { action: 'assign', assignee } | { action: 'reply'|'note', body, author? } | { action: 'close'|'reopen' }
+//       → { ticket }
+//
+// Replies land in the customer's chat thread and are emailed through the
+// outbox. Every action is written to the owner logs stream.
+
+const STATUSES = ['open', 'closed', 'all'];
+const QUEUES = ['agent', 'ai'];
+
+const LOG_MESSAGES = {
+  assign: (ticket) => (ticket.assignee ? `Support ticket ${ticket.id} assigned to ${ticket.assignee}` : `Support ticket ${ticket.id} unassigned`),
+  reply: (ticket) => `Agent replied on support ticket ${ticket.id}`,
+  note: (ticket) => `Internal note added to support ticket ${ticket.id}`,
+  close: (ticket) => `Support ticket ${ticket.id} closed`,
+  reopen: (ticket) => `Support ticket ${ticket.id} reopened`,
+};
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['GET', 'PATCH'])) return;
+  const claims = requireOwner(req, res);
+  if (!claims) return;
+
+  try {
+    const query = queryOf(req);
+
+    if (req.method === 'GET' && query.has('attachment')) {
+      const n = Number(query.get('attachment'));
+      const file = Number.isInteger(n) && n >= 0 ? await getAttachment(query.get('id') || '', n) : null;
+      if (!file) {
+        sendError(res, 404, 'Attachment not found');
+        return;
+      }
+      res.statusCode = 200;
+      res.setHeader('Content-Type', file.type);
+      res.setHeader('Content-Length', String(file.data.length));
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      res.setHeader('Cache-Control', 'private, no-store');
+      res.end(file.data);
+      return;
+    }
+
+    if (req.method === 'GET') {
+      const status = query.get('status') || 'open';
+      const queue = query.get('queue') || undefined;
+      if (!STATUSES.includes(status)) throw new HttpError(400, `status must be one of ${STATUSES.join(', ')}`);
+      if (queue && !QUEUES.includes(queue)) throw new HttpError(400, `queue must be one of ${QUEUES.join(', ')}`);
+      const { tickets, counts } = await listTickets({ status, queue });
+      sendJson(res, 200, { tickets: tickets.map(toOwnerTicket), counts, cannedResponses: CANNED_RESPONSES });
+      return;
+    }
+
+    const id = query.get('id');
+    if (!id) throw new HttpError(400, 'id is required');
+    const body = await readJson(req);
+    const ticket = await updateTicket(id, String(body.action || ''), body, { by: claims.sub });
+    await appendLog(LOG_MESSAGES[body.action](ticket), {
+      type: 'support',
+      action: body.action,
+      ticketId: ticket.id,
+      by: claims.sub,
+    });
+    sendJson(res, 200, { ticket: toOwnerTicket(ticket) });
+  } catch (err) {
+    handleError(res, err, 'owner:support');
+  }
+}
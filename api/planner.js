@@ -0,0 +1,23 @@
+const { allowMethods, readJson, sendJson, handleError } = require('./_lib/http');
+const { buildPlan } = require('./_lib/planner');
+
+// Due-date / baby-age plan for planner.js.
+//
+// POST /api/planner   { dueDate | birthDate: 'YYYY-MM-DD', today?: 'YYYY-MM-DD',
+//                       budget?, feeding?, space?, car?, used?, multiples? }
+//   → { plan: { stage, stageLabel, date, dateType, week, steps: string[],
+//               tasks: [{ id, label, due, overdue }], generatedOn },
+//       bundles: [{ id, name, description, price, href }] }
+//
+// See _lib/planner.js for stages, tasks and how bundles are chosen.
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['POST'])) return;
+
+  try {
+    const body = await readJson(req);
+    sendJson(res, 200, await buildPlan(body));
+  } catch (err) {
+    handleError(res, err, 'planner');
+  }
+}
@@ -0,0 +1,74 @@
+const { allowMethods, readJson, sendJson, handleError, queryOf } = require('../_lib/http');
+const {
+  VERIFY_TTL_DAYS,
+  submitRequest,
+  confirmRequest,
+  getRequestStatus,
+  downloadExport,
+  toRequesterView,
+} = require('../_lib/privacy');
+
+// Data requests from privacy.html § 16 (export or delete).
+//
+// POST /api/privacy/request                 { email, type: 'export'|'delete', notes? }
+//   → 202 { id, status, dueAt, message }    emails a confirmation link
+// POST /api/privacy/request?id=<id>         { token, registries?: [{ id, ownerKey }], claims?: [{ shareId, claimId, claimKey }] }
+//   → { request, message }                  confirms and processes it
+// GET  /api/privacy/request?id=<id>&token=<token>              → { request }
+// GET  /api/privacy/request?id=<id>&token=<token>&download=1   → the export (JSON attachment)
+//
+// The token comes from the emailed link. `registries` / `claims` are the
+// shared-registry keys the browser saved, so those registries are covered
+// too (see _lib/privacy.js).
+
+const COMPLETED_MESSAGES = {
+  export: 'Your data export is ready to download.',
+  delete: 'Your data has been deleted. We’ve sent a confirmation to your email address.',
+};
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['GET', 'POST'])) return;
+
+  try {
+    const query = queryOf(req);
+    const id = query.get('id') || '';
+
+    if (req.method === 'GET') {
+      const token = query.get('token') || '';
+      if (query.get('download') !== '1') {
+        sendJson(res, 200, { request: await getRequestStatus(id, token) });
+        return;
+      }
+      const { request, data } = await downloadExport(id, token);
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="infantbites-data-${request.id}.json"`);
+      res.setHeader('Content-Length', String(data.length));
+      res.setHeader('Cache-Control', 'private, no-store');
+      res.end(data);
+      return;
+    }
+
+    const body = await readJson(req);
+    if (!id) {
+      const request = await submitRequest(body);
+      sendJson(res, 202, {
+        id: request.id,
+        status: 'pending_verification',
+        dueAt: request.dueAt,
+        message: `Thanks – we’ve sent a confirmation link to ${request.email}. Open it within ${VERIFY_TTL_DAYS} days to confirm the request.`,
+      });
+      return;
+    }
+
+    const request = toRequesterView(await confirmRequest(id, body.token, { proofs: body }));
+    sendJson(res, 200, {
+      request,
+      message: request.status === 'completed'
+        ? COMPLETED_MESSAGES[request.type]
+        : 'Your request is confirmed. We’ll finish it and email you by the due date.',
+    });
+  } catch (err) {
+    handleError(res, err, 'privacy:request');
+  }
+}
@@ -1,44 +1,65 @@
-const fs = require('fs');
 const path = require('path');
+const { authenticate, clientIp, logAccess } = require('./_lib/auth');
+const { handleError } = require('./_lib/http');
+const { applySecurityHeaders, createNonce, injectNonce, CSP_HEADERS } = require('./_lib/security');
+const { resolvePublicPath, serveFile, sendNotFound } = require('./_lib/static');
 
-const mimeTypes = {
-  '.html': 'text/html',
-  '.js': 'text/javascript',
-  '.css': 'text/css',
-  '.png': 'image/png',
-  '.jpg': 'image/jpeg',
-  '.jpeg': 'image/jpeg',
-  '.gif': 'image/gif',
-  '.svg': 'image/svg+xml',
-  '.ico': 'image/x-icon',
-  '.txt': 'text/plain',
-};
+/** @param {string} filePath */
+function isPage(filePath) {
+  return path.extname(filePath).toLowerCase() === '.html';
+}
+
+/**
+ * Security headers plus serve options for one file; HTML gets a fresh CSP
+ * nonce written into its <script> tags.
+ * @param {import('http').ServerResponse} res
+ * @param {string} filePath
+ */
+function secureServeOptions(res, filePath) {
+  if (!isPage(filePath)) {
+    applySecurityHeaders(res);
+    return {};
+  }
+  const nonce = createNonce();
+  applySecurityHeaders(res, { nonce });
+  return {
+    transform: (body) => injectNonce(body, nonce),
+    perResponseHeaders: CSP_HEADERS,
+  };
+}
+
+export default async function handler(req, res) {
+  applySecurityHeaders(res);
 
-export default function handler(req, res) {
-  const auth = req.headers.authorization || '';
-  const b64 = auth.split(' ')[1] || '';
-  const [username, password] = Buffer.from(b64, 'base64').toString().split(':');
-  const USER = process.env.BASIC_AUTH_USERNAME;
-  const PASS = process.env.BASIC_AUTH_PASSWORD;
-  if (username === USER && password === PASS) {
-    let filePath = path.join(process.cwd(), 'frontend', 'public', req.url === '/' ? 'index.html' : req.url);
-    // prevent directory traversal
-    filePath = filePath.replace(/\.\./g, '');
-    if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
-      const ext = path.extname(filePath).toLowerCase();
-      const contentType = mimeTypes[ext] || 'application/octet-stream';
-      const data = fs.readFileSync(filePath);
-      res.setHeader('Content-Type', contentType);
-      res.statusCode = 200;
-      res.end(data);
-      return;
-    } else {
-      res.statusCode = 404;
-      res.end('Not Found');
-      return;
-    }
+  let username;
+  try {
+    username = await authenticate(req, res);
+  } catch (err) {
+    // Lockout storage or the user list failed; answer rather than hang.
+    handleError(res, err, 'protected:auth');
+    return;
+  }
+  if (!username) return;
+
+  const resolved = req.method === 'GET' || req.method === 'HEAD' ? resolvePublicPath(req.url) : null;
+  // Page views and misses only: each entry rewrites the access_log
+  // collection, which is too much to pay for every script and image.
+  if (!resolved || isPage(resolved.filePath)) {
+    res.on('finish', () => {
+      logAccess({ username, ip: clientIp(req), method: req.method, path: req.url, status: res.statusCode });
+    });
+  }
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.statusCode = 405;
+    res.setHeader('Allow', 'GET, HEAD');
+    res.end('Method Not Allowed');
+    return;
+  }
+  if (resolved) {
+    serveFile(req, res, resolved.filePath, resolved.stat, secureServeOptions(res, resolved.filePath));
+  } else {
+    const page = process.env.STATIC_NOT_FOUND_PAGE;
+    sendNotFound(req, res, page ? secureServeOptions(res, page) : {});
   }
-  res.statusCode = 401;
-  res.setHeader('WWW-Authenticate', 'Basic realm="Protected"');
-  res.end('Auth required');
 }
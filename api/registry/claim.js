@@ -0,0 +1,51 @@
+const { allowMethods, readJson, sendJson, handleError, queryOf, HttpError } = require('../_lib/http');
+const { createClaim, updateClaim, toPublicShare } = require('../_lib/registry');
+
+// Gift claims on a shared registry.
+//
+// POST   /api/registry/claim?id=<shareId>               { itemId, quantity?, status?, name?, message? }
+//                                                       → 201 { claim, claimKey, share } (409 when not enough left)
+// PATCH  /api/registry/claim?id=<shareId>&claim=<id>    { status: 'purchased' }
+// DELETE /api/registry/claim?id=<shareId>&claim=<id>    cancel
+//
+// PATCH/DELETE authenticate with the `X-Claim-Key` header returned on POST.
+
+/** @param {Record<string, any>} claim */
+function toPublicClaim(claim) {
+  const { claimKeyHash, ...rest } = claim;
+  return rest;
+}
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['POST', 'PATCH', 'DELETE'])) return;
+
+  try {
+    const query = queryOf(req);
+    const shareId = query.get('id') || '';
+    if (!shareId) throw new HttpError(400, 'id is required');
+
+    if (req.method === 'POST') {
+      const body = await readJson(req);
+      const { share, claim, claimKey } = await createClaim(shareId, body);
+      sendJson(res, 201, { claim: toPublicClaim(claim), claimKey, share: toPublicShare(share) });
+      return;
+    }
+
+    const claimId = query.get('claim') || '';
+    const claimKey = String(req.headers['x-claim-key'] || '');
+    if (!claimId) throw new HttpError(400, 'claim is required');
+    if (!claimKey) throw new HttpError(401, 'Claim key required');
+
+    let status = null;
+    if (req.method === 'PATCH') {
+      const body = await readJson(req);
+      if (body.status !== 'purchased') throw new HttpError(400, "status must be 'purchased'");
+      status = 'purchased';
+    }
+
+    const share = await updateClaim(shareId, claimId, claimKey, status);
+    sendJson(res, 200, { share: toPublicShare(share) });
+  } catch (err) {
+    handleError(res, err, 'registry:claim');
+  }
+}
@@ -0,0 +1,74 @@
+const { allowMethods, readJson, sendJson, handleError, queryOf, siteOrigin, HttpError } = require('../_lib/http');
+const {
+  createShare,
+  getActiveShare,
+  getShareAsOwner,
+  toPublicShare,
+  toOwnerShare,
+  revokeShare,
+  updateShareSettings,
+} = require('../_lib/registry');
+
+// POST   /api/registry/share            { items, title?, expiresInDays? } → { id, url, ownerKey, expiresAt }
+// GET    /api/registry/share?id=<id>    read-only snapshot with claim counts (404 unknown, 410 revoked/expired);
+//                                       with the owner key: claims too (names hidden in surprise mode)
+// PATCH  /api/registry/share?id=<id>    { expiresInDays?, surprise?, quantities? } – owner only
+// DELETE /api/registry/share?id=<id>    revoke – owner only
+//
+// Owner requests authenticate with the `X-Registry-Owner-Key` header returned
+// when the link was created.
+
+/** @param {string} id */
+function shareUrl(id) {
+  return `${siteOrigin()}/?share=${encodeURIComponent(id)}`;
+}
+
+/** @param {import('http').IncomingMessage} req */
+function ownerKeyOf(req) {
+  const key = req.headers['x-registry-owner-key'];
+  if (!key) throw new HttpError(401, 'Owner key required');
+  return String(key);
+}
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['GET', 'POST', 'PATCH', 'DELETE'])) return;
+
+  try {
+    const id = queryOf(req).get('id') || '';
+
+    if (req.method === 'POST') {
+      const body = await readJson(req);
+      const { share, ownerKey } = await createShare(body);
+      sendJson(res, 201, {
+        id: share.id,
+        url: shareUrl(share.id),
+        ownerKey,
+        expiresAt: share.expiresAt,
+      });
+      return;
+    }
+
+    if (!id) throw new HttpError(400, 'id is required');
+
+    if (req.method === 'GET') {
+      if (req.headers['x-registry-owner-key']) {
+        sendJson(res, 200, toOwnerShare(await getShareAsOwner(id, ownerKeyOf(req))));
+      } else {
+        sendJson(res, 200, toPublicShare(await getActiveShare(id)));
+      }
+      return;
+    }
+
+    if (req.method === 'PATCH') {
+      const body = await readJson(req);
+      const share = await updateShareSettings(id, ownerKeyOf(req), body);
+      sendJson(res, 200, toOwnerShare(share));
+      return;
+    }
+
+    const share = await revokeShare(id, ownerKeyOf(req));
+    sendJson(res, 200, toOwnerShare(share));
+  } catch (err) {
+    handleError(res, err, 'registry:share');
+  }
+}
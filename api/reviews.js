@@ -0,0 +1,40 @@
+const { allowMethods, sendJson, handleError, queryOf } = require('./_lib/http');
+const { readMultipart } = require('./_lib/multipart');
+const { createReview, listApproved } = require('./_lib/reviews');
+const { appendLog } = require('./_lib/owner');
+
+// Product reviews.
+//
+// POST /api/reviews   multipart/form-data: rating, body (or review/text),
+//                     title?, name?, email?, product?, photos (up to 4 images)
+//                     → 202 { id, status: 'pending' }
+// GET  /api/reviews?product=&page=&pageSize=
+//                     → { reviews, page, pageSize, total, totalPages, summary, products }
+//
+// New reviews wait for moderation; GET only ever lists approved ones.
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['GET', 'POST'])) return;
+
+  try {
+    if (req.method === 'GET') {
+      const query = queryOf(req);
+      const listing = await listApproved({
+        productId: query.get('product') || undefined,
+        page: query.get('page'),
+        pageSize: query.get('pageSize'),
+      });
+      sendJson(res, 200, listing);
+      return;
+    }
+
+    const review = await createReview(await readMultipart(req));
+    await appendLog(`New review ${review.id} (${review.rating}★, ${review.photos.length} photo(s)) awaiting moderation`, {
+      type: 'review',
+      reviewId: review.id,
+    });
+    sendJson(res, 202, { id: review.id, status: review.status });
+  } catch (err) {
+    handleError(res, err, 'reviews');
+  }
+}
@@ -0,0 +1,42 @@
+const { allowMethods, sendError, handleError, queryOf } = require('../_lib/http');
+const { verifyToken } = require('../_lib/owner');
+const { getPhoto } = require('../_lib/reviews');
+
+// Review photos.
+//
+// GET /api/reviews/photo?review=<id>&n=<index>[&size=thumb]
+//
+// Photos of approved reviews are public. Pending/rejected ones are only
+// served with an owner bearer token (moderation previews); everyone else
+// gets a 404 so unpublished uploads can't be probed for.
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['GET'])) return;
+
+  try {
+    const query = queryOf(req);
+    const reviewId = query.get('review') || '';
+    const n = Number(query.get('n') || 0);
+    if (!reviewId || !Number.isInteger(n) || n < 0) {
+      sendError(res, 400, 'review and n are required');
+      return;
+    }
+
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    const isOwner = Boolean(match && verifyToken(match[1].trim()));
+    const photo = await getPhoto(reviewId, n, { thumb: query.get('size') === 'thumb', includeUnapproved: isOwner });
+    if (!photo) {
+      sendError(res, 404, 'Photo not found');
+      return;
+    }
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', photo.type);
+    res.setHeader('Content-Length', String(photo.data.length));
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Cache-Control', isOwner ? 'private, no-store' : 'public, max-age=3600');
+    res.end(photo.data);
+  } catch (err) {
+    handleError(res, err, 'reviews:photo');
+  }
+}
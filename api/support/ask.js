@@ -0,0 +1,71 @@
+const { allowMethods, readJson, sendJson, handleError, HttpError } = require('../_lib/http');
+const { readMultipart } = require('../_lib/multipart');
+const { handleMessage, summarizeThread } = require('../_lib/support');
+
+// Support chat (support.html).
+//
+// POST /api/support/ask
+//   JSON { message, history?, metadata: { email, name?, topic?, mode?, aiControls? } }
+//   or multipart/form-data: payload (that JSON as a string) + attachment (an image)
+//   → { ticketId, messageId, reply, sources, escalated, status, queue, ticketSummary, insights: { topic, urgency, sentiment } }
+//
+//   metadata.command = 'summarize_thread'
+//   → { ticketSummary, insights }   summary of the posted history; no ticket is touched
+//
+// `mode` is 'ai_first' (default) or 'human_only'; see _lib/support.js for
+// threading, escalation and the responders. `sources` lists the help-page
+// sections the reply cites as [{ label, url }]; they're linked in the reply
+// too. The chat sends its per-browser `X-Support-Key` so it can fetch agent
+// replies later (/api/support/thread).
+
+const UPLOAD_LIMITS = { maxFiles: 1, maxFields: 5, maxFieldBytes: 256 * 1024 };
+
+/** @param {import('http').IncomingMessage} req */
+async function readRequest(req) {
+  if (!/^multipart\/form-data/i.test(String(req.headers['content-type'] || ''))) {
+    return { body: await readJson(req), files: [] };
+  }
+  const { fields, files } = await readMultipart(req, UPLOAD_LIMITS);
+  let body;
+  try {
+    body = JSON.parse(fields.payload || '{}');
+  } catch {
+    throw new HttpError(400, 'payload must be JSON');
+  }
+  return { body: body && typeof body === 'object' ? body : {}, files: files.filter((file) => file.field === 'attachment') };
+}
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['POST'])) return;
+
+  try {
+    const { body, files } = await readRequest(req);
+    const metadata = body.metadata && typeof body.metadata === 'object' ? body.metadata : {};
+
+    if (metadata.command) {
+      if (metadata.command !== 'summarize_thread') throw new HttpError(400, `Unknown command: ${metadata.command}`);
+      sendJson(res, 200, summarizeThread(body.history));
+      return;
+    }
+
+    const { ticket, reply, escalated } = await handleMessage({
+      message: body.message,
+      metadata,
+      files,
+      key: String(req.headers['x-support-key'] || ''),
+    });
+    sendJson(res, 200, {
+      ticketId: ticket.id,
+      messageId: reply.id,
+      reply: reply.content,
+      sources: reply.sources,
+      escalated,
+      status: ticket.status,
+      queue: ticket.queue,
+      ticketSummary: ticket.summary,
+      insights: ticket.triage,
+    });
+  } catch (err) {
+    handleError(res, err, 'support:ask');
+  }
+}
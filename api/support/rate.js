@@ -0,0 +1,22 @@
+const { allowMethods, readJson, sendJson, handleError } = require('../_lib/http');
+const { rateAnswer } = require('../_lib/ratings');
+
+// Thumbs up / down on a support chat answer.
+//
+// POST /api/support/rate   (X-Support-Key: <the chat's key>)
+//   { messageId, rating: 'up'|'down', source? }   messageId as returned by /api/support/ask
+//   → { messageId, rating }
+//
+// The answer, its question, topic and answer controls are looked up on the
+// ticket (see _lib/ratings.js); rating the same answer again replaces it.
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['POST'])) return;
+
+  try {
+    const rating = await rateAnswer(String(req.headers['x-support-key'] || ''), await readJson(req));
+    sendJson(res, 200, { messageId: rating.id, rating: rating.rating });
+  } catch (err) {
+    handleError(res, err, 'support:rate');
+  }
+}
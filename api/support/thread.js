@@ -0,0 +1,20 @@
+const { allowMethods, sendJson, handleError } = require('../_lib/http');
+const { listThreads } = require('../_lib/support');
+
+// The support chat's view of its tickets, so agent replies reach a customer
+// who comes back to support.html.
+//
+// GET /api/support/thread   (X-Support-Key: <the chat's key>)
+//   → { tickets: [{ id, status, queue, updatedAt, messages: [{ id, role, content, at, author?, attachments? }] }] }
+//
+// Newest ticket first; only tickets this browser's key took part in.
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['GET'])) return;
+
+  try {
+    sendJson(res, 200, { tickets: await listThreads(String(req.headers['x-support-key'] || '')) });
+  } catch (err) {
+    handleError(res, err, 'support:thread');
+  }
+}
@@ -1,8 +1,10 @@
-// experience.js
-// Loaded via: <script type="module" src="/js/experience.js"></script>
+// app.js (experience layer)
+// Loaded via: <script src="/app.js"></script>
+// (after <script src="/events.js"></script> and <script src="/markdown.js"></script>,
+// which renders assistant replies; index.html loads all of them)
 //
 // "Experience layer" that sits on top of PlannerApp and provides:
-//  - Grok quiz → personalized list + video explainers
+//  - Grok quiz (step-by-step, resumable) → personalized list + video explainers
 //  - Registry builder + share link
 //  - Milestone tracker
 //  - Price alert subscriptions
@@ -10,7 +12,9 @@
 //  - AI live chat widget
 //  - Daily self-evolution toggle (Zapier/Make webhook)
 //
-// Assumes planner.js exposes window.__plannerApp = app.
+// Load events.js first: features publish on its shared bus
+// (window.__experienceBus) and pick up the planner's plan_success /
+// bundles_success from it, whenever planner.js happens to load.
 
 /* ========================================================================== */
 /* Types (JSDoc only)                                                         */
@@ -27,9 +31,68 @@
  */
 
 /**
+ * @typedef {Object} ChatConversation
+ * @property {string} id
+ * @property {string} title            first question, '' until there is one
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ * @property {ChatMessage[]} messages
+ * @property {string} [summary]        server-made summary of messages[0..summarizedUpTo)
+ * @property {number} summarizedUpTo
+ */
+
+/**
+ * Question schema served by GET /api/grok/quiz (see api/_lib/quiz.js).
+ * @typedef {Object} QuizQuestion
+ * @property {string} id
+ * @property {'choice'|'multi'|'number'|'text'} type
+ * @property {string} label
+ * @property {string} [help]
+ * @property {boolean} [required]
+ * @property {Array<{ value: string, label: string }>} [options]
+ * @property {number} [min]
+ * @property {number} [max]
+ * @property {number} [maxLength]
+ * @property {Record<string, string|string[]>} [showIf]   // skipped unless earlier answers match
+ */
+
+/**
+ * @typedef {Object} QuizSchema
+ * @property {string} id
+ * @property {number} version
+ * @property {QuizQuestion[]} questions
+ */
+
+/**
+ * One finished quiz, kept so later runs can be compared with it.
+ * @typedef {Object} QuizRun
+ * @property {string} id
+ * @property {string} at
+ * @property {Record<string, any>} answers
+ * @property {Array<{ id: string, title: string, price?: number }>} items
+ * @property {number} [total]
+ * @property {number} [budget]
+ */
+
+/**
+ * @typedef {Object} QuizRunDiff
+ * @property {QuizRun['items']} added
+ * @property {QuizRun['items']} removed
+ * @property {Array<{ item: QuizRun['items'][number], before?: number }>} repriced
+ * @property {number} totalDelta
+ */
+
+/**
+ * One recommendation from /api/grok/quiz (see api/_lib/recommend.js).
  * @typedef {Object} GrokQuizResultItem
+ * @property {string} [id]                 // catalog id; stable across runs
  * @property {string} title
  * @property {string} [description]
+ * @property {string} [categoryLabel]
+ * @property {number} [price]              // expected total for the quantity
+ * @property {'new'|'used_ok'} [condition]
+ * @property {string[]} [reasons]
+ * @property {string[]} [safety]
  */
 
 /**
@@ -42,11 +105,42 @@
  * @typedef {Object} GrokQuizResponse
  * @property {GrokQuizResultItem[]} [items]
  * @property {GrokQuizVideo[]} [videos]
+ * @property {string[]} [notes]           // what the recommender took into account
+ * @property {{ budget: number, total: number, remaining: number }} [summary]
+ */
+
+/**
+ * Structured change proposed by the chat assistant (see api/_lib/actions.js).
+ * @typedef {Object} AssistantAction
+ * @property {string} id
+ * @property {'add_registry_item'|'remove_registry_item'|'add_milestone'|'set_price_alert'} type
+ * @property {string} label
+ * @property {string} [name]
+ * @property {string} [itemId]
+ * @property {number} [quantity]
+ * @property {string} [note]
+ * @property {string} [url]
+ * @property {string} [price]
+ * @property {string} [category]
+ * @property {'high'|'medium'|'low'} [priority]
+ * @property {string} [productId]
+ * @property {number} [targetPrice]
+ * @property {number} [dropPercent]
  */
 
 /**
+ * What ChatWidget needs from the rest of the experience layer.
+ * @typedef {Object} ChatHooks
+ * @property {(action: AssistantAction) => Promise<string>} [applyAction]  resolves to a confirmation
+ * @property {() => RegistryItem[]} [registryItems]
+ */
+
+/**
+ * Plan from planner.js (see api/_lib/planner.js for the full shape).
  * @typedef {Object} PlannerStepData
  * @property {string[]} [steps]
+ * @property {string} [stage]              // e.g. 'third_trimester', 'newborn'
+ * @property {string} [stageLabel]
  */
 
 /**
@@ -61,13 +155,18 @@
 /**
  * @typedef {Object} ExperienceConfig
  * @property {any|null} plannerApp          // instance of PlannerApp, if available
+ * @property {any} [events]                 // EventBus from events.js; defaults to window.__experienceBus
  * @property {string} [grokQuizEndpoint]
  * @property {string} [chatEndpoint]
+ * @property {string} [chatConversationsEndpoint]
+ * @property {boolean} [chatSync]           // also keep chat conversations on the server
  * @property {string} [registryShareEndpoint]
+ * @property {string} [registryClaimEndpoint]
+ * @property {string} [affiliateTag]        // Amazon Associates tag for imported links
  * @property {string} [priceAlertEndpoint]
  * @property {string} [reviewEndpoint]
  * @property {string} [selfEvolutionWebhookEndpoint]
- * @property {(stage: string, detail?: unknown) => void} [onEvent]
+ * @property {(stage: string, detail?: unknown) => void} [onEvent]   // analytics: every bus event
  */
 
 /* ========================================================================== */
@@ -78,12 +177,17 @@ const EXP_DEFAULTS = {
   API: {
     GROK_QUIZ: '/api/grok/quiz',
     CHAT: '/api/chat',
+    CHAT_CONVERSATIONS: '/api/chat/conversations',
     REGISTRY_SHARE: '/api/registry/share',
+    REGISTRY_CLAIM: '/api/registry/claim',
     PRICE_ALERT: '/api/alerts/price',
     REVIEW: '/api/reviews',
     SELF_EVOLUTION_WEBHOOK: '/api/webhooks/self-evolution',
     TIMEOUT_MS: 15000
   },
+  AFFILIATE: {
+    AMAZON_TAG: 'infantbites-20' // same tag as IB_CONFIG.AMAZON_TAG in index.html
+  },
   SELECTORS: {
     QUIZ_FORM: '#quiz-form',
     QUIZ_RESULTS: '#quiz-results',
@@ -91,9 +195,11 @@ const EXP_DEFAULTS = {
     REGISTRY_FORM: '#registry-form',
     REGISTRY_LIST: '#registry-list',
     REGISTRY_SHARE: '#registry-share',
+    SHARED_REGISTRY: '#shared-registry',
     MILESTONE_LIST: '#milestone-list',
     MILESTONE_ADD: '#milestone-add',
     PRICE_ALERT_FORM: '#price-alert-form',
+    PRICE_ALERT_MANAGER: '#my-alerts',
     REVIEW_FORM: '#review-form',
     CHAT_WIDGET: '#chat-widget',
     SELF_EVOLUTION_TOGGLE: '#self-evolution-toggle'
@@ -110,12 +216,40 @@ const EXP_DEFAULTS = {
     CHAT_TOGGLE: 'chat-toggle',
     CHAT_HEADER: 'chat-header',
     CHAT_CLOSE: 'chat-close',
+    CHAT_ACTIONS: 'chat-actions',
+    CHAT_CONVERSATIONS: 'chat-conversations',
     MILESTONE_DONE: 'milestone-done',
-    REGISTRY_ITEM: 'registry-item'
+    REGISTRY_ITEM: 'registry-item',
+    REGISTRY_ITEM_META: 'registry-item-meta',
+    REGISTRY_TOOLBAR: 'registry-toolbar',
+    REGISTRY_MERGE: 'registry-merge',
+    REGISTRY_TRANSFER: 'registry-transfer',
+    REGISTRY_IMPORT_DUPLICATE: 'registry-import-duplicate',
+    REGISTRY_SHARES: 'registry-shares',
+    REGISTRY_CLAIMS: 'registry-claims',
+    SHARED_REGISTRY: 'shared-registry',
+    SHARED_REGISTRY_CLAIM: 'shared-registry-claim',
+    PRICE_ALERT_MANAGER: 'price-alert-manager',
+    QUIZ_STEP: 'quiz-step',
+    QUIZ_COMPARE: 'quiz-compare'
   },
   STORAGE: {
-    REGISTRY: 'exp_registry_v1',
-    MILESTONES: 'exp_milestones_v1'
+    REGISTRY: 'exp_registry_v1',           // legacy single list, migrated into REGISTRIES
+    REGISTRIES: 'exp_registries_v2',
+    REGISTRY_SHARES: 'exp_registry_shares_v1',
+    REGISTRY_CLAIMS: 'exp_registry_claims_v1',
+    MILESTONES: 'exp_milestones_v1',
+    CHAT_CONVERSATIONS: 'exp_chat_conversations_v1',
+    CHAT_KEY: 'exp_chat_key_v1',
+    QUIZ: 'exp_quiz_v1'                    // answers in progress + recent runs
+  },
+  QUIZ: {
+    MAX_RUNS: 5
+  },
+  CHAT: {
+    MAX_CONVERSATIONS: 20,
+    MAX_STORED_MESSAGES: 200,  // per conversation; older ones live on in the summary
+    MAX_SENT_MESSAGES: 40      // the server folds anything past its own limit into the summary
   },
   TEXT: {
     QUIZ_LOADING: 'Generating your personalized list…',
@@ -123,25 +257,84 @@ const EXP_DEFAULTS = {
     QUIZ_EMPTY: 'No recommendations yet. Try tweaking your answers.',
     QUIZ_HEADING_LIST: 'Your personalized list',
     QUIZ_HEADING_VIDEOS: 'Video explainers',
+    QUIZ_BACK: 'Back',
+    QUIZ_NEXT: 'Next',
+    QUIZ_SUBMIT: 'Get my list',
+    QUIZ_REQUIRED: 'Please answer this one to continue.',
+    QUIZ_RESUMED: 'Welcome back – we kept your answers so far.',
+    QUIZ_EDIT: 'Edit answers & re-run',
+    QUIZ_RESTART: 'Start over',
+    QUIZ_RESTART_CONFIRM: 'Clear your answers and start the quiz again?',
+    QUIZ_COMPARE_HEADING: 'What changed',
+    QUIZ_COMPARE_LABEL: 'Compare with',
+    QUIZ_COMPARE_SAME: 'Same picks and prices as that run.',
 
     REGISTRY_EMPTY: 'No items yet. Add your first one!',
+    REGISTRY_DEFAULT_NAME: 'My registry',
+    REGISTRY_NAME_PROMPT: 'Name this registry (e.g. “Baby #2” or “Grandma’s house”)',
+    REGISTRY_DELETE_CONFIRM: 'Delete this registry? Its share links will be revoked.',
+    REGISTRY_DELETE_ERROR: 'Could not revoke every share link, so this registry was kept. Please try again.',
+    REGISTRY_MERGE_TITLE: 'Updates from your plan',
+    REGISTRY_MERGE_EMPTY: 'Nothing selected to merge.',
+    REGISTRY_TRANSFER_TITLE: 'Import / export',
+    REGISTRY_IMPORT_PLACEHOLDER: 'Paste CSV, JSON, or product links (one per line)',
+    REGISTRY_IMPORT_EMPTY: 'Nothing to import. Paste something or choose a file.',
+    REGISTRY_IMPORT_ERROR: 'Could not read that import. Check the format and try again.',
+    REGISTRY_IMPORT_OK: 'Items imported',
     REGISTRY_SHARE_OK: 'Share link copied to clipboard!',
     REGISTRY_SHARE_ERROR: 'Could not generate share link. Please try again.',
+    REGISTRY_SHARES_HEADING: 'Your share links',
+    REGISTRY_SHARE_REVOKE_CONFIRM: 'Revoke this link? Anyone who has it will no longer see your registry.',
+    REGISTRY_SHARE_UPDATE_ERROR: 'Could not update this share link. Please try again.',
+
+    SHARED_REGISTRY_TITLE: 'Shared baby registry',
+    SHARED_REGISTRY_LOADING: 'Loading shared registry…',
+    SHARED_REGISTRY_READ_ONLY: 'You are viewing a read-only copy of this registry.',
+    SHARED_REGISTRY_EMPTY: 'This registry has no items yet.',
+    SHARED_REGISTRY_GONE: 'This registry link has expired or was turned off by its owner.',
+    SHARED_REGISTRY_ERROR: 'Could not load this shared registry. Please try again later.',
+    SHARED_REGISTRY_CLAIM: 'I’m getting this',
+    SHARED_REGISTRY_CLAIM_ERROR: 'Could not save your claim. Please try again.',
+    SHARED_REGISTRY_CLAIM_TAKEN: 'Someone just claimed this. The list has been refreshed.',
+    SHARED_REGISTRY_FULLY_CLAIMED: 'All taken care of',
+    SHARED_REGISTRY_CLAIM_HINT: 'Tell the family what you’re getting so nobody doubles up.',
+    REGISTRY_SURPRISE_LABEL: 'Surprise mode (hide who bought what)',
 
     MILESTONES_EMPTY: 'No milestones yet – add one to get started.',
 
     PRICE_ALERT_LOADING: 'Subscribing…',
     PRICE_ALERT_OK: 'Price alert set! You will be notified by email.',
+    PRICE_ALERT_CONFIRM: 'Almost done! Click the link we just emailed you to switch the alert on.',
     PRICE_ALERT_ERROR: 'Could not create alert. Please try again later.',
+    PRICE_ALERT_MANAGE: 'Email me a link to manage my alerts',
+    PRICE_ALERT_MANAGE_SENT: 'If that address has alerts, a link to manage them is on its way.',
+    PRICE_ALERT_MANAGE_NEED_EMAIL: 'Enter your email address first.',
+    PRICE_ALERT_EMAIL_PROMPT: 'Which email should we send the price alert to?',
+
+    MY_ALERTS_TITLE: 'My price alerts',
+    MY_ALERTS_LOADING: 'Loading your alerts…',
+    MY_ALERTS_EMPTY: 'You have no price alerts.',
+    MY_ALERTS_ERROR: 'This link is invalid or has expired. Request a new one from the price alert form.',
+    MY_ALERTS_UPDATE_ERROR: 'Could not update this alert. Please try again.',
 
     REVIEW_LOADING: 'Uploading your review…',
-    REVIEW_OK: 'Thanks for your review!',
+    REVIEW_OK: 'Thanks for your review! It will appear once approved.',
     REVIEW_ERROR: 'Could not submit review. Please try again later.',
 
     CHAT_PLACEHOLDER: 'Ask anything…',
     CHAT_TITLE: 'AI Assistant',
     CHAT_THINKING: 'Thinking…',
     CHAT_ERROR: 'Something went wrong. Please try again.',
+    CHAT_STOP: 'Stop',
+    CHAT_STOPPED: '(stopped)',
+    CHAT_ACTION_DISMISS: 'Dismiss suggestion',
+    CHAT_ACTION_FAILED: 'Could not apply that. Please try again.',
+    CHAT_ACTION_UNAVAILABLE: 'That isn’t available on this page.',
+    CHAT_NEW: 'New conversation',
+    CHAT_DELETE: 'Delete',
+    CHAT_DELETE_CONFIRM: 'Delete this conversation? This cannot be undone.',
+    CHAT_UNTITLED: 'New conversation',
+    CHAT_SUMMARIZED: 'Earlier messages are summarized for the assistant.',
 
     SELF_EVOLUTION_ERROR: 'Could not update daily self-evolution setting. Please try again.'
   }
@@ -225,6 +418,62 @@ async function jsonFetch(url, options = {}) {
   }
 }
 
+/**
+ * Reads a `text/event-stream` response, calling `onEvent(event, data)` for
+ * each frame as it arrives (`data` is JSON-parsed when possible).
+ * @param {Response} res
+ * @param {(event: string, data: any) => void} onEvent
+ * @returns {Promise<void>}
+ */
+async function readEventStream(res, onEvent) {
+  if (!res.body) return;
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer = (buffer + decoder.decode(value, { stream: true })).replace(/\r\n/g, '\n');
+
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary >= 0) {
+      const frame = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      let event = 'message';
+      const data = [];
+      frame.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+      });
+      if (data.length) {
+        const raw = data.join('\n');
+        let parsed = raw;
+        try {
+          parsed = JSON.parse(raw);
+        } catch {
+          // plain-text payload
+        }
+        onEvent(event, parsed);
+      }
+      boundary = buffer.indexOf('\n\n');
+    }
+  }
+}
+
+/**
+ * Renders assistant Markdown into `el` via the shared, sanitizing renderer
+ * (markdown.js); plain text if that script isn't on the page.
+ * @param {HTMLElement} el
+ * @param {string} text
+ */
+function renderMarkdown(el, text) {
+  // @ts-ignore
+  const markdown = window.IBMarkdown;
+  if (markdown) markdown.renderInto(el, text);
+  else el.textContent = text;
+}
+
 /**
  * @param {HTMLElement|null} el
  * @param {string} msg
@@ -244,6 +493,154 @@ function setStatusEl(el, msg, isError = false) {
 /* Grok Quiz → personalized list + video explainers                          */
 /* ========================================================================== */
 
+/**
+ * Walks a QuizSchema one question at a time. Which questions are asked
+ * depends on earlier answers (`showIf`), so the step count can change as
+ * the parent answers; answers to questions a branch skips are kept (in case
+ * they go back) but never sent.
+ */
+class QuizEngine {
+  /**
+   * @param {QuizSchema} schema
+   * @param {Record<string, any>} [answers]
+   * @param {string|null} [currentId]      // question to resume at
+   */
+  constructor(schema, answers = {}, currentId = null) {
+    this.schema = schema;
+    /** @type {Record<string, any>} */
+    this.answers = { ...answers };
+    const visible = this.questions;
+    this.index = Math.max(0, visible.findIndex((q) => q.id === currentId));
+  }
+
+  /** @returns {QuizQuestion[]} questions on the current branch, in order */
+  get questions() {
+    /** @type {Record<string, any>} */
+    const accepted = {};
+    return this.schema.questions.filter((question) => {
+      const shown = Object.entries(question.showIf || {}).every(([id, expected]) => {
+        const answer = accepted[id];
+        const values = Array.isArray(answer) ? answer : [answer];
+        return (Array.isArray(expected) ? expected : [expected]).some((value) => values.includes(value));
+      });
+      if (shown && this.isAnswered(question)) accepted[question.id] = this.answers[question.id];
+      return shown;
+    });
+  }
+
+  /** @returns {QuizQuestion} */
+  get current() {
+    const visible = this.questions;
+    return visible[Math.min(this.index, visible.length - 1)];
+  }
+
+  get progress() {
+    const total = this.questions.length;
+    return { step: Math.min(this.index, total - 1) + 1, total };
+  }
+
+  get isFirst() {
+    return this.index === 0;
+  }
+
+  get isLast() {
+    return this.index >= this.questions.length - 1;
+  }
+
+  /** @param {QuizQuestion} question */
+  isAnswered(question) {
+    const value = this.answers[question.id];
+    return !(value == null || value === '' || (Array.isArray(value) && !value.length));
+  }
+
+  /**
+   * @param {QuizQuestion} question
+   * @returns {string} error message, '' when the answer is acceptable
+   */
+  validate(question) {
+    if (!this.isAnswered(question)) return question.required ? EXP_DEFAULTS.TEXT.QUIZ_REQUIRED : '';
+    const value = this.answers[question.id];
+    if (question.type === 'number') {
+      const n = Number(value);
+      if (!Number.isFinite(n) || (question.min != null && n < question.min) || (question.max != null && n > question.max)) {
+        return `Enter a number between ${question.min} and ${question.max}.`;
+      }
+    }
+    return '';
+  }
+
+  /**
+   * @param {string} id
+   * @param {any} value
+   */
+  answer(id, value) {
+    this.answers[id] = value;
+  }
+
+  /** @returns {string} validation error, '' when it moved on */
+  next() {
+    const error = this.validate(this.current);
+    if (error) return error;
+    if (!this.isLast) this.index += 1;
+    return '';
+  }
+
+  back() {
+    if (this.index > 0) this.index -= 1;
+  }
+
+  /** @param {string} id */
+  goTo(id) {
+    const index = this.questions.findIndex((q) => q.id === id);
+    if (index >= 0) this.index = index;
+  }
+
+  /** @returns {string} first error on the current branch, '' when complete */
+  validateAll() {
+    for (const question of this.questions) {
+      const error = this.validate(question);
+      if (error) {
+        this.goTo(question.id);
+        return error;
+      }
+    }
+    return '';
+  }
+
+  /** @returns {Record<string, any>} answers to the questions actually asked */
+  payload() {
+    /** @type {Record<string, any>} */
+    const out = {};
+    this.questions.forEach((question) => {
+      if (this.isAnswered(question)) out[question.id] = this.answers[question.id];
+    });
+    return out;
+  }
+}
+
+/**
+ * What changed between two quiz runs, matched by catalog id.
+ * @param {QuizRun} before
+ * @param {QuizRun} after
+ * @returns {QuizRunDiff}
+ */
+function diffQuizRuns(before, after) {
+  const previous = new Map(before.items.map((item) => [item.id, item]));
+  const current = new Set(after.items.map((item) => item.id));
+  /** @type {QuizRunDiff} */
+  const diff = { added: [], removed: [], repriced: [], totalDelta: (after.total || 0) - (before.total || 0) };
+
+  after.items.forEach((item) => {
+    const old = previous.get(item.id);
+    if (!old) diff.added.push(item);
+    else if (old.price !== item.price) diff.repriced.push({ item, before: old.price });
+  });
+  before.items.forEach((item) => {
+    if (!current.has(item.id)) diff.removed.push(item);
+  });
+  return diff;
+}
+
 class GrokQuiz {
   /**
    * @param {HTMLFormElement} form
@@ -259,10 +656,200 @@ class GrokQuiz {
     this.latestPlan = null;
     /** @type {PlannerBundle[]|null} */
     this.latestBundles = null;
+    /** @type {QuizEngine|null} */
+    this.engine = null;
+    /** @type {QuizRun[]} newest first */
+    this.runs = [];
+    /** @type {{ schemaId?: string, version?: number, answers?: Record<string, any>, currentId?: string|null }} */
+    this.saved = {};
   }
 
   init() {
     this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+    this.load();
+    void this.loadSchema();
+    this.config.events?.subscribe('plan_success', ({ plan }) => this.syncPlan(plan));
+    this.config.events?.subscribe('bundles_success', ({ bundles }) => this.syncBundles(bundles));
+  }
+
+  get endpoint() {
+    return this.config.grokQuizEndpoint || EXP_DEFAULTS.API.GROK_QUIZ;
+  }
+
+  load() {
+    try {
+      const raw = localStorage.getItem(EXP_DEFAULTS.STORAGE.QUIZ);
+      if (!raw) return;
+      const parsed = JSON.parse(raw);
+      if (!parsed || typeof parsed !== 'object') return;
+      this.saved = parsed;
+      if (Array.isArray(parsed.runs)) this.runs = parsed.runs;
+    } catch (err) {
+      console.error('[experience:grok_quiz] load error', err);
+    }
+  }
+
+  save() {
+    try {
+      const state = this.engine
+        ? {
+          schemaId: this.engine.schema.id,
+          version: this.engine.schema.version,
+          answers: this.engine.answers,
+          currentId: this.engine.current?.id ?? null
+        }
+        : this.saved;
+      localStorage.setItem(EXP_DEFAULTS.STORAGE.QUIZ, JSON.stringify({ ...state, runs: this.runs }));
+    } catch (err) {
+      console.error('[experience:grok_quiz] save error', err);
+    }
+  }
+
+  /**
+   * Switches the form to the step-by-step quiz. If the schema can't be
+   * loaded, the form keeps working as a single flat submission.
+   */
+  async loadSchema() {
+    try {
+      /** @type {{ schema: QuizSchema }} */
+      const data = await jsonFetch(this.endpoint, { method: 'GET' });
+      const schema = data.schema;
+      if (!schema || !Array.isArray(schema.questions) || !schema.questions.length) return;
+
+      // Answers saved against another version of the questions are dropped.
+      const compatible = this.saved.schemaId === schema.id && this.saved.version === schema.version;
+      const answers = compatible && this.saved.answers ? this.saved.answers : {};
+      this.engine = new QuizEngine(schema, answers, compatible ? this.saved.currentId : null);
+      this.renderStep();
+
+      const resumed = Object.keys(this.engine.payload()).length > 0;
+      if (resumed) {
+        setStatusEl(this.form.querySelector('[data-quiz-status]'), EXP_DEFAULTS.TEXT.QUIZ_RESUMED);
+        this.config.events?.publish('quiz_resumed', { questionId: this.engine.current.id, ...this.engine.progress });
+      }
+      if (this.runs.length) this.renderRunTools(null);
+    } catch (err) {
+      console.error('[experience:grok_quiz] schema error', err);
+    }
+  }
+
+  /** @param {boolean} [focus=false] move focus into the new step */
+  renderStep(focus = false) {
+    const engine = this.engine;
+    if (!engine) return;
+    const question = engine.current;
+    const { step, total } = engine.progress;
+
+    const fill = createEl('div', { className: 'quiz-progress-fill' });
+    fill.style.width = `${Math.round((step / total) * 100)}%`;
+    const progress = createEl('div', { className: 'quiz-progress' }, [
+      createEl('div', { className: 'quiz-progress-label' }, [
+        createEl('span', {}, [`Step ${step} of ${total}`]),
+        createEl('span', {}, [`${Math.round(((step - 1) / total) * 100)}%`])
+      ]),
+      createEl('div', {
+        className: 'quiz-progress-track',
+        role: 'progressbar',
+        'aria-valuemin': 1,
+        'aria-valuemax': total,
+        'aria-valuenow': step
+      }, [fill])
+    ]);
+
+    const fieldset = createEl('fieldset', { className: EXP_DEFAULTS.CSS.QUIZ_STEP }, [
+      createEl('legend', {}, [question.label]),
+      question.help ? createEl('p', { className: 'quiz-panel__subtitle' }, [question.help]) : null,
+      this.renderInput(question)
+    ]);
+
+    const back = createEl('button', {
+      type: 'button',
+      className: 'btn btn-secondary',
+      textContent: EXP_DEFAULTS.TEXT.QUIZ_BACK,
+      disabled: engine.isFirst,
+      onclick: () => {
+        engine.back();
+        this.save();
+        this.renderStep(true);
+      }
+    });
+    const next = createEl('button', {
+      type: 'submit',
+      className: 'btn btn-primary',
+      textContent: engine.isLast ? EXP_DEFAULTS.TEXT.QUIZ_SUBMIT : EXP_DEFAULTS.TEXT.QUIZ_NEXT
+    });
+    const status = createEl('p', {
+      className: EXP_DEFAULTS.CSS.STATUS_NEUTRAL,
+      role: 'status',
+      'aria-live': 'polite',
+      dataset: { quizStatus: '' }
+    });
+
+    this.form.innerHTML = '';
+    this.form.append(progress, fieldset, status, createEl('div', { className: 'quiz-footer' }, [back, next]));
+    if (focus) /** @type {HTMLElement|null} */ (fieldset.querySelector('input, textarea'))?.focus();
+  }
+
+  /**
+   * @param {QuizQuestion} question
+   * @returns {HTMLElement}
+   */
+  renderInput(question) {
+    const engine = /** @type {QuizEngine} */ (this.engine);
+    const value = engine.answers[question.id];
+    const update = (/** @type {any} */ next) => {
+      engine.answer(question.id, next);
+      this.save();
+    };
+
+    if (question.type === 'choice' || question.type === 'multi') {
+      const multi = question.type === 'multi';
+      const selected = new Set(Array.isArray(value) ? value : value != null ? [value] : []);
+      return createEl('div', { className: 'quiz-options' }, (question.options || []).map((option) => {
+        const input = createEl('input', {
+          type: multi ? 'checkbox' : 'radio',
+          name: question.id,
+          value: option.value,
+          checked: selected.has(option.value)
+        });
+        input.addEventListener('change', () => {
+          if (!multi) {
+            update(option.value);
+            return;
+          }
+          const checked = Array.from(
+            /** @type {NodeListOf<HTMLInputElement>} */ (this.form.querySelectorAll(`input[name="${question.id}"]:checked`))
+          ).map((el) => el.value);
+          update(checked);
+        });
+        return createEl('label', { className: 'quiz-option' }, [
+          input,
+          createEl('span', { className: 'quiz-option-indicator', 'aria-hidden': 'true' }),
+          createEl('span', { className: 'quiz-option-label' }, [option.label])
+        ]);
+      }));
+    }
+
+    const input = question.type === 'number'
+      ? createEl('input', {
+        type: 'number',
+        name: question.id,
+        min: question.min,
+        max: question.max,
+        inputMode: 'numeric',
+        value: value ?? ''
+      })
+      : createEl('textarea', {
+        name: question.id,
+        rows: 3,
+        maxLength: question.maxLength || 500,
+        value: value ?? ''
+      });
+    input.addEventListener('input', () => {
+      const raw = input.value.trim();
+      update(question.type === 'number' && raw !== '' ? Number(raw) : raw);
+    });
+    return input;
   }
 
   /** @param {PlannerStepData|null} plan */
@@ -276,12 +863,16 @@ class GrokQuiz {
   }
 
   buildPayload() {
-    const fd = new FormData(this.form);
     /** @type {Record<string, unknown>} */
     const payload = {};
-    fd.forEach((value, key) => {
-      payload[key] = value;
-    });
+    if (this.engine) {
+      payload.answers = this.engine.payload();
+    } else {
+      const fd = new FormData(this.form);
+      fd.forEach((value, key) => {
+        payload[key] = value;
+      });
+    }
 
     if (this.latestPlan && Array.isArray(this.latestPlan.steps)) {
       payload.plan_steps = this.latestPlan.steps;
@@ -297,8 +888,26 @@ class GrokQuiz {
   async handleSubmit(event) {
     event.preventDefault();
     if (this.loading) return;
-    this.loading = true;
 
+    const engine = this.engine;
+    if (engine) {
+      // Enter / "Next" moves one step; only the last step submits.
+      const finishing = engine.isLast;
+      const error = finishing ? engine.validateAll() : engine.next();
+      if (error) {
+        this.renderStep(true);
+        setStatusEl(this.form.querySelector('[data-quiz-status]'), error, true);
+        return;
+      }
+      this.save();
+      if (!finishing) {
+        this.renderStep(true);
+        this.config.events?.publish('quiz_step', { questionId: engine.current.id, ...engine.progress });
+        return;
+      }
+    }
+
+    this.loading = true;
     this.results.innerHTML = '';
     this.results.appendChild(
       createEl('p', { textContent: EXP_DEFAULTS.TEXT.QUIZ_LOADING })
@@ -307,27 +916,139 @@ class GrokQuiz {
     const payload = this.buildPayload();
 
     try {
-      const endpoint = this.config.grokQuizEndpoint || EXP_DEFAULTS.API.GROK_QUIZ;
       /** @type {GrokQuizResponse} */
-      const data = await jsonFetch(endpoint, {
+      const data = await jsonFetch(this.endpoint, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(payload)
       });
       this.renderResults(data);
-      this.config.onEvent?.('grok_quiz_success', { payload, data });
+      if (engine) this.renderRunTools(this.recordRun(engine.payload(), data));
+      this.config.events?.publish('grok_quiz_success', { payload, data });
     } catch (err) {
       console.error('[experience:grok_quiz] error', err);
       this.results.innerHTML = '';
       this.results.appendChild(
         createEl('p', { textContent: EXP_DEFAULTS.TEXT.QUIZ_ERROR })
       );
-      this.config.onEvent?.('grok_quiz_error', err);
+      this.config.events?.publish('grok_quiz_error', err);
     } finally {
       this.loading = false;
     }
   }
 
+  /**
+   * @param {Record<string, any>} answers
+   * @param {GrokQuizResponse} data
+   * @returns {QuizRun}
+   */
+  recordRun(answers, data) {
+    /** @type {QuizRun} */
+    const run = {
+      id: `quiz-${Date.now().toString(36)}`,
+      at: new Date().toISOString(),
+      answers,
+      items: (data.items || []).map((item) => ({ id: item.id || item.title, title: item.title, price: item.price })),
+      total: data.summary?.total,
+      budget: data.summary?.budget
+    };
+    this.runs = [run, ...this.runs].slice(0, EXP_DEFAULTS.QUIZ.MAX_RUNS);
+    this.save();
+    return run;
+  }
+
+  /**
+   * Re-run / start-over buttons and, when there is an earlier run, what
+   * changed since then. `run` is the run just shown (null on page load,
+   * when the latest saved run is offered for comparison instead).
+   * @param {QuizRun|null} run
+   */
+  renderRunTools(run) {
+    this.results.querySelector(`.${EXP_DEFAULTS.CSS.QUIZ_COMPARE}`)?.remove();
+    const engine = this.engine;
+    if (!engine) return;
+
+    const latest = run || this.runs[0];
+    const earlier = this.runs.filter((r) => r.id !== latest?.id);
+    const compare = createEl('div', { className: EXP_DEFAULTS.CSS.QUIZ_COMPARE });
+
+    const edit = createEl('button', {
+      type: 'button',
+      className: 'btn btn-secondary',
+      textContent: EXP_DEFAULTS.TEXT.QUIZ_EDIT,
+      onclick: () => {
+        engine.goTo(engine.questions[0].id);
+        this.save();
+        this.renderStep(true);
+      }
+    });
+    const restart = createEl('button', {
+      type: 'button',
+      className: 'btn btn-secondary',
+      textContent: EXP_DEFAULTS.TEXT.QUIZ_RESTART,
+      onclick: () => {
+        if (!window.confirm(EXP_DEFAULTS.TEXT.QUIZ_RESTART_CONFIRM)) return;
+        this.engine = new QuizEngine(engine.schema);
+        this.save();
+        this.renderStep(true);
+        this.renderRunTools(null);
+      }
+    });
+    compare.append(createEl('div', { className: 'quiz-footer' }, [edit, restart]));
+
+    if (run && earlier.length) {
+      const details = createEl('div');
+      const select = createEl('select', { 'aria-label': EXP_DEFAULTS.TEXT.QUIZ_COMPARE_LABEL }, earlier.map((r) =>
+        createEl('option', { value: r.id, textContent: `${formatShareDate(r.at)} · ${formatPrice(r.total)}` })
+      ));
+      const show = () => {
+        const against = earlier.find((r) => r.id === select.value) || earlier[0];
+        const diff = diffQuizRuns(against, run);
+        this.renderDiff(details, diff);
+        this.config.events?.publish('quiz_compared', {
+          runId: run.id,
+          againstId: against.id,
+          added: diff.added.length,
+          removed: diff.removed.length,
+          repriced: diff.repriced.length,
+          totalDelta: diff.totalDelta
+        });
+      };
+      select.addEventListener('change', show);
+      compare.append(
+        createEl('h4', {}, [EXP_DEFAULTS.TEXT.QUIZ_COMPARE_HEADING]),
+        createEl('label', {}, [`${EXP_DEFAULTS.TEXT.QUIZ_COMPARE_LABEL} `, select]),
+        details
+      );
+      show();
+    }
+
+    this.results.appendChild(compare);
+  }
+
+  /**
+   * @param {HTMLElement} el
+   * @param {QuizRunDiff} diff
+   */
+  renderDiff(el, diff) {
+    el.innerHTML = '';
+    if (!diff.added.length && !diff.removed.length && !diff.repriced.length) {
+      el.appendChild(createEl('p', {}, [EXP_DEFAULTS.TEXT.QUIZ_COMPARE_SAME]));
+      return;
+    }
+    const ul = createEl('ul');
+    diff.added.forEach((item) => ul.appendChild(createEl('li', {}, [`Added: ${item.title} (${formatPrice(item.price)})`])));
+    diff.removed.forEach((item) => ul.appendChild(createEl('li', {}, [`Removed: ${item.title}`])));
+    diff.repriced.forEach(({ item, before }) =>
+      ul.appendChild(createEl('li', {}, [`${item.title}: ${formatPrice(before)} → ${formatPrice(item.price)}`]))
+    );
+    el.appendChild(ul);
+    if (diff.totalDelta) {
+      const sign = diff.totalDelta > 0 ? '+' : '−';
+      el.appendChild(createEl('p', {}, [`Total ${sign}${formatPrice(Math.abs(diff.totalDelta))}`]));
+    }
+  }
+
   /** @param {GrokQuizResponse} data */
   renderResults(data) {
     this.results.innerHTML = '';
@@ -350,14 +1071,30 @@ class GrokQuiz {
         id: 'quiz-personalized-heading',
         tabIndex: -1
       });
+      frag.appendChild(heading);
+      if (Array.isArray(data.notes) && data.notes.length) {
+        frag.appendChild(createEl('p', {}, [data.notes.join(' ')]));
+      }
       const ul = createEl('ul', { 'aria-labelledby': 'quiz-personalized-heading' });
       items.forEach((item) => {
         const strong = createEl('strong', {}, [item.title]);
         const parts = [strong];
+        if (typeof item.price === 'number') {
+          parts.push(` (~${formatPrice(item.price)}${item.condition === 'used_ok' ? ', used is fine' : ''})`);
+        }
         if (item.description) parts.push(' – ' + item.description);
+        const notes = [...(item.reasons || []), ...(item.safety || [])];
+        if (notes.length) parts.push(createEl('ul', {}, notes.map((note) => createEl('li', {}, [note]))));
         ul.appendChild(createEl('li', {}, parts));
       });
-      frag.append(heading, ul);
+      frag.appendChild(ul);
+      if (data.summary) {
+        frag.appendChild(
+          createEl('p', {}, [
+            `Estimated total ${formatPrice(data.summary.total)} of your ${formatPrice(data.summary.budget)} budget.`
+          ])
+        );
+      }
     }
 
     if (videos.length > 0) {
@@ -394,7 +1131,185 @@ class GrokQuiz {
  * @property {string} [note]
  * @property {string} [url]
  * @property {string|number} [sourceBundleId]
+ * @property {number} [quantity]           // how many are wanted (default 1)
+ * @property {'high'|'medium'|'low'} [priority]
+ * @property {string} [category]
+ * @property {number} [price]
+ * @property {'wanted'|'purchased'|'received'} [status]
+ */
+
+/**
+ * One named registry ("Baby #2", "Grandma's house", …).
+ * @typedef {Object} Registry
+ * @property {string} id
+ * @property {string} name
+ * @property {string} createdAt
+ * @property {RegistryItem[]} items
+ */
+
+/**
+ * One line of the "merge new bundles" preview.
+ * @typedef {Object} BundleMergeEntry
+ * @property {'added'|'changed'|'removed'} kind
+ * @property {RegistryItem} item           // proposed item ('removed': the existing one)
+ * @property {RegistryItem} [current]      // existing item for 'changed'
+ * @property {string[]} [fields]           // fields that differ for 'changed'
+ */
+
+/**
+ * Claim totals for one item as reported by the share API.
+ * @typedef {Object} RegistryItemCounts
+ * @property {number} needed
+ * @property {number} claimed
+ * @property {number} purchased
+ * @property {number} remaining
+ */
+
+/**
+ * Claim made by a visitor on a shared registry.
+ * @typedef {Object} RegistryClaimInfo
+ * @property {string} id
+ * @property {string} itemId
+ * @property {number} quantity
+ * @property {'reserved'|'purchased'} status
+ * @property {string} [name]
+ * @property {string} [message]
+ */
+
+/**
+ * Claims this browser made, so a visitor can later upgrade or cancel them.
+ * @typedef {Object} OwnClaim
+ * @property {string} shareId
+ * @property {string} claimId
+ * @property {string} claimKey
+ * @property {string} itemId
+ * @property {number} quantity
+ * @property {'reserved'|'purchased'} status
+ */
+
+/**
+ * Share link created by the owner. `ownerKey` authorises revoke/expiry changes
+ * and never leaves this browser except in those requests.
+ * @typedef {Object} RegistryShareLink
+ * @property {string} id
+ * @property {string} [registryId]        // which of the owner's registries was shared
+ * @property {string} url
+ * @property {string} ownerKey
+ * @property {string} createdAt
+ * @property {string|null} expiresAt
+ * @property {boolean} [surprise]
+ * @property {string} [status]            // 'active' | 'revoked' | 'expired' from the last refresh
+ */
+
+/**
+ * Drops anything that isn't a plain http(s) URL so shared data can't inject
+ * `javascript:` links.
+ * @param {unknown} value
+ * @returns {string|undefined}
+ */
+function safeHttpUrl(value) {
+  if (typeof value !== 'string' || !value) return undefined;
+  try {
+    const url = new URL(value, window.location.origin);
+    return url.protocol === 'https:' || url.protocol === 'http:' ? url.href : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+const REGISTRY_PRIORITY_LABELS = { high: 'Must have', medium: 'Nice to have', low: 'Maybe later' };
+const REGISTRY_STATUS_LABELS = { wanted: 'Still needed', purchased: 'Purchased', received: 'Received' };
+
+/**
+ * "$129.99", "129" or 129 → 129.99; anything else → undefined.
+ * @param {unknown} value
+ * @returns {number|undefined}
+ */
+function parsePrice(value) {
+  if (value == null || value === '') return undefined;
+  const digits = typeof value === 'number' ? String(value) : String(value).replace(/[^0-9.]/g, '');
+  const n = Number(digits);
+  return digits && Number.isFinite(n) && n >= 0 ? Math.round(n * 100) / 100 : undefined;
+}
+
+/** @param {number|undefined} price */
+function formatPrice(price) {
+  if (typeof price !== 'number') return '';
+  return price.toLocaleString(undefined, { style: 'currency', currency: 'USD' });
+}
+
+/**
+ * Fills defaults for items saved before the richer fields existed.
+ * @param {RegistryItem} item
+ * @returns {RegistryItem}
+ */
+function normalizeRegistryItem(item) {
+  return {
+    ...item,
+    quantity: Math.max(1, Math.floor(Number(item.quantity)) || 1),
+    priority: item.priority && item.priority in REGISTRY_PRIORITY_LABELS ? item.priority : 'medium',
+    status: item.status && item.status in REGISTRY_STATUS_LABELS ? item.status : 'wanted'
+  };
+}
+
+/**
+ * @param {PlannerBundle} bundle
+ * @returns {RegistryItem}
+ */
+function bundleToRegistryItem(bundle) {
+  return normalizeRegistryItem({
+    id: `bundle-${bundle.id}`,
+    name: bundle.name,
+    note: bundle.description || undefined,
+    url: bundle.href,
+    price: parsePrice(bundle.price),
+    sourceBundleId: bundle.id
+  });
+}
+
+/**
+ * Compares planner bundles with a registry. Items the user added by hand are
+ * never touched; only bundle-sourced items can show up as changed/removed.
+ * @param {RegistryItem[]} items
+ * @param {PlannerBundle[]} bundles
+ * @returns {BundleMergeEntry[]}
  */
+function diffBundles(items, bundles) {
+  /** @type {BundleMergeEntry[]} */
+  const entries = [];
+  const bundleIds = new Set(bundles.map((b) => String(b.id)));
+
+  bundles.forEach((bundle) => {
+    const proposed = bundleToRegistryItem(bundle);
+    const current = items.find((i) => i.sourceBundleId != null && String(i.sourceBundleId) === String(bundle.id));
+    if (!current) {
+      entries.push({ kind: 'added', item: proposed });
+      return;
+    }
+    const fields = ['name', 'note', 'url', 'price'].filter(
+      (key) => (proposed[key] ?? '') !== (current[key] ?? '')
+    );
+    if (fields.length) entries.push({ kind: 'changed', item: proposed, current, fields });
+  });
+
+  items.forEach((item) => {
+    if (item.sourceBundleId != null && !bundleIds.has(String(item.sourceBundleId))) {
+      entries.push({ kind: 'removed', item });
+    }
+  });
+  return entries;
+}
+
+function newRegistryId() {
+  return `reg-${Date.now().toString(36)}-${Math.random().toString(16).slice(2, 8)}`;
+}
+
+/** @param {string|null} iso */
+function formatShareDate(iso) {
+  if (!iso) return '';
+  const date = new Date(iso);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleDateString();
+}
 
 class RegistryBuilder {
   /**
@@ -410,152 +1325,1656 @@ class RegistryBuilder {
     this.listEl = root.querySelector(EXP_DEFAULTS.SELECTORS.REGISTRY_LIST);
     /** @type {HTMLButtonElement|null} */
     this.shareBtn = root.querySelector(EXP_DEFAULTS.SELECTORS.REGISTRY_SHARE);
-    /** @type {RegistryItem[]} */
-    this.items = [];
+    /** @type {Registry[]} */
+    this.registries = [];
+    this.activeId = '';
+    /** @type {RegistryShareLink[]} */
+    this.shares = [];
+    /** @type {HTMLElement|null} */
+    this.toolbarEl = null;
+    /** @type {HTMLElement|null} */
+    this.mergeEl = null;
+    /**
+     * Latest planner bundles, kept so the merge preview can be recomputed
+     * when the user switches registries.
+     * @type {PlannerBundle[]|null}
+     */
+    this.pendingBundles = null;
+    /** @type {HTMLElement|null} */
+    this.sharesEl = null;
+    /**
+     * Claim totals per item id across all active share links.
+     * @type {Map<string, { claimed: number, purchased: number, claims: RegistryClaimInfo[] }>}
+     */
+    this.claimTotals = new Map();
   }
 
   init() {
     if (!this.form || !this.listEl || !this.shareBtn) return;
     this.load();
+
+    this.toolbarEl = createEl('div', { className: EXP_DEFAULTS.CSS.REGISTRY_TOOLBAR });
+    this.mergeEl = createEl('div', { className: EXP_DEFAULTS.CSS.REGISTRY_MERGE, hidden: true });
+    this.listEl.insertAdjacentElement('beforebegin', this.toolbarEl);
+    this.listEl.insertAdjacentElement('beforebegin', this.mergeEl);
+    this.renderToolbar();
     this.render();
 
-    this.form.addEventListener('submit', (e) => this.handleAdd(e));
-    this.shareBtn.addEventListener('click', () => this.handleShare());
+    this.sharesEl = createEl('div', { className: EXP_DEFAULTS.CSS.REGISTRY_SHARES });
+    this.shareBtn.insertAdjacentElement('afterend', this.sharesEl);
+    this.renderShares();
+    this.refreshClaims();
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') this.refreshClaims();
+    });
+
+    this.form.addEventListener('submit', (e) => this.handleAdd(e));
+    this.shareBtn.addEventListener('click', () => this.handleShare());
+    this.config.events?.subscribe('bundles_success', ({ bundles }) => this.syncFromBundles(bundles));
+  }
+
+  /** @returns {Registry|null} */
+  get active() {
+    return this.registries.find((r) => r.id === this.activeId) || this.registries[0] || null;
+  }
+
+  /** Items of the active registry. */
+  get items() {
+    return this.active ? this.active.items : [];
+  }
+
+  /** @param {RegistryItem[]} items */
+  set items(items) {
+    if (this.active) this.active.items = items;
+  }
+
+  /** Share links created from the active registry. */
+  get activeShares() {
+    return this.shares.filter((share) => share.registryId === this.activeId);
+  }
+
+  load() {
+    try {
+      const raw = localStorage.getItem(EXP_DEFAULTS.STORAGE.REGISTRIES);
+      const parsed = raw ? JSON.parse(raw) : null;
+      if (parsed && Array.isArray(parsed.registries)) {
+        this.registries = parsed.registries.filter((r) => r && r.id && Array.isArray(r.items));
+        this.activeId = String(parsed.activeId || '');
+      }
+    } catch (err) {
+      console.error('[experience:registry] load error', err);
+    }
+
+    let legacyId = '';
+    if (!this.registries.length) {
+      /** @type {RegistryItem[]} */
+      let legacyItems = [];
+      try {
+        const raw = localStorage.getItem(EXP_DEFAULTS.STORAGE.REGISTRY);
+        const parsed = raw ? JSON.parse(raw) : [];
+        if (Array.isArray(parsed)) legacyItems = parsed;
+      } catch (err) {
+        console.error('[experience:registry] legacy load error', err);
+      }
+      legacyId = this.createRegistry(EXP_DEFAULTS.TEXT.REGISTRY_DEFAULT_NAME, legacyItems).id;
+    }
+    this.registries.forEach((r) => {
+      r.items = r.items.map(normalizeRegistryItem);
+    });
+    if (!this.registries.some((r) => r.id === this.activeId)) this.activeId = this.registries[0].id;
+
+    try {
+      const raw = localStorage.getItem(EXP_DEFAULTS.STORAGE.REGISTRY_SHARES);
+      const parsed = raw ? JSON.parse(raw) : [];
+      if (Array.isArray(parsed)) this.shares = parsed;
+    } catch (err) {
+      console.error('[experience:registry] share load error', err);
+    }
+    // Links created before multiple registries existed belong to the first one.
+    this.shares.forEach((share) => {
+      if (!share.registryId) share.registryId = legacyId || this.registries[0].id;
+    });
+    this.save();
+  }
+
+  save() {
+    try {
+      localStorage.setItem(
+        EXP_DEFAULTS.STORAGE.REGISTRIES,
+        JSON.stringify({ activeId: this.activeId, registries: this.registries })
+      );
+    } catch (err) {
+      console.error('[experience:registry] save error', err);
+    }
+  }
+
+  saveShares() {
+    try {
+      localStorage.setItem(EXP_DEFAULTS.STORAGE.REGISTRY_SHARES, JSON.stringify(this.shares));
+    } catch (err) {
+      console.error('[experience:registry] share save error', err);
+    }
+  }
+
+  get shareEndpoint() {
+    return this.config.registryShareEndpoint || EXP_DEFAULTS.API.REGISTRY_SHARE;
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /* Registries                                                             */
+  /* ---------------------------------------------------------------------- */
+
+  /**
+   * @param {string} name
+   * @param {RegistryItem[]} [items]
+   * @returns {Registry}
+   */
+  createRegistry(name, items = []) {
+    /** @type {Registry} */
+    const registry = {
+      id: newRegistryId(),
+      name,
+      createdAt: new Date().toISOString(),
+      items: items.map(normalizeRegistryItem)
+    };
+    this.registries.push(registry);
+    return registry;
+  }
+
+  /** @param {string} [fallback] */
+  promptName(fallback = '') {
+    const name = window.prompt(EXP_DEFAULTS.TEXT.REGISTRY_NAME_PROMPT, fallback);
+    return name == null ? null : name.trim().slice(0, 80) || null;
+  }
+
+  handleCreate() {
+    const name = this.promptName();
+    if (!name) return;
+    const registry = this.createRegistry(name);
+    this.switchTo(registry.id);
+    this.config.events?.publish('registry_created', { id: registry.id, name });
+  }
+
+  handleRename() {
+    const registry = this.active;
+    if (!registry) return;
+    const name = this.promptName(registry.name);
+    if (!name) return;
+    registry.name = name;
+    this.save();
+    this.renderToolbar();
+    this.config.events?.publish('registry_renamed', { id: registry.id, name });
+  }
+
+  handleDuplicate() {
+    const source = this.active;
+    if (!source) return;
+    const name = this.promptName(`${source.name} (copy)`);
+    if (!name) return;
+    // Purchase status starts fresh in the copy; everything else carries over.
+    const copy = this.createRegistry(
+      name,
+      source.items.map((item) => ({ ...item, status: 'wanted' }))
+    );
+    this.switchTo(copy.id);
+    this.config.events?.publish('registry_duplicated', { id: copy.id, sourceId: source.id });
+  }
+
+  async handleDelete() {
+    const registry = this.active;
+    if (!registry || this.registries.length < 2) return;
+    if (!window.confirm(EXP_DEFAULTS.TEXT.REGISTRY_DELETE_CONFIRM)) return;
+
+    const shares = this.activeShares;
+    const failed = new Set();
+    await Promise.all(
+      shares.map((share) =>
+        jsonFetch(`${this.shareEndpoint}?id=${encodeURIComponent(share.id)}`, {
+          method: 'DELETE',
+          headers: { 'X-Registry-Owner-Key': share.ownerKey }
+        }).catch((err) => {
+          // Already gone on the server is as good as revoked.
+          if (err.status === 404 || err.status === 410) return;
+          console.error('[experience:registry] share revoke error', err);
+          failed.add(share.id);
+        })
+      )
+    );
+    // Only forget links the server confirmed; a live link without its ownerKey
+    // could never be revoked again, so the registry stays until it can be.
+    this.shares = this.shares.filter(
+      (share) => share.registryId !== registry.id || failed.has(share.id)
+    );
+    this.saveShares();
+    if (failed.size) {
+      this.renderShares();
+      alert(EXP_DEFAULTS.TEXT.REGISTRY_DELETE_ERROR);
+      return;
+    }
+
+    this.registries = this.registries.filter((r) => r.id !== registry.id);
+    this.switchTo(this.registries[0].id);
+    this.config.events?.publish('registry_deleted', { id: registry.id });
+  }
+
+  /** @param {string} id */
+  switchTo(id) {
+    if (!this.registries.some((r) => r.id === id)) return;
+    this.activeId = id;
+    this.claimTotals = new Map();
+    this.save();
+    this.renderToolbar();
+    this.render();
+    this.renderShares();
+    this.refreshClaims();
+    this.config.events?.publish('registry_switched', { id });
+  }
+
+  renderToolbar() {
+    if (!this.toolbarEl) return;
+    this.toolbarEl.innerHTML = '';
+
+    const select = createEl(
+      'select',
+      {
+        'aria-label': 'Registry',
+        onchange: () => this.switchTo(select.value)
+      },
+      this.registries.map((r) =>
+        createEl('option', { value: r.id, selected: r.id === this.activeId }, [
+          `${r.name} (${r.items.length})`
+        ])
+      )
+    );
+
+    const button = (label, onclick, disabled = false) =>
+      createEl('button', { type: 'button', onclick, disabled }, [label]);
+
+    this.toolbarEl.append(
+      select,
+      button('New', () => this.handleCreate()),
+      button('Rename', () => this.handleRename()),
+      button('Duplicate', () => this.handleDuplicate()),
+      button('Delete', () => this.handleDelete(), this.registries.length < 2)
+    );
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /* Planner bundles → explicit merge                                       */
+  /* ---------------------------------------------------------------------- */
+
+  /**
+   * Planner bundles no longer seed the list directly; they show up as a
+   * reviewable diff against the active registry.
+   * @param {PlannerBundle[]|null} bundles
+   */
+  syncFromBundles(bundles) {
+    if (!bundles || !bundles.length) return;
+    this.pendingBundles = bundles;
+    this.renderMerge();
+  }
+
+  renderMerge() {
+    if (!this.mergeEl) return;
+    this.mergeEl.innerHTML = '';
+    const entries = this.pendingBundles ? diffBundles(this.items, this.pendingBundles) : [];
+    this.mergeEl.hidden = entries.length === 0;
+    if (!entries.length) return;
+
+    /** @type {HTMLInputElement[]} */
+    const boxes = [];
+    const ul = createEl('ul');
+    entries.forEach((entry, index) => {
+      // Removals are opt-in; additions and updates are pre-selected.
+      const box = createEl('input', {
+        type: 'checkbox',
+        checked: entry.kind !== 'removed',
+        dataset: { index }
+      });
+      boxes.push(box);
+
+      let text = '';
+      if (entry.kind === 'added') {
+        const price = formatPrice(entry.item.price);
+        text = `Add “${entry.item.name}”${price ? ` (${price})` : ''}`;
+      } else if (entry.kind === 'changed') {
+        const details = (entry.fields || []).map((field) => {
+          if (field !== 'price') return field;
+          return `price ${formatPrice(entry.current?.price) || '–'} → ${formatPrice(entry.item.price) || '–'}`;
+        });
+        text = `Update “${entry.current?.name}”: ${details.join(', ')}`;
+      } else {
+        text = `Remove “${entry.item.name}” (no longer in your plan)`;
+      }
+      ul.appendChild(createEl('li', {}, [createEl('label', {}, [box, ' ', text])]));
+    });
+
+    const status = createEl('p', { className: EXP_DEFAULTS.CSS.STATUS_NEUTRAL, 'aria-live': 'polite' });
+    const mergeBtn = createEl('button', {
+      type: 'button',
+      onclick: () => {
+        const selected = entries.filter((_, i) => boxes[i].checked);
+        if (!selected.length) {
+          setStatusEl(status, EXP_DEFAULTS.TEXT.REGISTRY_MERGE_EMPTY, true);
+          return;
+        }
+        this.applyMerge(selected);
+      }
+    }, ['Merge selected']);
+    const dismissBtn = createEl('button', {
+      type: 'button',
+      onclick: () => {
+        this.pendingBundles = null;
+        this.renderMerge();
+      }
+    }, ['Not now']);
+
+    const summary = `${EXP_DEFAULTS.TEXT.REGISTRY_MERGE_TITLE} (${entries.length})`;
+    this.mergeEl.appendChild(
+      createEl('details', { open: this.items.length === 0 }, [
+        createEl('summary', { textContent: summary }),
+        ul,
+        mergeBtn,
+        ' ',
+        dismissBtn,
+        status
+      ])
+    );
+  }
+
+  /** @param {BundleMergeEntry[]} entries */
+  applyMerge(entries) {
+    const removed = new Set();
+    entries.forEach((entry) => {
+      if (entry.kind === 'added') {
+        this.items.push(entry.item);
+      } else if (entry.kind === 'changed' && entry.current) {
+        // Only bundle-owned fields change; quantity, priority, category and
+        // status stay as the user set them.
+        (entry.fields || []).forEach((field) => {
+          entry.current[field] = entry.item[field];
+        });
+      } else if (entry.kind === 'removed') {
+        removed.add(entry.item.id);
+      }
+    });
+    if (removed.size) this.items = this.items.filter((item) => !removed.has(item.id));
+
+    this.save();
+    this.renderToolbar();
+    this.render();
+    this.config.events?.publish('registry_bundles_merged', {
+      registryId: this.activeId,
+      added: entries.filter((e) => e.kind === 'added').length,
+      changed: entries.filter((e) => e.kind === 'changed').length,
+      removed: removed.size
+    });
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /* Items                                                                  */
+  /* ---------------------------------------------------------------------- */
+
+  /** @param {SubmitEvent} event */
+  handleAdd(event) {
+    event.preventDefault();
+    const fd = new FormData(this.form);
+    const name = String(fd.get('name') || '').trim();
+    const note = String(fd.get('note') || '').trim();
+    const url = String(fd.get('url') || '').trim();
+    const quantity = Math.max(1, Math.floor(Number(fd.get('quantity')) || 1));
+    const category = String(fd.get('category') || '').trim();
+    if (!name) return;
+
+    this.addItem({
+      name,
+      note: note || undefined,
+      url: url || undefined,
+      quantity,
+      priority: /** @type {any} */ (fd.get('priority')) || undefined,
+      category: category || undefined,
+      price: parsePrice(fd.get('price'))
+    });
+    this.form.reset();
+  }
+
+  /**
+   * Adds one item to the active registry (from the form or the chat assistant).
+   * @param {Omit<RegistryItem, 'id'>} fields
+   * @returns {RegistryItem}
+   */
+  addItem(fields) {
+    const item = normalizeRegistryItem({
+      ...fields,
+      id: `custom-${Date.now()}-${Math.random().toString(16).slice(2)}`
+    });
+    this.items.push(item);
+    this.save();
+    this.renderToolbar();
+    this.render();
+    this.config.events?.publish('registry_item_added', { item });
+    return item;
+  }
+
+  /** @param {RegistryItem} item */
+  removeItem(item) {
+    this.items = this.items.filter((i) => i.id !== item.id);
+    this.save();
+    this.renderToolbar();
+    this.render();
+    this.config.events?.publish('registry_item_removed', { item });
+  }
+
+  /**
+   * Active-registry item by id, else by (case-insensitive) name.
+   * @param {{ id?: string, name?: string }} ref
+   * @returns {RegistryItem|null}
+   */
+  findItem(ref) {
+    if (ref.id) {
+      const byId = this.items.find((i) => i.id === ref.id);
+      if (byId) return byId;
+    }
+    const name = (ref.name || '').trim().toLowerCase();
+    if (!name) return null;
+    return this.items.find((i) => i.name.toLowerCase() === name)
+      || this.items.find((i) => i.name.toLowerCase().includes(name))
+      || null;
+  }
+
+  /**
+   * Appends already-validated items (see RegistryTransfer) to the active registry.
+   * @param {RegistryItem[]} items
+   */
+  importItems(items) {
+    if (!items.length) return;
+    this.items.push(...items.map(normalizeRegistryItem));
+    this.save();
+    this.renderToolbar();
+    this.render();
+  }
+
+  /**
+   * @param {RegistryItem} item
+   * @param {Partial<RegistryItem>} changes
+   */
+  updateItem(item, changes) {
+    Object.assign(item, changes);
+    this.save();
+    this.render();
+    this.config.events?.publish('registry_item_updated', { item, changes });
+  }
+
+  render() {
+    this.listEl.innerHTML = '';
+    this.renderMerge();
+    if (this.items.length === 0) {
+      this.listEl.textContent = EXP_DEFAULTS.TEXT.REGISTRY_EMPTY;
+      return;
+    }
+
+    const ul = createEl('ul');
+    this.items.forEach((item) => {
+      const removeBtn = createEl(
+        'button',
+        {
+          type: 'button',
+          onclick: () => this.removeItem(item)
+        },
+        ['Remove']
+      );
+
+      /** @type {(Node|string)[]} */
+      const content = [
+        createEl('span', { className: EXP_DEFAULTS.CSS.REGISTRY_ITEM }, [
+          createEl('strong', {}, [item.name])
+        ])
+      ];
+      if (item.note) content.push(' – ' + item.note);
+      if (item.url) {
+        const link = createEl('a', {
+          href: item.url,
+          target: '_blank',
+          rel: 'noopener noreferrer',
+          textContent: 'View'
+        });
+        content.push(' ', link);
+      }
+
+      const qtyInput = createEl('input', {
+        type: 'number',
+        min: '1',
+        max: '99',
+        value: String(item.quantity || 1),
+        'aria-label': `Quantity wanted for ${item.name}`,
+        onchange: () => this.setQuantity(item, Number(qtyInput.value))
+      });
+      content.push(' ', qtyInput, ' ', removeBtn, this.renderItemMeta(item));
+
+      const claimInfo = this.renderClaimInfo(item);
+      if (claimInfo) content.push(claimInfo);
+
+      ul.appendChild(createEl('li', {}, content));
+    });
+
+    this.listEl.appendChild(ul);
+  }
+
+  /**
+   * Priority, status, category and price controls for one item.
+   * @param {RegistryItem} item
+   * @returns {HTMLElement}
+   */
+  renderItemMeta(item) {
+    /**
+     * @param {string} label
+     * @param {Record<string, string>} options
+     * @param {string} value
+     * @param {(value: string) => void} onchange
+     */
+    const select = (label, options, value, onchange) => {
+      const el = createEl(
+        'select',
+        { 'aria-label': `${label} for ${item.name}`, onchange: () => onchange(el.value) },
+        Object.entries(options).map(([key, text]) =>
+          createEl('option', { value: key, selected: key === value }, [text])
+        )
+      );
+      return el;
+    };
+
+    const category = createEl('input', {
+      type: 'text',
+      value: item.category || '',
+      placeholder: 'Category',
+      maxLength: 80,
+      'aria-label': `Category for ${item.name}`,
+      onchange: () => this.updateItem(item, { category: category.value.trim() || undefined })
+    });
+    const price = createEl('input', {
+      type: 'number',
+      min: '0',
+      step: '0.01',
+      value: item.price != null ? String(item.price) : '',
+      placeholder: 'Price',
+      'aria-label': `Price for ${item.name}`,
+      onchange: () => this.updateItem(item, { price: parsePrice(price.value) })
+    });
+
+    return createEl('div', { className: EXP_DEFAULTS.CSS.REGISTRY_ITEM_META }, [
+      select('Priority', REGISTRY_PRIORITY_LABELS, item.priority || 'medium', (value) =>
+        this.updateItem(item, { priority: /** @type {any} */ (value) })
+      ),
+      select('Status', REGISTRY_STATUS_LABELS, item.status || 'wanted', (value) =>
+        this.updateItem(item, { status: /** @type {any} */ (value) })
+      ),
+      category,
+      price
+    ]);
+  }
+
+  /**
+   * "2 of 3 claimed" plus who claimed what (unless that share is in surprise
+   * mode, where the server leaves names out).
+   * @param {RegistryItem} item
+   * @returns {HTMLElement|null}
+   */
+  renderClaimInfo(item) {
+    const totals = this.claimTotals.get(item.id);
+    if (!totals || !totals.claimed) return null;
+
+    const needed = item.quantity || 1;
+    const lines = [`${totals.claimed} of ${needed} claimed (${totals.purchased} purchased)`];
+    totals.claims.forEach((claim) => {
+      if (!claim.name && !claim.message) return;
+      const who = claim.name || 'Someone';
+      const what = claim.status === 'purchased' ? 'bought' : 'reserved';
+      lines.push(`${who} ${what} ${claim.quantity}${claim.message ? ` – “${claim.message}”` : ''}`);
+    });
+
+    return createEl(
+      'ul',
+      { className: EXP_DEFAULTS.CSS.REGISTRY_CLAIMS },
+      lines.map((line) => createEl('li', {}, [line]))
+    );
+  }
+
+  /**
+   * @param {RegistryItem} item
+   * @param {number} quantity
+   */
+  async setQuantity(item, quantity) {
+    const totals = this.claimTotals.get(item.id);
+    const floor = Math.max(1, totals ? totals.claimed : 0);
+    item.quantity = Math.min(99, Math.max(floor, Math.floor(quantity) || 1));
+    this.save();
+    this.render();
+    this.config.events?.publish('registry_item_quantity', { item });
+
+    const active = this.activeShares.filter((share) => share.status !== 'revoked' && share.status !== 'expired');
+    await Promise.all(
+      active.map((share) =>
+        this.patchShare(share, { quantities: { [item.id]: item.quantity } }).catch((err) => {
+          console.error('[experience:registry] quantity sync error', err);
+        })
+      )
+    );
+  }
+
+  /**
+   * @param {RegistryShareLink} share
+   * @param {Record<string, unknown>} changes
+   */
+  patchShare(share, changes) {
+    return jsonFetch(`${this.shareEndpoint}?id=${encodeURIComponent(share.id)}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Registry-Owner-Key': share.ownerKey
+      },
+      body: JSON.stringify(changes)
+    });
+  }
+
+  /**
+   * Pulls claim state for every share link this owner created and folds it
+   * into per-item totals.
+   */
+  async refreshClaims() {
+    const shares = this.activeShares;
+    if (!shares.length) return;
+    const registryId = this.activeId;
+
+    /** @type {Map<string, { claimed: number, purchased: number, claims: RegistryClaimInfo[] }>} */
+    const totals = new Map();
+
+    await Promise.all(
+      shares.map(async (share) => {
+        try {
+          /** @type {{ status: string, surprise: boolean, expiresAt: string|null, items: Array<RegistryItem & RegistryItemCounts>, claims: RegistryClaimInfo[] }} */
+          const data = await jsonFetch(`${this.shareEndpoint}?id=${encodeURIComponent(share.id)}`, {
+            headers: { 'X-Registry-Owner-Key': share.ownerKey }
+          });
+          share.status = data.status;
+          share.surprise = data.surprise;
+          share.expiresAt = data.expiresAt;
+          if (data.status !== 'active') return;
+
+          data.items.forEach((item) => {
+            const entry = totals.get(item.id) || { claimed: 0, purchased: 0, claims: [] };
+            entry.claimed += item.claimed;
+            entry.purchased += item.purchased;
+            entry.claims.push(...data.claims.filter((claim) => claim.itemId === item.id));
+            totals.set(item.id, entry);
+          });
+        } catch (err) {
+          console.error('[experience:registry] claim refresh error', err);
+        }
+      })
+    );
+
+    if (registryId !== this.activeId) return; // switched while loading
+    this.claimTotals = totals;
+    this.saveShares();
+    this.render();
+    this.renderShares();
+  }
+
+  async handleShare() {
+    try {
+      let shareUrl = '';
+
+      try {
+        /** @type {{ id: string, ownerKey: string, expiresAt: string|null }} */
+        const res = await jsonFetch(this.shareEndpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ items: this.items, title: this.active?.name })
+        });
+        if (res.id) {
+          shareUrl = `${window.location.origin}${window.location.pathname}?share=${encodeURIComponent(res.id)}`;
+          this.shares.unshift({
+            id: res.id,
+            registryId: this.activeId,
+            url: shareUrl,
+            ownerKey: res.ownerKey,
+            createdAt: new Date().toISOString(),
+            expiresAt: res.expiresAt || null
+          });
+          this.saveShares();
+          this.renderShares();
+          this.refreshClaims();
+        }
+      } catch (err) {
+        // Server unavailable: fall back to a self-contained (legacy) link.
+        console.error('[experience:registry] share endpoint error', err);
+      }
+
+      if (!shareUrl) {
+        const encoded = encodeURIComponent(JSON.stringify(this.items));
+        shareUrl = `${window.location.origin}${window.location.pathname}?registry=${encoded}`;
+      }
+
+      await navigator.clipboard?.writeText(shareUrl);
+      alert(EXP_DEFAULTS.TEXT.REGISTRY_SHARE_OK);
+      this.config.events?.publish('registry_share', { url: shareUrl });
+    } catch (err) {
+      console.error('[experience:registry] share error', err);
+      alert(EXP_DEFAULTS.TEXT.REGISTRY_SHARE_ERROR);
+      this.config.events?.publish('registry_share_error', err);
+    }
+  }
+
+  renderShares() {
+    if (!this.sharesEl) return;
+    this.sharesEl.innerHTML = '';
+    const shares = this.activeShares;
+    if (!shares.length) return;
+
+    const ul = createEl('ul');
+    shares.forEach((share) => {
+      const expiry = createEl(
+        'select',
+        {
+          'aria-label': 'Link expiry',
+          onchange: () => this.updateShareExpiry(share, expiry.value)
+        },
+        [
+          createEl('option', { value: '', disabled: true, selected: true }, ['Change expiry…']),
+          createEl('option', { value: 'never' }, ['Never expires']),
+          createEl('option', { value: '7' }, ['Expires in 7 days']),
+          createEl('option', { value: '30' }, ['Expires in 30 days']),
+          createEl('option', { value: '90' }, ['Expires in 90 days'])
+        ]
+      );
+
+      const revokeBtn = createEl(
+        'button',
+        { type: 'button', onclick: () => this.revokeShare(share) },
+        ['Revoke']
+      );
+
+      const surprise = createEl('input', {
+        type: 'checkbox',
+        checked: Boolean(share.surprise),
+        onchange: () => this.setSurprise(share, surprise.checked)
+      });
+      const surpriseLabel = createEl('label', {}, [
+        surprise,
+        ' ',
+        EXP_DEFAULTS.TEXT.REGISTRY_SURPRISE_LABEL
+      ]);
+
+      /** @type {(Node|string)[]} */
+      const content = [
+        createEl('a', { href: share.url, target: '_blank', rel: 'noopener noreferrer' }, [share.url])
+      ];
+      const created = formatShareDate(share.createdAt);
+      const expires = formatShareDate(share.expiresAt);
+      if (created) content.push(` – shared ${created}`);
+      if (expires) content.push(`, expires ${expires}`);
+      if (share.status && share.status !== 'active') content.push(` (${share.status})`);
+      content.push(' ', expiry, ' ', revokeBtn, ' ', surpriseLabel);
+
+      ul.appendChild(createEl('li', {}, content));
+    });
+
+    this.sharesEl.append(
+      createEl('h4', {}, [EXP_DEFAULTS.TEXT.REGISTRY_SHARES_HEADING]),
+      ul
+    );
+  }
+
+  /**
+   * @param {RegistryShareLink} share
+   * @param {string} days  'never' removes the expiry
+   */
+  async updateShareExpiry(share, days) {
+    try {
+      /** @type {{ expiresAt: string|null }} */
+      const res = await this.patchShare(share, {
+        expiresInDays: days === 'never' ? null : Number(days)
+      });
+      share.expiresAt = res.expiresAt || null;
+      this.saveShares();
+      this.renderShares();
+      this.config.events?.publish('registry_share_expiry', { id: share.id, expiresAt: share.expiresAt });
+    } catch (err) {
+      console.error('[experience:registry] share expiry error', err);
+      alert(EXP_DEFAULTS.TEXT.REGISTRY_SHARE_UPDATE_ERROR);
+    }
+  }
+
+  /**
+   * @param {RegistryShareLink} share
+   * @param {boolean} enabled
+   */
+  async setSurprise(share, enabled) {
+    try {
+      await this.patchShare(share, { surprise: enabled });
+      share.surprise = enabled;
+      this.saveShares();
+      this.config.events?.publish('registry_share_surprise', { id: share.id, surprise: enabled });
+      await this.refreshClaims();
+    } catch (err) {
+      console.error('[experience:registry] surprise toggle error', err);
+      alert(EXP_DEFAULTS.TEXT.REGISTRY_SHARE_UPDATE_ERROR);
+      this.renderShares();
+    }
+  }
+
+  /** @param {RegistryShareLink} share */
+  async revokeShare(share) {
+    if (!window.confirm(EXP_DEFAULTS.TEXT.REGISTRY_SHARE_REVOKE_CONFIRM)) return;
+    try {
+      await jsonFetch(`${this.shareEndpoint}?id=${encodeURIComponent(share.id)}`, {
+        method: 'DELETE',
+        headers: { 'X-Registry-Owner-Key': share.ownerKey }
+      });
+    } catch (err) {
+      // Already gone on the server is as good as revoked.
+      // @ts-ignore
+      if (err.status !== 404 && err.status !== 410) {
+        console.error('[experience:registry] share revoke error', err);
+        alert(EXP_DEFAULTS.TEXT.REGISTRY_SHARE_UPDATE_ERROR);
+        return;
+      }
+    }
+    this.shares = this.shares.filter((s) => s.id !== share.id);
+    this.saveShares();
+    this.renderShares();
+    this.config.events?.publish('registry_share_revoked', { id: share.id });
+  }
+}
+
+/* ========================================================================== */
+/* Registry import / export                                                   */
+/* ========================================================================== */
+
+/** Column order for CSV export; also the fields an import can map onto. */
+const REGISTRY_EXPORT_COLUMNS = ['name', 'quantity', 'priority', 'category', 'price', 'status', 'url', 'note'];
+
+/**
+ * Header spellings seen in other retailers' exports, used to pre-fill the
+ * column mapping. Matching ignores case, spaces and punctuation.
+ * @type {Record<string, string[]>}
+ */
+const REGISTRY_COLUMN_ALIASES = {
+  name: ['name', 'title', 'item', 'itemname', 'product', 'productname', 'producttitle', 'description'],
+  quantity: ['quantity', 'qty', 'quantityrequested', 'requested', 'wants', 'needed', 'desiredquantity'],
+  priority: ['priority', 'importance', 'musthave'],
+  category: ['category', 'department', 'section', 'list'],
+  price: ['price', 'cost', 'amount', 'listprice', 'unitprice'],
+  status: ['status', 'purchased', 'state'],
+  url: ['url', 'link', 'producturl', 'productlink', 'href', 'weblink'],
+  note: ['note', 'notes', 'comment', 'comments', 'message']
+};
+
+/** @param {string} value */
+function normalizeHeader(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF or LF. A quote
+ * only opens a quoted field at the start of one; elsewhere (`12" frame`)
+ * it's kept as a literal character.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  /** @type {string[][]} */
+  const rows = [];
+  /** @type {string[]} */
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = text.replace(/^﻿/, '');
+
+  for (let i = 0; i < src.length; i += 1) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim()));
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string}
+ */
+function csvCell(value) {
+  let text = value == null ? '' : String(value);
+  // Spreadsheet apps execute cells starting with these characters.
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Undoes csvCell's formula guard so an exported file imports unchanged.
+ * @param {string} cell
+ * @returns {string}
+ */
+function csvValue(cell) {
+  return /^'[=+\-@\t\r]/.test(cell) ? cell.slice(1) : cell;
+}
+
+/**
+ * Adds our Amazon Associates tag to Amazon product links; other URLs are
+ * returned unchanged.
+ * @param {string} url
+ * @param {string} tag
+ * @returns {string}
+ */
+function affiliateUrl(url, tag) {
+  try {
+    const parsed = new URL(url);
+    if (!tag || !/(^|\.)amazon\.[a-z.]+$/i.test(parsed.hostname)) return parsed.href;
+    parsed.searchParams.set('tag', tag);
+    return parsed.href;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * URL without tracking params or fragment, for duplicate detection.
+ * @param {string|undefined} url
+ */
+function dedupeUrl(url) {
+  if (!url) return '';
+  try {
+    const parsed = new URL(url);
+    ['tag', 'ref', 'ref_', 'psc', 'th'].forEach((key) => parsed.searchParams.delete(key));
+    [...parsed.searchParams.keys()]
+      .filter((key) => key.startsWith('utm_'))
+      .forEach((key) => parsed.searchParams.delete(key));
+    parsed.hash = '';
+    return `${parsed.hostname.replace(/^www\./, '')}${parsed.pathname.replace(/\/+$/, '')}${parsed.search}`.toLowerCase();
+  } catch {
+    return url.trim().toLowerCase();
+  }
+}
+
+/** @param {string|undefined} name */
+function dedupeName(name) {
+  return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Best-effort product name from a retailer URL: Amazon's slug before /dp/,
+ * otherwise the last readable path segment, otherwise the host.
+ * @param {URL} url
+ */
+function nameFromUrl(url) {
+  const segments = url.pathname.split('/').filter(Boolean).map((s) => decodeURIComponent(s));
+  const dp = segments.indexOf('dp');
+  const slug = dp > 0
+    ? segments[dp - 1]
+    : [...segments].reverse().find((s) => /[a-z]{3,}/i.test(s) && !/^(dp|gp|product|p|ip)$/i.test(s));
+  const words = slug ? slug.replace(/\.[a-z]+$/i, '').split(/[-_+]+/).filter(Boolean) : [];
+  if (!words.length) return url.hostname.replace(/^www\./, '');
+  return words.join(' ').replace(/\b\w/g, (c) => c.toUpperCase()).slice(0, 200);
+}
+
+class RegistryTransfer {
+  /**
+   * @param {RegistryBuilder} registry
+   * @param {ExperienceConfig} config
+   */
+  constructor(registry, config) {
+    this.registry = registry;
+    this.config = config;
+    /** @type {HTMLElement|null} */
+    this.panel = null;
+    /** @type {HTMLElement|null} */
+    this.mappingEl = null;
+    /** @type {HTMLElement|null} */
+    this.previewEl = null;
+    /** @type {HTMLElement|null} */
+    this.statusEl = null;
+    /**
+     * Parsed import waiting for confirmation.
+     * @type {{ headers: string[], rows: string[][], mapping: Record<string, number> }|null}
+     */
+    this.pending = null;
+  }
+
+  get affiliateTag() {
+    return this.config.affiliateTag ?? EXP_DEFAULTS.AFFILIATE.AMAZON_TAG;
+  }
+
+  init() {
+    const root = this.registry.root;
+    if (!this.registry.form) return;
+
+    const fileInput = createEl('input', {
+      type: 'file',
+      accept: '.csv,.json,text/csv,application/json',
+      'aria-label': 'Registry file to import',
+      onchange: () => {
+        const file = fileInput.files && fileInput.files[0];
+        if (file) this.readFile(file);
+        fileInput.value = '';
+      }
+    });
+    const pasteArea = createEl('textarea', {
+      rows: 4,
+      placeholder: EXP_DEFAULTS.TEXT.REGISTRY_IMPORT_PLACEHOLDER,
+      'aria-label': 'Paste CSV, JSON or product links'
+    });
+
+    this.mappingEl = createEl('div');
+    this.previewEl = createEl('div');
+    this.statusEl = createEl('p', { className: EXP_DEFAULTS.CSS.STATUS_NEUTRAL, 'aria-live': 'polite' });
+
+    this.panel = createEl('details', { className: EXP_DEFAULTS.CSS.REGISTRY_TRANSFER }, [
+      createEl('summary', { textContent: EXP_DEFAULTS.TEXT.REGISTRY_TRANSFER_TITLE }),
+      createEl('div', {}, [
+        createEl('button', { type: 'button', onclick: () => this.exportCsv() }, ['Export CSV']),
+        ' ',
+        createEl('button', { type: 'button', onclick: () => this.exportJson() }, ['Export JSON'])
+      ]),
+      createEl('div', {}, [fileInput]),
+      pasteArea,
+      createEl('div', {}, [
+        createEl('button', { type: 'button', onclick: () => this.parse(pasteArea.value) }, ['Preview import'])
+      ]),
+      this.mappingEl,
+      this.previewEl,
+      this.statusEl
+    ]);
+    root.appendChild(this.panel);
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /* Export                                                                 */
+  /* ---------------------------------------------------------------------- */
+
+  fileBaseName() {
+    const name = this.registry.active?.name || EXP_DEFAULTS.TEXT.REGISTRY_DEFAULT_NAME;
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'registry';
+  }
+
+  exportCsv() {
+    const lines = [REGISTRY_EXPORT_COLUMNS.join(',')];
+    this.registry.items.forEach((item) => {
+      lines.push(REGISTRY_EXPORT_COLUMNS.map((key) => csvCell(item[key])).join(','));
+    });
+    this.download(`${this.fileBaseName()}.csv`, lines.join('\r\n'), 'text/csv');
+    this.config.events?.publish('registry_export', { format: 'csv', count: this.registry.items.length });
+  }
+
+  exportJson() {
+    const payload = {
+      name: this.registry.active?.name,
+      exportedAt: new Date().toISOString(),
+      items: this.registry.items
+    };
+    this.download(`${this.fileBaseName()}.json`, JSON.stringify(payload, null, 2), 'application/json');
+    this.config.events?.publish('registry_export', { format: 'json', count: this.registry.items.length });
+  }
+
+  /**
+   * @param {string} filename
+   * @param {string} content
+   * @param {string} type
+   */
+  download(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+    const link = createEl('a', { href: url, download: filename });
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /* Import                                                                 */
+  /* ---------------------------------------------------------------------- */
+
+  /** @param {File} file */
+  async readFile(file) {
+    try {
+      this.parse(await file.text());
+    } catch (err) {
+      console.error('[experience:registry_transfer] file read error', err);
+      setStatusEl(this.statusEl, EXP_DEFAULTS.TEXT.REGISTRY_IMPORT_ERROR, true);
+    }
+  }
+
+  /**
+   * Detects JSON, a plain list of product links, or CSV, and turns it into a
+   * header row plus string rows so every format shares the mapping step.
+   * @param {string} text
+   */
+  parse(text) {
+    const trimmed = String(text || '').trim();
+    this.pending = null;
+    if (!trimmed) {
+      setStatusEl(this.statusEl, EXP_DEFAULTS.TEXT.REGISTRY_IMPORT_EMPTY, true);
+      this.renderPending();
+      return;
+    }
+
+    try {
+      const lines = trimmed.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+      if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        this.pending = this.fromJson(JSON.parse(trimmed));
+      } else if (lines.every((line) => /^https?:\/\/\S+$/i.test(line))) {
+        this.pending = this.fromUrls(lines);
+      } else {
+        const [headers, ...rows] = parseCsv(trimmed).map((row) => row.map(csvValue));
+        this.pending = { headers, rows, mapping: this.guessMapping(headers) };
+      }
+      setStatusEl(this.statusEl, '');
+    } catch (err) {
+      console.error('[experience:registry_transfer] parse error', err);
+      setStatusEl(this.statusEl, EXP_DEFAULTS.TEXT.REGISTRY_IMPORT_ERROR, true);
+    }
+    this.renderPending();
+  }
+
+  /**
+   * Accepts our own export (`{ items }`), a bare array of objects, or
+   * `{ registries: [{ items }] }`.
+   * @param {any} data
+   */
+  fromJson(data) {
+    /** @type {any[]} */
+    let records = [];
+    if (Array.isArray(data)) records = data;
+    else if (data && Array.isArray(data.items)) records = data.items;
+    else if (data && Array.isArray(data.registries)) records = data.registries.flatMap((r) => r.items || []);
+    records = records.filter((r) => r && typeof r === 'object' && !Array.isArray(r));
+
+    const headers = [...new Set(records.flatMap((r) => Object.keys(r)))];
+    const rows = records.map((r) => headers.map((h) => (r[h] == null ? '' : String(r[h]))));
+    return { headers, rows, mapping: this.guessMapping(headers) };
+  }
+
+  /** @param {string[]} urls */
+  fromUrls(urls) {
+    const rows = urls.map((raw) => {
+      const url = new URL(raw);
+      return [nameFromUrl(url), url.href];
+    });
+    return { headers: ['name', 'url'], rows, mapping: { name: 0, url: 1 } };
+  }
+
+  /**
+   * @param {string[]} headers
+   * @returns {Record<string, number>}  field → column index (-1 = unmapped)
+   */
+  guessMapping(headers) {
+    const normalized = headers.map(normalizeHeader);
+    /** @type {Record<string, number>} */
+    const mapping = {};
+    REGISTRY_EXPORT_COLUMNS.forEach((field) => {
+      const aliases = REGISTRY_COLUMN_ALIASES[field].map(normalizeHeader);
+      mapping[field] = normalized.findIndex((h) => aliases.includes(h));
+    });
+    return mapping;
+  }
+
+  /**
+   * Applies the mapping and marks duplicates, both against the active
+   * registry and within the import itself.
+   * @returns {{ item: RegistryItem, duplicate: boolean }[]}
+   */
+  previewItems() {
+    if (!this.pending) return [];
+    const { rows, mapping } = this.pending;
+    const seenUrls = new Set(this.registry.items.map((i) => dedupeUrl(i.url)).filter(Boolean));
+    const seenNames = new Set(this.registry.items.map((i) => dedupeName(i.name)));
+    /** @param {string[]} row @param {string} field */
+    const cell = (row, field) => (mapping[field] >= 0 ? String(row[mapping[field]] ?? '').trim() : '');
+
+    return rows
+      .map((row, index) => {
+        const name = cell(row, 'name');
+        if (!name) return null;
+        const status = cell(row, 'status').toLowerCase();
+        const url = safeHttpUrl(cell(row, 'url'));
+        const priority = cell(row, 'priority').toLowerCase();
+        const item = normalizeRegistryItem({
+          id: `import-${Date.now()}-${index}-${Math.random().toString(16).slice(2, 6)}`,
+          name: name.slice(0, 200),
+          note: cell(row, 'note') || undefined,
+          url: url ? affiliateUrl(url, this.affiliateTag) : undefined,
+          quantity: Number(cell(row, 'quantity')) || 1,
+          priority: /** @type {any} */ (priority),
+          category: cell(row, 'category') || undefined,
+          price: parsePrice(cell(row, 'price')),
+          // Retailer exports often use yes/no or true/false for "purchased".
+          status: /** @type {any} */ (['yes', 'true', '1'].includes(status) ? 'purchased' : status)
+        });
+
+        const urlKey = dedupeUrl(item.url);
+        const nameKey = dedupeName(item.name);
+        const duplicate = (urlKey && seenUrls.has(urlKey)) || seenNames.has(nameKey);
+        if (urlKey) seenUrls.add(urlKey);
+        seenNames.add(nameKey);
+        return { item, duplicate: Boolean(duplicate) };
+      })
+      .filter(Boolean);
   }
 
-  load() {
+  renderPending() {
+    if (!this.mappingEl || !this.previewEl) return;
+    this.mappingEl.innerHTML = '';
+    this.previewEl.innerHTML = '';
+    if (!this.pending) return;
+
+    const { headers, mapping } = this.pending;
+    REGISTRY_EXPORT_COLUMNS.forEach((field) => {
+      const select = createEl(
+        'select',
+        {
+          onchange: () => {
+            mapping[field] = Number(select.value);
+            this.renderPending();
+          }
+        },
+        [
+          createEl('option', { value: '-1', selected: mapping[field] < 0 }, ['(skip)']),
+          ...headers.map((header, index) =>
+            createEl('option', { value: String(index), selected: mapping[field] === index }, [
+              header || `Column ${index + 1}`
+            ])
+          )
+        ]
+      );
+      this.mappingEl.appendChild(createEl('label', {}, [`${field} `, select]));
+    });
+
+    const preview = this.previewItems();
+    const fresh = preview.filter((p) => !p.duplicate);
+    const table = createEl('table', {}, [
+      createEl('thead', {}, [
+        createEl('tr', {}, ['Name', 'Qty', 'Price', 'Link', ''].map((h) => createEl('th', {}, [h])))
+      ]),
+      createEl(
+        'tbody',
+        {},
+        preview.map(({ item, duplicate }) =>
+          createEl('tr', { className: duplicate ? EXP_DEFAULTS.CSS.REGISTRY_IMPORT_DUPLICATE : '' }, [
+            createEl('td', {}, [item.name]),
+            createEl('td', {}, [String(item.quantity)]),
+            createEl('td', {}, [formatPrice(item.price)]),
+            createEl('td', {}, [item.url ? new URL(item.url).hostname : '']),
+            createEl('td', {}, [duplicate ? 'Duplicate – skipped' : 'New'])
+          ])
+        )
+      )
+    ]);
+
+    const importBtn = createEl(
+      'button',
+      { type: 'button', disabled: !fresh.length, onclick: () => this.commit(fresh.map((p) => p.item)) },
+      [`Import ${fresh.length} item${fresh.length === 1 ? '' : 's'}`]
+    );
+    const cancelBtn = createEl('button', {
+      type: 'button',
+      onclick: () => {
+        this.pending = null;
+        this.renderPending();
+      }
+    }, ['Cancel']);
+
+    this.previewEl.append(
+      createEl('p', {}, [`${fresh.length} new, ${preview.length - fresh.length} duplicate(s) skipped.`]),
+      table,
+      importBtn,
+      ' ',
+      cancelBtn
+    );
+  }
+
+  /** @param {RegistryItem[]} items */
+  commit(items) {
+    this.registry.importItems(items);
+    this.pending = null;
+    this.renderPending();
+    setStatusEl(this.statusEl, `${EXP_DEFAULTS.TEXT.REGISTRY_IMPORT_OK} (${items.length})`);
+    this.config.events?.publish('registry_import', { registryId: this.registry.activeId, count: items.length });
+  }
+}
+
+/* ========================================================================== */
+/* Shared registry (read-only view)                                           */
+/* ========================================================================== */
+
+/**
+ * @typedef {Object} SharedRegistrySource
+ * @property {string} [shareId]          // `?share=<id>` links
+ * @property {RegistryItem[]} [items]    // legacy `?registry=<json>` links
+ */
+
+class SharedRegistryView {
+  /**
+   * @param {HTMLElement} root
+   * @param {SharedRegistrySource} source
+   * @param {ExperienceConfig} config
+   */
+  constructor(root, source, config) {
+    this.root = root;
+    this.source = source;
+    this.config = config;
+    /** @type {OwnClaim[]} */
+    this.ownClaims = [];
+  }
+
+  get claimEndpoint() {
+    return this.config.registryClaimEndpoint || EXP_DEFAULTS.API.REGISTRY_CLAIM;
+  }
+
+  loadOwnClaims() {
     try {
-      const raw = localStorage.getItem(EXP_DEFAULTS.STORAGE.REGISTRY);
-      if (!raw) return;
-      const parsed = JSON.parse(raw);
-      if (Array.isArray(parsed)) this.items = parsed;
+      const raw = localStorage.getItem(EXP_DEFAULTS.STORAGE.REGISTRY_CLAIMS);
+      const parsed = raw ? JSON.parse(raw) : [];
+      if (Array.isArray(parsed)) this.ownClaims = parsed;
     } catch (err) {
-      console.error('[experience:registry] load error', err);
+      console.error('[experience:shared_registry] claim load error', err);
     }
   }
 
-  save() {
+  saveOwnClaims() {
     try {
-      localStorage.setItem(EXP_DEFAULTS.STORAGE.REGISTRY, JSON.stringify(this.items));
+      localStorage.setItem(EXP_DEFAULTS.STORAGE.REGISTRY_CLAIMS, JSON.stringify(this.ownClaims));
     } catch (err) {
-      console.error('[experience:registry] save error', err);
+      console.error('[experience:shared_registry] claim save error', err);
     }
   }
 
-  /** @param {PlannerBundle[]|null} bundles */
-  syncFromBundles(bundles) {
-    if (!bundles || !bundles.length) return;
-    if (this.items.length > 0) return; // don't overwrite user list
+  /**
+   * Reads a share id or a legacy inline payload from the page URL.
+   * @param {Location} location
+   * @returns {SharedRegistrySource|null}
+   */
+  static sourceFromLocation(location) {
+    const params = new URLSearchParams(location.search);
+    const shareId = params.get('share');
+    if (shareId) return { shareId };
 
-    bundles.forEach((b) => {
-      this.items.push({
-        id: `bundle-${b.id}`,
-        name: b.name,
-        note: b.description || b.price || '',
-        url: b.href,
-        sourceBundleId: b.id
-      });
-    });
-    this.save();
-    this.render();
+    const legacy = params.get('registry');
+    if (!legacy) return null;
+    try {
+      const parsed = JSON.parse(legacy);
+      return Array.isArray(parsed) ? { items: parsed } : null;
+    } catch (err) {
+      console.error('[experience:shared_registry] legacy payload error', err);
+      return null;
+    }
   }
 
-  /** @param {SubmitEvent} event */
-  handleAdd(event) {
-    event.preventDefault();
-    const fd = new FormData(this.form);
-    const name = String(fd.get('name') || '').trim();
-    const note = String(fd.get('note') || '').trim();
-    const url = String(fd.get('url') || '').trim();
-    if (!name) return;
+  async init() {
+    this.root.hidden = false;
+    this.root.className = EXP_DEFAULTS.CSS.SHARED_REGISTRY;
+    this.renderMessage(EXP_DEFAULTS.TEXT.SHARED_REGISTRY_LOADING);
 
-    const item = /** @type {RegistryItem} */ ({
-      id: `custom-${Date.now()}-${Math.random().toString(16).slice(2)}`,
-      name,
-      note: note || undefined,
-      url: url || undefined
-    });
+    if (!this.source.shareId) {
+      this.render(EXP_DEFAULTS.TEXT.SHARED_REGISTRY_TITLE, this.source.items || []);
+      this.config.events?.publish('shared_registry_view', { legacy: true });
+      return;
+    }
 
-    this.items.push(item);
-    this.save();
-    this.form.reset();
-    this.render();
-    this.config.onEvent?.('registry_item_added', { item });
+    this.loadOwnClaims();
+    try {
+      await this.reload();
+      this.config.events?.publish('shared_registry_view', { id: this.source.shareId });
+    } catch (err) {
+      console.error('[experience:shared_registry] load error', err);
+      // @ts-ignore
+      const gone = err.status === 404 || err.status === 410;
+      this.renderMessage(
+        gone ? EXP_DEFAULTS.TEXT.SHARED_REGISTRY_GONE : EXP_DEFAULTS.TEXT.SHARED_REGISTRY_ERROR
+      );
+      this.config.events?.publish('shared_registry_error', err);
+    }
   }
 
-  render() {
-    this.listEl.innerHTML = '';
-    if (this.items.length === 0) {
-      this.listEl.textContent = EXP_DEFAULTS.TEXT.REGISTRY_EMPTY;
+  async reload() {
+    const endpoint = this.config.registryShareEndpoint || EXP_DEFAULTS.API.REGISTRY_SHARE;
+    /** @type {{ title?: string, items?: Array<RegistryItem & RegistryItemCounts> }} */
+    const data = await jsonFetch(`${endpoint}?id=${encodeURIComponent(this.source.shareId || '')}`);
+    this.title = data.title || EXP_DEFAULTS.TEXT.SHARED_REGISTRY_TITLE;
+    this.render(this.title, data.items || []);
+  }
+
+  /** @param {string} text */
+  renderMessage(text) {
+    this.root.innerHTML = '';
+    this.root.appendChild(createEl('p', { textContent: text }));
+  }
+
+  /**
+   * @param {string} title
+   * @param {unknown[]} rawItems
+   */
+  render(title, rawItems) {
+    this.root.innerHTML = '';
+    const items = rawItems.filter(
+      (item) => item && typeof item === 'object' && typeof item.name === 'string' && item.name
+    );
+
+    // Claiming needs a server-side share; legacy ?registry= links stay read-only.
+    const claimable = Boolean(this.source.shareId);
+
+    const heading = createEl('h2', { id: 'shared-registry-heading', tabIndex: -1 }, [title]);
+    const notice = createEl('p', { className: EXP_DEFAULTS.CSS.STATUS_NEUTRAL }, [
+      claimable ? EXP_DEFAULTS.TEXT.SHARED_REGISTRY_CLAIM_HINT : EXP_DEFAULTS.TEXT.SHARED_REGISTRY_READ_ONLY
+    ]);
+    this.root.append(heading, notice);
+
+    if (!items.length) {
+      this.root.appendChild(createEl('p', { textContent: EXP_DEFAULTS.TEXT.SHARED_REGISTRY_EMPTY }));
       return;
     }
 
-    const ul = createEl('ul');
-    this.items.forEach((item) => {
-      const removeBtn = createEl(
-        'button',
-        {
-          type: 'button',
-          onclick: () => {
-            this.items = this.items.filter((i) => i.id !== item.id);
-            this.save();
-            this.render();
-            this.config.onEvent?.('registry_item_removed', { item });
-          }
-        },
-        ['Remove']
-      );
-
+    const ul = createEl('ul', { 'aria-labelledby': 'shared-registry-heading' });
+    items.forEach((item) => {
       /** @type {(Node|string)[]} */
       const content = [
         createEl('span', { className: EXP_DEFAULTS.CSS.REGISTRY_ITEM }, [
-          createEl('strong', {}, [item.name])
+          createEl('strong', {}, [String(item.name)])
         ])
       ];
-      if (item.note) content.push(' – ' + item.note);
-      if (item.url) {
-        const link = createEl('a', {
-          href: item.url,
+      if (typeof item.note === 'string' && item.note) content.push(' – ' + item.note);
+      /** @type {string[]} */
+      const details = [];
+      if (item.priority === 'high') details.push(REGISTRY_PRIORITY_LABELS.high);
+      if (typeof item.category === 'string' && item.category) details.push(item.category);
+      if (typeof item.price === 'number') details.push(formatPrice(item.price));
+      if (details.length) content.push(` (${details.join(' · ')})`);
+      const href = safeHttpUrl(item.url);
+      if (href) {
+        content.push(' ', createEl('a', {
+          href,
           target: '_blank',
           rel: 'noopener noreferrer',
           textContent: 'View'
-        });
-        content.push(' ', link);
+        }));
+      }
+      if (claimable && typeof item.needed === 'number') {
+        content.push(this.renderClaimControls(/** @type {RegistryItem & RegistryItemCounts} */ (item)));
       }
-      content.push(' ', removeBtn);
-
       ul.appendChild(createEl('li', {}, content));
     });
+    this.root.appendChild(ul);
+  }
 
-    this.listEl.appendChild(ul);
+  /**
+   * Remaining count, the claim form and this visitor's own claims for one item.
+   * @param {RegistryItem & RegistryItemCounts} item
+   * @returns {HTMLElement}
+   */
+  renderClaimControls(item) {
+    const wrap = createEl('div', { className: EXP_DEFAULTS.CSS.SHARED_REGISTRY_CLAIM });
+
+    const summary = item.remaining > 0
+      ? `${item.remaining} of ${item.needed} still needed`
+      : EXP_DEFAULTS.TEXT.SHARED_REGISTRY_FULLY_CLAIMED;
+    wrap.appendChild(createEl('p', { textContent: summary }));
+
+    this.ownClaims
+      .filter((own) => own.shareId === this.source.shareId && own.itemId === item.id)
+      .forEach((own) => {
+        /** @type {(Node|string)[]} */
+        const row = [`You ${own.status === 'purchased' ? 'bought' : 'reserved'} ${own.quantity}. `];
+        if (own.status !== 'purchased') {
+          row.push(createEl('button', {
+            type: 'button',
+            onclick: () => this.updateOwnClaim(own, 'purchased')
+          }, ['Mark purchased']), ' ');
+        }
+        row.push(createEl('button', {
+          type: 'button',
+          onclick: () => this.updateOwnClaim(own, null)
+        }, ['Cancel']));
+        wrap.appendChild(createEl('p', {}, row));
+      });
+
+    if (item.remaining <= 0) return wrap;
+
+    const status = createEl('p', { className: EXP_DEFAULTS.CSS.STATUS_NEUTRAL, 'aria-live': 'polite' });
+    const form = createEl('form', {}, [
+      createEl('label', {}, ['Your name ', createEl('input', { name: 'name', maxLength: 80 })]),
+      createEl('label', {}, ['Message ', createEl('input', { name: 'message', maxLength: 280 })]),
+      createEl('label', {}, [
+        'How many ',
+        createEl('input', {
+          name: 'quantity',
+          type: 'number',
+          min: '1',
+          max: String(item.remaining),
+          value: '1'
+        })
+      ]),
+      createEl('label', {}, [
+        createEl('input', { name: 'purchased', type: 'checkbox' }),
+        ' Already bought it'
+      ]),
+      createEl('button', { type: 'submit' }, ['Save']),
+      status
+    ]);
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.claim(item, /** @type {HTMLFormElement} */ (form), status);
+    });
+
+    wrap.appendChild(createEl('details', {}, [
+      createEl('summary', { textContent: EXP_DEFAULTS.TEXT.SHARED_REGISTRY_CLAIM }),
+      form
+    ]));
+    return wrap;
   }
 
-  async handleShare() {
-    try {
-      let shareUrl = '';
+  /**
+   * @param {RegistryItem & RegistryItemCounts} item
+   * @param {HTMLFormElement} form
+   * @param {HTMLElement} statusEl
+   */
+  async claim(item, form, statusEl) {
+    const fd = new FormData(form);
+    const quantity = Math.max(1, Math.floor(Number(fd.get('quantity')) || 1));
+    const status = fd.get('purchased') ? 'purchased' : 'reserved';
+    const shareId = this.source.shareId || '';
 
-      if (this.config.registryShareEndpoint) {
-        const res = await jsonFetch(this.config.registryShareEndpoint, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ items: this.items })
-        });
-        // @ts-ignore
-        shareUrl = String(res.url || '');
+    try {
+      /** @type {{ claim: RegistryClaimInfo, claimKey: string, share: { items: unknown[] } }} */
+      const res = await jsonFetch(`${this.claimEndpoint}?id=${encodeURIComponent(shareId)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          itemId: item.id,
+          quantity,
+          status,
+          name: String(fd.get('name') || '').trim() || undefined,
+          message: String(fd.get('message') || '').trim() || undefined
+        })
+      });
+      this.ownClaims.push({
+        shareId,
+        claimId: res.claim.id,
+        claimKey: res.claimKey,
+        itemId: String(item.id),
+        quantity: res.claim.quantity,
+        status: res.claim.status
+      });
+      this.saveOwnClaims();
+      this.render(this.title || EXP_DEFAULTS.TEXT.SHARED_REGISTRY_TITLE, res.share.items || []);
+      this.config.events?.publish('shared_registry_claim', { id: shareId, itemId: item.id, quantity, status });
+    } catch (err) {
+      console.error('[experience:shared_registry] claim error', err);
+      // @ts-ignore
+      if (err.status === 409) {
+        await this.reload().catch(() => {});
+        alert(EXP_DEFAULTS.TEXT.SHARED_REGISTRY_CLAIM_TAKEN);
+        return;
       }
+      setStatusEl(statusEl, EXP_DEFAULTS.TEXT.SHARED_REGISTRY_CLAIM_ERROR, true);
+    }
+  }
 
-      if (!shareUrl) {
-        const encoded = encodeURIComponent(JSON.stringify(this.items));
-        shareUrl = `${window.location.origin}${window.location.pathname}?registry=${encoded}`;
+  /**
+   * Marks one of this visitor's claims as purchased, or cancels it (`null`).
+   * @param {OwnClaim} own
+   * @param {'purchased'|null} status
+   */
+  async updateOwnClaim(own, status) {
+    const url = `${this.claimEndpoint}?id=${encodeURIComponent(own.shareId)}&claim=${encodeURIComponent(own.claimId)}`;
+    try {
+      /** @type {{ share: { items: unknown[] } }} */
+      const res = await jsonFetch(url, {
+        method: status ? 'PATCH' : 'DELETE',
+        headers: { 'Content-Type': 'application/json', 'X-Claim-Key': own.claimKey },
+        body: status ? JSON.stringify({ status }) : undefined
+      });
+      if (status) {
+        own.status = status;
+      } else {
+        this.ownClaims = this.ownClaims.filter((c) => c !== own);
       }
-
-      await navigator.clipboard?.writeText(shareUrl);
-      alert(EXP_DEFAULTS.TEXT.REGISTRY_SHARE_OK);
-      this.config.onEvent?.('registry_share', { url: shareUrl });
+      this.saveOwnClaims();
+      this.render(this.title || EXP_DEFAULTS.TEXT.SHARED_REGISTRY_TITLE, res.share.items || []);
+      this.config.events?.publish('shared_registry_claim_update', { id: own.shareId, claim: own.claimId, status });
     } catch (err) {
-      console.error('[experience:registry] share error', err);
-      alert(EXP_DEFAULTS.TEXT.REGISTRY_SHARE_ERROR);
-      this.config.onEvent?.('registry_share_error', err);
+      console.error('[experience:shared_registry] claim update error', err);
+      // @ts-ignore
+      if (err.status === 404) {
+        this.ownClaims = this.ownClaims.filter((c) => c !== own);
+        this.saveOwnClaims();
+        await this.reload().catch(() => {});
+        return;
+      }
+      alert(EXP_DEFAULTS.TEXT.SHARED_REGISTRY_CLAIM_ERROR);
     }
   }
 }
@@ -591,6 +3010,7 @@ class MilestoneTracker {
     if (this.addBtn) {
       this.addBtn.addEventListener('click', () => this.addMilestone());
     }
+    this.config.events?.subscribe('plan_success', ({ plan }) => this.syncFromPlan(plan));
   }
 
   load() {
@@ -641,7 +3061,7 @@ class MilestoneTracker {
           m.done = !m.done;
           this.save();
           this.render();
-          this.config.onEvent?.('milestone_toggled', { milestone: m });
+          this.config.events?.publish('milestone_toggled', { milestone: m });
         }
       });
 
@@ -653,9 +3073,13 @@ class MilestoneTracker {
     });
   }
 
-  addMilestone() {
-    const label = window.prompt('Describe your new milestone:');
-    if (!label) return;
+  /**
+   * @param {string} [presetLabel]  skips the prompt (chat assistant actions)
+   * @returns {Milestone|null}
+   */
+  addMilestone(presetLabel) {
+    const label = presetLabel || window.prompt('Describe your new milestone:');
+    if (!label || !label.trim()) return null;
     const m = /** @type {Milestone} */ ({
       id: `custom-${Date.now()}`,
       label: label.trim(),
@@ -664,7 +3088,8 @@ class MilestoneTracker {
     this.milestones.push(m);
     this.save();
     this.render();
-    this.config.onEvent?.('milestone_added', { milestone: m });
+    this.config.events?.publish('milestone_added', { milestone: m });
+    return m;
   }
 }
 
@@ -672,68 +3097,335 @@ class MilestoneTracker {
 /* Price alert subscriptions                                                  */
 /* ========================================================================== */
 
-class PriceAlerts {
+class PriceAlerts {
+  /**
+   * @param {HTMLFormElement} form
+   * @param {ExperienceConfig} config
+   */
+  constructor(form, config) {
+    this.form = form;
+    this.config = config;
+    /** @type {HTMLElement|null} */
+    this.statusEl = form.querySelector('[data-role="status"]');
+    /** @type {PlannerBundle[]|null} */
+    this.latestBundles = null;
+  }
+
+  init() {
+    this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+
+    const manageBtn = createEl(
+      'button',
+      { type: 'button', onclick: () => this.requestManageLink() },
+      [EXP_DEFAULTS.TEXT.PRICE_ALERT_MANAGE]
+    );
+    this.form.appendChild(manageBtn);
+    this.config.events?.subscribe('bundles_success', ({ bundles }) => this.syncFromBundles(bundles));
+  }
+
+  get endpoint() {
+    return this.config.priceAlertEndpoint || EXP_DEFAULTS.API.PRICE_ALERT;
+  }
+
+  /** @param {PlannerBundle[]|null} bundles */
+  syncFromBundles(bundles) {
+    this.latestBundles = bundles;
+  }
+
+  /** Asks the server to email a "my alerts" link to the address in the form. */
+  async requestManageLink() {
+    const email = String(new FormData(this.form).get('email') || '').trim();
+    if (!email) {
+      setStatusEl(this.statusEl, EXP_DEFAULTS.TEXT.PRICE_ALERT_MANAGE_NEED_EMAIL, true);
+      return;
+    }
+    try {
+      await jsonFetch(this.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'manage_link', email })
+      });
+      setStatusEl(this.statusEl, EXP_DEFAULTS.TEXT.PRICE_ALERT_MANAGE_SENT, false);
+      this.config.events?.publish('price_alert_manage_link', {});
+    } catch (err) {
+      console.error('[experience:price_alert] manage link error', err);
+      setStatusEl(this.statusEl, EXP_DEFAULTS.TEXT.PRICE_ALERT_ERROR, true);
+    }
+  }
+
+  buildPayload() {
+    const fd = new FormData(this.form);
+    /** @type {Record<string, unknown>} */
+    const payload = {};
+    fd.forEach((value, key) => {
+      payload[key] = value;
+    });
+
+    if (this.latestBundles) {
+      payload.bundles = this.latestBundles.map((b) => ({
+        id: b.id,
+        name: b.name,
+        price: b.price
+      }));
+    }
+
+    return payload;
+  }
+
+  /**
+   * What to tell the user after subscribing: new addresses still have to
+   * click the emailed confirmation link.
+   * @param {{ alerts?: Array<{ status: string }> }} data
+   */
+  static resultText(data) {
+    return (data.alerts || []).some((a) => a.status === 'pending')
+      ? EXP_DEFAULTS.TEXT.PRICE_ALERT_CONFIRM
+      : EXP_DEFAULTS.TEXT.PRICE_ALERT_OK;
+  }
+
+  /**
+   * Subscribes to one product without going through the form (chat
+   * assistant actions). Uses the form's email, asking for one if it's empty.
+   * @param {{ productId?: string, name?: string, targetPrice?: number, dropPercent?: number }} request
+   * @returns {Promise<string>} message for the user; empty when they gave no email
+   */
+  async subscribe(request) {
+    let email = String(new FormData(this.form).get('email') || '').trim();
+    if (!email) email = (window.prompt(EXP_DEFAULTS.TEXT.PRICE_ALERT_EMAIL_PROMPT) || '').trim();
+    if (!email) return '';
+
+    const bundle = this.latestBundles?.find(
+      (b) => (request.productId && String(b.id) === request.productId) || b.name === request.name
+    );
+    const payload = {
+      email,
+      targetPrice: request.targetPrice,
+      dropPercent: request.dropPercent,
+      bundles: [
+        bundle
+          ? { id: bundle.id, name: bundle.name, price: bundle.price }
+          : { id: request.productId || request.name, name: request.name }
+      ]
+    };
+    const data = await jsonFetch(this.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+    this.config.events?.publish('price_alert_created', { payload });
+    return PriceAlerts.resultText(data);
+  }
+
+  /** @param {SubmitEvent} event */
+  async handleSubmit(event) {
+    event.preventDefault();
+    const payload = this.buildPayload();
+    setStatusEl(this.statusEl, EXP_DEFAULTS.TEXT.PRICE_ALERT_LOADING, false);
+
+    try {
+      const data = await jsonFetch(this.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      setStatusEl(this.statusEl, PriceAlerts.resultText(data), false);
+      this.form.reset();
+      this.config.events?.publish('price_alert_created', { payload });
+    } catch (err) {
+      console.error('[experience:price_alert] error', err);
+      setStatusEl(this.statusEl, EXP_DEFAULTS.TEXT.PRICE_ALERT_ERROR, true);
+      this.config.events?.publish('price_alert_error', err);
+    }
+  }
+}
+
+/* ========================================================================== */
+/* My price alerts (opened from the link in alert emails)                     */
+/* ========================================================================== */
+
+/**
+ * @typedef {Object} ManagedPriceAlert
+ * @property {string} id
+ * @property {string} productName
+ * @property {string} [url]
+ * @property {string} currency
+ * @property {number|null} targetPrice
+ * @property {number|null} dropPercent
+ * @property {number|null} baselinePrice
+ * @property {number|null} lastPrice
+ * @property {'active'|'unsubscribed'} status
+ * @property {{ amount: number, observedAt: string }[]} [history]
+ */
+
+class PriceAlertManager {
   /**
-   * @param {HTMLFormElement} form
+   * @param {HTMLElement} root
+   * @param {string} token        manage token from the email link
    * @param {ExperienceConfig} config
    */
-  constructor(form, config) {
-    this.form = form;
+  constructor(root, token, config) {
+    this.root = root;
+    this.token = token;
     this.config = config;
-    /** @type {HTMLElement|null} */
-    this.statusEl = form.querySelector('[data-role="status"]');
-    /** @type {PlannerBundle[]|null} */
-    this.latestBundles = null;
   }
 
-  init() {
-    this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+  /**
+   * @param {Location} location
+   * @returns {string|null}
+   */
+  static tokenFromLocation(location) {
+    return new URLSearchParams(location.search).get('alerts');
   }
 
-  /** @param {PlannerBundle[]|null} bundles */
-  syncFromBundles(bundles) {
-    this.latestBundles = bundles;
+  get endpoint() {
+    return this.config.priceAlertEndpoint || EXP_DEFAULTS.API.PRICE_ALERT;
   }
 
-  buildPayload() {
-    const fd = new FormData(this.form);
-    /** @type {Record<string, unknown>} */
-    const payload = {};
-    fd.forEach((value, key) => {
-      payload[key] = value;
-    });
+  /** @param {string} [id] */
+  urlFor(id) {
+    const params = new URLSearchParams({ token: this.token });
+    if (id) params.set('id', id);
+    return `${this.endpoint}?${params}`;
+  }
 
-    if (this.latestBundles) {
-      payload.bundles = this.latestBundles.map((b) => ({
-        id: b.id,
-        name: b.name,
-        price: b.price
-      }));
+  async init() {
+    this.root.hidden = false;
+    this.root.className = EXP_DEFAULTS.CSS.PRICE_ALERT_MANAGER;
+    this.renderMessage(EXP_DEFAULTS.TEXT.MY_ALERTS_LOADING);
+    await this.reload();
+  }
+
+  async reload() {
+    try {
+      /** @type {{ alerts: ManagedPriceAlert[] }} */
+      const data = await jsonFetch(this.urlFor());
+      this.render(data.alerts || []);
+      this.config.events?.publish('price_alert_manage_view', { count: (data.alerts || []).length });
+    } catch (err) {
+      console.error('[experience:price_alert_manager] load error', err);
+      this.renderMessage(EXP_DEFAULTS.TEXT.MY_ALERTS_ERROR);
     }
+  }
 
-    return payload;
+  /** @param {string} text */
+  renderMessage(text) {
+    this.root.innerHTML = '';
+    this.root.appendChild(createEl('p', { textContent: text }));
   }
 
-  /** @param {SubmitEvent} event */
-  async handleSubmit(event) {
-    event.preventDefault();
-    const payload = this.buildPayload();
-    setStatusEl(this.statusEl, EXP_DEFAULTS.TEXT.PRICE_ALERT_LOADING, false);
+  /** @param {ManagedPriceAlert[]} alerts */
+  render(alerts) {
+    this.root.innerHTML = '';
+    this.root.appendChild(
+      createEl('h2', { id: 'my-alerts-heading', tabIndex: -1 }, [EXP_DEFAULTS.TEXT.MY_ALERTS_TITLE])
+    );
+    if (!alerts.length) {
+      this.root.appendChild(createEl('p', { textContent: EXP_DEFAULTS.TEXT.MY_ALERTS_EMPTY }));
+      return;
+    }
+
+    const ul = createEl('ul', { 'aria-labelledby': 'my-alerts-heading' });
+    alerts.forEach((alert) => ul.appendChild(this.renderAlert(alert)));
+    this.root.appendChild(ul);
+  }
+
+  /**
+   * @param {ManagedPriceAlert} alert
+   * @returns {HTMLElement}
+   */
+  renderAlert(alert) {
+    /** @param {number|null|undefined} amount */
+    const money = (amount) =>
+      typeof amount === 'number'
+        ? amount.toLocaleString(undefined, { style: 'currency', currency: alert.currency })
+        : '–';
+
+    /** @type {(Node|string)[]} */
+    const heading = [createEl('strong', {}, [alert.productName])];
+    const href = safeHttpUrl(alert.url);
+    if (href) {
+      heading.push(' ', createEl('a', { href, target: '_blank', rel: 'noopener noreferrer' }, ['View']));
+    }
+    if (alert.status === 'pending') heading.push(' (not confirmed yet)');
+    else if (alert.status !== 'active') heading.push(' (stopped)');
+
+    const history = (alert.history || []).slice(-6).map((point) => money(point.amount));
+    const prices = `Was ${money(alert.baselinePrice)}, now ${money(alert.lastPrice)}`
+      + (history.length > 1 ? ` · recent: ${history.join(' → ')}` : '');
+
+    const status = createEl('p', { className: EXP_DEFAULTS.CSS.STATUS_NEUTRAL, 'aria-live': 'polite' });
+    const target = createEl('input', {
+      type: 'number',
+      min: '0',
+      step: '0.01',
+      value: alert.targetPrice != null ? String(alert.targetPrice) : '',
+      'aria-label': `Target price for ${alert.productName}`
+    });
+    const drop = createEl('input', {
+      type: 'number',
+      min: '1',
+      max: '99',
+      value: alert.dropPercent != null ? String(alert.dropPercent) : '',
+      'aria-label': `Percentage drop for ${alert.productName}`
+    });
+
+    const save = createEl('button', {
+      type: 'button',
+      onclick: () => this.update(alert, { targetPrice: target.value || null, dropPercent: drop.value || null }, status)
+    }, ['Save']);
+    const toggle = alert.status === 'active'
+      ? createEl('button', { type: 'button', onclick: () => this.stop(alert, status) }, ['Stop alert'])
+      : createEl('button', {
+        type: 'button',
+        onclick: () => this.update(alert, { status: 'active' }, status)
+      }, [alert.status === 'pending' ? 'Turn on' : 'Turn back on']);
+
+    return createEl('li', {}, [
+      createEl('p', {}, heading),
+      createEl('p', { textContent: prices }),
+      createEl('label', {}, [`Alert me at or below (${alert.currency}) `, target]),
+      ' ',
+      createEl('label', {}, ['or when it drops by % ', drop]),
+      ' ',
+      save,
+      ' ',
+      toggle,
+      status
+    ]);
+  }
 
+  /**
+   * @param {ManagedPriceAlert} alert
+   * @param {Record<string, unknown>} changes
+   * @param {HTMLElement} statusEl
+   */
+  async update(alert, changes, statusEl) {
     try {
-      const endpoint = this.config.priceAlertEndpoint || EXP_DEFAULTS.API.PRICE_ALERT;
-      await jsonFetch(endpoint, {
-        method: 'POST',
+      await jsonFetch(this.urlFor(alert.id), {
+        method: 'PATCH',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
+        body: JSON.stringify(changes)
       });
-      setStatusEl(this.statusEl, EXP_DEFAULTS.TEXT.PRICE_ALERT_OK, false);
-      this.form.reset();
-      this.config.onEvent?.('price_alert_created', { payload });
+      this.config.events?.publish('price_alert_updated', { id: alert.id });
+      await this.reload();
     } catch (err) {
-      console.error('[experience:price_alert] error', err);
-      setStatusEl(this.statusEl, EXP_DEFAULTS.TEXT.PRICE_ALERT_ERROR, true);
-      this.config.onEvent?.('price_alert_error', err);
+      console.error('[experience:price_alert_manager] update error', err);
+      setStatusEl(statusEl, EXP_DEFAULTS.TEXT.MY_ALERTS_UPDATE_ERROR, true);
+    }
+  }
+
+  /**
+   * @param {ManagedPriceAlert} alert
+   * @param {HTMLElement} statusEl
+   */
+  async stop(alert, statusEl) {
+    try {
+      await jsonFetch(this.urlFor(alert.id), { method: 'DELETE' });
+      this.config.events?.publish('price_alert_unsubscribed', { id: alert.id });
+      await this.reload();
+    } catch (err) {
+      console.error('[experience:price_alert_manager] unsubscribe error', err);
+      setStatusEl(statusEl, EXP_DEFAULTS.TEXT.MY_ALERTS_UPDATE_ERROR, true);
     }
   }
 }
@@ -758,6 +3450,7 @@ class ReviewForm {
 
   init() {
     this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+    this.config.events?.subscribe('bundles_success', ({ bundles }) => this.syncFromBundles(bundles));
   }
 
   /** @param {PlannerBundle[]|null} bundles */
@@ -779,14 +3472,21 @@ class ReviewForm {
     try {
       const endpoint = this.config.reviewEndpoint || EXP_DEFAULTS.API.REVIEW;
       const res = await fetch(endpoint, { method: 'POST', body: fd });
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        // 4xx messages explain what to fix (rating, photo type/size); keep them.
+        const err = new Error(res.status < 500 && data.message ? data.message : `HTTP ${res.status}`);
+        err.status = res.status;
+        throw err;
+      }
       setStatusEl(this.statusEl, EXP_DEFAULTS.TEXT.REVIEW_OK, false);
       this.form.reset();
-      this.config.onEvent?.('review_submitted', {});
+      this.config.events?.publish('review_submitted', {});
     } catch (err) {
       console.error('[experience:review] error', err);
-      setStatusEl(this.statusEl, EXP_DEFAULTS.TEXT.REVIEW_ERROR, true);
-      this.config.onEvent?.('review_error', err);
+      const fixable = err.status && err.status < 500 && !/^HTTP /.test(err.message);
+      setStatusEl(this.statusEl, fixable ? err.message : EXP_DEFAULTS.TEXT.REVIEW_ERROR, true);
+      this.config.events?.publish('review_error', err);
     }
   }
 }
@@ -795,25 +3495,90 @@ class ReviewForm {
 /* AI live chat widget                                                        */
 /* ========================================================================== */
 
+/** Thrown by action handlers when the action can't apply here; its message is shown as-is. */
+class ActionUnavailableError extends Error {}
+
+/**
+ * Random key that identifies this browser to the conversation sync endpoint.
+ * @returns {string}
+ */
+function getChatKey() {
+  try {
+    let key = localStorage.getItem(EXP_DEFAULTS.STORAGE.CHAT_KEY);
+    if (!key) {
+      const bytes = crypto.getRandomValues(new Uint8Array(24));
+      key = Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+      localStorage.setItem(EXP_DEFAULTS.STORAGE.CHAT_KEY, key);
+    }
+    return key;
+  } catch {
+    return '';
+  }
+}
+
+/** @returns {ChatConversation} */
+function newChatConversation() {
+  const now = new Date().toISOString();
+  return {
+    id: `chat-${Date.now().toString(36)}-${Math.random().toString(16).slice(2, 8)}`,
+    title: '',
+    createdAt: now,
+    updatedAt: now,
+    messages: [],
+    summarizedUpTo: 0
+  };
+}
+
 class ChatWidget {
   /**
    * @param {HTMLElement} root
    * @param {ExperienceConfig} config
+   * @param {ChatHooks} [hooks]
    */
-  constructor(root, config) {
+  constructor(root, config, hooks = {}) {
     this.root = root;
     this.config = config;
-    /** @type {ChatMessage[]} */
-    this.history = [];
+    this.hooks = hooks;
+    /** @type {ChatConversation[]} newest first */
+    this.conversations = [];
+    this.activeId = '';
     /** @type {PlannerStepData|null} */
     this.latestPlan = null;
     /** @type {PlannerBundle[]|null} */
     this.latestBundles = null;
     this.loading = false;
+    /** @type {AbortController|null} in-flight reply, if any */
+    this.abortController = null;
+    /** @type {HTMLButtonElement|null} */
+    this.stopBtn = null;
+    /** @type {HTMLElement|null} set while the chat is open */
+    this.messagesEl = null;
+    /** @type {HTMLElement|null} */
+    this.conversationsEl = null;
   }
 
   init() {
+    this.load();
     this.renderLauncher();
+    if (this.config.chatSync) this.pullRemote();
+    this.config.events?.subscribe('plan_success', ({ plan }) => this.syncPlan(plan));
+    this.config.events?.subscribe('bundles_success', ({ bundles }) => this.syncBundles(bundles));
+  }
+
+  /** @returns {ChatConversation} */
+  get active() {
+    let conversation = this.conversations.find((c) => c.id === this.activeId);
+    if (!conversation) {
+      conversation = newChatConversation();
+      this.conversations.unshift(conversation);
+      this.activeId = conversation.id;
+    }
+    return conversation;
+  }
+
+  /** Messages of the active conversation, oldest first. */
+  get history() {
+    return this.active.messages;
   }
 
   /** @param {PlannerStepData|null} plan */
@@ -826,7 +3591,163 @@ class ChatWidget {
     this.latestBundles = bundles;
   }
 
+  /* ---------------------------------------------------------------------- */
+  /* Persistence                                                            */
+  /* ---------------------------------------------------------------------- */
+
+  load() {
+    try {
+      const raw = localStorage.getItem(EXP_DEFAULTS.STORAGE.CHAT_CONVERSATIONS);
+      const parsed = raw ? JSON.parse(raw) : null;
+      if (parsed && Array.isArray(parsed.conversations)) {
+        this.conversations = parsed.conversations.filter((c) => c && c.id && Array.isArray(c.messages));
+        this.activeId = String(parsed.activeId || '');
+      }
+    } catch (err) {
+      console.error('[experience:chat] load error', err);
+    }
+  }
+
+  save() {
+    // Empty conversations are only worth keeping while they are open.
+    this.conversations = this.conversations
+      .filter((c) => c.messages.length || c.id === this.activeId)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .slice(0, EXP_DEFAULTS.CHAT.MAX_CONVERSATIONS);
+    try {
+      localStorage.setItem(
+        EXP_DEFAULTS.STORAGE.CHAT_CONVERSATIONS,
+        JSON.stringify({ activeId: this.activeId, conversations: this.conversations })
+      );
+    } catch (err) {
+      console.error('[experience:chat] save error', err);
+    }
+  }
+
+  get conversationsEndpoint() {
+    return this.config.chatConversationsEndpoint || EXP_DEFAULTS.API.CHAT_CONVERSATIONS;
+  }
+
+  /**
+   * @param {string} id
+   * @param {RequestInit} [options]
+   */
+  remote(id, options = {}) {
+    const query = id ? `?id=${encodeURIComponent(id)}` : '';
+    return jsonFetch(`${this.conversationsEndpoint}${query}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', 'X-Chat-Key': getChatKey(), ...(options.headers || {}) }
+    });
+  }
+
+  /** @param {ChatConversation} conversation */
+  pushRemote(conversation) {
+    if (!this.config.chatSync || !conversation.messages.length) return;
+    if (!this.conversations.includes(conversation)) return; // deleted meanwhile
+    this.remote(conversation.id, { method: 'PUT', body: JSON.stringify(conversation) }).catch((err) => {
+      console.error('[experience:chat] sync error', err);
+    });
+  }
+
+  /** Brings in conversations saved from this browser that are newer on the server. */
+  async pullRemote() {
+    try {
+      /** @type {{ conversations: Array<{ id: string, updatedAt: string }> }} */
+      const { conversations = [] } = await this.remote('');
+      const stale = conversations.filter((entry) => {
+        const local = this.conversations.find((c) => c.id === entry.id);
+        return !local || local.updatedAt < entry.updatedAt;
+      });
+      for (const entry of stale) {
+        /** @type {{ conversation: ChatConversation }} */
+        const { conversation } = await this.remote(entry.id);
+        this.conversations = this.conversations.filter((c) => c.id !== conversation.id).concat(conversation);
+      }
+      if (!stale.length) return;
+      this.save();
+      if (this.messagesEl && !this.loading) {
+        this.renderConversations();
+        this.renderLog();
+      }
+    } catch (err) {
+      console.error('[experience:chat] sync error', err);
+    }
+  }
+
+  /**
+   * Records a message and saves, trimming the oldest messages once the
+   * conversation gets long (those have been folded into the summary by then).
+   * @param {ChatConversation} conversation
+   * @param {ChatMessage} message
+   */
+  record(conversation, message) {
+    conversation.messages.push(message);
+    const excess = conversation.messages.length - EXP_DEFAULTS.CHAT.MAX_STORED_MESSAGES;
+    if (excess > 0) {
+      conversation.messages.splice(0, excess);
+      conversation.summarizedUpTo = Math.max(0, conversation.summarizedUpTo - excess);
+    }
+    if (!conversation.title && message.role === 'user') {
+      conversation.title = message.content.replace(/\s+/g, ' ').slice(0, 60);
+    }
+    conversation.updatedAt = new Date().toISOString();
+    this.save();
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /* Conversations                                                          */
+  /* ---------------------------------------------------------------------- */
+
+  startConversation() {
+    this.cancel();
+    if (!this.active.messages.length) return; // already on a fresh one
+    const conversation = newChatConversation();
+    this.conversations.unshift(conversation);
+    this.activeId = conversation.id;
+    this.save();
+    this.renderConversations();
+    this.renderLog();
+    this.config.events?.publish('chat_conversation_created', { id: conversation.id });
+  }
+
+  /** @param {string} id */
+  switchTo(id) {
+    if (id === this.activeId || !this.conversations.some((c) => c.id === id)) return;
+    this.cancel();
+    this.activeId = id;
+    this.save();
+    this.renderConversations();
+    this.renderLog();
+    this.config.events?.publish('chat_conversation_switched', { id });
+  }
+
+  deleteConversation() {
+    const conversation = this.active;
+    if (!conversation.messages.length) return;
+    if (!window.confirm(EXP_DEFAULTS.TEXT.CHAT_DELETE_CONFIRM)) return;
+    this.cancel();
+
+    this.conversations = this.conversations.filter((c) => c.id !== conversation.id);
+    this.activeId = this.conversations[0] ? this.conversations[0].id : '';
+    this.save();
+    if (this.config.chatSync) {
+      this.remote(conversation.id, { method: 'DELETE' }).catch((err) => {
+        console.error('[experience:chat] delete error', err);
+      });
+    }
+    this.renderConversations();
+    this.renderLog();
+    this.config.events?.publish('chat_conversation_deleted', { id: conversation.id });
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /* Rendering                                                              */
+  /* ---------------------------------------------------------------------- */
+
   renderLauncher() {
+    this.cancel();
+    this.messagesEl = null;
+    this.conversationsEl = null;
     this.root.innerHTML = '';
     const btn = createEl(
       'button',
@@ -858,12 +3779,15 @@ class ChatWidget {
     );
     header.append(title, closeBtn);
 
+    this.conversationsEl = createEl('div', { className: EXP_DEFAULTS.CSS.CHAT_CONVERSATIONS });
+
     /** @type {HTMLElement} */
     const messagesEl = createEl('div', {
       className: EXP_DEFAULTS.CSS.CHAT_MESSAGES,
       role: 'log',
       'aria-live': 'polite'
     });
+    this.messagesEl = messagesEl;
 
     const form = createEl('form', { className: 'chat-form' });
     const input = createEl('input', {
@@ -874,9 +3798,14 @@ class ChatWidget {
       required: true
     });
     const sendBtn = createEl('button', { type: 'submit' }, ['Send']);
-    form.append(input, sendBtn);
+    this.stopBtn = /** @type {HTMLButtonElement} */ (
+      createEl('button', { type: 'button', className: 'chat-stop', hidden: true, onclick: () => this.cancel() }, [
+        EXP_DEFAULTS.TEXT.CHAT_STOP
+      ])
+    );
+    form.append(input, sendBtn, this.stopBtn);
 
-    container.append(header, messagesEl, form);
+    container.append(header, this.conversationsEl, messagesEl, form);
     this.root.appendChild(container);
 
     closeBtn.addEventListener('click', () => this.renderLauncher());
@@ -890,10 +3819,58 @@ class ChatWidget {
       this.sendMessage(content, messagesEl);
     });
 
-    const initial = this.buildInitialContextMessage();
-    if (initial) {
-      this.appendMessage('assistant', initial, messagesEl);
+    this.renderConversations();
+    this.renderLog();
+  }
+
+  renderConversations() {
+    if (!this.conversationsEl) return;
+    this.conversationsEl.innerHTML = '';
+    const active = this.active;
+
+    const select = createEl(
+      'select',
+      {
+        'aria-label': 'Conversation',
+        onchange: () => this.switchTo(select.value)
+      },
+      this.conversations.map((c) =>
+        createEl('option', { value: c.id, selected: c.id === active.id }, [
+          c.title ? `${c.title} · ${formatShareDate(c.updatedAt)}` : EXP_DEFAULTS.TEXT.CHAT_UNTITLED
+        ])
+      )
+    );
+
+    this.conversationsEl.append(
+      select,
+      createEl('button', { type: 'button', onclick: () => this.startConversation(), disabled: !active.messages.length }, [
+        EXP_DEFAULTS.TEXT.CHAT_NEW
+      ]),
+      createEl('button', { type: 'button', onclick: () => this.deleteConversation(), disabled: !active.messages.length }, [
+        EXP_DEFAULTS.TEXT.CHAT_DELETE
+      ])
+    );
+  }
+
+  /** Rebuilds the message log from the active conversation. */
+  renderLog() {
+    const messagesEl = this.messagesEl;
+    if (!messagesEl) return;
+    messagesEl.innerHTML = '';
+    const { messages, summarizedUpTo } = this.active;
+
+    if (!messages.length) {
+      // Shown, not recorded: the plan and bundles travel with every request anyway.
+      const initial = this.buildInitialContextMessage();
+      if (initial) this.renderBubble('assistant', initial, messagesEl);
+      return;
     }
+    messages.forEach((m, index) => {
+      if (index === summarizedUpTo && index > 0) {
+        messagesEl.appendChild(createEl('p', { className: 'chat-summary-note' }, [EXP_DEFAULTS.TEXT.CHAT_SUMMARIZED]));
+      }
+      this.renderBubble(m.role, m.content, messagesEl);
+    });
   }
 
   buildInitialContextMessage() {
@@ -917,58 +3894,220 @@ class ChatWidget {
    * @param {ChatRole} role
    * @param {string} text
    * @param {HTMLElement} messagesEl
+   * @returns {HTMLElement}
    */
-  appendMessage(role, text, messagesEl) {
+  renderBubble(role, text, messagesEl) {
     const cls =
       role === 'user'
         ? EXP_DEFAULTS.CSS.CHAT_MESSAGE_USER
         : EXP_DEFAULTS.CSS.CHAT_MESSAGE_ASSISTANT;
-    const bubble = createEl('div', { className: cls }, [text]);
+    const bubble = createEl('div', { className: cls });
+    if (role === 'assistant') renderMarkdown(bubble, text);
+    else bubble.textContent = text;
     messagesEl.appendChild(bubble);
     messagesEl.scrollTop = messagesEl.scrollHeight;
-    this.history.push({ role, content: text });
+    return bubble;
+  }
+
+  /**
+   * @param {ChatRole} role
+   * @param {string} text
+   * @param {HTMLElement} messagesEl
+   */
+  appendMessage(role, text, messagesEl) {
+    const isFirst = !this.active.messages.length;
+    if (isFirst) messagesEl.innerHTML = ''; // drop the context preview
+    this.renderBubble(role, text, messagesEl);
+    this.record(this.active, { role, content: text });
+    if (isFirst) this.renderConversations();
+  }
+
+  /**
+   * Suggested changes as chips; nothing happens until one is clicked.
+   * @param {AssistantAction[]} actions
+   * @returns {HTMLElement}
+   */
+  renderActions(actions) {
+    const list = createEl('div', { className: EXP_DEFAULTS.CSS.CHAT_ACTIONS, role: 'group', 'aria-label': 'Suggested changes' });
+
+    actions.forEach((action) => {
+      const chip = createEl('span', { className: 'chat-action' });
+      const status = createEl('span', { className: EXP_DEFAULTS.CSS.STATUS_NEUTRAL, 'aria-live': 'polite' });
+      const applyBtn = /** @type {HTMLButtonElement} */ (createEl('button', { type: 'button' }, [action.label]));
+      const dismissBtn = createEl(
+        'button',
+        {
+          type: 'button',
+          className: 'chat-action-dismiss',
+          'aria-label': EXP_DEFAULTS.TEXT.CHAT_ACTION_DISMISS,
+          onclick: () => {
+            chip.remove();
+            this.config.events?.publish('chat_action_dismissed', { action });
+          }
+        },
+        ['×']
+      );
+
+      applyBtn.addEventListener('click', async () => {
+        if (!this.hooks.applyAction) {
+          setStatusEl(status, EXP_DEFAULTS.TEXT.CHAT_ACTION_UNAVAILABLE, true);
+          return;
+        }
+        applyBtn.disabled = true;
+        try {
+          const confirmation = await this.hooks.applyAction(action);
+          if (!confirmation) {
+            applyBtn.disabled = false; // user backed out (e.g. no email given)
+            return;
+          }
+          setStatusEl(status, confirmation, false);
+          dismissBtn.remove();
+          this.config.events?.publish('chat_action_applied', { action });
+        } catch (err) {
+          console.error('[experience:chat] action error', err);
+          applyBtn.disabled = false;
+          setStatusEl(status, err instanceof ActionUnavailableError ? err.message : EXP_DEFAULTS.TEXT.CHAT_ACTION_FAILED, true);
+          this.config.events?.publish('chat_action_error', { action, error: err });
+        }
+      });
+
+      chip.append(applyBtn, dismissBtn, status);
+      list.appendChild(chip);
+    });
+    return list;
+  }
+
+  /** Stops the reply that is currently streaming, keeping what arrived so far. */
+  cancel() {
+    this.abortController?.abort();
+  }
+
+  /** @param {boolean} loading */
+  setLoading(loading) {
+    this.loading = loading;
+    if (this.stopBtn) this.stopBtn.hidden = !loading;
   }
 
   /**
+   * Streams the reply into a bubble token by token. Falls back to a plain
+   * `{ reply }` JSON body if the endpoint doesn't stream.
+   *
+   * Only messages after the conversation's summary are sent; when the server
+   * folds more of them into the summary it says how many (`summarized`).
    * @param {string} text
    * @param {HTMLElement} messagesEl
    */
   async sendMessage(text, messagesEl) {
-    this.loading = true;
-    const thinking = createEl(
+    this.setLoading(true);
+    const controller = new AbortController();
+    this.abortController = controller;
+    const conversation = this.active;
+    const sentFrom = Math.max(
+      conversation.summarizedUpTo,
+      conversation.messages.length - EXP_DEFAULTS.CHAT.MAX_SENT_MESSAGES
+    );
+
+    const bubble = createEl(
       'div',
       { className: EXP_DEFAULTS.CSS.CHAT_MESSAGE_ASSISTANT },
       [EXP_DEFAULTS.TEXT.CHAT_THINKING]
     );
-    messagesEl.appendChild(thinking);
+    messagesEl.appendChild(bubble);
     messagesEl.scrollTop = messagesEl.scrollHeight;
 
+    let reply = '';
+    /** @type {AssistantAction[]} */
+    let actions = [];
+    /** @type {{ summary?: string|null, summarized?: number }} */
+    let folded = {};
+    const render = () => {
+      renderMarkdown(bubble, reply);
+      messagesEl.scrollTop = messagesEl.scrollHeight;
+    };
+
+    // Give up if the server goes quiet – reset whenever a token arrives.
+    let idleTimer = 0;
+    let timedOut = false;
+    const armIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = window.setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, EXP_DEFAULTS.API.TIMEOUT_MS);
+    };
+
     try {
+      armIdleTimer();
       const endpoint = this.config.chatEndpoint || EXP_DEFAULTS.API.CHAT;
-      /** @type {{reply: string}} */
-      const data = await jsonFetch(endpoint, {
+      const res = await fetch(endpoint, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
         body: JSON.stringify({
           message: text,
-          history: this.history,
+          history: conversation.messages.slice(sentFrom),
+          summary: conversation.summary || undefined,
           context: {
             plan: this.latestPlan,
-            bundles: this.latestBundles
+            bundles: this.latestBundles,
+            registry: (this.hooks.registryItems?.() || []).map(({ id, name, quantity }) => ({ id, name, quantity }))
           }
-        })
+        }),
+        signal: controller.signal
       });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+      if ((res.headers.get('Content-Type') || '').includes('text/event-stream')) {
+        await readEventStream(res, (event, data) => {
+          armIdleTimer();
+          if (event === 'token') {
+            reply += data.text || '';
+            render();
+          } else if (event === 'done' && typeof data.reply === 'string') {
+            reply = data.reply;
+            actions = Array.isArray(data.actions) ? data.actions : [];
+            folded = data;
+            render();
+          } else if (event === 'error') {
+            throw new Error(data.message || 'Stream error');
+          }
+        });
+      } else {
+        const data = await res.json();
+        reply = data.reply || '';
+        actions = Array.isArray(data.actions) ? data.actions : [];
+        folded = data;
+        render();
+      }
 
-      thinking.remove();
-      this.appendMessage('assistant', data.reply || '(no response)', messagesEl);
-      this.config.onEvent?.('chat_message', { history: this.history.slice() });
+      if (!reply) reply = '(no response)';
+      render();
+      if (actions.length) bubble.appendChild(this.renderActions(actions));
+      if (folded.summarized > 0 && typeof folded.summary === 'string') {
+        conversation.summary = folded.summary;
+        conversation.summarizedUpTo = Math.min(sentFrom + folded.summarized, conversation.messages.length);
+      }
+      this.record(conversation, { role: 'assistant', content: reply });
+      this.pushRemote(conversation);
+      this.config.events?.publish('chat_message', { conversationId: conversation.id, history: conversation.messages.slice() });
     } catch (err) {
-      console.error('[experience:chat] error', err);
-      thinking.remove();
-      this.appendMessage('assistant', EXP_DEFAULTS.TEXT.CHAT_ERROR, messagesEl);
-      this.config.onEvent?.('chat_error', err);
+      if (controller.signal.aborted && (reply || !timedOut)) {
+        // Stopped by the user (or timed out part-way): keep what arrived.
+        reply = reply ? `${reply} ${EXP_DEFAULTS.TEXT.CHAT_STOPPED}` : EXP_DEFAULTS.TEXT.CHAT_STOPPED;
+        render();
+        this.record(conversation, { role: 'assistant', content: reply });
+        this.pushRemote(conversation);
+        this.config.events?.publish('chat_cancelled', { conversationId: conversation.id, history: conversation.messages.slice() });
+      } else {
+        console.error('[experience:chat] error', err);
+        bubble.remove();
+        // Shown but not recorded, so a retry isn't confused by it.
+        if (this.activeId === conversation.id) this.renderBubble('assistant', EXP_DEFAULTS.TEXT.CHAT_ERROR, messagesEl);
+        this.config.events?.publish('chat_error', err);
+      }
     } finally {
-      this.loading = false;
+      clearTimeout(idleTimer);
+      if (this.abortController === controller) this.abortController = null;
+      this.setLoading(false);
     }
   }
 }
@@ -1006,12 +4145,12 @@ class SelfEvolutionToggle {
         body: JSON.stringify({ enabled })
       });
 
-      this.config.onEvent?.('self_evolution_toggle', { enabled });
+      this.config.events?.publish('self_evolution_toggle', { enabled });
     } catch (err) {
       console.error('[experience:self_evolution] error', err);
       alert(EXP_DEFAULTS.TEXT.SELF_EVOLUTION_ERROR);
       this.checkbox.checked = !enabled;
-      this.config.onEvent?.('self_evolution_error', err);
+      this.config.events?.publish('self_evolution_error', err);
     }
   }
 }
@@ -1023,16 +4162,27 @@ class SelfEvolutionToggle {
 class ExperienceApp {
   /** @param {ExperienceConfig} config */
   constructor(config) {
-    this.config = config;
+    // @ts-ignore
+    const events = config.events || window.__experienceBus || null;
+    if (!events) console.error('[experience] events.js is not loaded; features will not hear from the planner');
+    this.config = { ...config, events };
+    /** @type {Array<() => boolean>} */
+    this.subscriptions = [];
 
     /** @type {GrokQuiz|null} */
     this.grokQuiz = null;
     /** @type {RegistryBuilder|null} */
     this.registry = null;
+    /** @type {RegistryTransfer|null} */
+    this.registryTransfer = null;
+    /** @type {SharedRegistryView|null} */
+    this.sharedRegistry = null;
     /** @type {MilestoneTracker|null} */
     this.milestones = null;
     /** @type {PriceAlerts|null} */
     this.priceAlerts = null;
+    /** @type {PriceAlertManager|null} */
+    this.priceAlertManager = null;
     /** @type {ReviewForm|null} */
     this.reviewForm = null;
     /** @type {ChatWidget|null} */
@@ -1047,9 +4197,43 @@ class ExperienceApp {
   }
 
   init() {
+    this.wireEvents();
     this.initFeatures();
-    this.wirePlannerEvents(this.config.plannerApp);
-    this.config.onEvent?.('experience_init', {});
+    this.config.events?.publish('experience_init', {});
+  }
+
+  /**
+   * Keeps latestPlan / latestBundles current and forwards every bus event to
+   * the analytics `onEvent` hook. Planner events keep their old envelope,
+   * `planner_event` { stage, detail }.
+   */
+  wireEvents() {
+    const events = this.config.events;
+    if (!events) return;
+    this.subscriptions.push(
+      events.subscribe('plan_success', (/** @type {{ plan: PlannerStepData }} */ { plan }) => {
+        this.latestPlan = plan;
+      }),
+      events.subscribe('bundles_success', (/** @type {{ bundles: PlannerBundle[] }} */ { bundles }) => {
+        this.latestBundles = bundles;
+      })
+    );
+
+    const onEvent = this.config.onEvent;
+    if (onEvent) {
+      this.subscriptions.push(
+        events.subscribe('*', (/** @type {unknown} */ detail, /** @type {{ type: string, source: string }} */ event) => {
+          if (event.source === 'planner') onEvent('planner_event', { stage: event.type, detail });
+          else onEvent(event.type, detail);
+        })
+      );
+    }
+  }
+
+  /** Unsubscribes the app-level listeners (features keep theirs). */
+  destroy() {
+    this.subscriptions.forEach((unsubscribe) => unsubscribe());
+    this.subscriptions = [];
   }
 
   initFeatures() {
@@ -1072,6 +4256,26 @@ class ExperienceApp {
     if (registryRoot) {
       this.registry = new RegistryBuilder(registryRoot, this.config);
       this.registry.init();
+      this.registryTransfer = new RegistryTransfer(this.registry, this.config);
+      this.registryTransfer.init();
+    }
+
+    // Shared registry (visitors opening a share link)
+    const sharedSource = SharedRegistryView.sourceFromLocation(window.location);
+    if (sharedSource) {
+      let sharedRoot = /** @type {HTMLElement|null} */ (
+        document.querySelector(EXP_DEFAULTS.SELECTORS.SHARED_REGISTRY)
+      );
+      if (!sharedRoot) {
+        sharedRoot = createEl('section', {
+          id: EXP_DEFAULTS.SELECTORS.SHARED_REGISTRY.slice(1),
+          'aria-labelledby': 'shared-registry-heading'
+        });
+        const host = document.querySelector('main') || document.body;
+        host.prepend(sharedRoot);
+      }
+      this.sharedRegistry = new SharedRegistryView(sharedRoot, sharedSource, this.config);
+      this.sharedRegistry.init();
     }
 
     // Milestones
@@ -1095,6 +4299,24 @@ class ExperienceApp {
       this.priceAlerts.init();
     }
 
+    // "My alerts" (opened from an alert email)
+    const alertsToken = PriceAlertManager.tokenFromLocation(window.location);
+    if (alertsToken) {
+      let managerRoot = /** @type {HTMLElement|null} */ (
+        document.querySelector(EXP_DEFAULTS.SELECTORS.PRICE_ALERT_MANAGER)
+      );
+      if (!managerRoot) {
+        managerRoot = createEl('section', {
+          id: EXP_DEFAULTS.SELECTORS.PRICE_ALERT_MANAGER.slice(1),
+          'aria-labelledby': 'my-alerts-heading'
+        });
+        const host = document.querySelector('main') || document.body;
+        host.prepend(managerRoot);
+      }
+      this.priceAlertManager = new PriceAlertManager(managerRoot, alertsToken, this.config);
+      this.priceAlertManager.init();
+    }
+
     // Review form
     const reviewFormEl = /** @type {HTMLFormElement|null} */ (
       document.querySelector(EXP_DEFAULTS.SELECTORS.REVIEW_FORM)
@@ -1109,7 +4331,10 @@ class ExperienceApp {
       document.querySelector(EXP_DEFAULTS.SELECTORS.CHAT_WIDGET)
     );
     if (chatRoot) {
-      this.chat = new ChatWidget(chatRoot, this.config);
+      this.chat = new ChatWidget(chatRoot, this.config, {
+        applyAction: (action) => this.applyAssistantAction(action),
+        registryItems: () => (this.registry ? this.registry.items : [])
+      });
       this.chat.init();
     }
 
@@ -1124,53 +4349,51 @@ class ExperienceApp {
   }
 
   /**
-   * Wire into PlannerApp events by monkey-patching its onEvent.
-   * @param {any|null} plannerApp
-   */
-  wirePlannerEvents(plannerApp) {
-    if (!plannerApp || typeof plannerApp.onEvent !== 'function') return;
-
-    const originalOnEvent = plannerApp.onEvent.bind(plannerApp);
-
-    plannerApp.onEvent = (stage, detail) => {
-      // Preserve any existing behavior
-      originalOnEvent(stage, detail);
-      // Fan-out to experience layer
-      this.handlePlannerEvent(stage, detail);
-    };
-  }
-
-  /**
-   * Called from patched PlannerApp.onEvent.
-   * @param {string} stage
-   * @param {any} detail
+   * Applies a chat assistant action through the feature that owns the data.
+   * @param {AssistantAction} action
+   * @returns {Promise<string>} confirmation for the chip, '' if the user backed out
    */
-  handlePlannerEvent(stage, detail) {
-    switch (stage) {
-      case 'plan_success': {
-        /** @type {PlannerStepData|null} */
-        const plan = detail?.plan ?? null;
-        this.latestPlan = plan;
-        this.grokQuiz?.syncPlan(plan);
-        this.milestones?.syncFromPlan(plan);
-        this.chat?.syncPlan(plan);
-        break;
+  async applyAssistantAction(action) {
+    const unavailable = () => new ActionUnavailableError(EXP_DEFAULTS.TEXT.CHAT_ACTION_UNAVAILABLE);
+
+    switch (action.type) {
+      case 'add_registry_item': {
+        if (!this.registry) throw unavailable();
+        const item = this.registry.addItem({
+          name: action.name || '',
+          quantity: action.quantity || 1,
+          note: action.note,
+          url: action.url ? affiliateUrl(action.url, this.config.affiliateTag || EXP_DEFAULTS.AFFILIATE.AMAZON_TAG) : undefined,
+          price: parsePrice(action.price),
+          category: action.category,
+          priority: action.priority
+        });
+        return `Added “${item.name}” to ${this.registry.active?.name || 'your registry'}.`;
       }
-      case 'bundles_success': {
-        /** @type {PlannerBundle[]|null} */
-        const bundles = detail?.bundles ?? null;
-        this.latestBundles = bundles;
-        this.registry?.syncFromBundles(bundles);
-        this.priceAlerts?.syncFromBundles(bundles);
-        this.reviewForm?.syncFromBundles(bundles);
-        this.chat?.syncBundles(bundles);
-        break;
+      case 'remove_registry_item': {
+        if (!this.registry) throw unavailable();
+        const item = this.registry.findItem({ id: action.itemId, name: action.name });
+        if (!item) throw new ActionUnavailableError(`“${action.name || action.itemId}” isn’t on your registry.`);
+        this.registry.removeItem(item);
+        return `Removed “${item.name}”.`;
+      }
+      case 'add_milestone': {
+        if (!this.milestones) throw unavailable();
+        const milestone = this.milestones.addMilestone(action.name);
+        return milestone ? 'Milestone added.' : '';
+      }
+      case 'set_price_alert': {
+        if (!this.priceAlerts) throw unavailable();
+        return this.priceAlerts.subscribe({
+          productId: action.productId,
+          name: action.name,
+          targetPrice: action.targetPrice,
+          dropPercent: action.dropPercent
+        });
       }
       default:
-        break;
+        throw unavailable();
     }
-
-    this.config.onEvent?.('planner_event', { stage, detail });
   }
 }
 
@@ -1179,7 +4402,8 @@ class ExperienceApp {
 /* ========================================================================== */
 
 document.addEventListener('DOMContentLoaded', () => {
-  // PlannerApp is set in planner.js
+  // PlannerApp is set in planner.js (if it has loaded yet; its events
+  // reach the features through the bus either way)
   // @ts-ignore
   const plannerApp = window.__plannerApp || null;
 
@@ -1188,6 +4412,8 @@ document.addEventListener('DOMContentLoaded', () => {
     // You can override endpoints here if needed:
     // grokQuizEndpoint: '/api/grok/quiz',
     // chatEndpoint: '/api/chat',
+    // chatConversationsEndpoint: '/api/chat/conversations',
+    // chatSync: true,
     // registryShareEndpoint: '/api/registry/share',
     // priceAlertEndpoint: '/api/alerts/price',
     // reviewEndpoint: '/api/reviews',
@@ -0,0 +1,188 @@
+// events.js
+// Loaded via: <script src="/events.js"></script> (before planner.js and app.js)
+//
+// Publish/subscribe bus shared by the planner, the experience layer (app.js)
+// and any other widget on the page:
+//
+//   const bus = window.__experienceBus;
+//   const off = bus.subscribe('plan_success', ({ plan }) => …);
+//   bus.subscribe('*', (detail, event) => …);            // every event
+//   bus.publish('bundles_success', { bundles }, { source: 'planner' });
+//   off();                                                // or bus.unsubscribe(type, handler)
+//
+// - Sticky events (the latest plan and bundles) are replayed to anyone who
+//   subscribes later, so it no longer matters which script loads first.
+// - Known events are checked against their shape before delivery; a
+//   malformed publish is dropped with a console error instead of reaching
+//   every subscriber.
+// - Handlers are isolated: one that throws (or rejects) is logged and the
+//   others still run.
+//
+// Exposes window.IBEvents = { EventBus, EXPERIENCE_EVENTS } and the page's
+// shared bus as window.__experienceBus.
+
+(function (global) {
+  'use strict';
+
+  /* ======================================================================== */
+  /* Types (JSDoc only)                                                       */
+  /* ======================================================================== */
+
+  /**
+   * Detail payloads of the events other scripts depend on. Feature events
+   * (registry_created, chat_message, …) are documented where they are
+   * published in app.js.
+   * @typedef {Object} ExperienceEventMap
+   * @property {{ input: Record<string, unknown> }} plan_request
+   * @property {{ plan: { steps: string[], stage?: string, stageLabel?: string } }} plan_success
+   * @property {{ bundles: Array<{ id: string|number, name: string, description?: string, price?: string, href?: string }> }} bundles_success
+   * @property {Error} plan_error
+   */
+
+  /**
+   * @typedef {Object} BusEvent
+   * @property {string} type
+   * @property {any} detail
+   * @property {string} source     'experience' unless the publisher says otherwise
+   * @property {number} at         Date.now() when published
+   */
+
+  /**
+   * @typedef {(detail: any, event: BusEvent) => void|Promise<void>} BusHandler
+   */
+
+  /**
+   * @typedef {Object} EventDefinition
+   * @property {boolean} [sticky]                  replay the latest one to late subscribers
+   * @property {(detail: any) => boolean} [validate]
+   */
+
+  /* ======================================================================== */
+  /* Known events                                                             */
+  /* ======================================================================== */
+
+  /** @param {any} value */
+  const isObject = (value) => value != null && typeof value === 'object';
+
+  /** @type {Record<string, EventDefinition>} */
+  const EXPERIENCE_EVENTS = {
+    plan_request: {
+      validate: (detail) => isObject(detail) && isObject(detail.input)
+    },
+    plan_success: {
+      sticky: true,
+      validate: (detail) =>
+        isObject(detail) && isObject(detail.plan) && Array.isArray(detail.plan.steps) &&
+        detail.plan.steps.every((step) => typeof step === 'string')
+    },
+    bundles_success: {
+      sticky: true,
+      validate: (detail) =>
+        isObject(detail) && Array.isArray(detail.bundles) &&
+        detail.bundles.every((b) => isObject(b) && b.id != null && typeof b.name === 'string')
+    },
+    plan_error: {}
+  };
+
+  /* ======================================================================== */
+  /* EventBus                                                                 */
+  /* ======================================================================== */
+
+  class EventBus {
+    /** @param {Record<string, EventDefinition>} [definitions] */
+    constructor(definitions = {}) {
+      this.definitions = definitions;
+      /** @type {Map<string, Set<BusHandler>>} */
+      this.handlers = new Map();
+      /** @type {Map<string, BusEvent>} latest sticky events, oldest first */
+      this.latest = new Map();
+    }
+
+    /**
+     * @template {keyof ExperienceEventMap} K
+     * @param {K|string} type                event name, or '*' for every event
+     * @param {(detail: K extends keyof ExperienceEventMap ? ExperienceEventMap[K] : any, event: BusEvent) => void|Promise<void>} handler
+     * @param {{ replay?: boolean }} [options]   replay defaults to true
+     * @returns {() => boolean} unsubscribe
+     */
+    subscribe(type, handler, options = {}) {
+      if (typeof handler !== 'function') throw new TypeError('handler must be a function');
+      if (!this.handlers.has(type)) this.handlers.set(type, new Set());
+      this.handlers.get(type).add(handler);
+
+      if (options.replay !== false) {
+        const missed = type === '*' ? Array.from(this.latest.values()) : this.latest.has(type) ? [this.latest.get(type)] : [];
+        missed.forEach((event) => this.deliver(handler, event));
+      }
+      return () => this.unsubscribe(type, handler);
+    }
+
+    /**
+     * @param {string} type
+     * @param {BusHandler} handler
+     * @returns {boolean} whether it was subscribed
+     */
+    unsubscribe(type, handler) {
+      const set = this.handlers.get(type);
+      if (!set) return false;
+      const removed = set.delete(handler);
+      if (!set.size) this.handlers.delete(type);
+      return removed;
+    }
+
+    /**
+     * @template {keyof ExperienceEventMap} K
+     * @param {K|string} type
+     * @param {K extends keyof ExperienceEventMap ? ExperienceEventMap[K] : any} [detail]
+     * @param {{ source?: string }} [options]
+     * @returns {boolean} false when the detail didn't match the event's shape
+     */
+    publish(type, detail, options = {}) {
+      if (!type || type === '*') throw new TypeError('publish needs an event type');
+      const definition = this.definitions[type] || {};
+      if (definition.validate && !definition.validate(detail)) {
+        console.error(`[events] dropped malformed "${type}"`, detail);
+        return false;
+      }
+
+      /** @type {BusEvent} */
+      const event = { type, detail, source: options.source || 'experience', at: Date.now() };
+      if (definition.sticky) {
+        this.latest.delete(type); // keep replay in publish order
+        this.latest.set(type, event);
+      }
+
+      // Copies, so handlers can (un)subscribe while this runs.
+      const exact = Array.from(this.handlers.get(type) || []);
+      const wildcard = Array.from(this.handlers.get('*') || []);
+      exact.concat(wildcard).forEach((handler) => this.deliver(handler, event));
+      return true;
+    }
+
+    /**
+     * Latest detail of a sticky event, if any.
+     * @param {string} type
+     */
+    last(type) {
+      return this.latest.get(type)?.detail;
+    }
+
+    /**
+     * @param {BusHandler} handler
+     * @param {BusEvent} event
+     */
+    deliver(handler, event) {
+      try {
+        const result = handler(event.detail, event);
+        if (result && typeof result.then === 'function') {
+          result.then(undefined, (err) => console.error(`[events] "${event.type}" handler failed`, err));
+        }
+      } catch (err) {
+        console.error(`[events] "${event.type}" handler failed`, err);
+      }
+    }
+  }
+
+  global.IBEvents = { EventBus, EXPERIENCE_EVENTS };
+  if (!global.__experienceBus) global.__experienceBus = new EventBus(EXPERIENCE_EVENTS);
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,414 @@
+// markdown.js
+// Loaded via: <script src="/markdown.js"></script> (before any script that uses it)
+//
+// Small Markdown renderer for assistant replies, shared by every chat surface
+// (index.html quick chat + Grok panel, support.html SupportChat, app.js
+// ChatWidget) and the AI results cards.
+//
+// Supported: paragraphs and line breaks, headings, bullet and numbered lists
+// (nested by indentation), **bold**, *italic*, `code`, fenced code blocks,
+// > quotes, [links](https://…) and bare https:// URLs. Anything else – raw
+// HTML included – is shown as text.
+//
+// The output is built with createElement/createTextNode only, never
+// innerHTML, and then passes through an allowlist sanitizer as a second line
+// of defence. `IBMarkdown.sanitize` can be used on its own for other trees.
+//
+// Exposes window.IBMarkdown = { parse, parseInline, render, renderInto, sanitize, safeHref }.
+// renderInto also adds the `md` class so pages can style rendered blocks.
+
+(function (global) {
+  'use strict';
+
+  /* ======================================================================== */
+  /* Types (JSDoc only)                                                       */
+  /* ======================================================================== */
+
+  /**
+   * @typedef {{ type: 'text', text: string }
+   *   | { type: 'br' }
+   *   | { type: 'code', text: string }
+   *   | { type: 'strong'|'em', children: InlineNode[] }
+   *   | { type: 'link', href: string, children: InlineNode[] }} InlineNode
+   */
+
+  /**
+   * @typedef {Object} ListItem
+   * @property {string[]} lines
+   * @property {ListBlock[]} lists   nested lists
+   */
+
+  /**
+   * @typedef {Object} ListBlock
+   * @property {'list'} type
+   * @property {boolean} ordered
+   * @property {number} start
+   * @property {ListItem[]} items
+   */
+
+  /**
+   * @typedef {{ type: 'paragraph', text: string }
+   *   | { type: 'heading', level: number, text: string }
+   *   | { type: 'code', lang: string, text: string }
+   *   | { type: 'quote', blocks: Block[] }
+   *   | ListBlock} Block
+   */
+
+  /* ======================================================================== */
+  /* Sanitizer                                                                */
+  /* ======================================================================== */
+
+  /** Allowed elements and, per element, the attributes they may keep. */
+  const ALLOWED = {
+    p: [],
+    br: [],
+    strong: [],
+    em: [],
+    code: [],
+    pre: [],
+    blockquote: [],
+    ul: [],
+    ol: ['start'],
+    li: [],
+    h4: [],
+    h5: [],
+    h6: [],
+    a: ['href', 'title', 'target', 'rel']
+  };
+
+  /** Removed together with their contents; other unknown elements are unwrapped. */
+  const DROPPED = ['script', 'style', 'template', 'iframe', 'object', 'embed', 'svg', 'math', 'noscript', 'textarea', 'select'];
+
+  const LINK_REL = 'noopener noreferrer nofollow';
+
+  /**
+   * Returns the URL if it is safe to link to (http(s), mailto or same-site),
+   * otherwise ''.
+   * @param {string} href
+   * @returns {string}
+   */
+  function safeHref(href) {
+    const value = String(href || '').trim();
+    if (!value || /[\u0000-\u001f\s]/.test(value)) return '';
+    if (/^(?:https?:|mailto:)/i.test(value)) return value;
+    if (/^[/#](?![/\\])/.test(value)) return value; // relative, but not protocol-relative
+    return '';
+  }
+
+  /**
+   * Strips everything outside the allowlist from `root`'s descendants, in place.
+   * Links that survive get rel="noopener …"; external ones open in a new tab.
+   * @template {Node} T
+   * @param {T} root
+   * @returns {T}
+   */
+  function sanitize(root) {
+    Array.from(root.childNodes).forEach((node) => {
+      if (node.nodeType === 3) return; // text
+      if (node.nodeType !== 1) {
+        node.parentNode.removeChild(node); // comments, processing instructions
+        return;
+      }
+
+      const el = /** @type {Element} */ (node);
+      const tag = el.tagName.toLowerCase();
+      if (DROPPED.includes(tag)) {
+        el.parentNode.removeChild(el);
+        return;
+      }
+
+      sanitize(el);
+      const allowedAttrs = Object.prototype.hasOwnProperty.call(ALLOWED, tag) ? ALLOWED[tag] : null;
+      const href = tag === 'a' ? safeHref(el.getAttribute('href') || '') : '';
+      if (!allowedAttrs || (tag === 'a' && !href)) {
+        // Keep the text, lose the element.
+        while (el.firstChild) el.parentNode.insertBefore(el.firstChild, el);
+        el.parentNode.removeChild(el);
+        return;
+      }
+
+      Array.from(el.attributes).forEach((attr) => {
+        if (!allowedAttrs.includes(attr.name.toLowerCase())) el.removeAttribute(attr.name);
+      });
+      if (tag === 'a') {
+        el.setAttribute('href', href);
+        el.setAttribute('rel', LINK_REL);
+        if (/^https?:/i.test(href)) el.setAttribute('target', '_blank');
+        else el.removeAttribute('target');
+      }
+      if (tag === 'ol' && el.hasAttribute('start') && !/^\d{1,9}$/.test(el.getAttribute('start') || '')) {
+        el.removeAttribute('start');
+      }
+    });
+    return root;
+  }
+
+  /* ======================================================================== */
+  /* Parser                                                                   */
+  /* ======================================================================== */
+
+  const FENCE_RE = /^\s{0,3}(```|~~~)\s*([\w+-]*)\s*$/;
+  const HEADING_RE = /^\s{0,3}(#{1,6})\s+(.+?)\s*#*\s*$/;
+  const LIST_RE = /^(\s*)([-*+•]|\d{1,9}[.)])\s+(.*)$/;
+  const QUOTE_RE = /^\s{0,3}>\s?(.*)$/;
+
+  // One alternative per inline construct; the first match wins at each position.
+  const INLINE_RE = new RegExp(
+    [
+      '(`+)([^`]|[^`][\\s\\S]*?[^`])\\1(?!`)',                        // 1,2  code
+      '\\*\\*(?=\\S)([\\s\\S]*?\\S)\\*\\*',                            // 3    bold
+      '__(?=\\S)([\\s\\S]*?\\S)__',                                    // 4    bold
+      '\\*(?=[^\\s*])([\\s\\S]*?[^\\s*])\\*',                          // 5    italic
+      '(?<![A-Za-z0-9])_(?=[^\\s_])([\\s\\S]*?[^\\s_])_(?![A-Za-z0-9])', // 6  italic
+      '\\[([^\\]\\n]+)\\]\\(\\s*<?((?:[^\\s()<>]|\\([^\\s()<>]*\\))+)>?(?:\\s+"[^"]*")?\\s*\\)', // 7,8 link
+      '(https?:\\/\\/[^\\s<>()]*[^\\s<>().,:;"\'!?\\]])',              // 9    bare URL
+      '(\\n)'                                                          // 10   line break
+    ].join('|'),
+    'g'
+  );
+
+  /**
+   * @param {string} text
+   * @returns {InlineNode[]}
+   */
+  function parseInline(text) {
+    /** @type {InlineNode[]} */
+    const nodes = [];
+    const pushText = (value) => {
+      if (!value) return;
+      const last = nodes[nodes.length - 1];
+      if (last && last.type === 'text') last.text += value;
+      else nodes.push({ type: 'text', text: value });
+    };
+
+    const re = new RegExp(INLINE_RE.source, 'g');
+    let index = 0;
+    let match;
+    while ((match = re.exec(text))) {
+      pushText(text.slice(index, match.index));
+      index = re.lastIndex;
+
+      if (match[1]) {
+        nodes.push({ type: 'code', text: match[2].replace(/^ (.*) $/, '$1') });
+      } else if (match[3] || match[4]) {
+        nodes.push({ type: 'strong', children: parseInline(match[3] || match[4]) });
+      } else if (match[5] || match[6]) {
+        nodes.push({ type: 'em', children: parseInline(match[5] || match[6]) });
+      } else if (match[7]) {
+        const href = safeHref(match[8]);
+        if (href) nodes.push({ type: 'link', href, children: parseInline(match[7]) });
+        else pushText(match[7]);
+      } else if (match[9]) {
+        nodes.push({ type: 'link', href: match[9], children: [{ type: 'text', text: match[9] }] });
+      } else if (match[10]) {
+        nodes.push({ type: 'br' });
+      }
+    }
+    pushText(text.slice(index));
+    return nodes;
+  }
+
+  /**
+   * Splits Markdown into blocks. Inline content stays as text until rendering.
+   * @param {string} markdown
+   * @returns {Block[]}
+   */
+  function parse(markdown) {
+    const lines = String(markdown == null ? '' : markdown).replace(/\r\n?/g, '\n').split('\n');
+    /** @type {Block[]} */
+    const blocks = [];
+    /** @type {string[]} */
+    let paragraph = [];
+    /** @type {Array<{ indent: number, list: ListBlock }>} open lists, outermost first */
+    let listStack = [];
+
+    const closeParagraph = () => {
+      if (paragraph.length) blocks.push({ type: 'paragraph', text: paragraph.join('\n') });
+      paragraph = [];
+    };
+    const closeLists = () => {
+      listStack = [];
+    };
+
+    for (let i = 0; i < lines.length; i += 1) {
+      const line = lines[i];
+
+      const fence = FENCE_RE.exec(line);
+      if (fence) {
+        closeParagraph();
+        closeLists();
+        const body = [];
+        i += 1;
+        while (i < lines.length && !new RegExp(`^\\s{0,3}${fence[1]}\\s*$`).test(lines[i])) {
+          body.push(lines[i]);
+          i += 1;
+        }
+        blocks.push({ type: 'code', lang: fence[2], text: body.join('\n') });
+        continue;
+      }
+
+      if (!line.trim()) {
+        closeParagraph();
+        // A blank line inside a list only ends it if the next line isn't another item.
+        if (listStack.length && !(i + 1 < lines.length && LIST_RE.test(lines[i + 1]))) closeLists();
+        continue;
+      }
+
+      const item = LIST_RE.exec(line);
+      if (item) {
+        closeParagraph();
+        const indent = item[1].replace(/\t/g, '    ').length;
+        const ordered = /\d/.test(item[2]);
+        while (listStack.length > 1 && listStack[listStack.length - 1].indent > indent) listStack.pop();
+
+        const top = listStack[listStack.length - 1];
+        if (!top || (indent <= top.indent && top.list.ordered !== ordered)) {
+          /** @type {ListBlock} */
+          const list = { type: 'list', ordered, start: ordered ? parseInt(item[2], 10) : 1, items: [] };
+          blocks.push(list);
+          listStack = [{ indent, list }];
+        } else if (indent > top.indent + 1) {
+          const parent = top.list.items[top.list.items.length - 1];
+          /** @type {ListBlock} */
+          const list = { type: 'list', ordered, start: ordered ? parseInt(item[2], 10) : 1, items: [] };
+          parent.lists.push(list);
+          listStack.push({ indent, list });
+        }
+        listStack[listStack.length - 1].list.items.push({ lines: [item[3]], lists: [] });
+        continue;
+      }
+
+      if (listStack.length && /^\s+\S/.test(line)) {
+        // Indented continuation of the last list item.
+        const list = listStack[listStack.length - 1].list;
+        list.items[list.items.length - 1].lines.push(line.trim());
+        continue;
+      }
+      closeLists();
+
+      const heading = HEADING_RE.exec(line);
+      if (heading) {
+        closeParagraph();
+        blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+        continue;
+      }
+
+      if (QUOTE_RE.test(line)) {
+        closeParagraph();
+        const quoted = [];
+        while (i < lines.length && QUOTE_RE.test(lines[i])) {
+          quoted.push(QUOTE_RE.exec(lines[i])[1]);
+          i += 1;
+        }
+        i -= 1;
+        blocks.push({ type: 'quote', blocks: parse(quoted.join('\n')) });
+        continue;
+      }
+
+      paragraph.push(line.trim());
+    }
+    closeParagraph();
+    return blocks;
+  }
+
+  /* ======================================================================== */
+  /* DOM builder                                                              */
+  /* ======================================================================== */
+
+  /**
+   * @param {Document} doc
+   * @param {InlineNode[]} nodes
+   * @param {Node} parent
+   */
+  function appendInline(doc, nodes, parent) {
+    nodes.forEach((node) => {
+      if (node.type === 'text') {
+        parent.appendChild(doc.createTextNode(node.text));
+      } else if (node.type === 'br') {
+        parent.appendChild(doc.createElement('br'));
+      } else if (node.type === 'code') {
+        const code = doc.createElement('code');
+        code.textContent = node.text;
+        parent.appendChild(code);
+      } else if (node.type === 'link') {
+        const a = doc.createElement('a');
+        a.setAttribute('href', node.href);
+        appendInline(doc, node.children, a);
+        parent.appendChild(a);
+      } else {
+        const el = doc.createElement(node.type);
+        appendInline(doc, node.children, el);
+        parent.appendChild(el);
+      }
+    });
+  }
+
+  /**
+   * @param {Document} doc
+   * @param {Block[]} blocks
+   * @param {Node} parent
+   */
+  function appendBlocks(doc, blocks, parent) {
+    blocks.forEach((block) => {
+      if (block.type === 'paragraph') {
+        const p = doc.createElement('p');
+        appendInline(doc, parseInline(block.text), p);
+        parent.appendChild(p);
+      } else if (block.type === 'heading') {
+        // Headings inside a chat bubble stay small: # → h4, ## → h5, the rest h6.
+        const h = doc.createElement(`h${Math.min(6, block.level + 3)}`);
+        appendInline(doc, parseInline(block.text), h);
+        parent.appendChild(h);
+      } else if (block.type === 'code') {
+        const pre = doc.createElement('pre');
+        const code = doc.createElement('code');
+        code.textContent = block.text;
+        pre.appendChild(code);
+        parent.appendChild(pre);
+      } else if (block.type === 'quote') {
+        const quote = doc.createElement('blockquote');
+        appendBlocks(doc, block.blocks, quote);
+        parent.appendChild(quote);
+      } else if (block.type === 'list') {
+        const list = doc.createElement(block.ordered ? 'ol' : 'ul');
+        if (block.ordered && block.start !== 1) list.setAttribute('start', String(block.start));
+        block.items.forEach((item) => {
+          const li = doc.createElement('li');
+          appendInline(doc, parseInline(item.lines.join('\n')), li);
+          appendBlocks(doc, item.lists, li);
+          list.appendChild(li);
+        });
+        parent.appendChild(list);
+      }
+    });
+  }
+
+  /**
+   * Renders Markdown to a sanitized DocumentFragment.
+   * @param {string} markdown
+   * @param {Document} [doc]
+   * @returns {DocumentFragment}
+   */
+  function render(markdown, doc = global.document) {
+    const fragment = doc.createDocumentFragment();
+    appendBlocks(doc, parse(markdown), fragment);
+    return sanitize(fragment);
+  }
+
+  /**
+   * Replaces the contents of `el` with the rendered Markdown. Safe to call on
+   * every streamed token – it re-renders from scratch.
+   * @param {Element} el
+   * @param {string} markdown
+   * @returns {Element}
+   */
+  function renderInto(el, markdown) {
+    const fragment = render(markdown, el.ownerDocument || global.document);
+    while (el.firstChild) el.removeChild(el.firstChild);
+    el.appendChild(fragment);
+    if (el.classList) el.classList.add('md');
+    return el;
+  }
+
+  global.IBMarkdown = { parse, parseInline, render, renderInto, sanitize, safeHref };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,421 @@
+// planner.js
+// Loaded via: <script src="/planner.js"></script> (after events.js)
+//
+// PlannerApp: a due-date / baby-age planner. The parent enters a due date
+// (or birth date) plus optional preferences; /api/planner answers with the
+// current stage, dated to-dos and the gear worth sorting out now.
+//
+// Renders its form and results into #planner when the page has one; without
+// it the planner still works through `generate()`.
+//
+// Events are published on the shared bus (events.js, source 'planner') and
+// also passed to the instance's `onEvent(stage, detail)` hook. app.js
+// subscribes to them on the bus and relies on these shapes:
+//
+//   plan_request     { input }
+//   plan_success     { plan: { steps: string[], stage, stageLabel, date, dateType, week, tasks, generatedOn } }
+//   bundles_success  { bundles: [{ id, name, description, price, href }] }
+//   plan_error       Error
+//
+// The last plan is kept in localStorage, re-published on load and refreshed
+// once a day so the stage and to-dos move along with the calendar. The bus
+// replays the latest plan and bundles, so app.js may load before or after
+// this file.
+//
+// Exposes window.__plannerApp.
+
+(function (global) {
+  'use strict';
+
+  /* ======================================================================== */
+  /* Types (JSDoc only)                                                       */
+  /* ======================================================================== */
+
+  /**
+   * @typedef {Object} PlannerInput
+   * @property {string} [dueDate]     YYYY-MM-DD
+   * @property {string} [birthDate]   YYYY-MM-DD
+   * @property {string} [today]       browser's local date
+   * @property {number} [budget]
+   * @property {string} [feeding]
+   */
+
+  /**
+   * @typedef {Object} PlannerTask
+   * @property {string} id
+   * @property {string} label
+   * @property {string} due           YYYY-MM-DD
+   * @property {boolean} overdue
+   */
+
+  /**
+   * @typedef {Object} PlannerPlan
+   * @property {string[]} steps
+   * @property {string} stage
+   * @property {string} stageLabel
+   * @property {string} date
+   * @property {'due'|'birth'} dateType
+   * @property {number} week
+   * @property {PlannerTask[]} tasks
+   * @property {string} generatedOn
+   */
+
+  /**
+   * @typedef {Object} PlannerBundle
+   * @property {string} id
+   * @property {string} name
+   * @property {string} [description]
+   * @property {string} [price]
+   * @property {string} [href]
+   */
+
+  /* ======================================================================== */
+  /* Constants                                                                */
+  /* ======================================================================== */
+
+  const PLANNER_DEFAULTS = {
+    ENDPOINT: '/api/planner',
+    TIMEOUT_MS: 15000,
+    ROOT: '#planner',
+    STORAGE: 'planner_state_v1',
+    TEXT: {
+      TITLE: 'Your baby plan',
+      EXPECTING: 'I’m expecting',
+      BORN: 'Baby is here',
+      DUE_DATE: 'Due date',
+      BIRTH_DATE: 'Birth date',
+      FEEDING: 'Feeding plan (optional)',
+      FEEDING_OPTIONS: [
+        ['', 'Not sure yet'],
+        ['breast', 'Breastfeeding'],
+        ['bottle', 'Bottles'],
+        ['formula', 'Formula']
+      ],
+      BUDGET: 'Gear budget in USD (optional)',
+      SUBMIT: 'Build my plan',
+      LOADING: 'Putting your plan together…',
+      ERROR: 'Could not build your plan. Please try again.',
+      NEED_DATE: 'Enter a date first.',
+      STEPS_HEADING: 'Next up',
+      BUNDLES_HEADING: 'Gear for this stage',
+      BUNDLES_EMPTY: 'Nothing to buy yet – enjoy the calm.',
+      OVERDUE: 'overdue'
+    }
+  };
+
+  /* ======================================================================== */
+  /* Utilities                                                                */
+  /* ======================================================================== */
+
+  /**
+   * @param {string} tag
+   * @param {Record<string, any>} [props]
+   * @param {Array<Node|string|null|undefined>} [children]
+   * @returns {any}
+   */
+  function el(tag, props = {}, children = []) {
+    const node = /** @type {any} */ (document.createElement(tag));
+    Object.entries(props).forEach(([key, value]) => {
+      if (value == null) return;
+      if (key in node) node[key] = value;
+      else node.setAttribute(key, String(value));
+    });
+    children.forEach((child) => {
+      if (child == null) return;
+      node.append(child instanceof Node ? child : document.createTextNode(String(child)));
+    });
+    return node;
+  }
+
+  /** Today in the browser's time zone, as YYYY-MM-DD. */
+  function localToday() {
+    const now = new Date();
+    const pad = (/** @type {number} */ n) => String(n).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  }
+
+  /** @param {string} day YYYY-MM-DD */
+  function formatDay(day) {
+    const [y, m, d] = day.split('-').map(Number);
+    return new Date(y, m - 1, d).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  }
+
+  /** @param {string} url */
+  function isHttpUrl(url) {
+    return /^https?:\/\//i.test(url || '');
+  }
+
+  /* ======================================================================== */
+  /* PlannerApp                                                               */
+  /* ======================================================================== */
+
+  class PlannerApp {
+    /** @param {{ endpoint?: string }} [config] */
+    constructor(config = {}) {
+      this.config = config;
+      /** @type {PlannerPlan|null} */
+      this.latestPlan = null;
+      /** @type {PlannerBundle[]|null} */
+      this.latestBundles = null;
+      /** @type {PlannerInput|null} */
+      this.input = null;
+      /** @type {HTMLElement|null} */
+      this.root = null;
+      /** @type {HTMLFormElement|null} */
+      this.form = null;
+      /** @type {HTMLElement|null} */
+      this.output = null;
+      this.loading = false;
+    }
+
+    /**
+     * Per-instance hook, called before the bus publish. A no-op by default.
+     * @param {string} stage
+     * @param {unknown} [detail]
+     */
+    onEvent(stage, detail) {}
+
+    /**
+     * @param {string} stage
+     * @param {unknown} detail
+     */
+    emit(stage, detail) {
+      try {
+        this.onEvent(stage, detail);
+      } catch (err) {
+        console.error('[planner] onEvent hook failed', err);
+      }
+      // Looked up on every emit so a bus that loads later is still used.
+      global.__experienceBus?.publish(stage, detail, { source: 'planner' });
+    }
+
+    init() {
+      this.load();
+      const root = /** @type {HTMLElement|null} */ (document.querySelector(PLANNER_DEFAULTS.ROOT));
+      if (root) this.mount(root);
+
+      if (this.latestPlan) {
+        this.render();
+        this.emitResults();
+      }
+      if (this.input && this.latestPlan?.generatedOn !== localToday()) {
+        void this.generate(this.input);
+      }
+    }
+
+    load() {
+      try {
+        const raw = localStorage.getItem(PLANNER_DEFAULTS.STORAGE);
+        if (!raw) return;
+        const parsed = JSON.parse(raw);
+        if (!parsed || typeof parsed !== 'object') return;
+        this.input = parsed.input || null;
+        this.latestPlan = parsed.plan && Array.isArray(parsed.plan.steps) ? parsed.plan : null;
+        this.latestBundles = Array.isArray(parsed.bundles) ? parsed.bundles : null;
+      } catch (err) {
+        console.error('[planner] load error', err);
+      }
+    }
+
+    save() {
+      try {
+        localStorage.setItem(
+          PLANNER_DEFAULTS.STORAGE,
+          JSON.stringify({ input: this.input, plan: this.latestPlan, bundles: this.latestBundles })
+        );
+      } catch (err) {
+        console.error('[planner] save error', err);
+      }
+    }
+
+    /**
+     * Asks the server for a plan and publishes it.
+     * @param {PlannerInput} input
+     * @returns {Promise<{ plan: PlannerPlan, bundles: PlannerBundle[] }|null>}
+     */
+    async generate(input) {
+      if (this.loading) return null;
+      this.loading = true;
+      const request = { ...input, today: localToday() };
+      this.setStatus(PLANNER_DEFAULTS.TEXT.LOADING);
+      this.emit('plan_request', { input: request });
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), PLANNER_DEFAULTS.TIMEOUT_MS);
+      try {
+        const res = await fetch(this.config.endpoint || PLANNER_DEFAULTS.ENDPOINT, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(request),
+          signal: controller.signal
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) {
+          // 4xx messages say what to fix (date out of range, both dates given…).
+          const err = new Error(res.status < 500 && data.message ? data.message : `HTTP ${res.status}`);
+          // @ts-ignore
+          err.status = res.status;
+          throw err;
+        }
+
+        this.input = input;
+        this.latestPlan = data.plan;
+        this.latestBundles = Array.isArray(data.bundles) ? data.bundles : [];
+        this.save();
+        this.setStatus('');
+        this.render();
+        this.emitResults();
+        return { plan: data.plan, bundles: this.latestBundles };
+      } catch (err) {
+        console.error('[planner] generate error', err);
+        // @ts-ignore
+        const message = err && err.status && err.status < 500 ? err.message : PLANNER_DEFAULTS.TEXT.ERROR;
+        this.setStatus(message, true);
+        this.emit('plan_error', err);
+        return null;
+      } finally {
+        clearTimeout(timer);
+        this.loading = false;
+      }
+    }
+
+    emitResults() {
+      if (this.latestPlan) this.emit('plan_success', { plan: this.latestPlan });
+      if (this.latestBundles) this.emit('bundles_success', { bundles: this.latestBundles });
+    }
+
+    /* -------------------------------------------------------------------- */
+    /* UI                                                                   */
+    /* -------------------------------------------------------------------- */
+
+    /** @param {HTMLElement} root */
+    mount(root) {
+      const T = PLANNER_DEFAULTS.TEXT;
+      const input = this.input || {};
+      const born = Boolean(input.birthDate);
+
+      const radio = (/** @type {string} */ value, /** @type {string} */ label, /** @type {boolean} */ checked) =>
+        el('label', { className: 'planner-choice' }, [
+          el('input', { type: 'radio', name: 'dateType', value, checked }),
+          ` ${label}`
+        ]);
+      const dateLabel = el('span', {}, [born ? T.BIRTH_DATE : T.DUE_DATE]);
+      const feeding = el('select', { name: 'feeding' },
+        T.FEEDING_OPTIONS.map(([value, label]) => el('option', { value, textContent: label, selected: value === (input.feeding || '') }))
+      );
+
+      this.form = el('form', { className: 'planner-form', noValidate: true }, [
+        el('fieldset', {}, [
+          el('legend', { className: 'sr-only' }, [`${T.EXPECTING} / ${T.BORN}`]),
+          radio('due', T.EXPECTING, !born),
+          radio('birth', T.BORN, born)
+        ]),
+        el('label', {}, [dateLabel, el('input', { type: 'date', name: 'date', required: true, value: input.dueDate || input.birthDate || '' })]),
+        el('label', {}, [T.FEEDING, feeding]),
+        el('label', {}, [T.BUDGET, el('input', { type: 'number', name: 'budget', min: 150, step: 50, inputMode: 'numeric', value: input.budget ?? '' })]),
+        el('button', { type: 'submit', className: 'btn btn-primary', textContent: T.SUBMIT }),
+        el('p', { className: 'status', role: 'status', 'aria-live': 'polite' })
+      ]);
+      this.form.addEventListener('change', (event) => {
+        const target = /** @type {HTMLInputElement} */ (event.target);
+        if (target.name === 'dateType') dateLabel.textContent = target.value === 'birth' ? T.BIRTH_DATE : T.DUE_DATE;
+      });
+      this.form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        void this.handleSubmit();
+      });
+
+      this.output = el('div', { className: 'planner-output', 'aria-live': 'polite' });
+      this.root = root;
+      root.innerHTML = '';
+      root.append(el('h2', { textContent: T.TITLE }), this.form, this.output);
+    }
+
+    async handleSubmit() {
+      if (!this.form) return;
+      const fd = new FormData(this.form);
+      const date = String(fd.get('date') || '');
+      if (!date) {
+        this.setStatus(PLANNER_DEFAULTS.TEXT.NEED_DATE, true);
+        return;
+      }
+      /** @type {PlannerInput} */
+      const input = fd.get('dateType') === 'birth' ? { birthDate: date } : { dueDate: date };
+      const feeding = String(fd.get('feeding') || '');
+      const budget = Number(fd.get('budget'));
+      if (feeding) input.feeding = feeding;
+      if (budget > 0) input.budget = budget;
+      await this.generate(input);
+    }
+
+    /**
+     * @param {string} message
+     * @param {boolean} [isError=false]
+     */
+    setStatus(message, isError = false) {
+      const status = this.form?.querySelector('.status');
+      if (!status) return;
+      status.textContent = message;
+      status.className = isError ? 'status status--error' : 'status';
+    }
+
+    render() {
+      const output = this.output;
+      const plan = this.latestPlan;
+      if (!output || !plan) return;
+      const T = PLANNER_DEFAULTS.TEXT;
+
+      const when = plan.dateType === 'due'
+        ? `Week ${plan.week} of pregnancy · due ${formatDay(plan.date)}`
+        : `${plan.week} ${plan.week === 1 ? 'week' : 'weeks'} old`;
+
+      const steps = el('ol', { className: 'planner-steps' }, (plan.tasks || []).map((task) =>
+        el('li', { className: task.overdue ? 'planner-step planner-step--overdue' : 'planner-step' }, [
+          el('span', {}, [task.label]),
+          ' ',
+          el('time', { dateTime: task.due, className: 'planner-step-date' }, [
+            task.overdue ? `${formatDay(task.due)} · ${T.OVERDUE}` : formatDay(task.due)
+          ])
+        ])
+      ));
+
+      const bundles = this.latestBundles || [];
+      const gear = bundles.length
+        ? el('ul', { className: 'planner-bundles' }, bundles.map((bundle) =>
+          el('li', {}, [
+            isHttpUrl(bundle.href || '')
+              ? el('a', { href: bundle.href, target: '_blank', rel: 'noopener noreferrer sponsored', textContent: bundle.name })
+              : el('strong', {}, [bundle.name]),
+            bundle.price ? ` – ${bundle.price}` : null,
+            bundle.description ? el('p', {}, [bundle.description]) : null
+          ])
+        ))
+        : el('p', {}, [T.BUNDLES_EMPTY]);
+
+      output.innerHTML = '';
+      output.append(
+        el('h3', {}, [plan.stageLabel]),
+        el('p', { className: 'planner-when' }, [when]),
+        el('h4', {}, [T.STEPS_HEADING]),
+        steps,
+        el('h4', {}, [T.BUNDLES_HEADING]),
+        gear
+      );
+    }
+  }
+
+  /* ======================================================================== */
+  /* Bootstrap                                                                */
+  /* ======================================================================== */
+
+  const app = new PlannerApp();
+  // Set right away (not on DOMContentLoaded) so app.js always finds it.
+  global.__plannerApp = app;
+  global.PlannerApp = PlannerApp;
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => app.init());
+  } else {
+    app.init();
+  }
+})(window);